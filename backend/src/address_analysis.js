@@ -1,10 +1,11 @@
 #!/usr/bin/env node
 import dotenv from 'dotenv';
-import axios from 'axios';
 import { loadDataSources } from './data/dataLoader.js';
 import { getLivabilityScore } from './analysis/livabilityAnalysis.js';
-import { calculateMobilityScore } from './analysis/mobilityAnalysis.js';
+import { calculateMobilityScore, loadTransitData } from './analysis/mobilityAnalysis.js';
 import { getRealEstateHotspots } from './analysis/hotspotAnalysis.js';
+import { geocodeAddress } from './geocoding/geocoder.js';
+import { resolveWeighting, calculateOverallScore } from './analysis/weightingProfiles.js';
 
 // Load environment variables
 dotenv.config();
@@ -65,40 +66,6 @@ const printStars = (rating) => {
   );
 };
 
-/**
- * Geocode an address using Open Street Maps Nominatim API
- * @param {string} address - Address to geocode
- * @param {string} city - City (defaults to Ottawa)
- * @param {string} province - Province (defaults to ON)
- * @param {string} country - Country (defaults to Canada)
- * @returns {Promise<Object>} - Geocoded location
- */
-const geocodeAddress = async (address, city = 'Ottawa', province = 'ON', country = 'Canada') => {
-  try {
-    // Format the query
-    const query = encodeURIComponent(`${address}, ${city}, ${province}, ${country}`);
-    
-    // Use OpenStreetMap Nominatim API (free and doesn't require API key)
-    const response = await axios.get(`https://nominatim.openstreetmap.org/search?q=${query}&format=json&addressdetails=1&limit=1`);
-    
-    if (response.data && response.data.length > 0) {
-      const result = response.data[0];
-      
-      return {
-        lat: parseFloat(result.lat),
-        lng: parseFloat(result.lon),
-        displayName: result.display_name,
-        addressDetails: result.address
-      };
-    } else {
-      throw new Error('No results found for the given address');
-    }
-  } catch (error) {
-    console.error('Error geocoding address:', error.message);
-    throw error;
-  }
-};
-
 // Print mobility details
 const printMobilityDetails = (mobilityData) => {
   console.log(`\n${colors.bright}${colors.blue}MOBILITY SCORE: ${printScore(mobilityData.overallScore)}/100${colors.reset}\n`);
@@ -178,48 +145,42 @@ const printEmergencyServicesDetails = (hotspotData) => {
   console.log(`${colors.bright}GROCERY STORE SCORE: ${printScore(topHotspot.details.grocery)}/100${colors.reset}`);
 };
 
-// Calculate overall combined score
-const calculateOverallScore = (mobility, livability, emergency, grocery) => {
-  // Weights
-  const weights = {
-    mobility: 0.3,
-    livability: 0.3,
-    emergency: 0.25,
-    grocery: 0.15
-  };
-  
-  return Math.round(
-    mobility * weights.mobility +
-    livability * weights.livability +
-    emergency * weights.emergency +
-    grocery * weights.grocery
-  );
-};
-
 // Main function
 const analyzeAddress = async () => {
   try {
     console.log('Loading data sources...');
     await loadDataSources();
+    await loadTransitData();
     
     console.log('\n===== OTTAWA ADDRESS ANALYSIS =====\n');
     
-    // Parse command line arguments
+    // Parse command line arguments (--profile=<name> selects the weighting profile)
     const args = process.argv.slice(2);
+    const profileArg = args.find(arg => arg.startsWith('--profile='));
+    const addressArgs = args.filter(arg => arg !== profileArg);
     
-    if (args.length === 0) {
+    if (addressArgs.length === 0) {
       console.error('Please provide an address to analyze.');
-      console.log('Usage: npm run analyze-address "123 Main St, Ottawa, ON"');
+      console.log('Usage: npm run analyze-address "123 Main St, Ottawa, ON" [--profile=family]');
       process.exit(1);
     }
     
-    // Join all arguments as the address
-    const addressInput = args.join(' ');
+    const weighting = resolveWeighting({ profile: profileArg ? profileArg.split('=')[1] : undefined });
+    if (weighting.errors.length > 0) {
+      console.error(weighting.errors.join('; '));
+      process.exit(1);
+    }
+    
+    // Join all remaining arguments as the address
+    const addressInput = addressArgs.join(' ');
     console.log(`Analyzing address: ${colors.bright}${addressInput}${colors.reset}`);
     
     // Geocode the address
     console.log('\nGeocoding address...');
     const location = await geocodeAddress(addressInput);
+    if (!location) {
+      throw new Error('No results found for the given address');
+    }
     
     console.log(`\nGeocoded location: ${colors.bright}${location.displayName}${colors.reset}`);
     console.log(`Coordinates: (${location.lat}, ${location.lng})`);
@@ -260,17 +221,18 @@ const analyzeAddress = async () => {
       }
     }
     
-    // Calculate overall score
-    const overallScore = calculateOverallScore(
-      mobilityData.overallScore,
-      livabilityData.overallScore,
-      emergencyScore,
-      groceryScore
-    );
+    // Calculate overall score with the selected weighting profile
+    const overallScore = calculateOverallScore({
+      mobility: mobilityData.overallScore,
+      livability: livabilityData.overallScore,
+      emergency: emergencyScore,
+      grocery: groceryScore
+    }, weighting.weights);
     
     // Display results
     console.log(`\n${colors.bright}${colors.bgGreen}${colors.black} COMPREHENSIVE ADDRESS ANALYSIS ${colors.reset}`);
     console.log(`\n${colors.bright}${colors.bgWhite}${colors.black} OVERALL SCORE: ${printScore(overallScore)}/100 ${colors.reset}`);
+    console.log(`Weighting profile: ${colors.bright}${weighting.profile}${colors.reset} (${Object.entries(weighting.weights).map(([component, weight]) => `${component} ${weight}`).join(', ')})`);
     
     // Print mobility details
     printMobilityDetails(mobilityData);
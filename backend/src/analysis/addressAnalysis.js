@@ -0,0 +1,314 @@
+/**
+ * Address analysis pipeline
+ * Geocodes an address and combines the mobility, livability, emergency services, grocery
+ * and (for users with saved destinations) commute analyses into one weighted result.
+ * Shared by the single-address API, the batch API and the command line tools.
+ */
+
+import { calculateMobilityScore } from './mobilityAnalysis.js';
+import { getLivabilityScore } from './livabilityAnalysis.js';
+import { calculateEmergencyServicesScore } from './emergencyAnalysis.js';
+import { calculateGroceryScore } from './groceryAnalysis.js';
+import { resolveWeighting, withCommuteWeight, calculateOverallScore } from './weightingProfiles.js';
+import { calculateCommuteScore, summarizeCommuteScore, getUserDestinations } from './commuteAnalysis.js';
+import { parseDepartAt } from './trafficProfile.js';
+import { calculateTrafficComparison } from './trafficAnalysis.js';
+import { geocodeAddress } from '../geocoding/geocoder.js';
+import { getActiveRegion, isInRegion } from '../data/regionPacks.js';
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with a status property
+ */
+const createAnalysisError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Analyze an already geocoded location
+ * @param {Object} location - Geocoded location {lat, lng, displayName}
+ * @param {Object} weighting - Resolved weighting {profile, weights} from resolveWeighting
+ * @param {Object} options - Analysis options
+ * @param {Object} options.departAt - Parsed departure time from parseDepartAt for the traffic comparison
+ *   and the commute times
+ * @param {Array} options.destinations - A user's saved commute destinations
+ * @param {boolean} options.destinationDetails - Include the destinations' names, addresses and
+ *   coordinates in the commute result; otherwise it only has the times and scores
+ * @returns {Object} - Analysis result in the /api/analyze-address response format
+ */
+export const analyzeLocation = (location, weighting, { departAt = null, destinations = [], destinationDetails = true } = {}) => {
+  const { lat, lng } = location;
+
+  console.log('Calculating mobility score...');
+  // Calculate scores
+  const mobilityScore = calculateMobilityScore({
+    lat: lat,
+    lng: lng
+  });
+
+  // Log mobility score details including walking times
+  if (mobilityScore.details?.station?.walkingTime) {
+    console.log(`Walking time to nearest station: ${mobilityScore.details.station.walkingTime.minutes} minutes`);
+  }
+  if (mobilityScore.details?.busStop?.walkingTime) {
+    console.log(`Walking time to nearest bus stop: ${mobilityScore.details.busStop.walkingTime.minutes} minutes`);
+  }
+  if (mobilityScore.details?.road?.walkingTime) {
+    console.log(`Walking time to nearest road: ${mobilityScore.details.road.walkingTime.minutes} minutes`);
+  }
+
+  console.log('Calculating livability score...');
+  const livabilityResults = getLivabilityScore({
+    lat: lat,
+    lng: lng
+  });
+
+  console.log('Calculating emergency services score...');
+  const emergencyServicesResults = calculateEmergencyServicesScore({
+    lat: lat,
+    lng: lng
+  });
+
+  console.log('Calculating grocery score...');
+  const groceryResults = calculateGroceryScore({
+    lat: lat,
+    lng: lng
+  });
+
+  let commute = destinations.length > 0 ? calculateCommuteScore({ lat, lng }, destinations, { departAt }) : null;
+  if (!destinationDetails) {
+    commute = summarizeCommuteScore(commute);
+  }
+
+  // Calculate overall score (weighted average using the selected profile)
+  const componentScores = {
+    mobility: mobilityScore.score || 0,
+    livability: livabilityResults?.score || 0,
+    emergency: emergencyServicesResults?.score || 0,
+    grocery: groceryResults?.score || 0
+  };
+  let weights = weighting.weights;
+  if (commute) {
+    componentScores.commute = commute.score;
+    weights = withCommuteWeight(weights);
+  }
+  const overallScore = calculateOverallScore(componentScores, weights);
+
+  console.log('Comparing travel times by time of day...');
+  const traffic = calculateTrafficComparison({ lat, lng }, {
+    departAt,
+    closestServices: emergencyServicesResults?.closestServices || {}
+  });
+
+  // Format the response to include detailed information with places for the frontend
+  return {
+    geocodedAddress: location.displayName,
+    lat,
+    lng,
+    region: getActiveRegion().id,
+    scores: {
+      mobility: {
+        score: mobilityScore.score || 0,
+        transitStationScore: mobilityScore.transitStationScore || 0,
+        busStopScore: mobilityScore.busStopScore || 0,
+        roadAccessScore: mobilityScore.roadAccessScore || 0,
+        downtownTransitScore: mobilityScore.downtownTransitScore ?? null,
+        transitTimeToDowntown: mobilityScore.transitTimeToDowntown || null,
+        nearestTransitStation: mobilityScore.nearestTransitStation || null,
+        nearestBusStop: mobilityScore.nearestBusStop || null,
+        nearestMainRoad: mobilityScore.nearestMainRoad || null,
+        transitService: mobilityScore.transitService || null
+      },
+      livability: {
+        score: livabilityResults?.score || 0,
+        categoryScores: livabilityResults?.categoryScores || {},
+        greenSpace: livabilityResults?.greenSpace || null,
+        designatedSchools: livabilityResults?.designatedSchools || null,
+        places: livabilityResults?.places ? Object.fromEntries(
+          Object.entries(livabilityResults.places).map(([category, places]) => [
+            category,
+            places.map(place => ({
+              ...place,
+              walkingTime: place.walkingTime ? {
+                minutes: place.walkingTime.minutes,
+                isEstimate: place.walkingTime.isEstimate,
+                method: place.walkingTime.method
+              } : null,
+              drivingTime: place.drivingTime ? {
+                minutes: place.drivingTime.minutes,
+                isEstimate: place.drivingTime.isEstimate,
+                method: place.drivingTime.method,
+                trafficLevel: place.drivingTime.trafficLevel
+              } : null
+            }))
+          ])
+        ) : {},
+        closestPlaces: livabilityResults?.closestPlaces ? Object.fromEntries(
+          Object.entries(livabilityResults.closestPlaces).map(([category, place]) => [
+            category,
+            {
+              ...place,
+              walkingTime: place.walkingTime ? {
+                minutes: place.walkingTime.minutes,
+                isEstimate: place.walkingTime.isEstimate,
+                method: place.walkingTime.method
+              } : null,
+              drivingTime: place.drivingTime ? {
+                minutes: place.drivingTime.minutes,
+                isEstimate: place.drivingTime.isEstimate,
+                method: place.drivingTime.method,
+                trafficLevel: place.drivingTime.trafficLevel
+              } : null
+            }
+          ])
+        ) : {}
+      },
+      emergencyServices: {
+        score: emergencyServicesResults?.score || 0,
+        medical: {
+          score: emergencyServicesResults?.hospitalScore || 0,
+          hospitals: Array.isArray(emergencyServicesResults?.hospitals)
+            ? emergencyServicesResults.hospitals.map(service => ({
+                name: service.name || 'Unknown Hospital',
+                address: service.address || 'Address not available',
+                lat: parseFloat(service.lat) || 0,
+                lng: parseFloat(service.lng) || 0,
+                distance: service.distance || 0,
+                rating: parseFloat(service.rating) || 0,
+                responseTime: service.responseTime ? {
+                  minutes: service.responseTime.minutes,
+                  serviceType: service.responseTime.serviceType,
+                  isEstimate: service.responseTime.isEstimate
+                } : null
+              }))
+            : [],
+          nearest: emergencyServicesResults?.nearestHospital || null
+        },
+        fire: {
+          score: emergencyServicesResults?.fireStationScore || 0,
+          stations: Array.isArray(emergencyServicesResults?.fireStations)
+            ? emergencyServicesResults.fireStations.map(service => ({
+                name: service.name || 'Unknown Fire Station',
+                address: service.address || 'Address not available',
+                lat: parseFloat(service.lat) || 0,
+                lng: parseFloat(service.lng) || 0,
+                distance: service.distance || 0,
+                rating: parseFloat(service.rating) || 0,
+                responseTime: service.responseTime ? {
+                  minutes: service.responseTime.minutes,
+                  serviceType: service.responseTime.serviceType,
+                  isEstimate: service.responseTime.isEstimate
+                } : null
+              }))
+            : [],
+          nearest: emergencyServicesResults?.nearestFireStation || null
+        },
+        police: {
+          score: emergencyServicesResults?.policeStationScore || 0,
+          stations: Array.isArray(emergencyServicesResults?.policeStations)
+            ? emergencyServicesResults.policeStations.map(service => ({
+                name: service.name || 'Unknown Police Station',
+                address: service.address || 'Address not available',
+                lat: parseFloat(service.lat) || 0,
+                lng: parseFloat(service.lng) || 0,
+                distance: service.distance || 0,
+                rating: parseFloat(service.rating) || 0,
+                responseTime: service.responseTime ? {
+                  minutes: service.responseTime.minutes,
+                  serviceType: service.responseTime.serviceType,
+                  isEstimate: service.responseTime.isEstimate
+                } : null
+              }))
+            : [],
+          nearest: emergencyServicesResults?.nearestPoliceStation || null
+        },
+        closestServices: emergencyServicesResults?.closestServices ? Object.fromEntries(
+          Object.entries(emergencyServicesResults.closestServices).map(([type, service]) => [
+            type,
+            {
+              name: service.name || 'Unknown Service',
+              address: service.address || 'Address not available',
+              distance: service.distance || 0,
+              responseTime: service.responseTime ? {
+                minutes: service.responseTime.minutes,
+                serviceType: service.responseTime.serviceType,
+                isEstimate: service.responseTime.isEstimate
+              } : null,
+              drivingTime: service.drivingTime ? {
+                minutes: service.drivingTime.minutes,
+                isEstimate: service.drivingTime.isEstimate,
+                method: service.drivingTime.method,
+                trafficLevel: service.drivingTime.trafficLevel
+              } : null
+            }
+          ])
+        ) : {}
+      },
+      commute,
+      overallScore
+    },
+    scoring: {
+      profile: weighting.profile,
+      weights,
+      componentScores
+    },
+    traffic
+  };
+};
+
+/**
+ * Geocode and analyze an address in the active region
+ * Errors carry a status property: 400 for invalid input or an address outside the region,
+ * 404 if the address can't be found
+ * @param {string} address - Address to analyze
+ * @param {Object} options - Analysis options
+ * @param {string} options.profile - Weighting profile name
+ * @param {Object|string} options.weights - Custom weights (take precedence over the profile)
+ * @param {string} options.departAt - Departure time for the traffic comparison and commute times
+ * @param {string} options.user - User id whose saved destinations add commute times and a commute score
+ * @param {boolean} options.destinationDetails - Include where the destinations are in the commute result
+ * @returns {Promise<Object>} - Analysis result in the /api/analyze-address response format
+ */
+export const analyzeAddress = async (address, { profile, weights, departAt, user, destinationDetails = true } = {}) => {
+  if (!address || !String(address).trim()) {
+    throw createAnalysisError('Address is required', 400);
+  }
+
+  // Work out which weighting profile applies before doing any expensive work
+  const weighting = resolveWeighting({ profile, weights });
+  if (weighting.errors.length > 0) {
+    throw createAnalysisError(weighting.errors.join('; '), 400);
+  }
+
+  const departure = parseDepartAt(departAt);
+  if (departure.errors.length > 0) {
+    throw createAnalysisError(departure.errors.join('; '), 400);
+  }
+
+  // Saved destinations were geocoded when they were added
+  const destinations = user ? getUserDestinations(user) : [];
+
+  // Geocode the address
+  const region = getActiveRegion();
+  const location = await geocodeAddress(address);
+
+  if (!location) {
+    throw createAnalysisError(`Address not found in ${region.name}`, 404);
+  }
+
+  // Check if the address is in the region (its boundary, or approximately, its radius or bounds)
+  if (!isInRegion({ lat: location.lat, lng: location.lng }, region)) {
+    throw createAnalysisError(`Address is outside ${region.name} region`, 400);
+  }
+
+  return analyzeLocation(location, weighting, { departAt: departure.time, destinations, destinationDetails });
+};
+
+export default {
+  analyzeAddress,
+  analyzeLocation
+};
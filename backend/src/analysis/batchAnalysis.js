@@ -0,0 +1,246 @@
+/**
+ * Batch address analysis
+ * Runs the address analysis pipeline over many addresses with bounded concurrency,
+ * and converts between address lists and CSV for the batch API and CLI
+ */
+
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import { analyzeAddress } from './addressAnalysis.js';
+
+// Upper bound on addresses per request so a single batch can't monopolize the server
+export const MAX_BATCH_SIZE = 500;
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+// Column names recognized as the address column in an input CSV
+const ADDRESS_COLUMNS = ['address', 'full_address', 'street_address', 'location'];
+
+// Livability categories written as separate output columns
+const LIVABILITY_CATEGORIES = ['restaurant', 'entertainment', 'park', 'school', 'grocery'];
+
+// Output CSV columns, in order
+export const OUTPUT_COLUMNS = [
+  'id',
+  'address',
+  'geocoded_address',
+  'lat',
+  'lng',
+  'profile',
+  'overall_score',
+  'mobility_score',
+  'transit_station_score',
+  'bus_stop_score',
+  'downtown_transit_score',
+  'road_access_score',
+  'livability_score',
+  ...LIVABILITY_CATEGORIES.map(category => `livability_${category}_score`),
+  'emergency_score',
+  'medical_score',
+  'fire_score',
+  'police_score',
+  'grocery_score',
+  'commute_score',
+  'error'
+];
+
+/**
+ * Map over items running at most `limit` calls at a time, keeping results in input order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the same order as items
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+};
+
+/**
+ * Normalize batch input rows into {id, address} pairs
+ * Accepts address strings or objects with an address (and optional id) field
+ * @param {Array} rows - Raw input rows
+ * @returns {Array} - Rows with id and address
+ */
+export const normalizeBatchRows = (rows) => {
+  return rows.map((row, index) => {
+    if (typeof row === 'string') {
+      return { id: String(index + 1), address: row.trim() };
+    }
+
+    const addressColumn = ADDRESS_COLUMNS.find(column => row && row[column]);
+    return {
+      id: row && row.id !== undefined && row.id !== '' ? String(row.id) : String(index + 1),
+      address: addressColumn ? String(row[addressColumn]).trim() : ''
+    };
+  });
+};
+
+/**
+ * Parse CSV text into address rows
+ * Uses a header row with an address column; a file without a recognized header is
+ * treated as one address per line
+ * @param {string} text - CSV content
+ * @returns {Promise<Array>} - Rows with id and address
+ */
+export const parseBatchCsv = async (text) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const header = firstLine.split(',').map(column => column.trim().replace(/^"|"$/g, '').toLowerCase());
+  const hasHeader = ADDRESS_COLUMNS.some(column => header.includes(column));
+
+  // Without a header a whole line is the address, commas included
+  if (!hasHeader) {
+    const lines = content
+      .split(/\r?\n/)
+      .map(line => line.trim().replace(/^"|"$/g, ''))
+      .filter(Boolean);
+    return normalizeBatchRows(lines).filter(row => !row.address.startsWith('#'));
+  }
+
+  const rows = await new Promise((resolve, reject) => {
+    const results = [];
+    Readable.from([content])
+      .pipe(csv({ mapHeaders: ({ header: column }) => column.trim().toLowerCase() }))
+      .on('data', row => results.push(row))
+      .on('end', () => resolve(results))
+      .on('error', reject);
+  });
+
+  return normalizeBatchRows(rows).filter(row => row.address && !row.address.startsWith('#'));
+};
+
+/**
+ * Analyze a list of addresses
+ * Failures are collected per row instead of failing the whole batch
+ * @param {Array} rows - Address strings or {id, address} objects
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum number of addresses analyzed at once
+ * @param {string} options.profile - Weighting profile name
+ * @param {Object|string} options.weights - Custom weights
+ * @param {string} options.user - User id whose saved destinations add a commute score
+ * @param {boolean} options.destinationDetails - Include where the destinations are in the commute results
+ * @param {Function} options.onProgress - Called with (completed, total) after each row
+ * @returns {Promise<Object>} - {total, succeeded, failed, results, errors}
+ */
+export const analyzeBatch = async (rows, options = {}) => {
+  const { profile, weights, user, destinationDetails, onProgress } = options;
+  const concurrency = Math.max(1, Math.min(parseInt(options.concurrency) || DEFAULT_CONCURRENCY, MAX_CONCURRENCY));
+  const items = normalizeBatchRows(rows);
+  let completed = 0;
+
+  const outcomes = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    try {
+      const result = await analyzeAddress(item.address, { profile, weights, user, destinationDetails });
+      return { index, id: item.id, address: item.address, result };
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Error analyzing address "${item.address}":`, error);
+      }
+      return { index, id: item.id, address: item.address, error: error.status ? error.message : 'Failed to analyze address' };
+    } finally {
+      completed++;
+      if (onProgress) {
+        onProgress(completed, items.length);
+      }
+    }
+  });
+
+  const results = outcomes.filter(outcome => outcome.result);
+  const errors = outcomes
+    .filter(outcome => outcome.error)
+    .map(({ index, id, address, error }) => ({ index, id, address, error }));
+
+  return {
+    total: items.length,
+    succeeded: results.length,
+    failed: errors.length,
+    results,
+    errors
+  };
+};
+
+/**
+ * Flatten a batch outcome into one output CSV row with all sub-scores
+ * @param {Object} outcome - Batch outcome {id, address, result} or {id, address, error}
+ * @returns {Object} - Row keyed by OUTPUT_COLUMNS
+ */
+export const flattenBatchResult = ({ id, address, result, error }) => {
+  const scores = result?.scores || {};
+  const categoryScores = scores.livability?.categoryScores || {};
+
+  return {
+    id,
+    address,
+    geocoded_address: result?.geocodedAddress ?? '',
+    lat: result?.lat ?? '',
+    lng: result?.lng ?? '',
+    profile: result?.scoring?.profile ?? '',
+    overall_score: scores.overallScore ?? '',
+    mobility_score: scores.mobility?.score ?? '',
+    transit_station_score: scores.mobility?.transitStationScore ?? '',
+    bus_stop_score: scores.mobility?.busStopScore ?? '',
+    downtown_transit_score: scores.mobility?.downtownTransitScore ?? '',
+    road_access_score: scores.mobility?.roadAccessScore ?? '',
+    livability_score: scores.livability?.score ?? '',
+    ...Object.fromEntries(LIVABILITY_CATEGORIES.map(category => [
+      `livability_${category}_score`,
+      result ? categoryScores[category] ?? '' : ''
+    ])),
+    emergency_score: scores.emergencyServices?.score ?? '',
+    medical_score: scores.emergencyServices?.medical?.score ?? '',
+    fire_score: scores.emergencyServices?.fire?.score ?? '',
+    police_score: scores.emergencyServices?.police?.score ?? '',
+    grocery_score: result?.scoring?.componentScores?.grocery ?? '',
+    commute_score: scores.commute?.score ?? '',
+    error: error || ''
+  };
+};
+
+/**
+ * Escape a value for a CSV field
+ * @param {*} value - Field value
+ * @returns {string} - Quoted if it contains a delimiter, quote or newline
+ */
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert a batch result into CSV text, one row per input address in input order
+ * @param {Object} batch - Result of analyzeBatch
+ * @returns {string} - CSV content with a header row
+ */
+export const batchToCsv = (batch) => {
+  const outcomes = [...batch.results, ...batch.errors].sort((a, b) => a.index - b.index);
+  const lines = [
+    OUTPUT_COLUMNS.join(','),
+    ...outcomes.map(outcome => {
+      const row = flattenBatchResult(outcome);
+      return OUTPUT_COLUMNS.map(column => escapeCsvValue(row[column])).join(',');
+    })
+  ];
+  return lines.join('\n') + '\n';
+};
+
+export default {
+  analyzeBatch,
+  parseBatchCsv,
+  normalizeBatchRows,
+  mapWithConcurrency,
+  flattenBatchResult,
+  batchToCsv
+};
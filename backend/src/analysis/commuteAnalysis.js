@@ -0,0 +1,296 @@
+/**
+ * Personal commute analysis
+ * Users save named destinations (workplace, daycare, gym, ...) that are geocoded once and
+ * kept in their profile; each analyzed address gets walk, drive and transit times to every
+ * destination and a commute score
+ */
+
+import { calculateHaversineDistance } from './customGeoAnalysis.js';
+import { calculateWalkingTime, calculateDrivingTime } from './routingAnalysis.js';
+import { planTransitJourney } from './transitRouting.js';
+import { getReferenceTimes } from './trafficProfile.js';
+import { geocodeAddress } from '../geocoding/geocoder.js';
+import { getUserProfileStore } from '../data/userProfileStore.js';
+
+export const COMMUTE_MODES = ['walk', 'drive', 'transit'];
+
+// Each destination is routed three ways for every analysis, so keep the list short
+export const MAX_DESTINATIONS = 10;
+
+// Walking routes are only worked out for destinations within this straight-line distance
+const MAX_WALK_DISTANCE = 5000;
+
+// How many times more a destination may count than another in the commute score
+const MAX_DESTINATION_WEIGHT = 10;
+
+const USER_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Check that a user id is usable as a profile key
+ * @param {string} userId - User id
+ * @returns {Array} - Error messages (empty if the id is valid)
+ */
+export const validateUserId = (userId) => {
+  return USER_ID_PATTERN.test(String(userId || ''))
+    ? []
+    : ['User id must be 1-64 letters, digits, dots, dashes or underscores'];
+};
+
+/**
+ * Turn a destination name into its id ("Parents' house" -> "parents-house")
+ * @param {string} name - Destination name
+ * @returns {string} - Destination id
+ */
+const toDestinationId = (name) => {
+  return name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+};
+
+/**
+ * Validate a destination sent by a client
+ * @param {Object} input - {name, address, lat, lng, mode, weight}
+ * @returns {Object} - {destination: {id, name, address, lat, lng, mode, weight}, errors}
+ */
+export const parseDestinationInput = (input = {}) => {
+  const errors = [];
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const address = typeof input.address === 'string' ? input.address.trim() : '';
+  const hasCoordinates = input.lat !== undefined && input.lat !== '' && input.lng !== undefined && input.lng !== '';
+  const lat = hasCoordinates ? parseFloat(input.lat) : null;
+  const lng = hasCoordinates ? parseFloat(input.lng) : null;
+  const mode = input.mode ? String(input.mode).toLowerCase() : null;
+  const weight = input.weight === undefined || input.weight === '' ? 1 : Number(input.weight);
+
+  if (!name || !toDestinationId(name)) {
+    errors.push('name is required');
+  }
+  if (!address && !hasCoordinates) {
+    errors.push('address or lat/lng is required');
+  }
+  if (hasCoordinates && (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180))) {
+    errors.push('lat/lng must be valid coordinates');
+  }
+  if (mode && !COMMUTE_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${COMMUTE_MODES.join(', ')}`);
+  }
+  if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_DESTINATION_WEIGHT) {
+    errors.push(`weight must be a number above 0 and at most ${MAX_DESTINATION_WEIGHT}`);
+  }
+
+  return {
+    destination: { id: name ? toDestinationId(name) : '', name, address: address || null, lat, lng, mode, weight },
+    errors
+  };
+};
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with a status property
+ */
+const createCommuteError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Geocode a destination and save it to a user's profile
+ * A destination with the same name replaces the saved one.
+ * Errors carry a status property: 400 for invalid input, 404 if the address can't be found
+ * @param {string} userId - User id
+ * @param {Object} input - {name, address, lat, lng, mode, weight}
+ * @returns {Promise<Object>} - {destination, replaced}
+ */
+export const saveCommuteDestination = async (userId, input) => {
+  const { destination, errors: inputErrors } = parseDestinationInput(input);
+  const errors = [...validateUserId(userId), ...inputErrors];
+  if (errors.length > 0) {
+    throw createCommuteError(errors.join('; '), 400);
+  }
+
+  const store = getUserProfileStore();
+  const saved = store.listDestinations(userId);
+  if (saved.length >= MAX_DESTINATIONS && !saved.some(existing => existing.id === destination.id)) {
+    throw createCommuteError(`A user can save at most ${MAX_DESTINATIONS} destinations`, 400);
+  }
+
+  // Geocode once here so analyses only ever use the stored coordinates
+  let location = { lat: destination.lat, lng: destination.lng, displayName: destination.address };
+  if (destination.lat === null) {
+    location = await geocodeAddress(destination.address);
+    if (!location) {
+      throw createCommuteError(`Could not find ${destination.address}`, 404);
+    }
+  }
+
+  const record = {
+    ...destination,
+    lat: location.lat,
+    lng: location.lng,
+    geocodedAddress: location.displayName || null,
+    createdAt: new Date().toISOString()
+  };
+  const replaced = store.saveDestination(userId, record);
+
+  return { destination: record, replaced };
+};
+
+/**
+ * Score a commute time: 100 within 15 minutes, down to 20 at 75 minutes or more
+ * @param {number} minutes - Door-to-door minutes
+ * @returns {number} - Score (20-100)
+ */
+const scoreCommuteTime = (minutes) => {
+  if (minutes <= 15) return 100;
+  if (minutes >= 75) return 20;
+  return Math.round(100 - ((minutes - 15) / 60) * 80);
+};
+
+/**
+ * Work out walk, drive and transit times from a location to one destination
+ * @param {Object} location - Origin {lat, lng}
+ * @param {Object} destination - Saved destination {lat, lng}
+ * @param {Object} departAt - Parsed departure time for driving and transit
+ * @returns {Object} - Times keyed by mode; a mode is null when it can't be worked out
+ */
+const calculateDestinationTimes = (location, destination, departAt) => {
+  const distance = calculateHaversineDistance(location, destination);
+
+  const walkingTime = distance <= MAX_WALK_DISTANCE ? calculateWalkingTime(location, destination) : null;
+  const drivingTime = calculateDrivingTime(location, destination, { departAt });
+  const journey = planTransitJourney(location, destination, { departAt });
+
+  return {
+    distance: Math.round(distance),
+    walk: walkingTime ? {
+      minutes: walkingTime.minutes,
+      distance: walkingTime.distance,
+      isEstimate: walkingTime.isEstimate
+    } : null,
+    drive: {
+      minutes: drivingTime.minutes,
+      distance: drivingTime.distance,
+      isEstimate: drivingTime.isEstimate,
+      trafficLevel: drivingTime.trafficLevel
+    },
+    // A "transit" trip that is walking all the way is already covered by the walk time
+    transit: journey && !journey.walkOnly ? {
+      minutes: journey.totalMinutes,
+      walkingMinutes: journey.walkingMinutes,
+      waitingMinutes: journey.waitingMinutes,
+      transfers: journey.transfers,
+      routes: journey.legs.filter(leg => leg.type === 'transit').map(leg => leg.route)
+    } : null
+  };
+};
+
+/**
+ * Calculate commute times and the commute score to a user's saved destinations
+ * Each destination is scored on its preferred mode, or on the fastest mode when it has none
+ * (or its preferred mode can't be worked out, e.g. transit without a timetable); the commute
+ * score is the weighted average of the destination scores
+ * @param {Object} location - Origin {lat, lng}
+ * @param {Array} destinations - Saved destinations
+ * @param {Object} options - Commute options
+ * @param {Object} options.departAt - Parsed departure time; defaults to the weekday morning rush hour
+ * @returns {Object|null} - {score, departAt, destinations}, or null without destinations
+ */
+export const calculateCommuteScore = (location, destinations, { departAt = null } = {}) => {
+  if (!destinations || destinations.length === 0) {
+    return null;
+  }
+
+  const departure = departAt || getReferenceTimes().rushHour;
+
+  const results = destinations.map(destination => {
+    const times = calculateDestinationTimes(location, destination, departure);
+    const bestMode = destination.mode && times[destination.mode]
+      ? destination.mode
+      : COMMUTE_MODES.filter(mode => times[mode]).reduce(
+        (best, mode) => (!best || times[mode].minutes < times[best].minutes ? mode : best),
+        null
+      );
+
+    return {
+      id: destination.id,
+      name: destination.name,
+      address: destination.geocodedAddress || destination.address,
+      lat: destination.lat,
+      lng: destination.lng,
+      weight: destination.weight,
+      preferredMode: destination.mode || null,
+      distance: times.distance,
+      times: { walk: times.walk, drive: times.drive, transit: times.transit },
+      bestMode,
+      minutes: times[bestMode].minutes,
+      score: scoreCommuteTime(times[bestMode].minutes)
+    };
+  });
+
+  const totalWeight = results.reduce((total, result) => total + result.weight, 0);
+  const score = Math.round(results.reduce((total, result) => total + result.score * result.weight, 0) / totalWeight);
+
+  return {
+    score,
+    departAt: departure.label,
+    destinations: results
+  };
+};
+
+/**
+ * Reduce a commute result to the times and scores, for callers not allowed to see the destinations
+ * Names, addresses, coordinates, distances and transit routes would all give away where the
+ * user's saved places are
+ * @param {Object|null} commute - Commute result from calculateCommuteScore
+ * @returns {Object|null} - {score, departAt, destinations} with {id, weight, preferredMode, times, bestMode,
+ *   minutes, score} per destination and only the minutes per mode
+ */
+export const summarizeCommuteScore = (commute) => {
+  if (!commute) {
+    return null;
+  }
+
+  return {
+    ...commute,
+    destinations: commute.destinations.map(destination => ({
+      id: destination.id,
+      weight: destination.weight,
+      preferredMode: destination.preferredMode,
+      times: Object.fromEntries(
+        Object.entries(destination.times).map(([mode, time]) => [mode, time ? { minutes: time.minutes } : null])
+      ),
+      bestMode: destination.bestMode,
+      minutes: destination.minutes,
+      score: destination.score
+    }))
+  };
+};
+
+/**
+ * Look up a user's saved destinations for an analysis
+ * Errors carry a status property: 400 for an invalid id, 404 for an unknown user
+ * @param {string} userId - User id
+ * @returns {Array} - Saved destinations
+ */
+export const getUserDestinations = (userId) => {
+  const errors = validateUserId(userId);
+  if (errors.length > 0) {
+    throw createCommuteError(errors.join('; '), 400);
+  }
+
+  const profile = getUserProfileStore().getProfile(userId);
+  if (!profile) {
+    throw createCommuteError(`Unknown user "${userId}"`, 404);
+  }
+  return profile.destinations;
+};
+
+export default {
+  validateUserId,
+  parseDestinationInput,
+  saveCommuteDestination,
+  calculateCommuteScore,
+  summarizeCommuteScore,
+  getUserDestinations
+};
@@ -56,41 +56,100 @@ export const calculateHaversineDistance = (point1, point2) => {
 
 /**
  * Calculate the closest distance from a point to a line segment
- * Custom implementation for finding distance to roads
+ * Geodesic: the segment is the great-circle arc between its ends, and the distance is the
+ * cross-track distance to that arc, or the distance to the nearer end beyond either end
  * @param {Object} point - The point with lat and lng
  * @param {Object} lineStart - Start point of the line with lat and lng
  * @param {Object} lineEnd - End point of the line with lat and lng
  * @returns {number} - Distance in meters
  */
 export const calculateDistanceToLineSegment = (point, lineStart, lineEnd) => {
-  // Convert to a simpler coordinate system for easier calculation
-  // We use a flat projection which is good enough for small distances
-  
-  // First calculate the point-to-line distance
-  const x = point.lat;
-  const y = point.lng;
-  const x1 = lineStart.lat;
-  const y1 = lineStart.lng;
-  const x2 = lineEnd.lat;
-  const y2 = lineEnd.lng;
-  
-  // Calculate squared length of line segment
-  const lengthSquared = Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2);
-  
+  const segmentLength = calculateHaversineDistance(lineStart, lineEnd) / EARTH_RADIUS;
+  const startDistance = calculateHaversineDistance(lineStart, point) / EARTH_RADIUS;
+
   // If line segment is actually a point, just calculate point-to-point distance
-  if (lengthSquared === 0) {
-    return calculateHaversineDistance(point, lineStart);
+  if (segmentLength === 0 || startDistance === 0) {
+    return startDistance * EARTH_RADIUS;
   }
-  
-  // Calculate projection of point onto line segment
-  const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / lengthSquared));
-  
-  // Calculate closest point on line segment
-  const projectionLat = x1 + t * (x2 - x1);
-  const projectionLng = y1 + t * (y2 - y1);
-  
-  // Return the distance to this point
-  return calculateHaversineDistance(point, { lat: projectionLat, lng: projectionLng });
+
+  // Angle at the segment start between the segment and the point
+  const angle = degreesToRadians(calculateBearing(lineStart, point) - calculateBearing(lineStart, lineEnd));
+
+  // Distance along the segment's great circle to the foot of the perpendicular (negative behind the start)
+  const alongTrack = Math.atan2(Math.sin(startDistance) * Math.cos(angle), Math.cos(startDistance));
+
+  if (alongTrack <= 0) {
+    return startDistance * EARTH_RADIUS;
+  }
+  if (alongTrack >= segmentLength) {
+    return calculateHaversineDistance(point, lineEnd);
+  }
+
+  const crossTrack = Math.asin(Math.max(-1, Math.min(1, Math.sin(startDistance) * Math.sin(angle))));
+  return Math.abs(crossTrack) * EARTH_RADIUS;
+};
+
+/**
+ * Calculate the closest distance from a point to a polyline
+ * @param {Object} point - The point with lat and lng
+ * @param {Array} vertices - Polyline vertices with lat and lng, in order
+ * @returns {number} - Distance in meters (Infinity for an empty polyline)
+ */
+export const calculateDistanceToPolyline = (point, vertices) => {
+  if (!vertices || vertices.length === 0) {
+    return Infinity;
+  }
+  if (vertices.length === 1) {
+    return calculateHaversineDistance(point, vertices[0]);
+  }
+
+  let closest = Infinity;
+  for (let i = 0; i < vertices.length - 1; i++) {
+    closest = Math.min(closest, calculateDistanceToLineSegment(point, vertices[i], vertices[i + 1]));
+  }
+  return closest;
+};
+
+/**
+ * Lower bound on the distance from a point to anything inside a bounding box
+ * @param {Object} point - The point with lat and lng
+ * @param {Object} bounds - Box {minLat, maxLat, minLng, maxLng}
+ * @returns {number} - Distance in meters (0 inside the box)
+ */
+const calculateDistanceToBounds = (point, bounds) => {
+  const lat = Math.max(bounds.minLat, Math.min(bounds.maxLat, point.lat));
+  const lng = Math.max(bounds.minLng, Math.min(bounds.maxLng, point.lng));
+  // A little under the true distance, so the bound never skips the nearest road
+  return calculateHaversineDistance(point, { lat, lng }) * 0.99;
+};
+
+/**
+ * Find the road closest to a point
+ * Roads are polylines ({lines: [[{lat, lng}, ...]], bounds}, see data/roadGeometry.js); roads whose
+ * bounding box is further than the best distance so far are skipped
+ * @param {Object} point - The point with lat and lng
+ * @param {Array} roads - Roads with lines and bounds
+ * @returns {Object} - {distance, road}; distance is Infinity and road null when there are no roads
+ */
+export const findNearestRoad = (point, roads) => {
+  let closestDistance = Infinity;
+  let closestRoad = null;
+
+  for (const road of roads) {
+    if (!road.lines || (road.bounds && calculateDistanceToBounds(point, road.bounds) >= closestDistance)) {
+      continue;
+    }
+
+    for (const line of road.lines) {
+      const distance = calculateDistanceToPolyline(point, line);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestRoad = road;
+      }
+    }
+  }
+
+  return { distance: closestDistance, road: closestRoad };
 };
 
 /**
@@ -249,6 +308,15 @@ export const calculateDestinationPoint = (start, distance, bearing) => {
   };
 };
 
+/**
+ * Length of a degree of longitude relative to a degree of latitude, at a given latitude
+ * The polygon helpers below use this to project coordinates onto a flat plane around a reference
+ * point. The projection ignores the earth's curvature, which is accurate enough for city-sized shapes.
+ * @param {number} lat - Latitude of the reference point
+ * @returns {number} - Scale to apply to longitude differences
+ */
+const getLongitudeScale = (lat) => Math.cos(degreesToRadians(lat));
+
 /**
  * Calculate the area of a polygon using the Shoelace formula
  * @param {Array} points - Array of points with lat and lng
@@ -258,16 +326,14 @@ export const calculatePolygonArea = (points) => {
   if (points.length < 3) {
     return 0;
   }
-  
-  // Convert to Cartesian coordinates (approximate for small areas)
-  const earthRadius = 6371000;
-  const cartesian = points.map(point => {
-    const lat = point.lat * Math.PI / 180;
-    const lng = point.lng * Math.PI / 180;
-    const x = earthRadius * Math.cos(lat) * Math.cos(lng);
-    const y = earthRadius * Math.cos(lat) * Math.sin(lng);
-    return { x, y };
-  });
+
+  // Meters per degree of latitude, and of longitude at the polygon's latitude
+  const metersPerDegree = degreesToRadians(EARTH_RADIUS);
+  const lngScale = getLongitudeScale(points[0].lat);
+  const cartesian = points.map(point => ({
+    x: (point.lng - points[0].lng) * lngScale * metersPerDegree,
+    y: (point.lat - points[0].lat) * metersPerDegree
+  }));
   
   // Apply Shoelace formula
   let area = 0;
@@ -279,6 +345,66 @@ export const calculatePolygonArea = (points) => {
   return Math.abs(area) / 2;
 };
 
+/**
+ * Calculate the area-weighted centroid of one or more polygons
+ * Each polygon is a list of rings (outer ring first, then holes)
+ * @param {Array} polygons - Polygons, each an array of rings of points with lat and lng
+ * @returns {Object|null} - Centroid {lat, lng}, or null if there are no points
+ */
+export const calculatePolygonCentroid = (polygons) => {
+  const points = polygons.flat(2);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const origin = points[0];
+  const lngScale = getLongitudeScale(origin.lat);
+  let totalArea = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (const rings of polygons) {
+    rings.forEach((ring, index) => {
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const xi = (ring[i].lng - origin.lng) * lngScale;
+        const yi = ring[i].lat - origin.lat;
+        const xj = (ring[j].lng - origin.lng) * lngScale;
+        const yj = ring[j].lat - origin.lat;
+        const cross = xj * yi - xi * yj;
+        area += cross;
+        cx += (xj + xi) * cross;
+        cy += (yj + yi) * cross;
+      }
+
+      if (area === 0) {
+        return;
+      }
+
+      // Ring direction varies between formats, so holes are told apart by position, not winding
+      const sign = (index === 0 ? 1 : -1) * Math.sign(area);
+      totalArea += sign * area / 2;
+      sumX += sign * cx / 6;
+      sumY += sign * cy / 6;
+    });
+  }
+
+  // Degenerate shapes (a single point, or all vertices on a line) fall back to the vertex average
+  if (Math.abs(totalArea) < 1e-12) {
+    return {
+      lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+      lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+    };
+  }
+
+  return {
+    lat: origin.lat + sumY / totalArea,
+    lng: origin.lng + sumX / totalArea / lngScale
+  };
+};
+
 /**
  * Check if a point is inside a polygon using the ray casting algorithm
  * @param {Object} point - Point with lat and lng
@@ -306,4 +432,48 @@ export const isPointInPolygon = (point, polygon) => {
   }
   
   return inside;
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Find the point of a polygon closest to a point
+ * The polygon is a list of rings (outer ring first, then holes); a point inside the polygon is its
+ * own closest point
+ * @param {Object} point - The point with lat and lng
+ * @param {Array} rings - Rings of points with lat and lng
+ * @returns {Object} - {distance, point} with the distance in meters (Infinity for an empty polygon)
+ */
+export const findClosestPointOnPolygon = (point, rings) => {
+  const [outer = [], ...holes] = rings;
+  if (outer.length >= 3 && isPointInPolygon(point, outer) && !holes.some(hole => isPointInPolygon(point, hole))) {
+    return { distance: 0, point: { lat: point.lat, lng: point.lng } };
+  }
+
+  const lngScale = getLongitudeScale(point.lat);
+  let closest = { distance: Infinity, point: null };
+
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const start = ring[i];
+      const end = ring[(i + 1) % ring.length];
+
+      // Position of the foot of the perpendicular along the edge, clamped to the edge
+      const dx = (end.lng - start.lng) * lngScale;
+      const dy = end.lat - start.lat;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1,
+        ((point.lng - start.lng) * lngScale * dx + (point.lat - start.lat) * dy) / lengthSquared
+      ));
+      const candidate = {
+        lat: start.lat + t * (end.lat - start.lat),
+        lng: start.lng + t * (end.lng - start.lng)
+      };
+
+      const distance = calculateHaversineDistance(point, candidate);
+      if (distance < closest.distance) {
+        closest = { distance, point: candidate };
+      }
+    }
+  }
+
+  return closest;
+};
@@ -1,7 +1,7 @@
-import { getGroceryStores, getEmergencyServices, getMainRoads } from '../data/dataLoader.js';
+import { getGroceryStores, getEmergencyServices, getMainRoads, getSpatialIndex } from '../data/dataLoader.js';
 import {
   calculateHaversineDistance,
-  calculateDistanceToLineSegment,
+  findNearestRoad,
   generateLocationGrid,
   calculateWeightedScore
 } from './customGeoAnalysis.js';
@@ -19,19 +19,11 @@ const calculateGroceryStoreScore = (location) => {
     return 0;
   }
   
-  // Find distances to all grocery stores using our custom distance function
-  const distances = groceryStores.map(store => {
-    return calculateHaversineDistance(
-      { lat: location.lat, lng: location.lng },
-      { lat: parseFloat(store.lat), lng: parseFloat(store.lng) }
-    );
-  });
-  
-  // Sort distances
-  distances.sort((a, b) => a - b);
+  // Find the closest grocery store in the spatial index (distances use our haversine implementation)
+  const [closest] = getSpatialIndex('groceryStores').nearest(location, 1);
   
   // Calculate score based on closest store (max 100 points if within 500m, 0 if beyond 5km)
-  const closestDistance = distances[0];
+  const closestDistance = closest ? closest.distance : Infinity;
   
   if (closestDistance <= 500) {
     return 100;
@@ -56,32 +48,14 @@ const customCalculateEmergencyServicesScore = (location) => {
     return 0;
   }
   
-  // Group services by type
-  const servicesByType = {};
-  emergencyServices.forEach(service => {
-    if (!servicesByType[service.type]) {
-      servicesByType[service.type] = [];
-    }
-    servicesByType[service.type].push(service);
-  });
-  
-  // For each type, find closest service
+  // For each type, find closest service in the spatial index
+  const serviceIndex = getSpatialIndex('emergencyServices');
+  const serviceTypes = [...new Set(emergencyServices.map(service => service.type))];
   const scores = [];
   
-  for (const [type, services] of Object.entries(servicesByType)) {
-    // Find closest service of this type
-    let closestDistance = Infinity;
-    
-    for (const service of services) {
-      const distance = calculateHaversineDistance(
-        { lat: location.lat, lng: location.lng },
-        { lat: parseFloat(service.lat), lng: parseFloat(service.lng) }
-      );
-      
-      if (distance < closestDistance) {
-        closestDistance = distance;
-      }
-    }
+  for (const type of serviceTypes) {
+    const [closest] = serviceIndex.nearest(location, 1, { filter: service => service.type === type });
+    const closestDistance = closest ? closest.distance : Infinity;
     
     // Calculate score for this type (max 100 points if within 1km, 0 if beyond 10km)
     let typeScore = 0;
@@ -119,22 +93,8 @@ const calculateMainRoadsScore = (location) => {
     return 0;
   }
   
-  // Calculate minimum distance to any road using our custom line segment distance function
-  let minDistance = Infinity;
-  
-  for (const road of mainRoads) {
-    // For each road, calculate distance to the line segment
-    const start = { lat: parseFloat(road.start_lat), lng: parseFloat(road.start_lng) };
-    const end = { lat: parseFloat(road.end_lat), lng: parseFloat(road.end_lng) };
-    const point = { lat: location.lat, lng: location.lng };
-    
-    // Use our custom distance-to-line function
-    const distance = calculateDistanceToLineSegment(point, start, end);
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-    }
-  }
+  // Calculate minimum distance to any road along its polyline, using our custom distance-to-line function
+  const { distance: minDistance } = findNearestRoad({ lat: location.lat, lng: location.lng }, mainRoads);
   
   // Calculate score (max 100 points if within 500m, 0 if beyond 5km)
   if (minDistance <= 500) {
@@ -5,6 +5,8 @@
 
 import { calculateHaversineDistance } from './customGeoAnalysis.js';
 import { getMainRoads } from '../data/dataLoader.js';
+import { resolveTrafficConditions } from './trafficProfile.js';
+import { calculateEmergencyDrivingTime, calculateEmergencyNetworkTimes } from './routingAnalysis.js';
 
 // Average driving speeds in meters per second for different road types
 const DRIVING_SPEEDS = {
@@ -14,26 +16,26 @@ const DRIVING_SPEEDS = {
   default: 13.9  // 50 km/h = 13.9 m/s
 };
 
-// Traffic congestion factors (multipliers)
-const TRAFFIC_FACTORS = {
-  low: 1.0,      // No congestion
-  medium: 1.3,   // Moderate congestion
-  high: 1.8      // Heavy congestion
+// OSM road type each simplified road type is timed as in the traffic profile
+const TRAFFIC_ROAD_TYPES = {
+  highway: 'motorway',
+  major: 'primary',
+  minor: 'residential'
 };
 
 /**
  * Calculate driving time between two locations
  * @param {Object} startLocation - Starting location with lat and lng
  * @param {Object} endLocation - Ending location with lat and lng
- * @param {string} trafficLevel - Traffic level: 'low', 'medium', or 'high'
+ * @param {Object|string} traffic - {trafficLevel, departAt}, or just a traffic level ('low', 'medium', 'high')
  * @returns {Object} - Driving time in minutes and distance in meters
  */
-export const calculateDrivingTime = (startLocation, endLocation, trafficLevel = 'medium') => {
+export const calculateDrivingTime = (startLocation, endLocation, traffic = {}) => {
   // Calculate direct distance
   const directDistance = calculateHaversineDistance(startLocation, endLocation);
   
-  // Get traffic factor
-  const trafficFactor = TRAFFIC_FACTORS[trafficLevel] || TRAFFIC_FACTORS.medium;
+  // Get traffic conditions (speed factor per road type)
+  const conditions = resolveTrafficConditions(typeof traffic === 'string' ? { trafficLevel: traffic } : traffic);
   
   // Determine road type based on distance (simplified model)
   let roadType = 'minor';
@@ -47,7 +49,8 @@ export const calculateDrivingTime = (startLocation, endLocation, trafficLevel =
   const drivingSpeed = DRIVING_SPEEDS[roadType] || DRIVING_SPEEDS.default;
   
   // Calculate driving time with traffic factor
-  const drivingTimeSeconds = (directDistance / drivingSpeed) * trafficFactor;
+  const speedFactor = conditions.getSpeedFactor(TRAFFIC_ROAD_TYPES[roadType]);
+  const drivingTimeSeconds = directDistance / (drivingSpeed * speedFactor);
   
   // Add time for intersections and traffic lights (simplified model)
   // Assume one traffic light or intersection every 500m on average
@@ -64,65 +67,136 @@ export const calculateDrivingTime = (startLocation, endLocation, trafficLevel =
     minutes: drivingTimeMinutes,
     distance: Math.round(directDistance),
     roadType: roadType,
-    trafficLevel: trafficLevel
+    trafficLevel: conditions.trafficLevel,
+    departAt: conditions.departAt
   };
 };
 
+// Response vehicles cover a straight-line estimate in this share of the time it takes by service
+// type; routed times already use the emergency speeds of the road network
+const RESPONSE_SPEED_FACTORS = {
+  hospital: 0.9,  // Ambulances are slightly slower than fire trucks
+  fire: 0.85,     // Fire trucks are slightly slower than police
+  police: 0.8,    // Police are fastest
+  default: 0.9
+};
+
+// Time in seconds for a crew to get ready and leave the station, by service type
+const PREPARATION_TIMES = {
+  hospital: 60,   // 1 minute for ambulance to get ready
+  fire: 90,       // 1.5 minutes for fire truck to get ready
+  police: 30,     // 30 seconds for police to get ready
+  default: 60
+};
+
 /**
- * Calculate emergency response time
- * This uses a different model than regular driving time
- * Emergency vehicles can move faster and have priority at intersections
+ * Estimate an emergency vehicle's driving time in a straight line, for locations off the road network
+ * Emergency vehicles can travel at higher speeds and have priority at intersections;
+ * traffic still slows them down at busy times, though less than other drivers
  * @param {Object} serviceLocation - Service location with lat and lng
  * @param {Object} targetLocation - Target location with lat and lng
- * @param {string} serviceType - Type of emergency service: 'hospital', 'fire', 'police'
- * @returns {Object} - Response time in minutes and distance in meters
+ * @param {Object} traffic - {departAt}; without a departure time traffic is ignored
+ * @returns {Object} - {seconds, delaySeconds (at intersections), distance, departAt}
  */
-export const calculateEmergencyResponseTime = (serviceLocation, targetLocation, serviceType) => {
-  // Calculate direct distance
+const estimateEmergencyDrivingTime = (serviceLocation, targetLocation, traffic) => {
   const directDistance = calculateHaversineDistance(serviceLocation, targetLocation);
-  
-  // Different response speeds for different service types
-  const responseSpeedFactors = {
-    hospital: 0.9,  // Ambulances are slightly slower than fire trucks
-    fire: 0.85,     // Fire trucks are slightly slower than police
-    police: 0.8,    // Police are fastest
-    default: 0.9
-  };
-  
-  // Get response factor
-  const responseFactor = responseSpeedFactors[serviceType] || responseSpeedFactors.default;
-  
-  // Calculate base driving time (faster than regular traffic)
-  // Emergency vehicles can travel at higher speeds and have priority
-  const baseResponseTimeSeconds = directDistance / (DRIVING_SPEEDS.major * 1.2);
-  
-  // Apply service-specific factor
-  const adjustedResponseTimeSeconds = baseResponseTimeSeconds * responseFactor;
-  
+  const { emergencySpeedFactor, departAt } = resolveTrafficConditions(traffic);
+  const baseResponseTimeSeconds = directDistance / (DRIVING_SPEEDS.major * 1.2 * emergencySpeedFactor);
+
   // Add reduced time for intersections (emergency vehicles have priority)
   const intersections = Math.floor(directDistance / 500);
   const intersectionDelay = intersections * 5; // Only 5 seconds per intersection for emergency vehicles
-  
-  // Total response time in seconds
-  const totalResponseTimeSeconds = adjustedResponseTimeSeconds + intersectionDelay;
-  
-  // Add preparation time (different for each service type)
-  const preparationTimes = {
-    hospital: 60,   // 1 minute for ambulance to get ready
-    fire: 90,       // 1.5 minutes for fire truck to get ready
-    police: 30,     // 30 seconds for police to get ready
-    default: 60
+
+  return {
+    seconds: baseResponseTimeSeconds,
+    delaySeconds: intersectionDelay,
+    distance: directDistance,
+    departAt
   };
-  
-  const preparationTime = preparationTimes[serviceType] || preparationTimes.default;
-  const finalResponseTimeSeconds = totalResponseTimeSeconds + preparationTime;
-  
-  // Convert to minutes
-  const responseTimeMinutes = Math.round(finalResponseTimeSeconds / 60);
-  
+};
+
+/**
+ * Calculate emergency response time
+ * The emergency vehicle follows the car network from the station (see calculateEmergencyDrivingTime),
+ * falling back to a straight-line estimate off the network, then the crew's preparation time is added
+ * @param {Object} serviceLocation - Service location with lat and lng
+ * @param {Object} targetLocation - Target location with lat and lng
+ * @param {string} serviceType - Type of emergency service: 'hospital', 'fire', 'police'
+ * @param {Object} traffic - {departAt}; without a departure time traffic is ignored
+ * @returns {Object} - {minutes, distance (meters along the route), serviceType, departAt, isEstimate,
+ *   method, route: GeoJSON LineString from the station}
+ */
+export const calculateEmergencyResponseTime = (serviceLocation, targetLocation, serviceType, traffic = {}) => {
+  const responseFactor = RESPONSE_SPEED_FACTORS[serviceType] || RESPONSE_SPEED_FACTORS.default;
+  const preparationTime = PREPARATION_TIMES[serviceType] || PREPARATION_TIMES.default;
+
+  const drive = calculateEmergencyDrivingTime(serviceLocation, targetLocation, traffic);
+  const { seconds, delaySeconds = 0, distance, departAt } = drive.isEstimate
+    ? estimateEmergencyDrivingTime(serviceLocation, targetLocation, traffic)
+    : drive;
+
+  // Apply the service-specific factor to an estimate, then add preparation time
+  const finalResponseTimeSeconds = seconds * (drive.isEstimate ? responseFactor : 1) + delaySeconds + preparationTime;
+
   return {
-    minutes: responseTimeMinutes,
-    distance: Math.round(directDistance),
-    serviceType: serviceType
+    minutes: Math.round(finalResponseTimeSeconds / 60),
+    distance: Math.round(distance),
+    serviceType: serviceType,
+    departAt: departAt,
+    isEstimate: drive.isEstimate,
+    method: drive.isEstimate ? 'estimate' : 'network',
+    route: {
+      type: 'LineString',
+      coordinates: drive.isEstimate
+        ? [[serviceLocation.lng, serviceLocation.lat], [targetLocation.lng, targetLocation.lat]]
+        : drive.path.map(point => [Math.round(point.lng * 1e6) / 1e6, Math.round(point.lat * 1e6) / 1e6])
+    }
   };
 };
+
+/**
+ * Calculate emergency response times from a set of stations to many locations at once
+ * Each location is timed from its quickest station over the car network (see
+ * calculateEmergencyNetworkTimes); locations off the network are estimated in a straight line
+ * from the nearest station
+ * @param {Array} services - Services of one type with lat and lng
+ * @param {Array} locations - Target locations with lat and lng
+ * @param {string} serviceType - Type of emergency service: 'hospital', 'fire', 'police'
+ * @param {Object} traffic - {departAt}; without a departure time traffic is ignored
+ * @returns {Promise<Object>} - {departAt, times: [{minutes, service, isEstimate}]}, times null when there are no services
+ */
+export const calculateEmergencyResponseTimes = async (services, locations, serviceType, traffic = {}) => {
+  const responseFactor = RESPONSE_SPEED_FACTORS[serviceType] || RESPONSE_SPEED_FACTORS.default;
+  const preparationTime = PREPARATION_TIMES[serviceType] || PREPARATION_TIMES.default;
+  const serviceLocations = services.map(service => ({ lat: parseFloat(service.lat), lng: parseFloat(service.lng) }));
+
+  const network = await calculateEmergencyNetworkTimes(serviceLocations, locations, traffic);
+
+  const times = network.times.map((time, index) => {
+    if (time) {
+      return {
+        minutes: Math.round((time.seconds + preparationTime) / 60),
+        service: services[time.station],
+        isEstimate: false
+      };
+    }
+    if (services.length === 0) {
+      return null;
+    }
+
+    const location = locations[index];
+    const nearest = serviceLocations.reduce((best, serviceLocation, serviceIndex) => {
+      const distance = calculateHaversineDistance(serviceLocation, location);
+      return distance < best.distance ? { distance, serviceIndex } : best;
+    }, { distance: Infinity, serviceIndex: 0 });
+    const estimate = estimateEmergencyDrivingTime(serviceLocations[nearest.serviceIndex], location, traffic);
+
+    return {
+      minutes: Math.round((estimate.seconds * responseFactor + estimate.delaySeconds + preparationTime) / 60),
+      service: services[nearest.serviceIndex],
+      isEstimate: true
+    };
+  });
+
+  return { departAt: network.departAt, times };
+};
@@ -1,5 +1,4 @@
-import { calculateHaversineDistance } from './customGeoAnalysis.js';
-import { getEmergencyServices } from '../data/dataLoader.js';
+import { getEmergencyServices, getSpatialIndex } from '../data/dataLoader.js';
 import { calculateEmergencyResponseTime } from './drivingAnalysis.js';
 import { calculateDrivingTime } from './routingAnalysis.js';
 
@@ -34,116 +33,86 @@ export const calculateEmergencyServicesScore = (coordinates) => {
 
   console.log(`Calculating emergency services score for ${lat}, ${lng} with ${emergencyServices.length} services`);
 
-  // First, calculate direct distance to each emergency service using the faster Haversine formula
-  const servicesWithDirectDistance = emergencyServices.map(service => {
+  // We'll calculate response times for a few services of each type for better coverage
+  const MAX_SERVICES_PER_TYPE = 3; // Calculate for the 3 nearest of each type
+
+  // Find the nearest services of each type (sorted by direct distance) in the spatial index
+  const serviceIndex = getSpatialIndex('emergencyServices');
+  const serviceTypes = [...new Set(emergencyServices.map(service => service.type))];
+
+  const servicesByType = {};
+  for (const type of serviceTypes) {
+    servicesByType[type] = serviceIndex
+      .nearest({ lat, lng }, MAX_SERVICES_PER_TYPE, { filter: service => service.type === type })
+      .map(({ item, distance }) => ({
+        ...item,
+        distance: Math.round(distance)
+      }));
+  }
+
+  // Calculate the response time from each of these services
+  const servicesWithDistance = Object.values(servicesByType).flat().map(service => {
     try {
-      const distance = calculateHaversineDistance(
+      // Calculate emergency response time over the road network
+      const responseTime = calculateEmergencyResponseTime(
+        { lat: parseFloat(service.lat), lng: parseFloat(service.lng) },
         { lat, lng },
-        { lat: service.lat, lng: service.lng }
+        service.type
       );
 
       return {
         ...service,
-        distance: Math.round(distance)
+        responseTime: responseTime
       };
     } catch (error) {
-      console.error(`Error calculating distance to emergency service:`, error);
+      console.error(`Error calculating response time to emergency service:`, error);
       return {
         ...service,
-        distance: Infinity
+        responseTime: null
       };
     }
   });
 
-  // Sort services by direct distance
-  const sortedByDistance = servicesWithDirectDistance.sort((a, b) => a.distance - b.distance);
-
-  // Group services by type
-  const servicesByType = {};
-  for (const service of sortedByDistance) {
-    if (!servicesByType[service.type]) {
-      servicesByType[service.type] = [];
-    }
-    servicesByType[service.type].push(service);
-  }
-
-  // For each type, find the closest service
+  // For each type, the closest service is the one that responds quickest over the road network
+  // (the nearest in a straight line may be across the river); straight-line estimates are
+  // optimistic, so they only count when no service of the type could be routed, and ties go to
+  // the nearer service
+  const rankResponse = (service) => [
+    !service.responseTime || service.responseTime.isEstimate ? 1 : 0,
+    service.responseTime ? service.responseTime.minutes : Infinity,
+    service.distance
+  ];
+  const isQuicker = (service, other) => {
+    const [a, b] = [rankResponse(service), rankResponse(other)];
+    const index = a.findIndex((value, i) => value !== b[i]);
+    return index !== -1 && a[index] < b[index];
+  };
   const closestByType = {};
-  for (const type in servicesByType) {
-    if (servicesByType[type].length > 0) {
-      closestByType[type] = servicesByType[type][0]; // The closest service of this type
+  for (const service of servicesWithDistance) {
+    if (!closestByType[service.type] || isQuicker(service, closestByType[service.type])) {
+      closestByType[service.type] = service;
     }
   }
 
-  // Calculate response time for the closest service of each type
+  // Calculate driving time for the closest service of each type
   for (const type in closestByType) {
     const service = closestByType[type];
     try {
-      // Calculate emergency response time
-      const responseTime = calculateEmergencyResponseTime(
-        { lat: parseFloat(service.lat), lng: parseFloat(service.lng) },
-        { lat, lng },
-        service.type
-      );
-
-      // Calculate driving time
       const drivingTime = calculateDrivingTime(
         { lat, lng },
         { lat: parseFloat(service.lat), lng: parseFloat(service.lng) }
       );
 
-      // Update the service with response time and driving time
+      // Update the service with driving time
       closestByType[type] = {
         ...service,
-        responseTime: responseTime,
         drivingTime: drivingTime
       };
     } catch (error) {
-      console.error(`Error calculating response time to ${type} service:`, error);
+      console.error(`Error calculating driving time to ${type} service:`, error);
     }
   }
 
-  // For scoring and display, we still need a list of services with distances
-  // We'll calculate response times for a few more services of each type for better coverage
-  const MAX_SERVICES_PER_TYPE = 3; // Calculate for the 3 nearest of each type
-
-  // For each type, get the nearest MAX_SERVICES_PER_TYPE
-  const nearestByType = {};
-  for (const type in servicesByType) {
-    nearestByType[type] = servicesByType[type].slice(0, MAX_SERVICES_PER_TYPE);
-  }
-
-  // Flatten the array of nearest services
-  const nearestServices = Object.values(nearestByType).flat();
-
-  // Calculate response time for these services
-  const servicesWithDistance = nearestServices.map(service => {
-    // If this is the closest service of its type, we already calculated its response time
-    if (closestByType[service.type] && closestByType[service.type].id === service.id) {
-      return closestByType[service.type];
-    }
-
-    try {
-      // Calculate emergency response time
-      const responseTime = calculateEmergencyResponseTime(
-        { lat: parseFloat(service.lat), lng: parseFloat(service.lng) },
-        { lat, lng },
-        service.type
-      );
-
-      return {
-        ...service,
-        responseTime: responseTime
-      };
-    } catch (error) {
-      console.error(`Error calculating response time to emergency service:`, error);
-      return {
-        ...service,
-        responseTime: null
-      };
-    }
-  });
-
   // Sort the services with response times by distance
   const sortedServices = servicesWithDistance.sort((a, b) => a.distance - b.distance);
 
@@ -152,10 +121,10 @@ export const calculateEmergencyServicesScore = (coordinates) => {
   const fireStations = sortedServices.filter(s => s.type === 'fire');
   const policeStations = sortedServices.filter(s => s.type === 'police');
 
-  // Get nearest service of each type
-  const nearestHospital = hospitals.length > 0 ? hospitals[0] : null;
-  const nearestFireStation = fireStations.length > 0 ? fireStations[0] : null;
-  const nearestPoliceStation = policeStations.length > 0 ? policeStations[0] : null;
+  // The service of each type that would respond
+  const nearestHospital = closestByType.hospital || null;
+  const nearestFireStation = closestByType.fire || null;
+  const nearestPoliceStation = closestByType.police || null;
 
   // Calculate hospital score based on response time (0-40 points, weighted more heavily)
   let hospitalScore = 0;
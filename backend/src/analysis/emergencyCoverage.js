@@ -0,0 +1,351 @@
+/**
+ * Emergency coverage
+ * Works out the response time over the road network from the quickest fire station, police station
+ * and hospital across a grid over the whole region, and traces the parts of the region beyond each service's response
+ * target as gap polygons, so addresses in under-served pockets can be spotted on the map
+ */
+
+import { getEmergencyServices } from '../data/dataLoader.js';
+import { getActiveRegion, isInRegion } from '../data/regionPacks.js';
+import { calculateEmergencyResponseTimes } from './drivingAnalysis.js';
+import { parseDepartAt } from './trafficProfile.js';
+import { calculateRingArea, createProjection, removeCollinearPoints, smoothRing, traceOutlines } from './isochroneAnalysis.js';
+
+export const EMERGENCY_SERVICE_TYPES = ['fire', 'police', 'hospital'];
+
+// Response targets in minutes: the slowest response calculateEmergencyServicesScore still rates as good (75)
+export const DEFAULT_RESPONSE_TARGETS = { fire: 8, police: 7, hospital: 10 };
+const MAX_RESPONSE_TARGET = 60;
+
+// Grid cell size in meters; the cell limit keeps a request to a few seconds
+const DEFAULT_CELL_SIZE = 500;
+const MIN_CELL_SIZE = 200;
+const MAX_CELL_SIZE = 2000;
+const MAX_COVERAGE_CELLS = 40000;
+
+// Results by parameters, per emergency services list, so reloading the data starts afresh
+const coverageCache = new WeakMap();
+const MAX_CACHED_RESULTS = 20;
+
+/**
+ * Work out how many cells a grid over the region's bounds needs
+ * @param {Object} bounds - Region bounds {south, west, north, east}
+ * @param {number} cellSize - Cell size in meters
+ * @returns {Object} - {projection, columns, rows}
+ */
+const createGrid = ({ south, west, north, east }, cellSize) => {
+  const projection = createProjection({ lat: south, lng: west });
+  const [width, height] = projection.toXY({ lat: north, lng: east });
+  return {
+    projection,
+    columns: Math.ceil(width / cellSize),
+    rows: Math.ceil(height / cellSize)
+  };
+};
+
+/**
+ * Parse and validate coverage query parameters
+ * @param {Object} query - Query parameters {types, targets, cellSize, departAt}; types is a
+ * comma-separated list, targets a list of type:minutes pairs (e.g. "fire:6,hospital:8")
+ * @returns {Object} - {params: {types, targets, cellSize, departAt}, errors}
+ */
+export const parseCoverageParams = (query = {}) => {
+  const errors = [];
+
+  let types = EMERGENCY_SERVICE_TYPES;
+  if (query.types !== undefined && query.types !== '') {
+    const values = String(query.types).split(',').map(value => value.trim().toLowerCase());
+    if (!values.every(value => EMERGENCY_SERVICE_TYPES.includes(value))) {
+      errors.push(`types must be a comma-separated list of: ${EMERGENCY_SERVICE_TYPES.join(', ')}`);
+    } else {
+      types = EMERGENCY_SERVICE_TYPES.filter(type => values.includes(type));
+    }
+  }
+
+  const targets = { ...DEFAULT_RESPONSE_TARGETS };
+  if (query.targets !== undefined && query.targets !== '') {
+    for (const pair of String(query.targets).split(',')) {
+      const [type, minutes] = pair.split(':').map(value => value.trim());
+      const value = Number(minutes);
+      if (!EMERGENCY_SERVICE_TYPES.includes(type?.toLowerCase()) || !Number.isInteger(value) || value < 1 || value > MAX_RESPONSE_TARGET) {
+        errors.push(`targets must be a comma-separated list of type:minutes (e.g. "fire:6,hospital:8") with whole minutes between 1 and ${MAX_RESPONSE_TARGET}`);
+        break;
+      }
+      targets[type.toLowerCase()] = value;
+    }
+  }
+
+  let cellSize = DEFAULT_CELL_SIZE;
+  if (query.cellSize !== undefined && query.cellSize !== '') {
+    cellSize = Number(query.cellSize);
+    if (!Number.isFinite(cellSize) || cellSize < MIN_CELL_SIZE || cellSize > MAX_CELL_SIZE) {
+      errors.push(`cellSize must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} meters`);
+      cellSize = DEFAULT_CELL_SIZE;
+    }
+  }
+
+  const { columns, rows } = createGrid(getActiveRegion().bounds, cellSize);
+  if (errors.length === 0 && columns * rows > MAX_COVERAGE_CELLS) {
+    errors.push(`cellSize would produce ${columns * rows} grid cells over the region (max ${MAX_COVERAGE_CELLS}); increase cellSize`);
+  }
+
+  const departure = parseDepartAt(query.departAt);
+  errors.push(...departure.errors);
+
+  return {
+    params: { types, targets, cellSize, departAt: departure.time },
+    errors
+  };
+};
+
+/**
+ * Check whether a point is inside a ring
+ * @param {Array} point - Point as [x, y]
+ * @param {Array} ring - Ring of [x, y] points (not closed)
+ * @returns {boolean} - True if the point is inside
+ */
+const isInsideRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Summarize response times
+ * @param {Array} times - Response times in minutes
+ * @returns {Object} - {averageMinutes, worstMinutes}, null when there are no times
+ */
+const summarizeTimes = (times) => ({
+  averageMinutes: times.length > 0 ? Math.round((times.reduce((sum, value) => sum + value, 0) / times.length) * 10) / 10 : null,
+  worstMinutes: times.length > 0 ? times.reduce((max, value) => Math.max(max, value), 0) : null
+});
+
+/**
+ * Group gap cells into areas of cells that share an edge
+ * @param {Uint8Array} cells - Gap cells (1) by row
+ * @param {number} columns - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Array} - Areas as arrays of cell indexes
+ */
+const findGapAreas = (cells, columns, rows) => {
+  const seen = new Uint8Array(cells.length);
+  const areas = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || seen[start]) continue;
+
+    const area = [];
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      area.push(cell);
+      const x = cell % columns;
+      const y = Math.floor(cell / columns);
+      for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+        const neighbour = ny * columns + nx;
+        if (nx >= 0 && nx < columns && ny >= 0 && ny < rows && cells[neighbour] && !seen[neighbour]) {
+          seen[neighbour] = 1;
+          stack.push(neighbour);
+        }
+      }
+    }
+    areas.push(area);
+  }
+
+  return areas;
+};
+
+/**
+ * Trace the outline of an area of grid cells
+ * @param {Array} area - Cell indexes
+ * @param {number} columns - Grid width in cells
+ * @param {number} cellSize - Cell size in meters
+ * @returns {Array} - Polygons, each an outer ring (counter-clockwise) followed by its holes
+ * (clockwise), as [x, y] in meters (not closed)
+ */
+const traceGapArea = (area, columns, cellSize) => {
+  // Trace within the area's own box rather than the whole grid
+  const xs = area.map(cell => cell % columns);
+  const ys = area.map(cell => Math.floor(cell / columns));
+  const minX = xs.reduce((min, x) => Math.min(min, x), Infinity);
+  const minY = ys.reduce((min, y) => Math.min(min, y), Infinity);
+  const width = xs.reduce((max, x) => Math.max(max, x), -Infinity) - minX + 1;
+  const height = ys.reduce((max, y) => Math.max(max, y), -Infinity) - minY + 1;
+
+  const cells = new Uint8Array(width * height);
+  area.forEach((_, index) => {
+    cells[(ys[index] - minY) * width + (xs[index] - minX)] = 1;
+  });
+
+  const rings = traceOutlines(cells, width, height)
+    .map(ring => smoothRing(removeCollinearPoints(ring))
+      .map(([x, y]) => [(minX + x) * cellSize, (minY + y) * cellSize]));
+
+  // Diagonal pinches can split an area's outline, so each hole goes to the outer ring around it
+  const polygons = rings.filter(ring => calculateRingArea(ring) > 0)
+    .sort((a, b) => calculateRingArea(a) - calculateRingArea(b))
+    .map(outer => [outer]);
+  for (const hole of rings.filter(ring => calculateRingArea(ring) < 0)) {
+    const polygon = polygons.find(([outer]) => isInsideRing(hole[0], outer)) || polygons[polygons.length - 1];
+    polygon?.push(hole);
+  }
+  return polygons.reverse();
+};
+
+/**
+ * Calculate emergency response coverage across the active region
+ * Each grid cell in the region is timed from the quickest service of each type (see
+ * calculateEmergencyResponseTimes); cells slower than the type's target, or with no service of the
+ * type at all, are gaps
+ * @param {Object} params - Parsed parameters from parseCoverageParams
+ * @returns {Promise<Object>} - {region, bounds, cellSize, departAt, targets, summary: {type: {targetMinutes,
+ * stations, coveredPercent, estimatedPercent, gapAreaKm2, gaps, averageMinutes, worstMinutes}}, surface: {south, west,
+ * latStep, lngStep, columns, rows, minutes: {type: [minutes or null by row, south first]}},
+ * gaps: FeatureCollection} with one (Multi)Polygon feature per gap, largest first for each type
+ */
+export const calculateEmergencyCoverage = async ({ types, targets, cellSize, departAt = null }) => {
+  const region = getActiveRegion();
+  const emergencyServices = getEmergencyServices();
+
+  if (!coverageCache.has(emergencyServices)) {
+    coverageCache.set(emergencyServices, new Map());
+  }
+  const cache = coverageCache.get(emergencyServices);
+  const cacheKey = JSON.stringify({ types, targets: types.map(type => targets[type]), cellSize, departAt: departAt?.label || null });
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const { south, west } = region.bounds;
+  const { projection, columns, rows } = createGrid(region.bounds, cellSize);
+  const cellCount = columns * rows;
+  const cellAreaKm2 = (cellSize * cellSize) / 1e6;
+  console.log(`Calculating ${types.join(', ')} coverage for ${region.name} over ${columns}x${rows} cells of ${cellSize}m`);
+
+  // Cell centres inside the region
+  const centers = new Array(cellCount).fill(null);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < columns; x++) {
+      const [lng, lat] = projection.toLngLat((x + 0.5) * cellSize, (y + 0.5) * cellSize);
+      if (isInRegion({ lat, lng }, region)) {
+        centers[y * columns + x] = { lat, lng };
+      }
+    }
+  }
+  const regionCells = centers.flatMap((center, cell) => (center ? [cell] : []));
+
+  const surface = {};
+  const summary = {};
+  const features = [];
+  let trafficDepartAt = null;
+
+  for (const type of types) {
+    const targetMinutes = targets[type];
+    const minutes = new Array(cellCount).fill(null);
+    const gapCells = new Uint8Array(cellCount);
+
+    const services = emergencyServices.filter(service => service.type === type);
+    const response = await calculateEmergencyResponseTimes(services, regionCells.map(cell => centers[cell]), type, { departAt });
+    trafficDepartAt = response.departAt;
+
+    let estimatedCells = 0;
+    response.times.forEach((time, index) => {
+      const cell = regionCells[index];
+      if (time) {
+        minutes[cell] = time.minutes;
+        estimatedCells += time.isEstimate ? 1 : 0;
+      }
+      if (minutes[cell] === null || minutes[cell] > targetMinutes) {
+        gapCells[cell] = 1;
+      }
+    });
+
+    const gaps = findGapAreas(gapCells, columns, rows).map(area => {
+      const polygons = traceGapArea(area, columns, cellSize);
+      const coordinates = polygons.map(rings => rings.map(ring => {
+        const lngLat = ring.map(([x, y]) => projection.toLngLat(x, y).map(value => Math.round(value * 1e6) / 1e6));
+        return [...lngLat, lngLat[0]];
+      }));
+
+      return {
+        cells: area.length,
+        feature: {
+          type: 'Feature',
+          geometry: coordinates.length === 1
+            ? { type: 'Polygon', coordinates: coordinates[0] }
+            : { type: 'MultiPolygon', coordinates },
+          properties: {
+            type,
+            targetMinutes,
+            areaKm2: Math.round(area.length * cellAreaKm2 * 100) / 100,
+            // Times are null when the region has no service of this type
+            ...summarizeTimes(area.map(cell => minutes[cell]).filter(value => value !== null))
+          }
+        }
+      };
+    }).sort((a, b) => b.cells - a.cells);
+
+    const gapCellCount = gaps.reduce((sum, gap) => sum + gap.cells, 0);
+    summary[type] = {
+      targetMinutes,
+      stations: services.length,
+      coveredPercent: regionCells.length > 0 ? Math.round(((regionCells.length - gapCellCount) / regionCells.length) * 1000) / 10 : 0,
+      // Cells off the road network, timed in a straight line
+      estimatedPercent: regionCells.length > 0 ? Math.round((estimatedCells / regionCells.length) * 1000) / 10 : 0,
+      gapAreaKm2: Math.round(gapCellCount * cellAreaKm2 * 100) / 100,
+      gaps: gaps.length,
+      ...summarizeTimes(minutes.filter(value => value !== null))
+    };
+    if (summary[type].stations === 0) {
+      console.warn(`Warning: No ${type} services in ${region.name}; the whole region is a coverage gap`);
+    }
+
+    surface[type] = minutes;
+    features.push(...gaps.map(gap => gap.feature));
+  }
+
+  // The grid is linear in lat/lng, so each cell spans a fixed step of each
+  const [eastOfFirstCell, northOfFirstCell] = projection.toLngLat(cellSize, cellSize);
+
+  const result = {
+    region: region.id,
+    bounds: region.bounds,
+    cellSize,
+    departAt: trafficDepartAt,
+    targets: Object.fromEntries(types.map(type => [type, targets[type]])),
+    summary,
+    surface: {
+      south,
+      west,
+      latStep: Math.round((northOfFirstCell - south) * 1e8) / 1e8,
+      lngStep: Math.round((eastOfFirstCell - west) * 1e8) / 1e8,
+      columns,
+      rows,
+      minutes: surface
+    },
+    gaps: {
+      type: 'FeatureCollection',
+      features
+    }
+  };
+
+  if (cache.size >= MAX_CACHED_RESULTS) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(cacheKey, result);
+  return result;
+};
+
+export default {
+  EMERGENCY_SERVICE_TYPES,
+  DEFAULT_RESPONSE_TARGETS,
+  parseCoverageParams,
+  calculateEmergencyCoverage
+};
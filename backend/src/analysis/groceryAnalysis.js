@@ -1,5 +1,4 @@
-import { calculateHaversineDistance } from './customGeoAnalysis.js';
-import { getGroceryStores } from '../data/dataLoader.js';
+import { getGroceryStores, getSpatialIndex } from '../data/dataLoader.js';
 
 /**
  * Calculate the grocery score for a location
@@ -20,29 +19,13 @@ export function calculateGroceryScore(location) {
 
   console.log(`Evaluating distance to ${groceryStores.length} grocery stores`);
   
-  // Calculate distance to each grocery store
-  const storesWithDistances = groceryStores.map(store => {
-    try {
-      const distance = calculateHaversineDistance(
-        { lat: location.lat, lng: location.lng },
-        { lat: parseFloat(store.lat), lng: parseFloat(store.lng) }
-      );
-      
-      return {
-        ...store,
-        distance
-      };
-    } catch (error) {
-      console.error(`Error calculating distance to store ${store.name}:`, error);
-      return {
-        ...store,
-        distance: Infinity
-      };
-    }
-  });
-
-  // Sort by distance
-  storesWithDistances.sort((a, b) => a.distance - b.distance);
+  // Look up the nearest 5 grocery stores (sorted by distance) in the spatial index
+  const storesWithDistances = getSpatialIndex('groceryStores')
+    .nearest({ lat: location.lat, lng: location.lng }, 5)
+    .map(({ item, distance }) => ({
+      ...item,
+      distance
+    }));
 
   // Calculate score based on proximity to grocery stores
   let groceryScore = 0;
@@ -61,8 +44,8 @@ export function calculateGroceryScore(location) {
     }
   }
 
-  // Get nearest 5 grocery stores for display
-  const nearbyStores = storesWithDistances.slice(0, 5);
+  // Nearest 5 grocery stores for display
+  const nearbyStores = storesWithDistances;
 
   return {
     score: groceryScore,
@@ -1,6 +1,28 @@
 import geolib from 'geolib';
-import { getGroceryStores, getEmergencyServices, getMainRoads } from '../data/dataLoader.js';
+import { getGroceryStores, getEmergencyServices, getMainRoads, getSpatialIndex } from '../data/dataLoader.js';
 import { getLivabilityScore } from './livabilityAnalysis.js';
+import { calculateMobilityScore } from './mobilityAnalysis.js';
+import { calculateEmergencyServicesScore } from './emergencyAnalysis.js';
+import { calculateGroceryScore } from './groceryAnalysis.js';
+import { calculateOverallScore } from './weightingProfiles.js';
+import { findNearestRoad } from './customGeoAnalysis.js';
+import { getActiveRegion } from '../data/regionPacks.js';
+
+const DEFAULT_HEATMAP_RADIUS = 2000;
+const DEFAULT_HEATMAP_STEP = 250;
+
+// Request limits. Scoring runs on the server's only thread, at about 3 ms a grid point with the
+// Ottawa data, so MAX_HEATMAP_POINTS holds the server up for a little over a second; the default
+// 2000 m radius at a 250 m step is about 200 points
+const MIN_HEATMAP_RADIUS = 100;
+const MAX_HEATMAP_RADIUS = 10000;
+const MIN_HEATMAP_STEP = 50;
+const MAX_HEATMAP_STEP = 2000;
+const MAX_HEATMAP_POINTS = 400;
+
+// Grid points scoring at least this much can seed a hotspot cluster
+const MIN_HOTSPOT_SCORE = 50;
+const MAX_HOTSPOTS = 10;
 
 /**
  * Calculate score for proximity to grocery stores
@@ -14,19 +36,11 @@ const calculateGroceryStoreScore = (location) => {
     return 0;
   }
   
-  // Find distances to all grocery stores
-  const distances = groceryStores.map(store => {
-    return geolib.getDistance(
-      { latitude: location.lat, longitude: location.lng },
-      { latitude: parseFloat(store.lat), longitude: parseFloat(store.lng) }
-    );
-  });
-  
-  // Sort distances
-  distances.sort((a, b) => a - b);
+  // Find the closest grocery store in the spatial index
+  const [closest] = getSpatialIndex('groceryStores').nearest(location, 1);
   
   // Calculate score based on closest store (max 100 points if within 500m, 0 if beyond 5km)
-  const closestDistance = distances[0];
+  const closestDistance = closest ? closest.distance : Infinity;
   
   if (closestDistance <= 500) {
     return 100;
@@ -50,32 +64,14 @@ const hotspotCalculateEmergencyServicesScore = (location) => {
     return 0;
   }
   
-  // Group services by type
-  const servicesByType = {};
-  emergencyServices.forEach(service => {
-    if (!servicesByType[service.type]) {
-      servicesByType[service.type] = [];
-    }
-    servicesByType[service.type].push(service);
-  });
-  
-  // For each type, find closest service
+  // For each type, find closest service in the spatial index
+  const serviceIndex = getSpatialIndex('emergencyServices');
+  const serviceTypes = [...new Set(emergencyServices.map(service => service.type))];
   const scores = [];
   
-  for (const [type, services] of Object.entries(servicesByType)) {
-    // Find closest service of this type
-    let closestDistance = Infinity;
-    
-    for (const service of services) {
-      const distance = geolib.getDistance(
-        { latitude: location.lat, longitude: location.lng },
-        { latitude: parseFloat(service.lat), longitude: parseFloat(service.lng) }
-      );
-      
-      if (distance < closestDistance) {
-        closestDistance = distance;
-      }
-    }
+  for (const type of serviceTypes) {
+    const [closest] = serviceIndex.nearest(location, 1, { filter: service => service.type === type });
+    const closestDistance = closest ? closest.distance : Infinity;
     
     // Calculate score for this type (max 100 points if within 1km, 0 if beyond 10km)
     let typeScore = 0;
@@ -112,22 +108,8 @@ const calculateMainRoadsScore = (location) => {
     return 0;
   }
   
-  // Calculate minimum distance to any road
-  let minDistance = Infinity;
-  
-  for (const road of mainRoads) {
-    // For each road, calculate distance to the line segment
-    const start = { latitude: parseFloat(road.start_lat), longitude: parseFloat(road.start_lng) };
-    const end = { latitude: parseFloat(road.end_lat), longitude: parseFloat(road.end_lng) };
-    const point = { latitude: location.lat, longitude: location.lng };
-    
-    // Simple line segment distance calculation
-    const distance = geolib.getDistanceFromLine(point, start, end);
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-    }
-  }
+  // Calculate minimum distance to any road along its polyline
+  const { distance: minDistance } = findNearestRoad({ lat: location.lat, lng: location.lng }, mainRoads);
   
   // Calculate score (max 100 points if within 500m, 0 if beyond 5km)
   if (minDistance <= 500) {
@@ -348,4 +330,178 @@ export const getRealEstateHotspots = async (params) => {
     analyzed: grid.length,
     hotspots: topHotspots
   };
-}; 
\ No newline at end of file
+};
+
+/**
+ * Parse and validate heatmap request parameters
+ * @param {Object} query - Raw parameters (numbers or query strings) lat, lng, radius, step
+ * @returns {Object} - {params, errors} with numeric params and error messages (empty if valid)
+ */
+export const parseHeatmapParams = (query = {}) => {
+  const errors = [];
+
+  const readNumber = (name, fallback) => {
+    if (query[name] === undefined || query[name] === '') {
+      return fallback;
+    }
+    const value = parseFloat(query[name]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} must be a number`);
+      return fallback;
+    }
+    return value;
+  };
+
+  // Without a location the heatmap covers the centre of the active region
+  const { center } = getActiveRegion();
+  const params = {
+    lat: readNumber('lat', center.lat),
+    lng: readNumber('lng', center.lng),
+    radius: readNumber('radius', DEFAULT_HEATMAP_RADIUS),
+    step: readNumber('step', DEFAULT_HEATMAP_STEP)
+  };
+
+  if (params.lat < -90 || params.lat > 90 || params.lng < -180 || params.lng > 180) {
+    errors.push('lat/lng must be valid coordinates');
+  }
+  if (params.radius < MIN_HEATMAP_RADIUS || params.radius > MAX_HEATMAP_RADIUS) {
+    errors.push(`radius must be between ${MIN_HEATMAP_RADIUS} and ${MAX_HEATMAP_RADIUS} meters`);
+  }
+  if (params.step < MIN_HEATMAP_STEP || params.step > MAX_HEATMAP_STEP) {
+    errors.push(`step must be between ${MIN_HEATMAP_STEP} and ${MAX_HEATMAP_STEP} meters`);
+  }
+
+  // Approximate number of grid points in the circle
+  const estimatedPoints = Math.PI * Math.pow(params.radius / params.step, 2);
+  if (errors.length === 0 && estimatedPoints > MAX_HEATMAP_POINTS) {
+    errors.push(`radius/step would produce about ${Math.round(estimatedPoints)} grid points (max ${MAX_HEATMAP_POINTS}); increase step or reduce radius`);
+  }
+
+  return { params, errors };
+};
+
+/**
+ * Score a grid point with the same components as the address analysis
+ * Livability skips the travel times to places that don't change its score
+ * @param {Object} point - Location with lat and lng
+ * @param {Object} weights - Map of score component to weight
+ * @returns {Object} - Location with component and overall scores
+ */
+const scoreHeatmapPoint = (point, weights) => {
+  const scores = {
+    mobility: calculateMobilityScore(point).score || 0,
+    livability: getLivabilityScore(point, { scoreOnly: true })?.score || 0,
+    emergency: calculateEmergencyServicesScore(point)?.score || 0,
+    grocery: calculateGroceryScore(point)?.score || 0
+  };
+
+  return {
+    lat: point.lat,
+    lng: point.lng,
+    scores: {
+      ...scores,
+      overall: calculateOverallScore(scores, weights)
+    }
+  };
+};
+
+/**
+ * Group high-scoring grid points into hotspots
+ * Points are taken best first; each joins the first hotspot whose peak is within the
+ * cluster radius, otherwise it starts a new hotspot
+ * @param {Array} points - Scored grid points
+ * @param {number} clusterRadius - Maximum distance from a hotspot's peak in meters
+ * @returns {Array} - Hotspots with peak, score-weighted center, mean scores and point count
+ */
+const clusterHotspots = (points, clusterRadius) => {
+  const clusters = [];
+  const candidates = points
+    .filter(point => point.scores.overall >= MIN_HOTSPOT_SCORE)
+    .sort((a, b) => b.scores.overall - a.scores.overall);
+
+  for (const point of candidates) {
+    const cluster = clusters.find(existing => geolib.getDistance(
+      { latitude: point.lat, longitude: point.lng },
+      { latitude: existing.peak.lat, longitude: existing.peak.lng }
+    ) <= clusterRadius);
+
+    if (cluster) {
+      cluster.points.push(point);
+    } else {
+      clusters.push({ peak: point, points: [point] });
+    }
+  }
+
+  return clusters
+    .map(cluster => {
+      const totalScore = cluster.points.reduce((sum, point) => sum + point.scores.overall, 0);
+      const meanScore = (component) => Math.round(
+        cluster.points.reduce((sum, point) => sum + point.scores[component], 0) / cluster.points.length
+      );
+
+      return {
+        center: {
+          lat: cluster.points.reduce((sum, point) => sum + point.lat * point.scores.overall, 0) / totalScore,
+          lng: cluster.points.reduce((sum, point) => sum + point.lng * point.scores.overall, 0) / totalScore
+        },
+        peak: { lat: cluster.peak.lat, lng: cluster.peak.lng },
+        score: meanScore('overall'),
+        maxScore: cluster.peak.scores.overall,
+        pointCount: cluster.points.length,
+        details: {
+          mobility: meanScore('mobility'),
+          livability: meanScore('livability'),
+          emergency: meanScore('emergency'),
+          grocery: meanScore('grocery')
+        }
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.pointCount - a.pointCount)
+    .slice(0, MAX_HOTSPOTS)
+    .map((hotspot, index) => ({ id: index + 1, ...hotspot }));
+};
+
+/**
+ * Score a grid of locations around a center for a heatmap
+ * @param {Object} params - Parameters from parseHeatmapParams plus the resolved weighting
+ * @param {number} params.lat - Center latitude
+ * @param {number} params.lng - Center longitude
+ * @param {number} params.radius - Radius in meters
+ * @param {number} params.step - Distance between grid points in meters
+ * @param {Object} params.weighting - Resolved weighting {profile, weights}
+ * @returns {Object} - Scored grid as a GeoJSON FeatureCollection plus clustered hotspots
+ */
+export const getHotspotHeatmap = ({ lat, lng, radius, step, weighting }) => {
+  const grid = generateLocationGrid({ lat, lng }, radius, step);
+  const scoredPoints = grid.map(point => scoreHeatmapPoint(point, weighting.weights));
+
+  // Neighbouring grid points should fall into the same hotspot whatever the step
+  const clusterRadius = Math.max(500, step * 2);
+
+  return {
+    center: { lat, lng },
+    radius,
+    step,
+    profile: weighting.profile,
+    weights: weighting.weights,
+    analyzed: scoredPoints.length,
+    grid: {
+      type: 'FeatureCollection',
+      features: scoredPoints.map(point => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Point',
+          coordinates: [point.lng, point.lat]
+        },
+        properties: {
+          score: point.scores.overall,
+          mobility: point.scores.mobility,
+          livability: point.scores.livability,
+          emergency: point.scores.emergency,
+          grocery: point.scores.grocery
+        }
+      }))
+    },
+    hotspots: clusterHotspots(scoredPoints, clusterRadius)
+  };
+};
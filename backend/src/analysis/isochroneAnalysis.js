@@ -0,0 +1,437 @@
+/**
+ * Isochrones: the area reachable from a location within a travel time
+ * Runs a bounded one-to-all search on the walking or driving graph, then traces a concave
+ * hull around the reachable roads for each time band
+ */
+
+import { calculateReachableNetwork, TRAVEL_MODES } from './routingAnalysis.js';
+import { parseDepartAt } from './trafficProfile.js';
+
+// Query parameter values for the travel modes
+const ISOCHRONE_MODES = {
+  walk: TRAVEL_MODES.walking,
+  drive: TRAVEL_MODES.driving
+};
+
+const DEFAULT_ISOCHRONE_MINUTES = [5, 10, 15];
+const MAX_ISOCHRONE_MINUTES = 60;
+const MAX_ISOCHRONE_BANDS = 6;
+
+// Network distance is about 1.3 times the straight-line distance; used when off the network
+const DETOUR_FACTOR = 1.3;
+
+// Hull grid: at most this many cells across, and no finer than the minimum cell size (meters)
+const MAX_GRID_CELLS = 200;
+const MIN_CELL_SIZE = { walk: 20, drive: 50 };
+
+// Gaps narrower than about this (meters) between reachable roads are closed over
+const CLOSING_RADIUS = { walk: 60, drive: 200 };
+
+// Meters per degree of latitude
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Parse and validate isochrone query parameters
+ * @param {Object} query - Query parameters {lat, lng, mode, minutes, departAt}
+ * @returns {Object} - {params: {lat, lng, mode, minutes, departAt}, errors}
+ */
+export const parseIsochroneParams = (query = {}) => {
+  const errors = [];
+
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    errors.push('lat/lng must be valid coordinates');
+  }
+
+  const mode = query.mode || 'walk';
+  if (!ISOCHRONE_MODES[mode]) {
+    errors.push(`mode must be one of: ${Object.keys(ISOCHRONE_MODES).join(', ')}`);
+  }
+
+  let minutes = DEFAULT_ISOCHRONE_MINUTES;
+  if (query.minutes !== undefined && query.minutes !== '') {
+    const values = String(query.minutes).split(',').map(value => Number(value.trim()));
+    if (!values.every(value => Number.isInteger(value) && value >= 1 && value <= MAX_ISOCHRONE_MINUTES)) {
+      errors.push(`minutes must be a comma-separated list of whole minutes between 1 and ${MAX_ISOCHRONE_MINUTES}`);
+    } else {
+      minutes = [...new Set(values)].sort((a, b) => a - b);
+      if (minutes.length > MAX_ISOCHRONE_BANDS) {
+        errors.push(`at most ${MAX_ISOCHRONE_BANDS} time bands are allowed`);
+      }
+    }
+  }
+
+  const departure = parseDepartAt(query.departAt);
+  errors.push(...departure.errors);
+
+  return {
+    params: { lat, lng, mode, minutes, departAt: departure.time },
+    errors
+  };
+};
+
+/**
+ * Create a local projection between lat/lng and meters around an origin
+ * @param {Object} origin - Projection origin {lat, lng}
+ * @returns {Object} - {toXY(point), toLngLat(x, y)}
+ */
+export const createProjection = (origin) => {
+  const metersPerDegreeLng = METERS_PER_DEGREE * Math.cos(origin.lat * (Math.PI / 180));
+  return {
+    toXY: (point) => [(point.lng - origin.lng) * metersPerDegreeLng, (point.lat - origin.lat) * METERS_PER_DEGREE],
+    toLngLat: (x, y) => [origin.lng + x / metersPerDegreeLng, origin.lat + y / METERS_PER_DEGREE]
+  };
+};
+
+/**
+ * Close gaps in a grid of filled cells: dilate, then erode, by a radius in cells
+ * @param {Uint8Array} cells - Filled cells (1) by row
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @param {number} radius - Radius in cells
+ * @returns {Uint8Array} - Closed grid
+ */
+const closeGrid = (cells, width, height, radius) => {
+  const offsets = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (dx * dx + dy * dy <= radius * radius) {
+        offsets.push([dx, dy]);
+      }
+    }
+  }
+
+  // Dilate: fill every cell within the radius of a filled cell
+  const dilated = new Uint8Array(cells.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!cells[y * width + x]) continue;
+      for (const [dx, dy] of offsets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+          dilated[ny * width + nx] = 1;
+        }
+      }
+    }
+  }
+
+  // Erode: keep only cells whose whole neighbourhood is filled
+  const closed = new Uint8Array(cells.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!dilated[y * width + x]) continue;
+      closed[y * width + x] = offsets.every(([dx, dy]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        return nx < 0 || nx >= width || ny < 0 || ny >= height || dilated[ny * width + nx];
+      }) ? 1 : 0;
+    }
+  }
+
+  // Erosion can't shrink below the original cells
+  cells.forEach((filled, index) => {
+    if (filled) closed[index] = 1;
+  });
+  return closed;
+};
+
+/**
+ * Fill holes: empty cells that can't be reached from the edge of the grid
+ * @param {Uint8Array} cells - Filled cells (1) by row, modified in place
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ */
+const fillHoles = (cells, width, height) => {
+  const outside = new Uint8Array(cells.length);
+  const stack = [];
+
+  const visit = (x, y) => {
+    const index = y * width + x;
+    if (!cells[index] && !outside[index]) {
+      outside[index] = 1;
+      stack.push(index);
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    visit(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(0, y);
+    visit(width - 1, y);
+  }
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x > 0) visit(x - 1, y);
+    if (x < width - 1) visit(x + 1, y);
+    if (y > 0) visit(x, y - 1);
+    if (y < height - 1) visit(x, y + 1);
+  }
+
+  for (let index = 0; index < cells.length; index++) {
+    if (!outside[index]) cells[index] = 1;
+  }
+};
+
+/**
+ * Trace the outlines of the filled areas of a grid
+ * Boundary edges run counter-clockwise with the filled cell on their left; at corners where
+ * two areas touch diagonally, the left turn keeps them apart. The outlines of holes run clockwise
+ * @param {Uint8Array} cells - Filled cells (1) by row
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @returns {Array} - Rings of [x, y] grid corners
+ */
+export const traceOutlines = (cells, width, height) => {
+  const isFilled = (x, y) => x >= 0 && x < width && y >= 0 && y < height && cells[y * width + x] === 1;
+  const key = (x, y) => y * (width + 1) + x;
+
+  // Boundary edges, by start corner
+  const outgoing = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const start = key(x1, y1);
+    if (!outgoing.has(start)) outgoing.set(start, []);
+    outgoing.get(start).push({ x: x1, y: y1, dx: x2 - x1, dy: y2 - y1, used: false });
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isFilled(x, y)) continue;
+      if (!isFilled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!isFilled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!isFilled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!isFilled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const rings = [];
+  for (const edges of outgoing.values()) {
+    for (const first of edges) {
+      if (first.used) continue;
+
+      const ring = [];
+      let edge = first;
+      while (edge && !edge.used) {
+        edge.used = true;
+        ring.push([edge.x, edge.y]);
+
+        const candidates = (outgoing.get(key(edge.x + edge.dx, edge.y + edge.dy)) || []).filter(next => !next.used);
+        // Prefer left, then straight, then right
+        const turnOrder = (next) => {
+          const cross = edge.dx * next.dy - edge.dy * next.dx;
+          return cross > 0 ? 0 : cross === 0 ? 1 : 2;
+        };
+        edge = candidates.sort((a, b) => turnOrder(a) - turnOrder(b))[0];
+      }
+      rings.push(ring);
+    }
+  }
+
+  return rings;
+};
+
+/**
+ * Remove corners that lie on a straight line between their neighbours
+ * @param {Array} ring - Ring of [x, y] points (not closed)
+ * @returns {Array} - Simplified ring
+ */
+export const removeCollinearPoints = (ring) => {
+  return ring.filter((point, index) => {
+    const previous = ring[(index - 1 + ring.length) % ring.length];
+    const next = ring[(index + 1) % ring.length];
+    return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+  });
+};
+
+/**
+ * Smooth a ring by cutting its corners (Chaikin's algorithm)
+ * @param {Array} ring - Ring of [x, y] points (not closed)
+ * @param {number} iterations - Number of smoothing passes
+ * @returns {Array} - Smoothed ring
+ */
+export const smoothRing = (ring, iterations = 2) => {
+  let points = ring;
+  for (let i = 0; i < iterations; i++) {
+    points = points.flatMap((point, index) => {
+      const next = points[(index + 1) % points.length];
+      return [
+        [0.75 * point[0] + 0.25 * next[0], 0.75 * point[1] + 0.25 * next[1]],
+        [0.25 * point[0] + 0.75 * next[0], 0.25 * point[1] + 0.75 * next[1]]
+      ];
+    });
+  }
+  return points;
+};
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ * @param {Array} ring - Ring of [x, y] points (not closed)
+ * @returns {number} - Area in square units
+ */
+export const calculateRingArea = (ring) => {
+  let area = 0;
+  ring.forEach((point, index) => {
+    const next = ring[(index + 1) % ring.length];
+    area += point[0] * next[1] - next[0] * point[1];
+  });
+  return area / 2;
+};
+
+/**
+ * Trace a concave hull around sets of points
+ * The points are rasterized onto a grid, gaps narrower than the closing radius and enclosed
+ * holes are filled in, and the outline of each filled area is traced and smoothed
+ * @param {Array} points - Points as [x, y] in meters
+ * @param {number} cellSize - Grid cell size in meters
+ * @param {number} closingRadius - Gaps narrower than this (meters) are filled
+ * @returns {Array} - Polygons as rings of [x, y] in meters (counter-clockwise, not closed), largest first
+ */
+const traceConcaveHull = (points, cellSize, closingRadius) => {
+  if (points.length === 0) {
+    return [];
+  }
+
+  // Bounds of the points, padded so the closing radius fits inside the grid
+  const bounds = points.reduce((box, [x, y]) => ({
+    minX: Math.min(box.minX, x),
+    minY: Math.min(box.minY, y),
+    maxX: Math.max(box.maxX, x),
+    maxY: Math.max(box.maxY, y)
+  }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+  const radiusCells = Math.max(1, Math.round(closingRadius / cellSize));
+  const padding = radiusCells + 2;
+  const minX = bounds.minX - padding * cellSize;
+  const minY = bounds.minY - padding * cellSize;
+  const width = Math.ceil((bounds.maxX - minX) / cellSize) + padding;
+  const height = Math.ceil((bounds.maxY - minY) / cellSize) + padding;
+
+  let cells = new Uint8Array(width * height);
+  for (const [x, y] of points) {
+    cells[Math.floor((y - minY) / cellSize) * width + Math.floor((x - minX) / cellSize)] = 1;
+  }
+
+  cells = closeGrid(cells, width, height, radiusCells);
+  fillHoles(cells, width, height);
+
+  return traceOutlines(cells, width, height)
+    .map(ring => smoothRing(removeCollinearPoints(ring))
+      .map(([x, y]) => [minX + x * cellSize, minY + y * cellSize]))
+    .map(ring => (calculateRingArea(ring) < 0 ? ring.reverse() : ring))
+    .sort((a, b) => calculateRingArea(b) - calculateRingArea(a));
+};
+
+/**
+ * Sample points along the parts of the reachable edges within a time budget
+ * @param {Array} edges - Reached edges [{from, to, startCost, cost}] in projected meters
+ * @param {number} maxSeconds - Time budget
+ * @param {number} spacing - Distance between samples in meters
+ * @returns {Array} - Points as [x, y]
+ */
+const sampleReachableEdges = (edges, maxSeconds, spacing) => {
+  const points = [];
+  for (const edge of edges) {
+    if (edge.startCost > maxSeconds) continue;
+
+    // Cut edges that run out of time part way along
+    const fraction = edge.cost > 0 ? Math.min(1, (maxSeconds - edge.startCost) / edge.cost) : 1;
+    const dx = (edge.to[0] - edge.from[0]) * fraction;
+    const dy = (edge.to[1] - edge.from[1]) * fraction;
+    const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / spacing));
+
+    for (let step = 0; step <= steps; step++) {
+      points.push([edge.from[0] + (dx * step) / steps, edge.from[1] + (dy * step) / steps]);
+    }
+  }
+  return points;
+};
+
+/**
+ * Create a circle polygon, used when the location is off the road network
+ * @param {number} radius - Radius in meters
+ * @returns {Array} - Ring of [x, y] points (counter-clockwise, not closed)
+ */
+const createCircle = (radius) => {
+  return Array.from({ length: 48 }, (_, index) => {
+    const angle = (index / 48) * 2 * Math.PI;
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  });
+};
+
+/**
+ * Calculate isochrones around a location
+ * @param {Object} params - Parsed parameters from parseIsochroneParams
+ * @returns {Promise<Object>} - {center, mode, minutes, method, trafficLevel, departAt, isochrones: FeatureCollection}
+ *   with one (Multi)Polygon feature per time band, smallest first
+ */
+export const calculateIsochrones = async ({ lat, lng, mode, minutes, departAt = null }) => {
+  const center = { lat, lng };
+  const maxSeconds = Math.max(...minutes) * 60;
+  const network = await calculateReachableNetwork(center, ISOCHRONE_MODES[mode], maxSeconds, { departAt });
+  const projection = createProjection(center);
+
+  const edges = network.edges.map(edge => ({
+    ...edge,
+    from: projection.toXY(edge.from),
+    to: projection.toXY(edge.to)
+  }));
+
+  // One grid resolution for all bands, fine enough for the largest
+  const extent = edges.reduce((max, edge) => Math.max(max, Math.abs(edge.from[0]), Math.abs(edge.from[1]),
+    Math.abs(edge.to[0]), Math.abs(edge.to[1])), 0);
+  const cellSize = Math.max(MIN_CELL_SIZE[mode], (2 * extent) / MAX_GRID_CELLS);
+
+  const features = minutes.map(bandMinutes => {
+    const polygons = network.method === 'network'
+      ? traceConcaveHull(sampleReachableEdges(edges, bandMinutes * 60, cellSize / 2), cellSize, CLOSING_RADIUS[mode])
+      : [createCircle((network.estimateSpeed * bandMinutes * 60) / DETOUR_FACTOR)];
+
+    const area = polygons.reduce((total, ring) => total + calculateRingArea(ring), 0);
+    const coordinates = polygons.map(ring => {
+      const lngLat = ring.map(([x, y]) => projection.toLngLat(x, y).map(value => Math.round(value * 1e6) / 1e6));
+      return [[...lngLat, lngLat[0]]];
+    });
+
+    return {
+      type: 'Feature',
+      geometry: coordinates.length === 1
+        ? { type: 'Polygon', coordinates: coordinates[0] }
+        : { type: 'MultiPolygon', coordinates },
+      properties: {
+        mode,
+        minutes: bandMinutes,
+        areaKm2: Math.round(area / 10000) / 100,
+        method: network.method
+      }
+    };
+  });
+
+  return {
+    center,
+    mode,
+    minutes,
+    method: network.method,
+    trafficLevel: network.trafficLevel,
+    departAt: network.departAt,
+    isochrones: {
+      type: 'FeatureCollection',
+      features
+    }
+  };
+};
+
+export default {
+  parseIsochroneParams,
+  createProjection,
+  traceOutlines,
+  removeCollinearPoints,
+  smoothRing,
+  calculateRingArea,
+  calculateIsochrones
+};
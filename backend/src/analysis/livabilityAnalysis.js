@@ -1,178 +1,184 @@
 import { calculateHaversineDistance } from './customGeoAnalysis.js';
-import { getAmenities, getAmenitiesByCategory, getEducation, getParks, getRestaurants, getGroceryStores } from '../data/dataLoader.js';
+import { getAmenities, getAmenitiesByCategory, getEducation, getParks, getRestaurants, getGroceryStores, getSpatialIndex } from '../data/dataLoader.js';
 import { calculateWalkingTime, calculateDrivingTime } from './routingAnalysis.js';
+import { getParkShape, findParksWithinRadius, calculateGreenSpace, calculateGreenSpaceFactor } from './parkAnalysis.js';
+import { findDesignatedSchools, isSchoolAvailable, countSchoolsByLevel } from './schoolAnalysis.js';
+
+// Parks of at least this many hectares count as major parks
+const MAJOR_PARK_AREA = 10;
 
 /**
- * Calculate livability score for a location based on nearby amenities
- * @param {Object} coordinates - Location coordinates {lat, lng}
- * @returns {Object} - Livability score and details
+ * Collect the places for a livability category, merging the amenity data with the
+ * dedicated data set for that category and dropping duplicates
+ * @param {string} category - Livability category
+ * @returns {Array} - Places in the category
  */
-export const getLivabilityScore = (coordinates) => {
-  const { lat, lng } = coordinates;
+const getCategoryPlaces = (category) => {
+  let places = [];
 
-  // Categories to consider for livability (now includes grocery and restaurant)
-  const categories = [
-    'restaurant',
-    'entertainment',
-    'park',
-    'school',
-    'grocery'
-  ];
+  if (category === 'school') {
+    // For schools, combine regular amenities with education data
+    const schoolMap = new Map(); // To avoid duplicates
 
-  // Track scores for each category
-  const scores = {};
-  const categoryPlaces = {};
-
-  // Process each category
-  for (const category of categories) {
-    // Get places for this category
-    let places = [];
-
-    if (category === 'school') {
-      // For schools, combine regular amenities with education data
-      const schoolMap = new Map(); // To avoid duplicates
-
-      // Process regular schools first
-      const schoolAmenities = getAmenitiesByCategory('school');
-      for (const school of schoolAmenities) {
-        const key = `${school.name}-${school.address}`.toLowerCase();
-        if (!schoolMap.has(key)) {
-          schoolMap.set(key, school);
-        }
+    // Process regular schools first, then the education data, which replaces a duplicate
+    // amenity since it has the school's level and board
+    for (const school of [...getAmenitiesByCategory('school'), ...getEducation()]) {
+      const key = `${school.name}-${school.address}`.toLowerCase();
+      if (!schoolMap.has(key) || (school.level && !schoolMap.get(key).level)) {
+        schoolMap.set(key, school);
       }
+    }
 
-      // Add education data (avoiding duplicates)
-      const educationData = getEducation();
-      for (const school of educationData) {
-        const key = `${school.name}-${school.address}`.toLowerCase();
-        if (!schoolMap.has(key)) {
-          schoolMap.set(key, school);
-        }
-      }
+    // Convert map values to array
+    places = Array.from(schoolMap.values());
 
-      // Convert map values to array
-      places = Array.from(schoolMap.values());
+    const levels = countSchoolsByLevel(places);
+    console.log(`Found ${places.length} unique schools (${levels.postsecondary} colleges and universities, ${levels.secondary} secondary, ${levels.elementary} elementary)`);
 
-      // Categorize schools by type
-      const universities = places.filter(p =>
-        p.name.toLowerCase().includes('university') ||
-        p.name.toLowerCase().includes('college')
-      );
+  } else if (category === 'park') {
+    // For parks, combine regular amenities with parks data
+    // (avoiding duplicates, which would count a park's area twice, and keeping the one with a boundary)
+    const parkMap = new Map();
+    for (const park of [...getAmenitiesByCategory(category), ...getParks()]) {
+      const key = `${park.name}-${park.address}`.toLowerCase();
+      if (!parkMap.has(key) || (park.geometry && !parkMap.get(key).geometry)) {
+        parkMap.set(key, park);
+      }
+    }
+    places = Array.from(parkMap.values());
+  } else if (category === 'grocery') {
+    // For grocery stores, combine regular amenities with grocery store data
+    const groceryMap = new Map(); // To avoid duplicates
+
+    // Process regular grocery amenities
+    const groceryAmenities = getAmenitiesByCategory(category);
+    for (const store of groceryAmenities) {
+      const key = `${store.name}-${store.address}`.toLowerCase();
+      if (!groceryMap.has(key)) {
+        groceryMap.set(key, store);
+      }
+    }
 
-      const highSchools = places.filter(p =>
-        p.name.toLowerCase().includes('high school') ||
-        p.name.toLowerCase().includes('secondary')
-      );
+    // Add grocery stores data (avoiding duplicates)
+    const groceryData = getGroceryStores();
+    for (const store of groceryData) {
+      const key = `${store.name}-${store.address}`.toLowerCase();
+      if (!groceryMap.has(key)) {
+        groceryMap.set(key, store);
+      }
+    }
 
-      const privateSchools = places.filter(p =>
-        p.name.toLowerCase().includes('private') ||
-        p.name.toLowerCase().includes('montessori')
-      );
+    // Convert map values to array
+    places = Array.from(groceryMap.values());
+    console.log(`Found ${places.length} unique grocery stores`);
 
-      const elementarySchools = places.filter(p =>
-        p.name.toLowerCase().includes('elementary') ||
-        p.name.toLowerCase().includes('public school') ||
-        p.name.toLowerCase().includes('catholic school')
-      );
+  } else if (category === 'restaurant') {
+    // For restaurants, combine regular amenities with restaurant data
+    const restaurantMap = new Map(); // To avoid duplicates
 
-      console.log(`Found ${places.length} unique schools (${universities.length} universities, ${highSchools.length} high schools, ${elementarySchools.length} elementary)`);
-
-    } else if (category === 'park') {
-      // For parks, combine regular amenities with parks data
-      places = [...getAmenitiesByCategory(category), ...getParks()];
-    } else if (category === 'grocery') {
-      // For grocery stores, combine regular amenities with grocery store data
-      const groceryMap = new Map(); // To avoid duplicates
-
-      // Process regular grocery amenities
-      const groceryAmenities = getAmenitiesByCategory(category);
-      for (const store of groceryAmenities) {
-        const key = `${store.name}-${store.address}`.toLowerCase();
-        if (!groceryMap.has(key)) {
-          groceryMap.set(key, store);
-        }
+    // Process regular restaurant amenities
+    const restaurantAmenities = getAmenitiesByCategory(category);
+    for (const restaurant of restaurantAmenities) {
+      const key = `${restaurant.name}-${restaurant.address}`.toLowerCase();
+      if (!restaurantMap.has(key)) {
+        restaurantMap.set(key, restaurant);
       }
+    }
 
-      // Add grocery stores data (avoiding duplicates)
-      const groceryData = getGroceryStores();
-      for (const store of groceryData) {
-        const key = `${store.name}-${store.address}`.toLowerCase();
-        if (!groceryMap.has(key)) {
-          groceryMap.set(key, store);
-        }
+    // Add restaurant data (avoiding duplicates)
+    const restaurantData = getRestaurants();
+    for (const restaurant of restaurantData) {
+      const key = `${restaurant.name}-${restaurant.address}`.toLowerCase();
+      if (!restaurantMap.has(key)) {
+        restaurantMap.set(key, restaurant);
       }
+    }
 
-      // Convert map values to array
-      places = Array.from(groceryMap.values());
-      console.log(`Found ${places.length} unique grocery stores`);
+    // Convert map values to array
+    places = Array.from(restaurantMap.values());
+    console.log(`Found ${places.length} unique restaurants`);
 
-    } else if (category === 'restaurant') {
-      // For restaurants, combine regular amenities with restaurant data
-      const restaurantMap = new Map(); // To avoid duplicates
+  } else {
+    places = getAmenitiesByCategory(category);
+  }
 
-      // Process regular restaurant amenities
-      const restaurantAmenities = getAmenitiesByCategory(category);
-      for (const restaurant of restaurantAmenities) {
-        const key = `${restaurant.name}-${restaurant.address}`.toLowerCase();
-        if (!restaurantMap.has(key)) {
-          restaurantMap.set(key, restaurant);
-        }
-      }
+  return places;
+};
 
-      // Add restaurant data (avoiding duplicates)
-      const restaurantData = getRestaurants();
-      for (const restaurant of restaurantData) {
-        const key = `${restaurant.name}-${restaurant.address}`.toLowerCase();
-        if (!restaurantMap.has(key)) {
-          restaurantMap.set(key, restaurant);
-        }
-      }
+/**
+ * Get where travel times to a place are measured to
+ * Parks are reached at their nearest boundary point, other places at their location
+ * @param {Object} place - Place with lat and lng, and accessPoint for parks
+ * @returns {Object} - Destination {lat, lng}
+ */
+const getDestination = (place) => place.accessPoint || { lat: parseFloat(place.lat), lng: parseFloat(place.lng) };
+
+/**
+ * Calculate livability score for a location based on nearby amenities
+ * @param {Object} coordinates - Location coordinates {lat, lng}
+ * @param {Object} options - Scoring options
+ * @param {boolean} options.scoreOnly - Only work out the travel times the score depends on (the walk to
+ *   the nearest place of each category and to each park); the other places get null times
+ * @returns {Object} - Livability score and details
+ */
+export const getLivabilityScore = (coordinates, { scoreOnly = false } = {}) => {
+  const { lat, lng } = coordinates;
 
-      // Convert map values to array
-      places = Array.from(restaurantMap.values());
-      console.log(`Found ${places.length} unique restaurants`);
+  // Categories to consider for livability (now includes grocery and restaurant)
+  const categories = [
+    'restaurant',
+    'entertainment',
+    'park',
+    'school',
+    'grocery'
+  ];
 
-    } else {
-      places = getAmenitiesByCategory(category);
-    }
+  // Track scores for each category
+  const scores = {};
+  const categoryPlaces = {};
+  let greenSpace = null;
 
-    // First, calculate direct distance to each place using the faster Haversine formula
-    const placesWithDirectDistance = places.map(place => {
-      try {
-        const distance = calculateHaversineDistance(
-          coordinates,
-          { lat: place.lat, lng: place.lng }
-        );
+  // Schools the location is designated to by the boards' catchments
+  const designatedSchools = findDesignatedSchools(coordinates);
 
-        return {
-          ...place,
-          distance: Math.round(distance)  // Round to nearest meter
-        };
-      } catch (error) {
-        console.error(`Error calculating distance to ${category} place:`, error);
-        return {
-          ...place,
-          distance: Infinity
-        };
-      }
-    });
+  // Process each category
+  for (const category of categories) {
+    // Nearby places for this category, from a spatial index built once per data load
+    const placesIndex = getSpatialIndex(`livability:${category}`, () => getCategoryPlaces(category));
+
+    // Direct distance to each place within the 5km consideration radius, nearest first
+    // (for parks, the distance to the nearest boundary point along with the park's area)
+    const placesWithDirectDistance = (category === 'park'
+      ? findParksWithinRadius(placesIndex, coordinates, 5000)
+      : placesIndex.withinRadius(coordinates, 5000))
+      .map(({ item, distance, ...measurements }) => ({
+        ...item,
+        ...measurements,
+        distance: Math.round(distance)  // Round to nearest meter
+      }))
+      // Board schools only count for the addresses in their catchment
+      .filter(place => category !== 'school' || isSchoolAvailable(place, designatedSchools));
 
     // Filter places within 3km (reasonable walking/consideration distance)
     const nearbyPlaces = placesWithDirectDistance.filter(place => place.distance <= 3000);
 
     // Calculate walking and driving time for nearby places
-    const placesWithDistance = nearbyPlaces.map(place => {
+    const placesWithDistance = nearbyPlaces.map((place, index) => {
+      if (scoreOnly && index > 0 && category !== 'park') {
+        return { ...place, walkingTime: null, drivingTime: null };
+      }
+
       try {
         // Calculate walking time for places we've already determined are nearby
         const walkingTime = calculateWalkingTime(
           coordinates,
-          { lat: parseFloat(place.lat), lng: parseFloat(place.lng) }
+          getDestination(place)
         );
 
         // Calculate driving time for all places
-        const drivingTime = calculateDrivingTime(
+        const drivingTime = scoreOnly ? null : calculateDrivingTime(
           coordinates,
-          { lat: parseFloat(place.lat), lng: parseFloat(place.lng) }
+          getDestination(place)
         );
 
         return {
@@ -195,11 +201,15 @@ export const getLivabilityScore = (coordinates) => {
     const farPlaces = placesWithDirectDistance.filter(place =>
       place.distance > 3000 && place.distance <= 5000 // Consideration radius for livability (5km)
     ).map(place => {
+      if (scoreOnly) {
+        return { ...place, walkingTime: null, drivingTime: null };
+      }
+
       try {
         // Calculate driving time for farther places
         const drivingTime = calculateDrivingTime(
           coordinates,
-          { lat: parseFloat(place.lat), lng: parseFloat(place.lng) }
+          getDestination(place)
         );
 
         return {
@@ -227,6 +237,9 @@ export const getLivabilityScore = (coordinates) => {
     const placesWithinScoreRadius = allRelevantPlaces.filter(p => p.distance <= 2000);
 
     let score = 0;
+    if (category === 'park') {
+      greenSpace = calculateGreenSpace(placesWithDistance);
+    }
     if (placesWithinScoreRadius.length > 0) {
       // Base score on number of places within 2km and distance to nearest
       const nearest = placesWithinScoreRadius[0];
@@ -285,10 +298,8 @@ export const getLivabilityScore = (coordinates) => {
         else if (nearbyPlaces.length >= 2) quantityFactor = 0.7;
         else quantityFactor = 0.6;
       } else if (category === 'park') {
-        if (nearbyPlaces.length >= 5) quantityFactor = 1.0;
-        else if (nearbyPlaces.length >= 3) quantityFactor = 0.9;
-        else if (nearbyPlaces.length >= 2) quantityFactor = 0.8;
-        else quantityFactor = 0.7;
+        // Hectares of park within walking distance rather than the number of parks
+        quantityFactor = calculateGreenSpaceFactor(greenSpace.hectares);
       } else if (category === 'school') {
         if (nearbyPlaces.length >= 5) quantityFactor = 1.0;
         else if (nearbyPlaces.length >= 3) quantityFactor = 0.9;
@@ -351,7 +362,9 @@ export const getLivabilityScore = (coordinates) => {
     score: overallScore,
     categoryScores: scores,
     places: categoryPlaces,
-    closestPlaces: closestPlaces
+    closestPlaces: closestPlaces,
+    greenSpace,
+    designatedSchools
   };
 };
 
@@ -543,6 +556,8 @@ const calculateCategoryScore = (places, optimalDistance) => {
 
 /**
  * Calculate park score with special consideration for different park types and sizes
+ * Parks are sized by their boundary (or area column) and the score rewards park hectares within
+ * walking distance
  * @param {Array} places - Array of park places
  * @param {number} optimalDistance - Optimal distance in meters
  * @returns {Object} - Score and details
@@ -558,36 +573,23 @@ const calculateParkScore = (places, optimalDistance) => {
       details: {
         majorParks: 0,
         neighborhoodParks: 0,
-        totalArea: 0
+        totalArea: 0,
+        accessibleArea: 0
       }
     };
   }
 
-  // Group parks by type based on rating (higher ratings typically for major parks)
-  const majorParks = places.filter(p => parseFloat(p.rating) >= 4.5);
-  const neighborhoodParks = places.filter(p => parseFloat(p.rating) < 4.5);
+  // Group parks by size, from their boundary or area column
+  const parksWithArea = places.map(p => ({ ...p, area: getParkShape(p).area }));
+  const majorParks = parksWithArea.filter(p => p.area >= MAJOR_PARK_AREA);
+  const neighborhoodParks = parksWithArea.filter(p => p.area < MAJOR_PARK_AREA);
 
   // Calculate base score using standard method
   const baseScore = calculateCategoryScore(places, optimalDistance);
 
-  // Apply bonus for closest major park (if any)
-  let parkBonus = 0;
-  if (majorParks.length > 0) {
-    // Sort major parks by distance
-    const sortedMajorParks = [...majorParks].sort((a, b) => a.distance - b.distance);
-    const closestMajorPark = sortedMajorParks[0];
-
-    // Bonus for having a major park nearby
-    if (closestMajorPark.distance <= 500) {
-      parkBonus += 20; // Major bonus for very close major parks
-    } else if (closestMajorPark.distance <= 1000) {
-      parkBonus += 15;
-    } else if (closestMajorPark.distance <= 2000) {
-      parkBonus += 10;
-    } else {
-      parkBonus += 5;
-    }
-  }
+  // Apply bonus for the green space within walking distance
+  const greenSpace = calculateGreenSpace(parksWithArea);
+  let parkBonus = Math.round((calculateGreenSpaceFactor(greenSpace.hectares) - 0.5) * 50);
 
   // Bonus for variety and number of parks
   if (places.length >= 5) parkBonus += 10;
@@ -605,7 +607,8 @@ const calculateParkScore = (places, optimalDistance) => {
     details: {
       majorParks: majorParks.length,
       neighborhoodParks: neighborhoodParks.length,
-      totalArea: places.length * 5 // Rough estimation of total park area
+      totalArea: Math.round(parksWithArea.reduce((sum, p) => sum + p.area, 0) * 100) / 100,
+      accessibleArea: greenSpace.hectares
     }
   };
 };
@@ -633,42 +636,11 @@ const calculateEducationScore = (places, optimalDistance) => {
     };
   }
 
-  // Group schools by type based on name patterns
-  const universities = places.filter(p =>
-    (p.name || '').toLowerCase().includes('university') ||
-    (p.name || '').toLowerCase().includes('college') ||
-    (p.name || '').toLowerCase().includes('collège') ||
-    (p.name || '').toLowerCase().includes('campus') ||
-    (p.name || '').toLowerCase().includes('polytechnique')
-  );
-
-  const highSchools = places.filter(p =>
-    (p.name || '').toLowerCase().includes('high school') ||
-    (p.name || '').toLowerCase().includes('secondary') ||
-    (p.name || '').toLowerCase().includes('école secondaire') ||
-    (p.name || '').toLowerCase().includes('collegiate') ||
-    (p.name || '').toLowerCase().includes('high') ||
-    (p.name || '').toLowerCase().includes('middle school')
-  );
-
-  const privateSchools = places.filter(p =>
-    (p.name || '').toLowerCase().includes('private') ||
-    (p.name || '').toLowerCase().includes('academy') ||
-    (p.name || '').toLowerCase().includes('montessori') ||
-    (p.name || '').toLowerCase().includes('ashbury') ||
-    (p.name || '').toLowerCase().includes('elmwood')
-  );
-
-  // Elementary schools are those not in other categories, or explicitly named elementary schools
-  const elementarySchools = places.filter(p =>
-    ((p.name || '').toLowerCase().includes('elementary') ||
-     (p.name || '').toLowerCase().includes('primary') ||
-     (p.name || '').toLowerCase().includes('école élémentaire') ||
-     (p.name || '').toLowerCase().includes('public school')) ||
-    (!universities.includes(p) &&
-     !highSchools.includes(p) &&
-     !privateSchools.includes(p))
-  );
+  // Group schools by their level and board columns
+  const universities = places.filter(p => p.level === 'postsecondary');
+  const highSchools = places.filter(p => p.level === 'secondary');
+  const elementarySchools = places.filter(p => p.level === 'elementary');
+  const privateSchools = places.filter(p => String(p.board || '').toLowerCase() === 'private');
 
   // Calculate base score using standard method
   const baseScore = calculateCategoryScore(places, optimalDistance);
@@ -1,9 +1,15 @@
-import { calculateHaversineDistance } from './customGeoAnalysis.js';
+import { findNearestRoad } from './customGeoAnalysis.js';
 import { getMainRoads } from '../data/dataLoader.js';
 import { calculateWalkingTime } from './routingAnalysis.js';
-
-// Constants for transit stations in Ottawa
-const TRANSIT_STATIONS = [
+import { createSpatialIndex } from '../data/spatialIndex.js';
+import { getGtfsFeed, combineFrequencies, roundFrequencies } from '../data/gtfsLoader.js';
+import { loadTransitTimetable, planTransitJourney } from './transitRouting.js';
+import { getReferenceTimes } from './trafficProfile.js';
+import { getCommuteDestination } from './trafficAnalysis.js';
+import { createRegionState, getActiveRegion } from '../data/regionPacks.js';
+
+// Sample O-Train Line 1 stations, used until a GTFS feed is loaded (in regions with sampleTransit)
+const SAMPLE_TRANSIT_STATIONS = [
   { name: "Blair", id: "3021", lat: 45.4311, lng: -75.6002 },
   { name: "Cyrville", id: "3022", lat: 45.4208, lng: -75.6286 },
   { name: "St. Laurent", id: "3023", lat: 45.4192, lng: -75.6393 },
@@ -17,10 +23,10 @@ const TRANSIT_STATIONS = [
   { name: "Pimisi", id: "3052", lat: 45.4142, lng: -75.7142 },
   { name: "Bayview", id: "3053", lat: 45.4108, lng: -75.7212 },
   { name: "Tunney's Pasture", id: "3054", lat: 45.4034, lng: -75.7356 }
-];
+].map(station => ({ ...station, mode: 'lrt', modes: ['lrt'], routes: ['1'] }));
 
-// Sample bus stop data
-const BUS_STOPS = [
+// Sample bus stop data, used until a GTFS feed is loaded (in regions with sampleTransit)
+const SAMPLE_BUS_STOPS = [
   { id: "1001", lat: 45.4287, lng: -75.6932, routes: ["6", "7", "12"] },
   { id: "1002", lat: 45.4179, lng: -75.7014, routes: ["2", "14"] },
   { id: "1003", lat: 45.4125, lng: -75.6650, routes: ["5", "18", "19"] },
@@ -33,6 +39,62 @@ const BUS_STOPS = [
   { id: "1010", lat: 45.4365, lng: -75.7072, routes: ["8", "15"] }
 ];
 
+// Walking distances (meters) within which stops count towards the service available
+const STATION_WALK_RADIUS = 800;
+const BUS_STOP_WALK_RADIUS = 400;
+
+// Time bands that make up typical daytime service
+const DAYTIME_BANDS = ['amPeak', 'midday', 'pmPeak'];
+
+// Weights of the transit score parts when schedule data is available
+const TRANSIT_SCORE_WEIGHTS = {
+  distance: 0.4,
+  headway: 0.4,
+  routes: 0.2
+};
+
+// Weights of the mobility score parts; with a transit timetable, the door-to-door
+// transit time to downtown takes part of the station and bus stop weight
+const MOBILITY_WEIGHTS = {
+  transitStation: 0.45,
+  busStop: 0.35,
+  roadAccess: 0.2
+};
+const MOBILITY_WEIGHTS_WITH_TIMETABLE = {
+  transitStation: 0.3,
+  busStop: 0.25,
+  downtownTransit: 0.25,
+  roadAccess: 0.2
+};
+
+// Spatial indexes over each region's transit infrastructure, replaced once its GTFS feed is loaded
+const transitState = createRegionState(() => {
+  const { sampleTransit } = getActiveRegion();
+  return {
+    transitStationIndex: createSpatialIndex(sampleTransit ? SAMPLE_TRANSIT_STATIONS : []),
+    busStopIndex: createSpatialIndex(sampleTransit ? SAMPLE_BUS_STOPS : [])
+  };
+});
+
+/**
+ * Load transit stations and bus stops from the GTFS feed
+ * Keeps the sample data (in regions that have it) if there is no feed
+ * @returns {Promise<boolean>} - True if GTFS data is in use
+ */
+export async function loadTransitData() {
+  const feed = await getGtfsFeed();
+  if (!feed) {
+    return false;
+  }
+
+  transitState().transitStationIndex = createSpatialIndex(feed.stations);
+  transitState().busStopIndex = createSpatialIndex(feed.busStops);
+  console.log(`Using GTFS transit data: ${feed.stations.length} stations, ${feed.busStops.length} bus stops`);
+
+  await loadTransitTimetable();
+  return true;
+}
+
 /**
  * Calculate the distance to the nearest transit station from a given location
  * @param {number} lat - Latitude
@@ -40,23 +102,11 @@ const BUS_STOPS = [
  * @returns {Object} - Distance in meters and details of the nearest station
  */
 function calculateDistanceToNearestTransitStation(lat, lng) {
-  let closestDistance = Infinity;
-  let closestStation = null;
-
-  for (const station of TRANSIT_STATIONS) {
-    const distance = calculateHaversineDistance(
-      { lat, lng },
-      { lat: station.lat, lng: station.lng }
-    );
-    if (distance < closestDistance) {
-      closestDistance = distance;
-      closestStation = station;
-    }
-  }
+  const [nearest] = transitState().transitStationIndex.nearest({ lat, lng });
 
   return {
-    distance: closestDistance,
-    station: closestStation
+    distance: nearest ? nearest.distance : Infinity,
+    station: nearest ? nearest.item : null
   };
 }
 
@@ -67,75 +117,112 @@ function calculateDistanceToNearestTransitStation(lat, lng) {
  * @returns {Object} - Distance in meters and details of the nearest bus stop
  */
 function calculateDistanceToNearestBusStop(lat, lng) {
-  let closestDistance = Infinity;
-  let closestBusStop = null;
-
-  for (const busStop of BUS_STOPS) {
-    const distance = calculateHaversineDistance(
-      { lat, lng },
-      { lat: busStop.lat, lng: busStop.lng }
-    );
-    if (distance < closestDistance) {
-      closestDistance = distance;
-      closestBusStop = busStop;
-    }
-  }
+  const [nearest] = transitState().busStopIndex.nearest({ lat, lng });
 
   return {
-    distance: closestDistance,
-    busStop: closestBusStop
+    distance: nearest ? nearest.distance : Infinity,
+    busStop: nearest ? nearest.item : null
   };
 }
 
 /**
- * Calculate distance from a point to a line segment (road)
- * @param {number} x - Point x (longitude)
- * @param {number} y - Point y (latitude)
- * @param {number} x1 - Line segment start x
- * @param {number} y1 - Line segment start y
- * @param {number} x2 - Line segment end x
- * @param {number} y2 - Line segment end y
- * @returns {number} - Distance in meters
+ * Summarize the transit service within walking distance of a location
+ * Each route counts once, at its most frequent nearby stop, and the frequencies of the
+ * distinct routes are added together; with no stop in walking distance there is no service
+ * @param {SpatialIndex} index - Stations or bus stops
+ * @param {Object} location - Location {lat, lng}
+ * @param {number} radius - Walking radius in meters
+ * @returns {Object|null} - {walkRadius, stopCount, routes, headway, frequencies}, or null without schedule data
  */
-function calculateDistanceToLineSegment(x, y, x1, y1, x2, y2) {
-  const A = x - x1;
-  const B = y - y1;
-  const C = x2 - x1;
-  const D = y2 - y1;
-
-  const dot = A * C + B * D;
-  const len_sq = C * C + D * D;
-  let param = -1;
-
-  if (len_sq !== 0) {
-    param = dot / len_sq;
+function summarizeTransitService(index, location, radius) {
+  const nearby = index.withinRadius(location, radius).map(result => result.item);
+
+  // Only the nearest stop tells whether the feed has schedule data when none is in range
+  const sample = nearby.length > 0 ? nearby : index.nearest(location).map(result => result.item);
+  if (sample.length === 0 || !sample.every(stop => stop.frequencies)) {
+    return null;
   }
 
-  let xx, yy;
-
-  if (param < 0) {
-    xx = x1;
-    yy = y1;
-  } else if (param > 1) {
-    xx = x2;
-    yy = y2;
-  } else {
-    xx = x1 + param * C;
-    yy = y1 + param * D;
+  const routeFrequencies = new Map();
+  for (const stop of nearby) {
+    for (const [route, frequencies] of Object.entries(stop.routeFrequencies)) {
+      const existing = routeFrequencies.get(route);
+      routeFrequencies.set(route, existing ? combineFrequencies([existing, frequencies], Math.max) : frequencies);
+    }
   }
 
-  const dx = x - xx;
-  const dy = y - yy;
+  const frequencies = combineFrequencies(Array.from(routeFrequencies.values()), (a, b) => a + b);
+
+  // Typical daytime trips per hour over the week: five weekdays and two weekend days
+  const daytime = (bands) => DAYTIME_BANDS.reduce((total, band) => total + bands[band], 0) / DAYTIME_BANDS.length;
+  const tripsPerHour = (daytime(frequencies.weekday) * 5 + daytime(frequencies.weekend) * 2) / 7;
 
-  // Convert to meters using Haversine
-  return calculateHaversineDistance(
-    { lat: y, lng: x },
-    { lat: yy, lng: xx }
+  return {
+    walkRadius: radius,
+    stopCount: nearby.length,
+    routes: Array.from(routeFrequencies.keys()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    headway: tripsPerHour > 0 ? Math.round(60 / tripsPerHour) : null,
+    frequencies: roundFrequencies(frequencies)
+  };
+}
+
+/**
+ * Score transit access from the distance to the nearest stop and, with schedule data,
+ * how often service comes and how many routes are within walking distance
+ * @param {number} distanceScore - Score for the distance to the nearest stop
+ * @param {Object|null} service - Service summary from summarizeTransitService
+ * @returns {number} - Score from 0 to 100
+ */
+function scoreTransitService(distanceScore, service) {
+  if (!service) {
+    return distanceScore;
+  }
+
+  // Headway score (max score of 100 every 5 minutes or better, min score of 20 hourly or worse,
+  // 0 with no route in walking distance)
+  const { headway } = service;
+  const routeCount = service.routes.length;
+  const headwayScore = routeCount === 0 ? 0 :
+                       headway === null || headway >= 60 ? 20 :
+                       headway <= 5 ? 100 :
+                       Math.round(100 - ((headway - 5) / 55) * 80);
+
+  // Route score (40 for a single route, up to 100 with six or more)
+  const routeScore = routeCount === 0 ? 0 : Math.min(100, 40 + (routeCount - 1) * 12);
+
+  return Math.round(
+    (distanceScore * TRANSIT_SCORE_WEIGHTS.distance) +
+    (headwayScore * TRANSIT_SCORE_WEIGHTS.headway) +
+    (routeScore * TRANSIT_SCORE_WEIGHTS.routes)
   );
 }
 
+/**
+ * Plan the transit commute downtown at the morning rush hour
+ * @param {Object} location - Location {lat, lng}
+ * @returns {Object|null} - Journey summary {destination, departAt, minutes, transfers, walkOnly}, or null without a timetable
+ */
+function calculateDowntownTransitTime(location) {
+  const destination = getCommuteDestination();
+  const journey = planTransitJourney(location, destination, { departAt: getReferenceTimes().rushHour });
+  if (!journey) {
+    return null;
+  }
+
+  return {
+    destination: destination.name,
+    departAt: journey.departAt,
+    minutes: journey.totalMinutes,
+    walkingMinutes: journey.walkingMinutes,
+    waitingMinutes: journey.waitingMinutes,
+    transfers: journey.transfers,
+    walkOnly: journey.walkOnly
+  };
+}
+
 /**
  * Calculate the distance to the nearest main road from a given location
+ * Distances are geodesic, to each road's full polyline
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @returns {Object} - Distance in meters and details of the nearest road
@@ -153,42 +240,7 @@ function calculateDistanceToNearestMainRoad(lat, lng) {
 
   console.log(`Evaluating distance to ${mainRoads.length} main roads`);
 
-  let closestDistance = Infinity;
-  let closestRoad = null;
-
-  for (const road of mainRoads) {
-    try {
-      let distance;
-
-      // Check if road has start and end coordinates (line segment)
-      if (road.start_lat && road.start_lng && road.end_lat && road.end_lng) {
-        // Calculate distance to road segment
-        distance = calculateDistanceToLineSegment(
-          lng, lat,
-          parseFloat(road.start_lng), parseFloat(road.start_lat),
-          parseFloat(road.end_lng), parseFloat(road.end_lat)
-        );
-      }
-      // Check if road has single point coordinates
-      else if (road.lat && road.lng) {
-        // Calculate direct distance to the road point
-        distance = calculateHaversineDistance(
-          { lat, lng },
-          { lat: parseFloat(road.lat), lng: parseFloat(road.lng) }
-        );
-      } else {
-        console.warn(`Road ${road.name} has invalid coordinates`);
-        continue;
-      }
-
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestRoad = road;
-      }
-    } catch (error) {
-      console.error(`Error calculating distance to road ${road.name}:`, error);
-    }
-  }
+  const { distance: closestDistance, road: closestRoad } = findNearestRoad({ lat, lng }, mainRoads);
 
   if (!closestRoad) {
     console.warn('No valid road found');
@@ -225,27 +277,45 @@ export function calculateMobilityScore(location) {
 
   // Calculate individual scores
 
-  // Transit station score (max score of 100 if within 300m, min score of 20 if beyond 2000m)
-  const transitStationScore = transitStationDistance <= 300 ? 100 :
-                             transitStationDistance >= 2000 ? 20 :
-                             Math.round(100 - ((transitStationDistance - 300) / 1700) * 80);
+  // Transit station distance score (max score of 100 if within 300m, min score of 20 if beyond 2000m)
+  const transitStationDistanceScore = transitStationDistance <= 300 ? 100 :
+                                      transitStationDistance >= 2000 ? 20 :
+                                      Math.round(100 - ((transitStationDistance - 300) / 1700) * 80);
+
+  // Bus stop distance score (max score of 100 if within 150m, min score of 20 if beyond 1000m)
+  const busStopDistanceScore = busStopDistance <= 150 ? 100 :
+                               busStopDistance >= 1000 ? 20 :
+                               Math.round(100 - ((busStopDistance - 150) / 850) * 80);
+
+  // With GTFS schedules, also account for headways and the routes within walking distance
+  const transitService = {
+    station: summarizeTransitService(transitState().transitStationIndex, location, STATION_WALK_RADIUS),
+    busStop: summarizeTransitService(transitState().busStopIndex, location, BUS_STOP_WALK_RADIUS)
+  };
 
-  // Bus stop score (max score of 100 if within 150m, min score of 20 if beyond 1000m)
-  const busStopScore = busStopDistance <= 150 ? 100 :
-                      busStopDistance >= 1000 ? 20 :
-                      Math.round(100 - ((busStopDistance - 150) / 850) * 80);
+  const transitStationScore = scoreTransitService(transitStationDistanceScore, transitService.station);
+  const busStopScore = scoreTransitService(busStopDistanceScore, transitService.busStop);
 
   // Road access score (max score of 100 if within 200m, min score of 20 if beyond 1500m)
   const roadAccessScore = roadDistance <= 200 ? 100 :
                          roadDistance >= 1500 ? 20 :
                          Math.round(100 - ((roadDistance - 200) / 1300) * 80);
 
+  // Door-to-door transit time downtown (max score of 100 within 20 minutes, min score of 20 beyond 80 minutes)
+  const transitTimeToDowntown = calculateDowntownTransitTime(location);
+  const downtownTransitScore = !transitTimeToDowntown ? null :
+                               transitTimeToDowntown.minutes <= 20 ? 100 :
+                               transitTimeToDowntown.minutes >= 80 ? 20 :
+                               Math.round(100 - ((transitTimeToDowntown.minutes - 20) / 60) * 80);
+
   // Calculate overall mobility score (weighted average)
   // Transit stations have highest weight, followed by bus stops and road access
+  const weights = downtownTransitScore === null ? MOBILITY_WEIGHTS : MOBILITY_WEIGHTS_WITH_TIMETABLE;
   const overallMobilityScore = Math.round(
-    (transitStationScore * 0.45) +
-    (busStopScore * 0.35) +
-    (roadAccessScore * 0.2)
+    (transitStationScore * weights.transitStation) +
+    (busStopScore * weights.busStop) +
+    (downtownTransitScore === null ? 0 : downtownTransitScore * weights.downtownTransit) +
+    (roadAccessScore * weights.roadAccess)
   );
 
   // Calculate walking times using the new routing algorithm, but only for nearby locations
@@ -272,6 +342,9 @@ export function calculateMobilityScore(location) {
   const nearestTransitStation = nearestStation ? {
     name: nearestStation.name,
     id: nearestStation.id,
+    mode: nearestStation.mode,
+    routes: nearestStation.routes,
+    frequencies: nearestStation.frequencies ? roundFrequencies(nearestStation.frequencies) : undefined,
     distance: transitStationDistance,
     walkingTime: walkingTimeToStation
   } : null;
@@ -279,8 +352,10 @@ export function calculateMobilityScore(location) {
   // Prepare the bus stop result format
   const nearestBusStopResult = nearestBusStop ? {
     id: nearestBusStop.id,
+    name: nearestBusStop.name,
     distance: busStopDistance,
     routes: nearestBusStop.routes,
+    frequencies: nearestBusStop.frequencies ? roundFrequencies(nearestBusStop.frequencies) : undefined,
     walkingTime: walkingTimeToBusStop
   } : null;
 
@@ -296,18 +371,27 @@ export function calculateMobilityScore(location) {
     transitStationScore,
     busStopScore,
     roadAccessScore,
+    downtownTransitScore,
+    transitTimeToDowntown,
     nearestTransitStation,
     nearestBusStop: nearestBusStopResult,
-    nearestMainRoad
+    nearestMainRoad,
+    transitService
   };
 }
 
 /**
- * Initialize the road network graph
+ * Initialize the transit data and road network graph
  * This should be called when the application starts
  */
 export async function initializeMobilityAnalysis() {
   console.log('Initializing mobility analysis and road network graph...');
+  try {
+    await loadTransitData();
+  } catch (err) {
+    console.error('Error loading transit data:', err);
+  }
+
   try {
     // Import and initialize the road graph
     const routingModule = await import('./routingAnalysis.js');
@@ -320,5 +404,6 @@ export async function initializeMobilityAnalysis() {
 
 export default {
   calculateMobilityScore,
-  initializeMobilityAnalysis
+  initializeMobilityAnalysis,
+  loadTransitData
 };
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * Park analysis
+ * Parks with a boundary (a GeoJSON Polygon or MultiPolygon from OSM or a POI source file) are
+ * measured by their real area and reached at their nearest boundary point; parks known only as a
+ * point use their `area` column (hectares) or DEFAULT_PARK_AREA and are reached at that point.
+ * Green space is the number of park hectares within walking distance of a location; only the part
+ * of a large park within GREEN_SPACE_WALKING_DISTANCE counts.
+ */
+
+import { calculateHaversineDistance, calculatePolygonArea, findClosestPointOnPolygon, isPointInPolygon } from './customGeoAnalysis.js';
+import { createSpatialIndex } from '../data/spatialIndex.js';
+
+// Parks within this distance (or walk) count as green space for a location: about a 10 minute walk
+export const GREEN_SPACE_WALKING_DISTANCE = 800;
+export const GREEN_SPACE_WALKING_MINUTES = 10;
+
+// Area in hectares assumed for point parks without an area, about a neighbourhood park
+const DEFAULT_PARK_AREA = 1;
+
+const SQUARE_METERS_PER_HECTARE = 10000;
+const METERS_PER_DEGREE = 111320;
+
+// Parks whose boundary reaches further than this from their point (the Greenbelt, Gatineau Park)
+// are found by points sampled along their boundary, at most BOUNDARY_SAMPLE_SPACING apart,
+// rather than by widening every search to their size
+const LARGE_PARK_REACH = 1000;
+const BOUNDARY_SAMPLE_SPACING = 200;
+
+// Sides of the polygon standing in for the walking circle when clipping a park to it
+const WALKING_CIRCLE_SIDES = 64;
+
+// Shapes are worked out once per park record
+const parkShapes = new WeakMap();
+
+// How the parks of a spatial index are searched, worked out once per index
+const indexSearches = new WeakMap();
+
+/**
+ * Read the polygons of a park's geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} - Polygons, each an array of rings of points with lat and lng
+ */
+const readPolygons = (geometry) => {
+  const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+      : [];
+  return polygons
+    .map(rings => (rings || []).map(ring => ring.map(([lng, lat]) => ({ lat, lng }))))
+    .filter(rings => rings.length > 0 && rings[0].length >= 3);
+};
+
+/**
+ * Get the shape of a park
+ * @param {Object} park - Park record (lat, lng, optional geometry and area)
+ * @returns {Object} - {polygons, area (hectares), hasBoundary, reach (meters from the park's point to its furthest vertex)}
+ */
+export const getParkShape = (park) => {
+  if (parkShapes.has(park)) {
+    return parkShapes.get(park);
+  }
+
+  const polygons = readPolygons(park.geometry);
+  let shape;
+  if (polygons.length > 0) {
+    // Outer rings minus their holes
+    const squareMeters = polygons.reduce((sum, [outer, ...holes]) =>
+      sum + calculatePolygonArea(outer) - holes.reduce((holeSum, hole) => holeSum + calculatePolygonArea(hole), 0), 0);
+    const location = { lat: parseFloat(park.lat), lng: parseFloat(park.lng) };
+    shape = {
+      polygons,
+      area: Math.max(squareMeters, 0) / SQUARE_METERS_PER_HECTARE,
+      hasBoundary: true,
+      reach: polygons.reduce((reach, [outer]) =>
+        outer.reduce((ringReach, point) => Math.max(ringReach, calculateHaversineDistance(location, point)), reach), 0)
+    };
+  } else {
+    const area = parseFloat(park.area);
+    shape = {
+      polygons: [],
+      area: Number.isFinite(area) && area > 0 ? area : DEFAULT_PARK_AREA,
+      hasBoundary: false,
+      reach: 0
+    };
+  }
+
+  parkShapes.set(park, shape);
+  return shape;
+};
+
+/**
+ * Clip a ring to a convex polygon (Sutherland-Hodgman)
+ * @param {Array} ring - Ring of [x, y] points
+ * @param {Array} clip - Convex polygon of [x, y] points, counter-clockwise
+ * @returns {Array} - Part of the ring inside the polygon
+ */
+const clipRing = (ring, clip) => {
+  let output = ring;
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const [ax, ay] = clip[i];
+    const [bx, by] = clip[(i + 1) % clip.length];
+    const side = ([x, y]) => (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      const currentSide = side(current);
+      const previousSide = side(previous);
+      if ((currentSide >= 0) !== (previousSide >= 0)) {
+        const t = previousSide / (previousSide - currentSide);
+        output.push([previous[0] + t * (current[0] - previous[0]), previous[1] + t * (current[1] - previous[1])]);
+      }
+      if (currentSide >= 0) {
+        output.push(current);
+      }
+    }
+  }
+  return output;
+};
+
+/**
+ * Area of a ring of [x, y] points (shoelace formula)
+ * @param {Array} ring - Ring of [x, y] points in meters
+ * @returns {number} - Area in square meters
+ */
+const calculateRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return Math.abs(area) / 2;
+};
+
+/**
+ * Work out how much of a park lies within a radius of a location
+ * Rings are projected onto a flat plane around the location and clipped to a polygon standing in
+ * for the circle
+ * @param {Object} location - Location with lat and lng
+ * @param {Array} polygons - Park polygons, each an array of rings of points with lat and lng
+ * @param {number} radius - Radius in meters
+ * @returns {number} - Area in hectares
+ */
+const calculateAreaWithinRadius = (location, polygons, radius) => {
+  const lngScale = Math.cos(location.lat * (Math.PI / 180)) * METERS_PER_DEGREE;
+  const project = ({ lat, lng }) => [(lng - location.lng) * lngScale, (lat - location.lat) * METERS_PER_DEGREE];
+  const circle = Array.from({ length: WALKING_CIRCLE_SIDES }, (_, i) => {
+    const angle = (2 * Math.PI * i) / WALKING_CIRCLE_SIDES;
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  });
+  const clippedArea = (ring) => calculateRingArea(clipRing(ring.map(project), circle));
+
+  const squareMeters = polygons.reduce((sum, [outer, ...holes]) =>
+    sum + clippedArea(outer) - holes.reduce((holeSum, hole) => holeSum + clippedArea(hole), 0), 0);
+  return Math.max(squareMeters, 0) / SQUARE_METERS_PER_HECTARE;
+};
+
+/**
+ * Measure a park from a location
+ * @param {Object} location - Location with lat and lng
+ * @param {Object} park - Park record
+ * @returns {Object} - {distance (meters, 0 inside the park), accessPoint {lat, lng}, area (hectares),
+ * accessibleArea (hectares within GREEN_SPACE_WALKING_DISTANCE), hasBoundary}
+ */
+export const measurePark = (location, park) => {
+  const { polygons, area, hasBoundary, reach } = getParkShape(park);
+
+  let closest = {
+    distance: Infinity,
+    point: { lat: parseFloat(park.lat), lng: parseFloat(park.lng) }
+  };
+  if (hasBoundary) {
+    for (const rings of polygons) {
+      const candidate = findClosestPointOnPolygon(location, rings);
+      if (candidate.distance < closest.distance) {
+        closest = candidate;
+      }
+    }
+  } else {
+    closest.distance = calculateHaversineDistance(location, closest.point);
+  }
+
+  // Parks known only as a point count in full; a boundary is clipped to the walking distance
+  // unless it lies entirely within it
+  let accessibleArea = area;
+  if (hasBoundary && closest.distance > GREEN_SPACE_WALKING_DISTANCE) {
+    accessibleArea = 0;
+  } else if (hasBoundary &&
+      calculateHaversineDistance(location, { lat: parseFloat(park.lat), lng: parseFloat(park.lng) }) + reach > GREEN_SPACE_WALKING_DISTANCE) {
+    accessibleArea = calculateAreaWithinRadius(location, polygons, GREEN_SPACE_WALKING_DISTANCE);
+  }
+
+  return {
+    distance: closest.distance,
+    accessPoint: closest.point,
+    area: Math.round(area * 100) / 100,
+    accessibleArea: Math.round(accessibleArea * 100) / 100,
+    hasBoundary
+  };
+};
+
+/**
+ * Sample points along a park's boundaries (holes included), at most BOUNDARY_SAMPLE_SPACING apart
+ * @param {Array} polygons - Park polygons, each an array of rings of points with lat and lng
+ * @returns {Array} - Points with lat and lng
+ */
+const sampleBoundary = (polygons) => {
+  const samples = [];
+  for (const ring of polygons.flat()) {
+    ring.forEach((start, i) => {
+      const end = ring[(i + 1) % ring.length];
+      const steps = Math.max(1, Math.ceil(calculateHaversineDistance(start, end) / BOUNDARY_SAMPLE_SPACING));
+      for (let step = 0; step < steps; step++) {
+        samples.push({
+          lat: start.lat + ((end.lat - start.lat) * step) / steps,
+          lng: start.lng + ((end.lng - start.lng) * step) / steps
+        });
+      }
+    });
+  }
+  return samples;
+};
+
+/**
+ * Work out how the parks of a spatial index are searched
+ * @param {SpatialIndex} index - Spatial index over park records
+ * @returns {Object} - {reach (largest reach of the other boundary parks), largeParks, boundaryIndex (samples of the large parks' boundaries)}
+ */
+const getIndexSearch = (index) => {
+  if (!indexSearches.has(index)) {
+    let reach = 0;
+    const largeParks = [];
+    for (const cell of index.cells.values()) {
+      for (const { item } of cell) {
+        const shape = getParkShape(item);
+        if (shape.reach > LARGE_PARK_REACH) {
+          largeParks.push(item);
+        } else {
+          reach = Math.max(reach, shape.reach);
+        }
+      }
+    }
+
+    const samples = largeParks.flatMap(park => sampleBoundary(getParkShape(park).polygons).map(point => ({ park, ...point })));
+    indexSearches.set(index, { reach, largeParks, boundaryIndex: createSpatialIndex(samples) });
+  }
+  return indexSearches.get(index);
+};
+
+/**
+ * Check whether a location is inside a park's boundary
+ * @param {Object} location - Location with lat and lng
+ * @param {Object} park - Park record
+ * @returns {boolean} - True inside one of its polygons (and outside that polygon's holes)
+ */
+const isInsidePark = (location, park) => {
+  return getParkShape(park).polygons.some(([outer, ...holes]) =>
+    isPointInPolygon(location, outer) && !holes.some(hole => isPointInPolygon(location, hole)));
+};
+
+/**
+ * Find the parks whose boundary is within a radius of a location
+ * Parks are indexed by their point (the centroid for parks with a boundary), so the index is
+ * searched out to the radius plus the largest reach of a park that isn't large; large parks are
+ * found by their boundary samples, or by the location being inside them
+ * @param {SpatialIndex} index - Spatial index over park records
+ * @param {Object} location - Location with lat and lng
+ * @param {number} radius - Radius in meters
+ * @returns {Array} - {item, distance, accessPoint, area, accessibleArea, hasBoundary}, nearest boundary first
+ */
+export const findParksWithinRadius = (index, location, radius) => {
+  const { reach, largeParks, boundaryIndex } = getIndexSearch(index);
+
+  const nearLargeParks = new Set(boundaryIndex
+    .withinRadius(location, radius + BOUNDARY_SAMPLE_SPACING / 2)
+    .map(({ item }) => item.park));
+  const inLargeParks = largeParks.filter(park => !nearLargeParks.has(park) && isInsidePark(location, park));
+
+  return index
+    .withinRadius(location, radius + reach, item => getParkShape(item).hasBoundary && getParkShape(item).reach <= LARGE_PARK_REACH)
+    .concat(index.withinRadius(location, radius, item => !getParkShape(item).hasBoundary))
+    .map(({ item }) => item)
+    .concat([...nearLargeParks], inLargeParks)
+    .map(item => ({ item, ...measurePark(location, item) }))
+    .filter(park => park.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+/**
+ * Add up the green space within walking distance
+ * A park counts if its walk (routed, not estimated) takes at most GREEN_SPACE_WALKING_MINUTES,
+ * otherwise if its boundary is within GREEN_SPACE_WALKING_DISTANCE; a large park only adds its
+ * accessibleArea, the part within GREEN_SPACE_WALKING_DISTANCE
+ * @param {Array} parks - Parks with distance, area, optional accessibleArea and optional walkingTime
+ * @returns {Object} - {hectares, parks (count), largestPark}
+ */
+export const calculateGreenSpace = (parks) => {
+  const accessibleParks = parks.filter(park => park.walkingTime && !park.walkingTime.isEstimate
+    ? park.walkingTime.minutes <= GREEN_SPACE_WALKING_MINUTES
+    : park.distance <= GREEN_SPACE_WALKING_DISTANCE);
+
+  const largestPark = accessibleParks.reduce((largest, park) =>
+    !largest || park.area > largest.area ? park : largest, null);
+
+  return {
+    hectares: Math.round(accessibleParks.reduce((sum, park) => sum + (park.accessibleArea ?? park.area ?? 0), 0) * 100) / 100,
+    parks: accessibleParks.length,
+    largestPark: largestPark ? { name: largestPark.name, area: largestPark.area, distance: largestPark.distance } : null
+  };
+};
+
+/**
+ * Rate an amount of green space
+ * @param {number} hectares - Hectares of park within walking distance
+ * @returns {number} - Factor from 0 to 1
+ */
+export const calculateGreenSpaceFactor = (hectares) => {
+  if (hectares >= 10) return 1.0;
+  if (hectares >= 5) return 0.9;
+  if (hectares >= 2) return 0.8;
+  if (hectares >= 1) return 0.7;
+  if (hectares > 0) return 0.6;
+  return 0.5;
+};
+
+export default {
+  GREEN_SPACE_WALKING_DISTANCE,
+  GREEN_SPACE_WALKING_MINUTES,
+  getParkShape,
+  measurePark,
+  findParksWithinRadius,
+  calculateGreenSpace,
+  calculateGreenSpaceFactor
+};
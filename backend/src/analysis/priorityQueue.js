@@ -0,0 +1,102 @@
+/**
+ * Binary min-heap priority queue
+ * Used by the routing algorithms to always expand the cheapest node next
+ */
+
+export class MinHeap {
+  constructor() {
+    this.items = []; // Array-backed binary heap of {priority, value}
+  }
+
+  /**
+   * Number of items in the queue
+   * @returns {number} - Queue size
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add a value to the queue
+   * @param {*} value - Value to store
+   * @param {number} priority - Lower priorities are popped first
+   */
+  push(value, priority) {
+    this.items.push({ priority, value });
+    this.bubbleUp(this.items.length - 1);
+  }
+
+  /**
+   * Remove and return the value with the lowest priority
+   * @returns {Object|undefined} - {value, priority}, or undefined if the queue is empty
+   */
+  pop() {
+    if (this.items.length === 0) {
+      return undefined;
+    }
+
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      this.sinkDown(0);
+    }
+
+    return top;
+  }
+
+  /**
+   * Move an item up until its parent has a lower priority
+   * @param {number} index - Index of the item
+   */
+  bubbleUp(index) {
+    const item = this.items[index];
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.items[parentIndex];
+      if (parent.priority <= item.priority) {
+        break;
+      }
+      this.items[index] = parent;
+      index = parentIndex;
+    }
+
+    this.items[index] = item;
+  }
+
+  /**
+   * Move an item down until both children have a higher priority
+   * @param {number} index - Index of the item
+   */
+  sinkDown(index) {
+    const length = this.items.length;
+    const item = this.items[index];
+
+    while (true) {
+      const leftIndex = 2 * index + 1;
+      const rightIndex = leftIndex + 1;
+      let smallestIndex = index;
+      let smallestPriority = item.priority;
+
+      if (leftIndex < length && this.items[leftIndex].priority < smallestPriority) {
+        smallestIndex = leftIndex;
+        smallestPriority = this.items[leftIndex].priority;
+      }
+      if (rightIndex < length && this.items[rightIndex].priority < smallestPriority) {
+        smallestIndex = rightIndex;
+      }
+      if (smallestIndex === index) {
+        break;
+      }
+
+      this.items[index] = this.items[smallestIndex];
+      index = smallestIndex;
+    }
+
+    this.items[index] = item;
+  }
+}
+
+export default MinHeap;
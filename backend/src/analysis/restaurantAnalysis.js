@@ -1,5 +1,4 @@
-import { calculateHaversineDistance } from './customGeoAnalysis.js';
-import { getRestaurants } from '../data/dataLoader.js';
+import { getRestaurants, getSpatialIndex } from '../data/dataLoader.js';
 
 /**
  * Calculate restaurant score for a given location
@@ -20,33 +19,14 @@ export const calculateRestaurantScore = (coordinates) => {
   
   console.log(`Calculating restaurant score for ${lat}, ${lng} with ${restaurants.length} restaurants`);
   
-  // Calculate distance to each restaurant
-  const restaurantsWithDistance = restaurants.map(restaurant => {
-    try {
-      const distance = calculateHaversineDistance(
-        { lat, lng },
-        { lat: restaurant.lat, lng: restaurant.lng }
-      );
-      
-      return {
-        ...restaurant,
-        distance: Math.round(distance)
-      };
-    } catch (error) {
-      console.error(`Error calculating distance to restaurant ${restaurant.name}:`, error);
-      return {
-        ...restaurant,
-        distance: Infinity
-      };
-    }
+  const restaurantIndex = getSpatialIndex('restaurants');
+  const withRoundedDistance = ({ item, distance }) => ({
+    ...item,
+    distance: Math.round(distance)
   });
   
-  // Sort restaurants by distance
-  const sortedRestaurants = restaurantsWithDistance
-    .sort((a, b) => a.distance - b.distance);
-  
   // Get top 10 nearest restaurants
-  const nearestRestaurants = sortedRestaurants.slice(0, 10);
+  const nearestRestaurants = restaurantIndex.nearest({ lat, lng }, 10).map(withRoundedDistance);
   
   // Find the nearest restaurant
   const nearestRestaurant = nearestRestaurants.length > 0 ? nearestRestaurants[0] : null;
@@ -75,7 +55,7 @@ export const calculateRestaurantScore = (coordinates) => {
   }
   
   // Variety score (0-30 points)
-  const restaurantsWithin2km = sortedRestaurants.filter(r => r.distance <= 2000);
+  const restaurantsWithin2km = restaurantIndex.withinRadius({ lat, lng }, 2000).map(withRoundedDistance);
   let varietyScore = 0;
   
   if (restaurantsWithin2km.length >= 20) {
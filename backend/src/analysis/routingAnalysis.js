@@ -1,40 +1,132 @@
 /**
- * Routing analysis module for calculating walking paths and times
- * Implements Dijkstra's algorithm for finding shortest paths on a road network
+ * Routing analysis module for calculating walking and driving paths and times
+ * Implements A* search (with a haversine heuristic) for finding shortest paths on a road network,
+ * with separate pedestrian and car graphs built from the OSM tags of each road
  */
 
-import { calculateHaversineDistance, degreesToRadians } from './customGeoAnalysis.js';
+import { calculateHaversineDistance, calculateBearing, degreesToRadians } from './customGeoAnalysis.js';
+import { MinHeap } from './priorityQueue.js';
+import { createSpatialIndex } from '../data/spatialIndex.js';
 import { getMainRoads } from '../data/dataLoader.js';
+import { splitRoadIntoSegments } from '../data/roadGeometry.js';
 import { getOsmRoads } from '../data/osmLoader.js';
+import { getTravelModes } from '../data/osmTags.js';
+import { resolveTrafficConditions } from './trafficProfile.js';
+import { createRegionState } from '../data/regionPacks.js';
 
 // Average walking speed in meters per second (5 km/h)
 const AVERAGE_WALKING_SPEED = 1.4;
 
-// Average driving speeds in meters per second for different road types
+// Driving speeds in meters per second where there are no road network edges to time
 const DRIVING_SPEEDS = {
-  motorway: 27.8, // 100 km/h = 27.8 m/s
-  trunk: 22.2,    // 80 km/h = 22.2 m/s
-  primary: 16.7,  // 60 km/h = 16.7 m/s
-  secondary: 13.9, // 50 km/h = 13.9 m/s
-  tertiary: 11.1, // 40 km/h = 11.1 m/s
-  residential: 8.3, // 30 km/h = 8.3 m/s
-  service: 5.6,   // 20 km/h = 5.6 m/s
-  default: 13.9   // 50 km/h = 13.9 m/s
+  residential: 8.3, // 30 km/h = 8.3 m/s, getting to and from the network on local streets
+  default: 13.9     // 50 km/h = 13.9 m/s, estimates without a network route
 };
 
-// Traffic congestion factors (multipliers)
-const TRAFFIC_FACTORS = {
-  low: 1.0,      // No congestion
-  medium: 1.3,   // Moderate congestion
-  high: 1.8      // Heavy congestion
+// Delay in seconds for crossing a junction, by number of roads meeting there
+const JUNCTION_DELAYS = {
+  threeWay: 8,  // T-junctions, usually a yield or stop on the minor road
+  fourWay: 15   // Crossroads and larger, usually signals or all-way stops
 };
 
+// Extra delay in seconds for turning at a junction
+const TURN_DELAYS = {
+  right: 5,
+  left: 12,
+  uTurn: 30
+};
+
+// Heading changes (degrees) that count as a turn and as a U-turn
+const TURN_ANGLE_THRESHOLD = 45;
+const U_TURN_ANGLE_THRESHOLD = 150;
+
+// Emergency vehicles run above the posted speed where the road has room to pass, but not on
+// local streets, up to a top speed in m/s (130 km/h); at junctions traffic yields to them
+const EMERGENCY_SPEED_FACTORS = {
+  motorway: 1.2,
+  trunk: 1.2,
+  primary: 1.3,
+  secondary: 1.3,
+  tertiary: 1.2,
+  default: 1.0
+};
+const MAX_EMERGENCY_SPEED = 36.1;
+const EMERGENCY_JUNCTION_DELAY = 5;
+
+// Road types with grade-separated interchanges, where staying on the road has no junction delay
+const FREEWAY_TYPES = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+
 // Maximum distance in meters to consider for connecting a point to the road network
 const MAX_SNAP_DISTANCE = 500;
 
 // Threshold distance in meters to consider two points as the same intersection
 const INTERSECTION_THRESHOLD = 50;
 
+// Grid cell size in meters for the node spatial index (road nodes are denser than POIs)
+const NODE_INDEX_CELL_SIZE = 250;
+
+// For performance, limit the number of road segments in each graph
+const MAX_ROAD_SEGMENTS = 50000;
+
+// Road type priority used to keep the most important roads when over MAX_ROAD_SEGMENTS
+const ROAD_TYPE_ORDER = {
+  'motorway': 1,
+  'trunk': 2,
+  'primary': 3,
+  'secondary': 4,
+  'tertiary': 5,
+  'residential': 6,
+  'service': 7,
+  'footway': 8,
+  'path': 9
+};
+
+// Travel modes, each with its own graph
+export const TRAVEL_MODES = {
+  walking: 'walking',
+  driving: 'driving'
+};
+
+// Shared road data for both graphs, loaded once per region
+const roadSegmentsState = createRegionState(() => ({ promise: null }));
+
+/**
+ * Load road segments from OpenStreetMap, falling back to the main roads data
+ * @returns {Promise<Array>} - Road segments with walkable/drivable/oneway flags
+ */
+const loadRoadSegments = () => {
+  const state = roadSegmentsState();
+  if (!state.promise) {
+    state.promise = (async () => {
+      try {
+        console.log('Attempting to load OpenStreetMap road data...');
+        const roads = await getOsmRoads();
+        console.log(`Loaded ${roads.length} road segments from OpenStreetMap`);
+        return roads;
+      } catch (error) {
+        console.warn('Error loading OSM roads, falling back to main roads data:', error.message);
+        const roads = getMainRoads().flatMap(splitRoadIntoSegments).map(withInferredTravelModes);
+        console.log(`Falling back to ${roads.length} main road segments`);
+        return roads;
+      }
+    })();
+  }
+  return state.promise;
+};
+
+/**
+ * Add travel mode flags to a road segment without OSM tags (the main roads CSV)
+ * Its numbered provincial highways are freeways, so they are treated as motorways;
+ * each row is a centerline for both directions, so nothing is one-way
+ * @param {Object} road - Road segment
+ * @returns {Object} - Road segment with type, walkable, drivable and oneway
+ */
+const withInferredTravelModes = (road) => {
+  const type = road.type || (/^highway\s+\d+/i.test(road.name || '') ? 'motorway' : 'primary');
+  const { walkable, drivable } = getTravelModes({ highway: type });
+  return { ...road, type, walkable, drivable, oneway: false, footOneway: false };
+};
+
 /**
  * Graph node representing a point in the road network
  */
@@ -44,6 +136,7 @@ class GraphNode {
     this.lat = lat;
     this.lng = lng;
     this.edges = []; // Connections to other nodes
+    this.degree = 0; // Number of distinct neighbouring nodes, in either direction
   }
 
   addEdge(toNode, distance, roadName, roadType, travelTime) {
@@ -61,8 +154,15 @@ class GraphNode {
  * Road network graph for routing
  */
 class RoadGraph {
-  constructor() {
+  /**
+   * @param {string} mode - Travel mode the graph is for (see TRAVEL_MODES)
+   */
+  constructor(mode = TRAVEL_MODES.walking) {
+    this.mode = mode;
     this.nodes = new Map(); // Map of node ID to node object
+    this.nodeIndex = null; // Spatial index over the nodes, rebuilt lazily after nodes are added
+    this.buildPromise = null;
+    this.maxSpeed = AVERAGE_WALKING_SPEED; // Fastest edge speed in m/s, bounds the travel time heuristic
     this.initialized = false;
   }
 
@@ -76,6 +176,7 @@ class RoadGraph {
   addNode(id, lat, lng) {
     if (!this.nodes.has(id)) {
       this.nodes.set(id, new GraphNode(id, lat, lng));
+      this.nodeIndex = null;
     }
     return this.nodes.get(id);
   }
@@ -85,8 +186,11 @@ class RoadGraph {
    * @param {string} fromId - Starting node ID
    * @param {string} toId - Ending node ID
    * @param {string} roadName - Name of the road
+   * @param {string} roadType - OSM highway type
+   * @param {number} speedKmh - Travel speed along the edge
+   * @param {boolean} oneway - Only add the edge in the from -> to direction
    */
-  addEdge(fromId, toId, roadName, roadType = 'unknown', speedKmh = 50) {
+  addEdge(fromId, toId, roadName, roadType = 'unknown', speedKmh = 50, oneway = false) {
     const fromNode = this.nodes.get(fromId);
     const toNode = this.nodes.get(toId);
 
@@ -105,17 +209,42 @@ class RoadGraph {
     // Speed in km/h, distance in meters, time in seconds
     const speedMps = speedKmh / 3.6; // Convert km/h to m/s
     const travelTime = distance / speedMps; // Time in seconds
+    this.maxSpeed = Math.max(this.maxSpeed, speedMps);
 
     // Add edge with travel time information
     fromNode.addEdge(toNode, distance, roadName, roadType, travelTime);
 
-    // For non-highway roads, add reverse edge (unless it's a one-way street)
-    if (roadType !== 'motorway' && roadType !== 'motorway_link' &&
-        roadType !== 'trunk' && roadType !== 'trunk_link') {
+    // Add the reverse edge unless it's a one-way street
+    if (!oneway) {
       toNode.addEdge(fromNode, distance, roadName, roadType, travelTime);
     }
   }
 
+  /**
+   * Count each node's distinct neighbours, following edges in both directions
+   * A node with three or more neighbours is a junction; two is just a bend in the road
+   */
+  computeNodeDegrees() {
+    const neighbours = new Map();
+    const link = (a, b) => {
+      if (!neighbours.has(a.id)) {
+        neighbours.set(a.id, new Set());
+      }
+      neighbours.get(a.id).add(b.id);
+    };
+
+    for (const node of this.nodes.values()) {
+      for (const edge of node.edges) {
+        link(node, edge.to);
+        link(edge.to, node);
+      }
+    }
+
+    for (const node of this.nodes.values()) {
+      node.degree = neighbours.has(node.id) ? neighbours.get(node.id).size : 0;
+    }
+  }
+
   /**
    * Find the nearest node to a given location
    * @param {Object} location - Location with lat and lng
@@ -123,24 +252,15 @@ class RoadGraph {
    * @returns {Object} - Nearest node and distance
    */
   findNearestNode(location, maxDistance = MAX_SNAP_DISTANCE) {
-    let nearestNode = null;
-    let minDistance = maxDistance;
-
-    for (const node of this.nodes.values()) {
-      const distance = calculateHaversineDistance(
-        { lat: location.lat, lng: location.lng },
-        { lat: node.lat, lng: node.lng }
-      );
-
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestNode = node;
-      }
+    if (!this.nodeIndex) {
+      this.nodeIndex = createSpatialIndex(Array.from(this.nodes.values()), { cellSize: NODE_INDEX_CELL_SIZE });
     }
 
+    const [nearest] = this.nodeIndex.nearest(location, 1, { maxDistance });
+
     return {
-      node: nearestNode,
-      distance: minDistance
+      node: nearest ? nearest.item : null,
+      distance: nearest ? nearest.distance : maxDistance
     };
   }
 
@@ -223,56 +343,36 @@ class RoadGraph {
 
   /**
    * Build the road network graph from road data
+   * Only roads usable in this graph's travel mode are added
    */
-  async buildGraph() {
-    if (this.initialized) {
-      return;
+  buildGraph() {
+    if (!this.buildPromise) {
+      this.buildPromise = this.loadGraph();
     }
+    return this.buildPromise;
+  }
 
-    let roads = [];
-
-    try {
-      // Try to get OSM roads first
-      console.log('Attempting to load OpenStreetMap road data...');
-      roads = await getOsmRoads();
-      console.log(`Loaded ${roads.length} road segments from OpenStreetMap`);
-
-      // For performance, limit the number of road segments if there are too many
-      const MAX_ROAD_SEGMENTS = 50000;
-      if (roads.length > MAX_ROAD_SEGMENTS) {
-        console.log(`Limiting to ${MAX_ROAD_SEGMENTS} road segments for performance`);
-        // Sort roads by type to prioritize major roads
-        roads.sort((a, b) => {
-          const typeOrder = {
-            'motorway': 1,
-            'trunk': 2,
-            'primary': 3,
-            'secondary': 4,
-            'tertiary': 5,
-            'residential': 6,
-            'service': 7,
-            'footway': 8,
-            'path': 9
-          };
-          const aOrder = typeOrder[a.type] || 10;
-          const bOrder = typeOrder[b.type] || 10;
-          return aOrder - bOrder;
-        });
-        roads = roads.slice(0, MAX_ROAD_SEGMENTS);
-      }
-    } catch (error) {
-      console.warn('Error loading OSM roads, falling back to main roads data:', error.message);
-      // Fall back to main roads data
-      roads = getMainRoads();
-      console.log(`Falling back to ${roads.length} main road segments`);
+  /**
+   * Load the roads for this graph's travel mode and add them to the graph
+   */
+  async loadGraph() {
+    const isWalking = this.mode === TRAVEL_MODES.walking;
+    let roads = (await loadRoadSegments()).filter(road => (isWalking ? road.walkable : road.drivable));
+
+    if (roads.length > MAX_ROAD_SEGMENTS) {
+      console.log(`Limiting ${this.mode} graph to ${MAX_ROAD_SEGMENTS} road segments for performance`);
+      // Sort roads by type to prioritize major roads
+      roads = [...roads]
+        .sort((a, b) => (ROAD_TYPE_ORDER[a.type] || 10) - (ROAD_TYPE_ORDER[b.type] || 10))
+        .slice(0, MAX_ROAD_SEGMENTS);
     }
 
-    if (!roads || roads.length === 0) {
-      console.warn('No road data available to build graph');
+    if (roads.length === 0) {
+      console.warn(`No road data available to build ${this.mode} graph`);
       return;
     }
 
-    console.log(`Building road graph from ${roads.length} road segments`);
+    console.log(`Building ${this.mode} graph from ${roads.length} road segments`);
 
     // Skip finding intersections for large datasets (performance optimization)
     if (roads.length < 1000) {
@@ -308,23 +408,33 @@ class RoadGraph {
 
         // Add edge between start and end with road type information
         const roadType = road.type || 'unknown';
-        const speedKmh = road.speed || 50; // Default 50 km/h if not specified
 
-        this.addEdge(startId, endId, road.name, roadType, speedKmh);
+        // Pedestrians walk at walking speed and ignore one-way restrictions for vehicles
+        const speedKmh = isWalking ? AVERAGE_WALKING_SPEED * 3.6 : road.speed || 50; // Default 50 km/h if not specified
+        const oneway = isWalking ? Boolean(road.footOneway) : Boolean(road.oneway);
+
+        this.addEdge(startId, endId, road.name, roadType, speedKmh, oneway);
       }
     }
 
-    console.log(`Road graph built with ${this.nodes.size} nodes`);
+    this.computeNodeDegrees();
+
+    // Index the nodes up front so the first snapping query doesn't pay for it
+    this.nodeIndex = createSpatialIndex(Array.from(this.nodes.values()), { cellSize: NODE_INDEX_CELL_SIZE });
+
+    console.log(`Road graph (${this.mode}) built with ${this.nodes.size} nodes`);
     this.initialized = true;
   }
 
   /**
-   * Find the shortest path between two locations using Dijkstra's algorithm
+   * Find the shortest path between two locations using A* search
    * @param {Object} startLocation - Starting location with lat and lng
    * @param {Object} endLocation - Ending location with lat and lng
-   * @returns {Object} - Path information including distance, time, and route
+   * @param {Object} options - Search options
+   * @param {string} options.weight - Edge cost to minimize: 'distance' (shortest) or 'travelTime' (fastest)
+   * @returns {Object} - Path information including network distance and route
    */
-  findShortestPath(startLocation, endLocation) {
+  findShortestPath(startLocation, endLocation, { weight = 'distance' } = {}) {
     // Make sure the graph is built
     this.buildGraph();
 
@@ -337,8 +447,7 @@ class RoadGraph {
       return {
         success: true,
         directDistance: directDistance,
-        walkingDistance: directDistance,
-        walkingTime: directDistance / AVERAGE_WALKING_SPEED,
+        distance: directDistance,
         path: [
           { lat: startLocation.lat, lng: startLocation.lng },
           { lat: endLocation.lat, lng: endLocation.lng }
@@ -360,13 +469,12 @@ class RoadGraph {
         startNearest.distance > MAX_SNAP_DISTANCE ||
         endNearest.distance > MAX_SNAP_DISTANCE) {
       console.warn('Could not find nearby road network nodes, using direct distance estimate');
-      // Use a simple multiplier to estimate actual walking distance (typically 1.2-1.4x direct distance)
-      const estimatedWalkingDistance = directDistance * 1.3;
+      // Use a simple multiplier to estimate actual travel distance (typically 1.2-1.4x direct distance)
+      const estimatedDistance = directDistance * 1.3;
       return {
         success: true,
         directDistance: directDistance,
-        walkingDistance: estimatedWalkingDistance,
-        walkingTime: estimatedWalkingDistance / AVERAGE_WALKING_SPEED,
+        distance: estimatedDistance,
         path: [
           { lat: startLocation.lat, lng: startLocation.lng },
           { lat: endLocation.lat, lng: endLocation.lng }
@@ -380,8 +488,10 @@ class RoadGraph {
       return {
         success: true,
         directDistance: directDistance,
-        walkingDistance: startNearest.distance + endNearest.distance,
-        walkingTime: (startNearest.distance + endNearest.distance) / AVERAGE_WALKING_SPEED,
+        distance: startNearest.distance + endNearest.distance,
+        accessDistance: startNearest.distance + endNearest.distance,
+        travelTime: 0,
+        segments: [],
         path: [
           { lat: startLocation.lat, lng: startLocation.lng },
           { lat: startNearest.node.lat, lng: startNearest.node.lng },
@@ -391,152 +501,10 @@ class RoadGraph {
       };
     }
 
-    // Initialize Dijkstra's algorithm
-    const distances = new Map();
-    const previous = new Map();
-    const unvisited = new Set();
-
-    // Set initial distances to Infinity
-    for (const nodeId of this.nodes.keys()) {
-      distances.set(nodeId, Infinity);
-      unvisited.add(nodeId);
-    }
+    // Search the road network between the snapped start and end nodes
+    const route = this.searchPath(startNearest.node, endNearest.node, weight);
 
-    // Set distance to start node
-    distances.set(startNearest.node.id, 0);
-
-    // Main Dijkstra loop
-    let iterations = 0;
-    const MAX_ITERATIONS = 2000; // Reduced safety limit for better performance
-    const CLOSE_ENOUGH_DISTANCE = 100; // Consider "close enough" if within 100m of destination
-
-    // Track the closest we've gotten to the destination
-    let closestNodeToDestination = null;
-    let closestDistanceToDestination = Infinity;
-
-    while (unvisited.size > 0 && iterations < MAX_ITERATIONS) {
-      iterations++;
-
-      // Find the unvisited node with the smallest distance (optimization: only check a subset)
-      let currentId = null;
-      let smallestDistance = Infinity;
-
-      // For large graphs, checking every node is expensive
-      // Instead, we'll check a random sample of nodes to find a good enough next node
-      const MAX_NODES_TO_CHECK = Math.min(1000, unvisited.size);
-
-      if (unvisited.size <= MAX_NODES_TO_CHECK) {
-        // If we have a small number of nodes, check them all
-        for (const nodeId of unvisited) {
-          const distance = distances.get(nodeId);
-          if (distance < smallestDistance) {
-            smallestDistance = distance;
-            currentId = nodeId;
-          }
-        }
-      } else {
-        // For large sets, convert to array and check a subset
-        const unvisitedArray = Array.from(unvisited);
-        for (let i = 0; i < MAX_NODES_TO_CHECK; i++) {
-          const nodeId = unvisitedArray[i];
-          const distance = distances.get(nodeId);
-          if (distance < smallestDistance) {
-            smallestDistance = distance;
-            currentId = nodeId;
-          }
-        }
-      }
-
-      // If we can't find a node or we've reached the end, break
-      if (currentId === null || smallestDistance === Infinity) {
-        break;
-      }
-
-      // If we've reached the end node, we can stop
-      if (currentId === endNearest.node.id) {
-        console.log(`Found exact destination node after ${iterations} iterations`);
-        break;
-      }
-
-      // Remove current node from unvisited set
-      unvisited.delete(currentId);
-
-      // Get the current node
-      const currentNode = this.nodes.get(currentId);
-
-      // Calculate direct distance from this node to the destination node
-      const directDistanceToDestination = calculateHaversineDistance(
-        { lat: currentNode.lat, lng: currentNode.lng },
-        { lat: endNearest.node.lat, lng: endNearest.node.lng }
-      );
-
-      // Track the closest we've gotten to the destination
-      if (directDistanceToDestination < closestDistanceToDestination) {
-        closestDistanceToDestination = directDistanceToDestination;
-        closestNodeToDestination = currentId;
-      }
-
-      // If we're close enough to the destination, we can stop
-      // This is a key optimization to avoid excessive iterations
-      if (directDistanceToDestination < CLOSE_ENOUGH_DISTANCE) {
-        console.log(`Found node within ${directDistanceToDestination.toFixed(2)}m of destination after ${iterations} iterations - close enough!`);
-        // Set the end node as reachable from this node
-        const pathDistanceToHere = distances.get(currentId);
-        distances.set(endNearest.node.id, pathDistanceToHere + directDistanceToDestination);
-        previous.set(endNearest.node.id, currentId);
-        break;
-      }
-
-      // Check each neighbor
-      for (const edge of currentNode.edges) {
-        const neighborId = edge.to.id;
-
-        // Skip if this neighbor is not in unvisited (already processed)
-        if (!unvisited.has(neighborId)) continue;
-
-        // Calculate tentative distance
-        const tentativeDistance = distances.get(currentId) + edge.distance;
-
-        // If this path is shorter, update the distance
-        if (tentativeDistance < distances.get(neighborId)) {
-          distances.set(neighborId, tentativeDistance);
-          previous.set(neighborId, currentId);
-        }
-      }
-
-      // Periodically log progress for long-running searches
-      if (iterations % 500 === 0) {
-        console.log(`Dijkstra progress: ${iterations} iterations, closest approach: ${closestDistanceToDestination.toFixed(2)}m`);
-      }
-    }
-
-    if (iterations >= MAX_ITERATIONS) {
-      // If we found a node that's close to the destination, use that instead of giving up
-      if (closestNodeToDestination && closestDistanceToDestination < 500) {
-        console.log(`Using closest approach (${closestDistanceToDestination.toFixed(2)}m) after max iterations`);
-        // Set the end node as reachable from the closest node we found
-        const pathDistanceToClosest = distances.get(closestNodeToDestination);
-        distances.set(endNearest.node.id, pathDistanceToClosest + closestDistanceToDestination);
-        previous.set(endNearest.node.id, closestNodeToDestination);
-      } else {
-        console.warn('Dijkstra algorithm reached maximum iterations, using direct distance estimate');
-        const estimatedWalkingDistance = directDistance * 1.3;
-        return {
-          success: true,
-          directDistance: directDistance,
-          walkingDistance: estimatedWalkingDistance,
-          walkingTime: estimatedWalkingDistance / AVERAGE_WALKING_SPEED,
-          path: [
-            { lat: startLocation.lat, lng: startLocation.lng },
-            { lat: endLocation.lat, lng: endLocation.lng }
-          ],
-          method: 'max-iterations'
-        };
-      }
-    }
-
-    // Check if end node was reached
-    if (distances.get(endNearest.node.id) === Infinity) {
+    if (!route) {
       console.warn('No path found between locations, using direct distance estimate');
 
       // If the direct distance is small enough, just use that
@@ -544,8 +512,7 @@ class RoadGraph {
         return {
           success: true,
           directDistance: directDistance,
-          walkingDistance: directDistance * 1.2, // Slight adjustment for non-direct walking
-          walkingTime: (directDistance * 1.2) / AVERAGE_WALKING_SPEED,
+          distance: directDistance * 1.2, // Slight adjustment for non-direct travel
           path: [
             { lat: startLocation.lat, lng: startLocation.lng },
             { lat: endLocation.lat, lng: endLocation.lng }
@@ -555,12 +522,11 @@ class RoadGraph {
       }
 
       // For longer distances, use a more realistic multiplier
-      const estimatedWalkingDistance = directDistance * 1.3;
+      const estimatedDistance = directDistance * 1.3;
       return {
         success: true,
         directDistance: directDistance,
-        walkingDistance: estimatedWalkingDistance,
-        walkingTime: estimatedWalkingDistance / AVERAGE_WALKING_SPEED,
+        distance: estimatedDistance,
         path: [
           { lat: startLocation.lat, lng: startLocation.lng },
           { lat: endLocation.lat, lng: endLocation.lng }
@@ -569,60 +535,206 @@ class RoadGraph {
       };
     }
 
-    // Reconstruct the path
-    const path = [];
-    let current = endNearest.node.id;
+    // Path geometry: the actual start, every node along the route, then the actual end
+    const path = [
+      { lat: startLocation.lat, lng: startLocation.lng },
+      ...route.nodes.map(node => ({ lat: node.lat, lng: node.lng })),
+      { lat: endLocation.lat, lng: endLocation.lng }
+    ];
+
+    // Network distance plus the distance from the actual start/end points to the network
+    const distance = route.distance + startNearest.distance + endNearest.distance;
+
+    // Plain per-edge description of the route, for travel time breakdowns
+    const segments = route.edges.map((edge, i) => ({
+      from: { lat: route.nodes[i].lat, lng: route.nodes[i].lng },
+      to: { lat: edge.to.lat, lng: edge.to.lng },
+      roadName: edge.roadName,
+      roadType: edge.roadType,
+      distance: edge.distance,
+      travelTime: edge.travelTime,
+      junctionDegree: edge.to.degree
+    }));
+
+    return {
+      success: true,
+      directDistance: directDistance,
+      distance: distance,
+      accessDistance: startNearest.distance + endNearest.distance,
+      travelTime: route.travelTime,
+      path: path,
+      segments: segments,
+      method: 'astar'
+    };
+  }
+
+  /**
+   * Find the cheapest network path between two graph nodes using A*
+   * The straight-line distance to the destination (divided by the fastest speed in the graph
+   * when minimizing time) never overestimates the remaining cost, so the first time the
+   * destination is popped its path is optimal
+   * @param {GraphNode} startNode - Starting node
+   * @param {GraphNode} endNode - Destination node
+   * @param {string} weight - Edge cost to minimize: 'distance' or 'travelTime'
+   * @returns {Object|null} - {distance, travelTime, nodes, edges} with the nodes in travel order
+   *   and edges[i] leading from nodes[i] to nodes[i + 1], or null if unreachable
+   */
+  searchPath(startNode, endNode, weight = 'distance') {
+    const heuristicScale = weight === 'travelTime' ? 1 / this.maxSpeed : 1;
+    const heuristic = (node) => calculateHaversineDistance(
+      { lat: node.lat, lng: node.lng },
+      { lat: endNode.lat, lng: endNode.lng }
+    ) * heuristicScale;
+
+    const costs = new Map([[startNode.id, 0]]);
+    const previous = new Map(); // Map of node ID to {node, edge} it was reached from
+    const visited = new Set();
+    const queue = new MinHeap();
+
+    queue.push(startNode, heuristic(startNode));
+
+    while (queue.size > 0) {
+      const { value: currentNode } = queue.pop();
+
+      // Skip stale queue entries for nodes we already settled via a cheaper path
+      if (visited.has(currentNode.id)) continue;
+      visited.add(currentNode.id);
+
+      if (currentNode.id === endNode.id) {
+        // Walk back from the destination to rebuild the node and edge sequences
+        const nodes = [endNode];
+        const edges = [];
+        for (let step = previous.get(endNode.id); step; step = previous.get(step.node.id)) {
+          nodes.push(step.node);
+          edges.push(step.edge);
+        }
+        nodes.reverse();
+        edges.reverse();
+
+        return {
+          distance: edges.reduce((total, edge) => total + edge.distance, 0),
+          travelTime: edges.reduce((total, edge) => total + edge.travelTime, 0),
+          nodes,
+          edges
+        };
+      }
 
-    // Add end location to path
-    path.push({ lat: endLocation.lat, lng: endLocation.lng });
+      const currentCost = costs.get(currentNode.id);
 
-    // Add end nearest node
-    path.push({ lat: endNearest.node.lat, lng: endNearest.node.lng });
+      for (const edge of currentNode.edges) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.id)) continue;
 
-    // Build the path backwards
-    while (current !== startNearest.node.id) {
-      const node = this.nodes.get(current);
-      path.push({ lat: node.lat, lng: node.lng });
-      current = previous.get(current);
+        const tentativeCost = currentCost + edge[weight];
+        const knownCost = costs.get(neighbor.id);
 
-      // Safety check for infinite loops
-      if (!current) {
-        console.warn('Path reconstruction failed, using partial path');
-        break;
+        // If this path is cheaper, record it and queue the neighbour
+        if (knownCost === undefined || tentativeCost < knownCost) {
+          costs.set(neighbor.id, tentativeCost);
+          previous.set(neighbor.id, { node: currentNode, edge });
+          queue.push(neighbor, tentativeCost + heuristic(neighbor));
+        }
       }
     }
 
-    // Add start nearest node
-    path.push({ lat: startNearest.node.lat, lng: startNearest.node.lng });
+    return null;
+  }
 
-    // Add start location
-    path.push({ lat: startLocation.lat, lng: startLocation.lng });
+  /**
+   * Find everything reachable from a node within a cost budget (bounded Dijkstra)
+   * @param {GraphNode} startNode - Starting node
+   * @param {number} startCost - Cost already spent reaching the start node
+   * @param {number} maxCost - Cost budget
+   * @param {Function} edgeCost - Returns the cost of an edge, given (edge, fromNode)
+   * @returns {Array} - Reached edges [{from, to, startCost, cost}]; edges only partly within the
+   *   budget are included, so the caller can cut them at the remaining budget
+   */
+  searchReachable(startNode, startCost, maxCost, edgeCost) {
+    const costs = new Map([[startNode.id, startCost]]);
+    const visited = new Set();
+    const queue = new MinHeap();
+    const reached = [];
 
-    // Reverse the path to go from start to end
-    path.reverse();
+    queue.push(startNode, startCost);
 
-    // Calculate total walking distance
-    let walkingDistance = distances.get(endNearest.node.id);
+    while (queue.size > 0) {
+      const { value: currentNode, priority: currentCost } = queue.pop();
 
-    // Add distance from actual start/end points to nearest nodes
-    walkingDistance += startNearest.distance + endNearest.distance;
+      if (visited.has(currentNode.id)) continue;
+      visited.add(currentNode.id);
 
-    // Calculate walking time in seconds
-    const walkingTime = walkingDistance / AVERAGE_WALKING_SPEED;
+      for (const edge of currentNode.edges) {
+        const cost = edgeCost(edge, currentNode);
+        reached.push({
+          from: { lat: currentNode.lat, lng: currentNode.lng },
+          to: { lat: edge.to.lat, lng: edge.to.lng },
+          startCost: currentCost,
+          cost
+        });
 
-    return {
-      success: true,
-      directDistance: directDistance,
-      walkingDistance: walkingDistance,
-      walkingTime: walkingTime,
-      path: path,
-      method: 'dijkstra'
-    };
+        const neighbor = edge.to;
+        const tentativeCost = currentCost + cost;
+        if (visited.has(neighbor.id) || tentativeCost > maxCost) continue;
+
+        const knownCost = costs.get(neighbor.id);
+        if (knownCost === undefined || tentativeCost < knownCost) {
+          costs.set(neighbor.id, tentativeCost);
+          queue.push(neighbor, tentativeCost);
+        }
+      }
+    }
+
+    return reached;
+  }
+
+  /**
+   * Find the cheapest cost to every node reachable from any of several start nodes (multi-source Dijkstra)
+   * @param {Array} starts - [{node, cost}] start nodes and the cost already spent reaching each
+   * @param {Function} edgeCost - Returns the cost of an edge, given (edge, fromNode)
+   * @returns {Map} - Node ID to {cost, start} with the index of the start it is cheapest from
+   */
+  searchCosts(starts, edgeCost) {
+    const costs = new Map();
+    const visited = new Set();
+    const queue = new MinHeap();
+
+    starts.forEach(({ node, cost }, start) => {
+      const known = costs.get(node.id);
+      if (!known || cost < known.cost) {
+        costs.set(node.id, { cost, start });
+        queue.push(node, cost);
+      }
+    });
+
+    while (queue.size > 0) {
+      const { value: currentNode } = queue.pop();
+
+      if (visited.has(currentNode.id)) continue;
+      visited.add(currentNode.id);
+
+      const current = costs.get(currentNode.id);
+      for (const edge of currentNode.edges) {
+        const neighbor = edge.to;
+        if (visited.has(neighbor.id)) continue;
+
+        const tentativeCost = current.cost + edgeCost(edge, currentNode);
+        const known = costs.get(neighbor.id);
+        if (!known || tentativeCost < known.cost) {
+          costs.set(neighbor.id, { cost: tentativeCost, start: current.start });
+          queue.push(neighbor, tentativeCost);
+        }
+      }
+    }
+
+    return costs;
   }
 }
 
-// Create a singleton instance of the road graph
-const roadGraph = new RoadGraph();
+// One pair of graphs per region: pedestrians can't use motorways, cars can't use footpaths or go the wrong way
+const graphState = createRegionState(() => ({
+  walking: new RoadGraph(TRAVEL_MODES.walking),
+  driving: new RoadGraph(TRAVEL_MODES.driving)
+}));
 
 /**
  * Calculate walking distance and time between two locations
@@ -631,7 +743,104 @@ const roadGraph = new RoadGraph();
  * @returns {Object} - Walking information including distance and time
  */
 export const calculateWalkingInfo = (startLocation, endLocation) => {
-  return roadGraph.findShortestPath(startLocation, endLocation);
+  const route = graphState().walking.findShortestPath(startLocation, endLocation);
+  return {
+    ...route,
+    walkingDistance: route.distance,
+    walkingTime: route.distance / AVERAGE_WALKING_SPEED
+  };
+};
+
+/**
+ * Find the driving route between two locations on the car network
+ * @param {Object} startLocation - Starting location with lat and lng
+ * @param {Object} endLocation - Ending location with lat and lng
+ * @returns {Object} - Route information including network distance and path
+ */
+export const calculateDrivingRoute = (startLocation, endLocation) => {
+  return graphState().driving.findShortestPath(startLocation, endLocation, { weight: 'travelTime' });
+};
+
+/**
+ * Calculate junction and turn delays along a route
+ * Only nodes where three or more roads meet count as junctions; continuing along a
+ * freeway through an interchange has no delay
+ * @param {Array} segments - Route segments from findShortestPath
+ * @returns {Object} - {intersections, turns, seconds}
+ */
+const calculateJunctionDelays = (segments) => {
+  let intersections = 0;
+  let turns = 0;
+  let seconds = 0;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const incoming = segments[i];
+    const outgoing = segments[i + 1];
+
+    if (incoming.junctionDegree < 3) continue;
+    if (FREEWAY_TYPES.has(incoming.roadType) && FREEWAY_TYPES.has(outgoing.roadType)) continue;
+
+    intersections++;
+    seconds += incoming.junctionDegree >= 4 ? JUNCTION_DELAYS.fourWay : JUNCTION_DELAYS.threeWay;
+
+    // Heading change in degrees, positive for right turns and negative for left turns
+    const headingChange = ((calculateBearing(outgoing.from, outgoing.to) -
+      calculateBearing(incoming.from, incoming.to) + 540) % 360) - 180;
+
+    if (Math.abs(headingChange) >= U_TURN_ANGLE_THRESHOLD) {
+      turns++;
+      seconds += TURN_DELAYS.uTurn;
+    } else if (headingChange >= TURN_ANGLE_THRESHOLD) {
+      turns++;
+      seconds += TURN_DELAYS.right;
+    } else if (headingChange <= -TURN_ANGLE_THRESHOLD) {
+      turns++;
+      seconds += TURN_DELAYS.left;
+    }
+  }
+
+  return { intersections, turns, seconds };
+};
+
+/**
+ * Summarize how much of a route is on each road type
+ * @param {Array} segments - Route segments from findShortestPath
+ * @param {Function} getSpeedFactor - Traffic speed factor for a road type
+ * @returns {Array} - [{roadType, distance, minutes, share}] sorted by distance, share in percent
+ */
+const summarizeRoadTypes = (segments, getSpeedFactor) => {
+  const totals = new Map();
+  for (const segment of segments) {
+    const total = totals.get(segment.roadType) || { distance: 0, travelTime: 0 };
+    total.distance += segment.distance;
+    total.travelTime += segment.travelTime / getSpeedFactor(segment.roadType);
+    totals.set(segment.roadType, total);
+  }
+
+  const networkDistance = segments.reduce((sum, segment) => sum + segment.distance, 0);
+
+  return Array.from(totals.entries())
+    .map(([roadType, total]) => ({
+      roadType,
+      distance: Math.round(total.distance),
+      minutes: Math.round(total.travelTime / 6) / 10,
+      share: networkDistance > 0 ? Math.round((total.distance / networkDistance) * 100) : 0
+    }))
+    .sort((a, b) => b.distance - a.distance);
+};
+
+/**
+ * Time an edge or route segment for an emergency vehicle in free-flowing traffic
+ * @param {Object} edge - Edge or segment with distance, travelTime and roadType
+ * @returns {number} - Seconds
+ */
+const calculateEmergencyEdgeTime = (edge) => {
+  if (edge.travelTime === 0) {
+    return 0;
+  }
+  const roadType = String(edge.roadType || '').replace(/_link$/, '');
+  const speed = (edge.distance / edge.travelTime) * (EMERGENCY_SPEED_FACTORS[roadType] || EMERGENCY_SPEED_FACTORS.default);
+  return edge.distance / Math.min(speed, MAX_EMERGENCY_SPEED);
 };
 
 /**
@@ -644,7 +853,7 @@ export const calculateWalkingTime = (startLocation, endLocation) => {
   const walkingInfo = calculateWalkingInfo(startLocation, endLocation);
 
   // Our improved algorithm always returns success=true, but we'll check the method
-  const isEstimate = walkingInfo.method !== 'dijkstra' && walkingInfo.method !== 'same-node';
+  const isEstimate = walkingInfo.method !== 'astar' && walkingInfo.method !== 'same-node';
 
   return {
     minutes: Math.round(walkingInfo.walkingTime / 60),
@@ -656,12 +865,14 @@ export const calculateWalkingTime = (startLocation, endLocation) => {
 
 /**
  * Calculate driving time between two locations
+ * Sums edge travel times along the fastest car route, plus delays at the junctions it crosses
  * @param {Object} startLocation - Starting location with lat and lng
  * @param {Object} endLocation - Ending location with lat and lng
- * @param {string} trafficLevel - Traffic level: 'low', 'medium', or 'high'
- * @returns {Object} - Driving time in minutes and distance in meters
+ * @param {Object|string} traffic - {trafficLevel, departAt}, or just a traffic level ('low', 'medium', 'high');
+ *   a departure time applies the hourly traffic profile for each road class instead of a fixed level
+ * @returns {Object} - Driving time in minutes, distance in meters, and the road type breakdown
  */
-export const calculateDrivingTime = (startLocation, endLocation, trafficLevel = 'medium') => {
+export const calculateDrivingTime = (startLocation, endLocation, traffic = {}) => {
   // For very short distances, driving doesn't make sense
   const directDistance = calculateHaversineDistance(startLocation, endLocation);
   if (directDistance < 300) {
@@ -673,57 +884,227 @@ export const calculateDrivingTime = (startLocation, endLocation, trafficLevel =
     };
   }
 
-  // Get the path information using our routing algorithm
-  const walkingInfo = calculateWalkingInfo(startLocation, endLocation);
+  // Get the fastest path on the car network (respects one-way streets)
+  // The route is chosen on free-flow times; traffic only changes how long it takes
+  const route = calculateDrivingRoute(startLocation, endLocation);
 
-  // Get traffic factor
-  const trafficFactor = TRAFFIC_FACTORS[trafficLevel] || TRAFFIC_FACTORS.medium;
-
-  // Determine road type based on distance (simplified model)
-  let roadType = 'residential';
-  if (directDistance > 10000) {
-    roadType = 'motorway';
-  } else if (directDistance > 5000) {
-    roadType = 'trunk';
-  } else if (directDistance > 2000) {
-    roadType = 'primary';
-  } else if (directDistance > 1000) {
-    roadType = 'secondary';
-  } else if (directDistance > 500) {
-    roadType = 'tertiary';
-  }
+  // Get traffic conditions (speed factor per road type)
+  const conditions = resolveTrafficConditions(typeof traffic === 'string' ? { trafficLevel: traffic } : traffic);
+  const { getSpeedFactor } = conditions;
 
-  // Calculate driving speed
-  const drivingSpeed = DRIVING_SPEEDS[roadType] || DRIVING_SPEEDS.default;
+  // Without a network route there are no edges to time, so estimate at a typical urban speed
+  if (route.method !== 'astar' && route.method !== 'same-node') {
+    const estimatedSeconds = route.distance / (DRIVING_SPEEDS.default * getSpeedFactor('primary'));
+    return {
+      minutes: Math.max(1, Math.round(estimatedSeconds / 60)),
+      distance: Math.round(route.distance),
+      isEstimate: true,
+      method: route.method,
+      trafficLevel: conditions.trafficLevel,
+      departAt: conditions.departAt,
+      roadTypes: [],
+      intersections: 0,
+      turns: 0
+    };
+  }
 
-  // Calculate driving time with traffic factor
-  const drivingTimeSeconds = (walkingInfo.walkingDistance / drivingSpeed) * trafficFactor;
+  // Time along the network, plus getting to and from it on local streets
+  const networkSeconds = route.segments.reduce(
+    (total, segment) => total + segment.travelTime / getSpeedFactor(segment.roadType),
+    0
+  );
+  const accessSeconds = route.accessDistance / (DRIVING_SPEEDS.residential * getSpeedFactor('residential'));
 
-  // Add time for intersections and traffic lights (simplified model)
-  // Assume one traffic light or intersection every 500m on average
-  const intersections = Math.floor(walkingInfo.walkingDistance / 500);
-  const intersectionDelay = intersections * 20; // 20 seconds per intersection on average
+  // Junctions and turns along the route, slower in heavier traffic
+  const delays = calculateJunctionDelays(route.segments);
+  const delaySeconds = delays.seconds / getSpeedFactor('primary');
 
-  // Total driving time in seconds
-  const totalDrivingTimeSeconds = drivingTimeSeconds + intersectionDelay;
+  const totalDrivingTimeSeconds = networkSeconds + accessSeconds + delaySeconds;
 
   // Minimum driving time is 1 minute
   const drivingTimeMinutes = Math.max(1, Math.round(totalDrivingTimeSeconds / 60));
 
   return {
     minutes: drivingTimeMinutes,
-    distance: Math.round(walkingInfo.walkingDistance),
-    isEstimate: walkingInfo.method !== 'dijkstra',
-    method: walkingInfo.method,
-    trafficLevel: trafficLevel
+    distance: Math.round(route.distance),
+    isEstimate: false,
+    method: route.method,
+    trafficLevel: conditions.trafficLevel,
+    departAt: conditions.departAt,
+    roadTypes: summarizeRoadTypes(route.segments, getSpeedFactor),
+    intersections: delays.intersections,
+    turns: delays.turns
+  };
+};
+
+/**
+ * Calculate an emergency vehicle's driving time from a station to a location
+ * Follows the fastest car route, timed with the emergency speeds, a short delay at each junction
+ * and the share of congestion emergency vehicles still feel (see resolveTrafficConditions)
+ * @param {Object} serviceLocation - Station location with lat and lng
+ * @param {Object} targetLocation - Location being responded to, with lat and lng
+ * @param {Object|string} traffic - Traffic options, as for calculateDrivingTime
+ * @returns {Object} - {seconds, distance, isEstimate, method, trafficLevel, departAt, intersections, path};
+ *   without a network route isEstimate is true, seconds is null and the path is a straight line
+ */
+export const calculateEmergencyDrivingTime = (serviceLocation, targetLocation, traffic = {}) => {
+  const route = calculateDrivingRoute(serviceLocation, targetLocation);
+  const conditions = resolveTrafficConditions(typeof traffic === 'string' ? { trafficLevel: traffic } : traffic);
+  const result = {
+    seconds: null,
+    distance: Math.round(route.distance),
+    isEstimate: true,
+    method: route.method,
+    trafficLevel: conditions.trafficLevel,
+    departAt: conditions.departAt,
+    intersections: 0,
+    path: route.path
+  };
+
+  if (route.method !== 'astar' && route.method !== 'same-node') {
+    return result;
+  }
+
+  // Along the network, then to and from it on local streets
+  const networkSeconds = route.segments.reduce((total, segment) => total + calculateEmergencyEdgeTime(segment), 0);
+  const accessSeconds = route.accessDistance / DRIVING_SPEEDS.residential;
+  const { intersections } = calculateJunctionDelays(route.segments);
+
+  return {
+    ...result,
+    seconds: (networkSeconds + accessSeconds + intersections * EMERGENCY_JUNCTION_DELAY) / conditions.emergencySpeedFactor,
+    isEstimate: false,
+    intersections
+  };
+};
+
+/**
+ * Time emergency responses from a set of stations to many locations at once
+ * A single search outward from every station gives each road node the time from its quickest
+ * station, with the same speeds as calculateEmergencyDrivingTime and a junction delay when
+ * leaving a junction onto anything but a freeway
+ * @param {Array} stations - Station locations with lat and lng
+ * @param {Array} locations - Locations with lat and lng
+ * @param {Object|string} traffic - Traffic options, as for calculateDrivingTime
+ * @returns {Promise<Object>} - {trafficLevel, departAt, times}; times has one {seconds, station} per location,
+ *   station being the index of the quickest station, or null when the location (or every station) is off the network
+ */
+export const calculateEmergencyNetworkTimes = async (stations, locations, traffic = {}) => {
+  const graph = graphState().driving;
+  await graph.buildGraph();
+
+  const conditions = resolveTrafficConditions(typeof traffic === 'string' ? { trafficLevel: traffic } : traffic);
+  const result = {
+    trafficLevel: conditions.trafficLevel,
+    departAt: conditions.departAt
+  };
+
+  // Stations reach the network on local streets
+  const starts = [];
+  const startStations = [];
+  stations.forEach((station, index) => {
+    const nearest = graph.findNearestNode(station);
+    if (nearest.node) {
+      starts.push({ node: nearest.node, cost: nearest.distance / DRIVING_SPEEDS.residential });
+      startStations.push(index);
+    }
+  });
+  if (starts.length === 0) {
+    return { ...result, times: locations.map(() => null) };
+  }
+
+  const costs = graph.searchCosts(starts, (edge, fromNode) => {
+    let cost = calculateEmergencyEdgeTime(edge);
+    if (fromNode.degree >= 3 && !FREEWAY_TYPES.has(edge.roadType)) {
+      cost += EMERGENCY_JUNCTION_DELAY;
+    }
+    return cost;
+  });
+
+  const times = locations.map(location => {
+    const nearest = graph.findNearestNode(location);
+    const reached = nearest.node && costs.get(nearest.node.id);
+    if (!reached) {
+      return null;
+    }
+    return {
+      seconds: (reached.cost + nearest.distance / DRIVING_SPEEDS.residential) / conditions.emergencySpeedFactor,
+      station: startStations[reached.start]
+    };
+  });
+
+  return { ...result, times };
+};
+
+/**
+ * Find the road network reachable from a location within a time budget
+ * Driving uses the traffic speed factors, plus a junction delay when leaving a junction
+ * onto anything but a freeway (turn directions aren't known in a one-to-all search)
+ * @param {Object} location - Starting location with lat and lng
+ * @param {string} mode - TRAVEL_MODES.walking or TRAVEL_MODES.driving
+ * @param {number} maxSeconds - Time budget in seconds
+ * @param {Object|string} traffic - Traffic options for driving, as for calculateDrivingTime
+ * @returns {Promise<Object>} - {method, snapDistance, estimateSpeed, trafficLevel, departAt, edges: [{from, to, startCost, cost}]}
+ *   with costs in seconds; method is 'estimate' and edges is empty when the location is off the network,
+ *   and estimateSpeed (m/s) is the speed to assume for straight-line estimates
+ */
+export const calculateReachableNetwork = async (location, mode, maxSeconds, traffic = {}) => {
+  const isWalking = mode === TRAVEL_MODES.walking;
+  const graph = isWalking ? graphState().walking : graphState().driving;
+  await graph.buildGraph();
+
+  const conditions = isWalking ? null : resolveTrafficConditions(typeof traffic === 'string' ? { trafficLevel: traffic } : traffic);
+  const result = {
+    method: 'network',
+    snapDistance: 0,
+    estimateSpeed: isWalking ? AVERAGE_WALKING_SPEED : DRIVING_SPEEDS.default * conditions.getSpeedFactor('primary'),
+    trafficLevel: conditions ? conditions.trafficLevel : null,
+    departAt: conditions ? conditions.departAt : null,
+    edges: []
   };
+
+  const nearest = graph.findNearestNode(location);
+  if (!nearest.node) {
+    return { ...result, method: 'estimate' };
+  }
+
+  // Get to the network on foot, or on local streets
+  const accessSpeed = isWalking ? AVERAGE_WALKING_SPEED : DRIVING_SPEEDS.residential * conditions.getSpeedFactor('residential');
+  const accessCost = nearest.distance / accessSpeed;
+  if (accessCost > maxSeconds) {
+    return { ...result, method: 'estimate', snapDistance: nearest.distance };
+  }
+
+  const edgeCost = isWalking
+    ? (edge) => edge.travelTime
+    : (edge, fromNode) => {
+      let cost = edge.travelTime / conditions.getSpeedFactor(edge.roadType);
+      if (fromNode.degree >= 3 && !FREEWAY_TYPES.has(edge.roadType)) {
+        cost += (fromNode.degree >= 4 ? JUNCTION_DELAYS.fourWay : JUNCTION_DELAYS.threeWay) / conditions.getSpeedFactor('primary');
+      }
+      return cost;
+    };
+
+  const edges = graph.searchReachable(nearest.node, accessCost, maxSeconds, edgeCost);
+
+  // The access leg itself, from the location to the network
+  edges.unshift({
+    from: { lat: location.lat, lng: location.lng },
+    to: { lat: nearest.node.lat, lng: nearest.node.lng },
+    startCost: 0,
+    cost: accessCost
+  });
+
+  return { ...result, snapDistance: nearest.distance, edges };
 };
 
 /**
- * Initialize the road graph
- * Call this at application startup to preload the graph
+ * Initialize the walking and driving road graphs
+ * Call this at application startup to preload the graphs
  */
 export const initializeRoadGraph = async () => {
-  await roadGraph.buildGraph();
+  const { walking, driving } = graphState();
+  await walking.buildGraph();
+  await driving.buildGraph();
   console.log('Road graph initialization complete');
 };
@@ -0,0 +1,130 @@
+/**
+ * School analysis
+ * Works out which elementary and secondary schools an address is designated to, from the school
+ * boards' catchment polygons, and which schools it can attend: a board's school with a catchment
+ * only takes the addresses inside it, while private schools, colleges and universities (and
+ * schools of boards without catchment data) take anyone.
+ */
+
+import { calculateHaversineDistance, isPointInPolygon } from './customGeoAnalysis.js';
+import { getEducation, getSchoolCatchments } from '../data/dataLoader.js';
+
+// Levels that schools have catchments for
+export const CATCHMENT_LEVELS = ['elementary', 'secondary'];
+
+// "board:level" pairs with catchment data, per list of catchments
+const coveredLevels = new WeakMap();
+
+/**
+ * Normalize a school name for matching catchments to schools
+ * @param {string} name - School name
+ * @returns {string} - Lower case name with punctuation collapsed to single spaces
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Check whether a location is inside a catchment
+ * @param {Object} location - Location with lat and lng
+ * @param {Object} catchment - Catchment with polygons and bounds
+ * @returns {boolean} - True if the location is inside one of the catchment's polygons (and not in a hole)
+ */
+const isInCatchment = (location, { polygons, bounds }) => {
+  if (location.lat < bounds.minLat || location.lat > bounds.maxLat || location.lng < bounds.minLng || location.lng > bounds.maxLng) {
+    return false;
+  }
+  return polygons.some(([outer, ...holes]) =>
+    isPointInPolygon(location, outer) && !holes.some(hole => isPointInPolygon(location, hole))
+  );
+};
+
+/**
+ * Check whether a board has catchment data for a level
+ * @param {string} board - Board code
+ * @param {string} level - School level
+ * @returns {boolean} - True if catchments were loaded for the board and level
+ */
+const hasCatchments = (board, level) => {
+  const catchments = getSchoolCatchments();
+  if (!coveredLevels.has(catchments)) {
+    coveredLevels.set(catchments, new Set(catchments.map(catchment => `${catchment.board}:${catchment.level}`)));
+  }
+  return coveredLevels.get(catchments).has(`${board}:${level}`);
+};
+
+/**
+ * Find the designated schools for a location
+ * Each board whose catchments cover the location designates one school per level; the school is
+ * matched by name (and board) to the education data for its address and position
+ * @param {Object} location - Location with lat and lng
+ * @returns {Object} - {elementary: [...], secondary: [...]}, each school {name, level, board,
+ * boardName, language, system, address, lat, lng, distance, rating}, nearest first
+ */
+export const findDesignatedSchools = (location) => {
+  const designatedSchools = { elementary: [], secondary: [] };
+
+  for (const catchment of getSchoolCatchments()) {
+    if (!isInCatchment(location, catchment)) {
+      continue;
+    }
+
+    const name = normalizeName(catchment.school);
+    const school = getEducation().find(record =>
+      normalizeName(record.name) === name && (!record.board || String(record.board).toUpperCase() === catchment.board)
+    );
+
+    designatedSchools[catchment.level].push({
+      name: school?.name || catchment.school,
+      level: catchment.level,
+      board: catchment.board,
+      boardName: catchment.boardName,
+      language: catchment.language,
+      system: catchment.system,
+      address: school?.address || null,
+      lat: school ? parseFloat(school.lat) : null,
+      lng: school ? parseFloat(school.lng) : null,
+      distance: school ? Math.round(calculateHaversineDistance(location, { lat: parseFloat(school.lat), lng: parseFloat(school.lng) })) : null,
+      rating: school?.rating ?? null
+    });
+  }
+
+  // Schools missing from the education data (no distance) go last
+  for (const level of CATCHMENT_LEVELS) {
+    designatedSchools[level].sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+  }
+  return designatedSchools;
+};
+
+/**
+ * Check whether a location can attend a school
+ * @param {Object} school - School with level and board
+ * @param {Object} designatedSchools - The location's designated schools (see findDesignatedSchools)
+ * @returns {boolean} - False only for a board's school whose catchment doesn't include the location
+ */
+export const isSchoolAvailable = (school, designatedSchools) => {
+  const board = String(school.board || '').toUpperCase();
+  if (!CATCHMENT_LEVELS.includes(school.level) || !board || !hasCatchments(board, school.level)) {
+    return true;
+  }
+  const name = normalizeName(school.name);
+  return designatedSchools[school.level].some(designated => designated.board === board && normalizeName(designated.name) === name);
+};
+
+/**
+ * Count schools by level, and private schools
+ * @param {Array} schools - Schools with level and board
+ * @returns {Object} - {elementary, secondary, postsecondary, private, unknownLevel}
+ */
+export const countSchoolsByLevel = (schools) => ({
+  elementary: schools.filter(school => school.level === 'elementary').length,
+  secondary: schools.filter(school => school.level === 'secondary').length,
+  postsecondary: schools.filter(school => school.level === 'postsecondary').length,
+  private: schools.filter(school => String(school.board || '').toLowerCase() === 'private').length,
+  unknownLevel: schools.filter(school => !school.level).length
+});
+
+export default {
+  CATCHMENT_LEVELS,
+  findDesignatedSchools,
+  isSchoolAvailable,
+  countSchoolsByLevel
+};
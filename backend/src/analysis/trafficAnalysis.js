@@ -0,0 +1,79 @@
+/**
+ * Travel times by time of day
+ * Compares the drive downtown and the emergency response from the closest services
+ * at rush hour and off-peak (and at a requested departure time), side by side
+ */
+
+import { calculateDrivingTime } from './routingAnalysis.js';
+import { calculateEmergencyResponseTime } from './drivingAnalysis.js';
+import { getReferenceTimes } from './trafficProfile.js';
+import { getActiveRegion } from '../data/regionPacks.js';
+
+/**
+ * Get the commute destination used for the comparison: the active region's downtown
+ * @returns {Object} - Destination {name, lat, lng}
+ */
+export const getCommuteDestination = () => getActiveRegion().downtown;
+
+/**
+ * Compare commute and emergency response times across traffic scenarios
+ * @param {Object} location - Location {lat, lng}
+ * @param {Object} options - Comparison options
+ * @param {Object} options.departAt - Parsed departure time from parseDepartAt, added as its own scenario
+ * @param {Object} options.closestServices - Closest emergency service of each type {type: service}
+ * @returns {Object} - {departAt, scenarios, commute, emergencyResponse}, times keyed by scenario name
+ */
+export const calculateTrafficComparison = (location, { departAt = null, closestServices = {} } = {}) => {
+  const scenarios = getReferenceTimes();
+  if (departAt) {
+    scenarios.departAt = { ...departAt, description: 'Requested departure time' };
+  }
+
+  // Run a calculation once per scenario, keyed by scenario name
+  const forEachScenario = (calculate) => Object.fromEntries(
+    Object.entries(scenarios).map(([name, time]) => [name, calculate(time)])
+  );
+
+  const destination = getCommuteDestination();
+  const commuteTimes = forEachScenario(time => {
+    const drivingTime = calculateDrivingTime(location, destination, { departAt: time });
+    return {
+      minutes: drivingTime.minutes,
+      distance: drivingTime.distance,
+      isEstimate: drivingTime.isEstimate,
+      trafficLevel: drivingTime.trafficLevel
+    };
+  });
+
+  const emergencyResponse = Object.fromEntries(
+    Object.entries(closestServices).map(([type, service]) => {
+      const serviceLocation = { lat: parseFloat(service.lat), lng: parseFloat(service.lng) };
+      return [type, {
+        name: service.name || 'Unknown Service',
+        distance: service.distance || 0,
+        times: forEachScenario(time => ({
+          minutes: calculateEmergencyResponseTime(serviceLocation, location, type, { departAt: time }).minutes
+        }))
+      }];
+    })
+  );
+
+  return {
+    departAt: departAt ? departAt.label : null,
+    scenarios: Object.entries(scenarios).map(([name, time]) => ({
+      name,
+      description: time.description,
+      time: time.label
+    })),
+    commute: {
+      destination,
+      times: commuteTimes
+    },
+    emergencyResponse
+  };
+};
+
+export default {
+  calculateTrafficComparison,
+  getCommuteDestination
+};
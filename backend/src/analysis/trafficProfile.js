@@ -0,0 +1,279 @@
+/**
+ * Time-of-day traffic model
+ * Speed factors per road class for every hour of the week are loaded from
+ * config/traffic_profile.json. A factor of 1 is free-flow speed; 0.5 means traffic
+ * moves at half speed, so travel takes twice as long.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helper to get __dirname in ES module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_TRAFFIC_PROFILE_PATH = path.resolve(__dirname, '../../config/traffic_profile.json');
+
+// Days of the week in Date.getDay() order
+export const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const HOURS_PER_DAY = 24;
+const HOURS_PER_WEEK = HOURS_PER_DAY * DAYS_OF_WEEK.length;
+
+// Used if the config file is missing or invalid: the old static congestion levels, no hourly data
+const FALLBACK_CONFIG = {
+  timezone: 'America/Toronto',
+  levels: { low: 1.0, medium: 0.77, high: 0.56 },
+  defaultLevel: 'medium',
+  emergencyCongestionShare: 0.4,
+  referenceTimes: {
+    rushHour: { label: 'Weekday morning rush hour', day: 'tuesday', hour: 8 },
+    offPeak: { label: 'Weekday midday', day: 'tuesday', hour: 13 }
+  },
+  roadClasses: {},
+  defaultClass: null,
+  dayTypes: {},
+  speedFactors: {}
+};
+
+let trafficProfile = null;
+
+/**
+ * Expand a road class's speed factors to one value per hour of the week
+ * Accepts either 168 hourly values (Sunday 00:00 first) or 24 hourly values per day type
+ * @param {Array|Object} factors - Speed factors from the config file
+ * @param {Object} dayTypes - Map of day name to day type
+ * @returns {Object} - {hourOfWeek, errors}
+ */
+const expandSpeedFactors = (factors, dayTypes) => {
+  const isValidFactor = (value) => typeof value === 'number' && value > 0 && value <= 1.5;
+
+  if (Array.isArray(factors)) {
+    if (factors.length !== HOURS_PER_WEEK || !factors.every(isValidFactor)) {
+      return { hourOfWeek: null, errors: [`hourly speed factors must be ${HOURS_PER_WEEK} numbers between 0 and 1.5`] };
+    }
+    return { hourOfWeek: factors, errors: [] };
+  }
+
+  const errors = [];
+  const hourOfWeek = [];
+  for (const day of DAYS_OF_WEEK) {
+    const dayType = dayTypes[day] || day;
+    const hours = factors ? factors[dayType] : null;
+
+    if (!Array.isArray(hours) || hours.length !== HOURS_PER_DAY || !hours.every(isValidFactor)) {
+      errors.push(`"${dayType}" (used for ${day}) must be ${HOURS_PER_DAY} numbers between 0 and 1.5`);
+      continue;
+    }
+    hourOfWeek.push(...hours);
+  }
+
+  return { hourOfWeek: errors.length === 0 ? hourOfWeek : null, errors };
+};
+
+/**
+ * Load the traffic profile from the config file (cached after the first call)
+ * @param {string} filePath - Path to the traffic profile JSON file
+ * @returns {Object} - Config plus hourOfWeek (road class -> 168 factors) and classByRoadType lookups
+ */
+export const loadTrafficProfile = (filePath = process.env.TRAFFIC_PROFILE_PATH || DEFAULT_TRAFFIC_PROFILE_PATH) => {
+  if (trafficProfile) {
+    return trafficProfile;
+  }
+
+  let config = FALLBACK_CONFIG;
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Warning: File ${filePath} does not exist, using static traffic levels`);
+    } else {
+      config = { ...FALLBACK_CONFIG, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+  } catch (error) {
+    console.error(`Error loading traffic profile from ${filePath}:`, error);
+    config = FALLBACK_CONFIG;
+  }
+
+  // Skip road classes with malformed factors rather than failing the whole profile
+  const hourOfWeek = {};
+  for (const [roadClass, factors] of Object.entries(config.speedFactors || {})) {
+    const expanded = expandSpeedFactors(factors, config.dayTypes || {});
+    if (expanded.errors.length > 0) {
+      console.warn(`Warning: Skipping traffic speed factors for "${roadClass}": ${expanded.errors.join('; ')}`);
+      continue;
+    }
+    hourOfWeek[roadClass] = expanded.hourOfWeek;
+  }
+
+  const classByRoadType = {};
+  for (const [roadClass, roadTypes] of Object.entries(config.roadClasses || {})) {
+    for (const roadType of roadTypes) {
+      classByRoadType[roadType] = roadClass;
+    }
+  }
+
+  if (Object.keys(hourOfWeek).length > 0) {
+    console.log(`Loaded traffic profile with ${Object.keys(hourOfWeek).length} road classes`);
+  }
+
+  trafficProfile = { ...config, hourOfWeek, classByRoadType };
+  return trafficProfile;
+};
+
+/**
+ * Format a departure time for display
+ * @param {number} dayOfWeek - Day of the week (0 = Sunday)
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @returns {string} - e.g. "Tuesday 08:00"
+ */
+const formatDepartureTime = (dayOfWeek, hour, minute) => {
+  const day = DAYS_OF_WEEK[dayOfWeek];
+  return `${day.charAt(0).toUpperCase()}${day.slice(1)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a departure time
+ * Accepts an ISO timestamp ("2025-03-04T08:15-05:00"), a local date and time without an offset
+ * ("2025-03-04T08:15", read as Ottawa time) or a day and time ("tuesday 08:15", "tue 8:15")
+ * @param {string|Date} value - Departure time
+ * @returns {Object} - {time: {dayOfWeek, hour, minute, label}, errors}
+ */
+export const parseDepartAt = (value) => {
+  const invalid = {
+    time: null,
+    errors: ['departAt must be an ISO date and time (e.g. "2025-03-04T08:15") or a day and time (e.g. "tuesday 08:15")']
+  };
+
+  if (value === undefined || value === null || value === '') {
+    return { time: null, errors: [] };
+  }
+
+  const toTime = (dayOfWeek, hour, minute) => {
+    if (!(hour >= 0 && hour < HOURS_PER_DAY && minute >= 0 && minute < 60)) {
+      return invalid;
+    }
+    return { time: { dayOfWeek, hour, minute, label: formatDepartureTime(dayOfWeek, hour, minute) }, errors: [] };
+  };
+
+  const text = value instanceof Date ? null : String(value).trim();
+
+  // Day of the week and time of day
+  const dayTime = text && text.toLowerCase().match(/^([a-z]+)\s+(\d{1,2}):(\d{2})$/);
+  if (dayTime) {
+    const dayOfWeek = DAYS_OF_WEEK.findIndex(day => dayTime[1].length >= 3 && day.startsWith(dayTime[1]));
+    return dayOfWeek === -1 ? invalid : toTime(dayOfWeek, parseInt(dayTime[2], 10), parseInt(dayTime[3], 10));
+  }
+
+  // Local date and time without an offset, already in Ottawa time
+  const local = text && text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (local) {
+    const [, year, month, day, hour, minute] = local.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1) {
+      return invalid;
+    }
+    return toTime(date.getUTCDay(), hour, minute);
+  }
+
+  // Anything else must be a full timestamp; convert it to Ottawa time
+  const date = value instanceof Date ? value : new Date(text);
+  if (Number.isNaN(date.getTime()) || (text && !/^\d{4}-\d{2}-\d{2}T/.test(text))) {
+    return invalid;
+  }
+
+  const { timezone } = loadTrafficProfile();
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return toTime(DAYS_OF_WEEK.indexOf(parts.weekday.toLowerCase()), parseInt(parts.hour, 10), parseInt(parts.minute, 10));
+};
+
+/**
+ * Get the reference departure times used for rush hour vs off-peak comparisons
+ * @returns {Object} - Map of scenario name to {dayOfWeek, hour, minute, label, description}
+ */
+export const getReferenceTimes = () => {
+  const { referenceTimes } = loadTrafficProfile();
+  return Object.fromEntries(
+    Object.entries(referenceTimes).map(([name, reference]) => {
+      const { time } = parseDepartAt(`${reference.day} ${reference.hour}:00`);
+      return [name, { ...time, description: reference.label || name }];
+    })
+  );
+};
+
+/**
+ * Describe a speed factor as one of the static traffic levels
+ * @param {number} speedFactor - Speed factor (1 = free flow)
+ * @returns {string} - 'low', 'medium' or 'high'
+ */
+const describeTrafficLevel = (speedFactor) => {
+  if (speedFactor >= 0.9) return 'low';
+  if (speedFactor >= 0.7) return 'medium';
+  return 'high';
+};
+
+/**
+ * Resolve the traffic conditions for a trip
+ * With a departure time, speed factors come from the hourly profile for each road class;
+ * otherwise the static traffic level applies to every road
+ * @param {Object} options - Traffic options
+ * @param {string} options.trafficLevel - Static level: 'low', 'medium' or 'high'
+ * @param {string|Date|Object} options.departAt - Departure time (string, Date or parsed time)
+ * @returns {Object} - {trafficLevel, departAt, getSpeedFactor(roadType), emergencySpeedFactor}
+ */
+export const resolveTrafficConditions = ({ trafficLevel, departAt } = {}) => {
+  const profile = loadTrafficProfile();
+
+  const time = departAt && typeof departAt === 'object' && !(departAt instanceof Date)
+    ? departAt
+    : parseDepartAt(departAt).time;
+
+  if (!time) {
+    const level = profile.levels[trafficLevel] !== undefined ? trafficLevel : profile.defaultLevel;
+    const speedFactor = profile.levels[level];
+    return {
+      trafficLevel: level,
+      departAt: null,
+      getSpeedFactor: () => speedFactor,
+      // Emergency response times without a departure time are not slowed by traffic
+      emergencySpeedFactor: 1
+    };
+  }
+
+  const hourIndex = time.dayOfWeek * HOURS_PER_DAY + time.hour;
+  const levelFactor = profile.levels[profile.defaultLevel];
+
+  const getSpeedFactor = (roadType) => {
+    const roadClass = profile.classByRoadType[roadType] || profile.defaultClass;
+    const factors = profile.hourOfWeek[roadClass];
+    return factors ? factors[hourIndex] : levelFactor;
+  };
+
+  // Emergency vehicles use arterials and only feel part of the congestion on them
+  const arterialFactor = getSpeedFactor('primary');
+  const emergencySpeedFactor = 1 - (1 - arterialFactor) * profile.emergencyCongestionShare;
+
+  return {
+    trafficLevel: describeTrafficLevel(arterialFactor),
+    departAt: time.label,
+    getSpeedFactor,
+    emergencySpeedFactor
+  };
+};
+
+export default {
+  loadTrafficProfile,
+  parseDepartAt,
+  getReferenceTimes,
+  resolveTrafficConditions
+};
@@ -0,0 +1,416 @@
+/**
+ * Walk + transit journey planner
+ * Finds the earliest arrival between two locations on the GTFS timetable with the
+ * Connection Scan Algorithm: connections are scanned in departure order, and a trip can be
+ * boarded once its stop has been reached on foot or by an earlier connection. Access,
+ * egress and transfer walks come from the walking network.
+ */
+
+import { calculateWalkingTime } from './routingAnalysis.js';
+import { parseDepartAt } from './trafficProfile.js';
+import { getGtfsFeed, NO_PICKUP, NO_DROP_OFF } from '../data/gtfsLoader.js';
+import { createSpatialIndex } from '../data/spatialIndex.js';
+import { createRegionState } from '../data/regionPacks.js';
+
+// How far and to how many stops people walk to start or finish a transit journey
+const ACCESS_RADIUS = 1000;
+const MAX_ACCESS_STOPS = 8;
+
+// How far and to how many stops people walk to change between stops
+const TRANSFER_RADIUS = 300;
+const MAX_TRANSFER_STOPS = 6;
+
+// Time allowed to get off one vehicle and onto another at the same stop
+const MIN_TRANSFER_SECONDS = 60;
+
+// Journeys taking longer than this aren't searched for
+const MAX_JOURNEY_SECONDS = 3 * 60 * 60;
+
+// Walking times are cached by endpoints; the cache is cleared when it grows past this size
+const MAX_CACHED_WALKS = 50000;
+
+// Loaded timetable, service calendar and an index over the stops with departures, per region
+const timetableState = createRegionState(() => ({ transitData: null }));
+const walkCache = new Map();
+
+/**
+ * Load the GTFS timetable for journey planning (cached after the first call)
+ * @returns {Promise<boolean>} - True if a timetable is available
+ */
+export const loadTransitTimetable = async () => {
+  if (timetableState().transitData) {
+    return true;
+  }
+
+  const feed = await getGtfsFeed();
+  if (!feed || !feed.timetable) {
+    return false;
+  }
+
+  const { timetable, serviceWeek, routes } = feed;
+
+  // Only index stops that trips actually call at
+  const served = new Uint8Array(timetable.stops.length);
+  timetable.connections.depStop.forEach(stop => { served[stop] = 1; });
+  timetable.connections.arrStop.forEach(stop => { served[stop] = 1; });
+
+  timetableState().transitData = {
+    timetable,
+    serviceWeek,
+    routes,
+    stopIndex: createSpatialIndex(timetable.stops.filter(stop => served[stop.index]), { cellSize: 250 }),
+    activeTripsByDay: new Map()
+  };
+
+  console.log(`Transit journey planner ready with ${timetable.connections.count} connections`);
+  return true;
+};
+
+/**
+ * Check whether the journey planner has a timetable loaded
+ * @returns {boolean} - True if journeys can be planned
+ */
+export const isTransitTimetableLoaded = () => timetableState().transitData !== null;
+
+/**
+ * Walking time between two points, cached
+ * @param {Object} from - Location {lat, lng}
+ * @param {Object} to - Location {lat, lng}
+ * @returns {Object} - {seconds, distance, isEstimate}
+ */
+const walkBetween = (from, to) => {
+  const key = `${from.lat.toFixed(5)},${from.lng.toFixed(5)}|${to.lat.toFixed(5)},${to.lng.toFixed(5)}`;
+  if (!walkCache.has(key)) {
+    if (walkCache.size >= MAX_CACHED_WALKS) {
+      walkCache.clear();
+    }
+
+    const walkingTime = calculateWalkingTime(from, to);
+    walkCache.set(key, {
+      seconds: walkingTime.minutes * 60,
+      distance: walkingTime.distance,
+      isEstimate: walkingTime.isEstimate
+    });
+  }
+  return walkCache.get(key);
+};
+
+/**
+ * Find the stops within walking distance of a location, with the walk to (or from) each
+ * @param {Object} location - Location {lat, lng}
+ * @param {number} radius - Search radius in meters
+ * @param {number} limit - Maximum number of stops
+ * @param {boolean} toLocation - Walk from the stop to the location instead of the other way
+ * @returns {Array} - [{stop, walk}]
+ */
+const findWalkableStops = (location, radius, limit, toLocation = false) => {
+  const { transitData } = timetableState();
+  return transitData.stopIndex.nearest(location, limit, { maxDistance: radius }).map(({ item: stop }) => ({
+    stop,
+    walk: toLocation ? walkBetween(stop, location) : walkBetween(location, stop)
+  }));
+};
+
+/**
+ * Which trips run on a day of the week (cached per day)
+ * @param {number} dayOfWeek - Day of the week (0 = Sunday)
+ * @returns {Uint8Array} - 1 for each trip index that runs
+ */
+const getActiveTrips = (dayOfWeek) => {
+  const { transitData } = timetableState();
+  if (!transitData.activeTripsByDay.has(dayOfWeek)) {
+    const services = transitData.serviceWeek.days[dayOfWeek];
+    const active = new Uint8Array(transitData.timetable.trips.length);
+    transitData.timetable.trips.forEach(trip => {
+      active[trip.index] = services.has(trip.serviceId) ? 1 : 0;
+    });
+    transitData.activeTripsByDay.set(dayOfWeek, active);
+  }
+  return transitData.activeTripsByDay.get(dayOfWeek);
+};
+
+/**
+ * Find the first connection departing at or after a time
+ * @param {Int32Array} depTimes - Connection departure times, sorted
+ * @param {number} time - Seconds since the start of the service day
+ * @returns {number} - Connection index
+ */
+const findFirstConnection = (depTimes, time) => {
+  let low = 0;
+  let high = depTimes.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (depTimes[mid] < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Format seconds since the start of the service day as a time of day
+ * @param {number} seconds - Seconds (may run past midnight)
+ * @returns {string} - e.g. "08:15"
+ */
+const formatTime = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Describe a stop for a journey leg
+ * @param {Object} stop - GTFS stop
+ * @returns {Object} - {stopId, code, name, lat, lng}
+ */
+const describeStop = (stop) => ({
+  stopId: stop.id,
+  code: stop.code,
+  name: stop.name,
+  lat: stop.lat,
+  lng: stop.lng
+});
+
+/**
+ * Run the connection scan from a departure time
+ * @param {Array} accessStops - Stops reachable on foot from the origin [{stop, walk}]
+ * @param {Map} egressWalks - Walks from stops to the destination, by stop index
+ * @param {number} startTime - Departure time in seconds since the start of the service day
+ * @param {Uint8Array} activeTrips - Trips running that day
+ * @param {number} bestArrival - Arrival time to beat (walking the whole way)
+ * @returns {Object} - {arrival, reachedBy, bestStop, bestArrival}
+ */
+const scanConnections = (accessStops, egressWalks, startTime, activeTrips, bestArrival) => {
+  const { stops, trips, connections } = timetableState().transitData.timetable;
+  const arrival = new Float64Array(stops.length).fill(Infinity);
+  const reachedBy = new Array(stops.length);
+  const boardedAt = new Int32Array(trips.length).fill(-1);
+  const transferCache = new Map();
+  let bestStop = -1;
+
+  // Record reaching a stop, and whether that makes for a better arrival at the destination
+  // (only after riding something; walking via a stop is no better than walking directly)
+  const reachStop = (stopIndex, time, via) => {
+    arrival[stopIndex] = time;
+    reachedBy[stopIndex] = via;
+
+    const egress = egressWalks.get(stopIndex);
+    if (egress && via.type !== 'access' && time + egress.seconds < bestArrival) {
+      bestArrival = time + egress.seconds;
+      bestStop = stopIndex;
+    }
+  };
+
+  for (const { stop, walk } of accessStops) {
+    if (startTime + walk.seconds < arrival[stop.index]) {
+      reachStop(stop.index, startTime + walk.seconds, { type: 'access', walk });
+    }
+  }
+
+  const lastDeparture = startTime + MAX_JOURNEY_SECONDS;
+  for (let index = findFirstConnection(connections.depTime, startTime); index < connections.count; index++) {
+    const depTime = connections.depTime[index];
+    if (depTime >= bestArrival || depTime > lastDeparture) {
+      break;
+    }
+
+    const trip = connections.trip[index];
+    if (!activeTrips[trip]) {
+      continue;
+    }
+
+    // Board the trip here if it isn't already being ridden and the stop is reached in time
+    if (boardedAt[trip] === -1) {
+      const depStop = connections.depStop[index];
+      const transferTime = reachedBy[depStop]?.type === 'ride' ? MIN_TRANSFER_SECONDS : 0;
+      if ((connections.flags[index] & NO_PICKUP) || arrival[depStop] + transferTime > depTime) {
+        continue;
+      }
+      boardedAt[trip] = index;
+    }
+
+    const arrStop = connections.arrStop[index];
+    const arrTime = connections.arrTime[index];
+    if ((connections.flags[index] & NO_DROP_OFF) || arrTime >= arrival[arrStop]) {
+      continue;
+    }
+
+    reachStop(arrStop, arrTime, { type: 'ride', board: boardedAt[trip], alight: index });
+
+    // Walk on to nearby stops to change there
+    if (!transferCache.has(arrStop)) {
+      transferCache.set(arrStop, findWalkableStops(stops[arrStop], TRANSFER_RADIUS, MAX_TRANSFER_STOPS + 1)
+        .filter(transfer => transfer.stop.index !== arrStop));
+    }
+    for (const { stop, walk } of transferCache.get(arrStop)) {
+      if (arrTime + walk.seconds < arrival[stop.index]) {
+        reachStop(stop.index, arrTime + walk.seconds, { type: 'transfer', from: arrStop, walk });
+      }
+    }
+  }
+
+  return { arrival, reachedBy, bestStop, bestArrival };
+};
+
+/**
+ * Turn the scan result into journey legs, from the origin to the destination
+ * @param {Object} scan - Result of scanConnections
+ * @param {Object} origin - Origin {lat, lng}
+ * @param {Object} destination - Destination {lat, lng}
+ * @param {Object} egress - Walk from the last stop to the destination
+ * @param {number} startTime - Departure time in seconds since the start of the service day
+ * @returns {Array} - Legs of type 'walk', 'wait' and 'transit'
+ */
+const buildLegs = (scan, origin, destination, egress, startTime) => {
+  const { transitData } = timetableState();
+  const { stops, trips, connections } = transitData.timetable;
+  const steps = [];
+
+  // Follow the journey back from the last stop to the origin
+  let stopIndex = scan.bestStop;
+  for (let guard = 0; guard < stops.length; guard++) {
+    const via = scan.reachedBy[stopIndex];
+    steps.unshift({ ...via, to: stopIndex });
+    if (via.type === 'access') {
+      break;
+    }
+    stopIndex = via.type === 'ride' ? connections.depStop[via.board] : via.from;
+  }
+
+  const legs = [];
+  let clock = startTime;
+
+  const addWalk = (from, to, walk) => {
+    legs.push({
+      type: 'walk',
+      from,
+      to,
+      departureTime: formatTime(clock),
+      arrivalTime: formatTime(clock + walk.seconds),
+      minutes: Math.round(walk.seconds / 60),
+      distance: walk.distance,
+      isEstimate: walk.isEstimate
+    });
+    clock += walk.seconds;
+  };
+
+  for (const step of steps) {
+    if (step.type === 'access') {
+      addWalk({ lat: origin.lat, lng: origin.lng }, describeStop(stops[step.to]), step.walk);
+    } else if (step.type === 'transfer') {
+      addWalk(describeStop(stops[step.from]), describeStop(stops[step.to]), step.walk);
+    } else {
+      const depTime = connections.depTime[step.board];
+      const arrTime = connections.arrTime[step.alight];
+      const trip = trips[connections.trip[step.board]];
+      const route = transitData.routes.get(trip.routeId);
+      const boardStop = stops[connections.depStop[step.board]];
+
+      if (depTime > clock) {
+        legs.push({
+          type: 'wait',
+          at: describeStop(boardStop),
+          minutes: Math.round((depTime - clock) / 60)
+        });
+      }
+
+      // Connections of one trip are consecutive in trip order, not in the sorted timetable
+      let stopCount = 0;
+      for (let index = step.board; index <= step.alight; index++) {
+        if (connections.trip[index] === trip.index) {
+          stopCount++;
+        }
+      }
+
+      legs.push({
+        type: 'transit',
+        mode: route ? route.mode : 'other',
+        route: route ? route.shortName : trip.routeId,
+        routeName: route ? route.longName : '',
+        headsign: trip.headsign,
+        from: describeStop(boardStop),
+        to: describeStop(stops[step.to]),
+        departureTime: formatTime(depTime),
+        arrivalTime: formatTime(arrTime),
+        minutes: Math.round((arrTime - depTime) / 60),
+        stops: stopCount
+      });
+      clock = arrTime;
+    }
+  }
+
+  addWalk(describeStop(stops[scan.bestStop]), { lat: destination.lat, lng: destination.lng }, egress);
+  return legs;
+};
+
+/**
+ * Plan a walk + transit journey
+ * Returns the earliest arrival, which is a walk the whole way when no transit journey is faster
+ * @param {Object} origin - Origin {lat, lng}
+ * @param {Object} destination - Destination {lat, lng}
+ * @param {Object} options - Planning options
+ * @param {string|Date|Object} options.departAt - Departure time (string, Date or parsed time); defaults to now
+ * @returns {Object|null} - Journey {departAt, departureTime, arrivalTime, totalMinutes, walkingMinutes,
+ *   waitingMinutes, inVehicleMinutes, transfers, walkOnly, legs}, or null without a timetable
+ */
+export const planTransitJourney = (origin, destination, { departAt = null } = {}) => {
+  if (!timetableState().transitData) {
+    return null;
+  }
+
+  const time = departAt && typeof departAt === 'object' && !(departAt instanceof Date)
+    ? departAt
+    : parseDepartAt(departAt || new Date()).time;
+  if (!time) {
+    return null;
+  }
+
+  const startTime = time.hour * 3600 + time.minute * 60;
+  const directWalk = walkBetween(origin, destination);
+
+  const accessStops = findWalkableStops(origin, ACCESS_RADIUS, MAX_ACCESS_STOPS);
+  const egressWalks = new Map(
+    findWalkableStops(destination, ACCESS_RADIUS, MAX_ACCESS_STOPS, true).map(({ stop, walk }) => [stop.index, walk])
+  );
+
+  const scan = accessStops.length > 0 && egressWalks.size > 0
+    ? scanConnections(accessStops, egressWalks, startTime, getActiveTrips(time.dayOfWeek), startTime + directWalk.seconds)
+    : { bestStop: -1 };
+
+  const legs = scan.bestStop === -1
+    ? [{
+        type: 'walk',
+        from: { lat: origin.lat, lng: origin.lng },
+        to: { lat: destination.lat, lng: destination.lng },
+        departureTime: formatTime(startTime),
+        arrivalTime: formatTime(startTime + directWalk.seconds),
+        minutes: Math.round(directWalk.seconds / 60),
+        distance: directWalk.distance,
+        isEstimate: directWalk.isEstimate
+      }]
+    : buildLegs(scan, origin, destination, egressWalks.get(scan.bestStop), startTime);
+
+  const arrivalTime = scan.bestStop === -1 ? startTime + directWalk.seconds : scan.bestArrival;
+  const totalBy = (type) => legs.filter(leg => leg.type === type).reduce((total, leg) => total + leg.minutes, 0);
+  const transitLegs = legs.filter(leg => leg.type === 'transit').length;
+
+  return {
+    departAt: time.label,
+    departureTime: formatTime(startTime),
+    arrivalTime: formatTime(arrivalTime),
+    totalMinutes: Math.round((arrivalTime - startTime) / 60),
+    walkingMinutes: totalBy('walk'),
+    waitingMinutes: totalBy('wait'),
+    inVehicleMinutes: totalBy('transit'),
+    transfers: Math.max(transitLegs - 1, 0),
+    walkOnly: transitLegs === 0,
+    legs
+  };
+};
+
+export default {
+  loadTransitTimetable,
+  isTransitTimetableLoaded,
+  planTransitJourney
+};
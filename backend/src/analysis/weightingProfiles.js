@@ -0,0 +1,255 @@
+/**
+ * Weighting profiles for the overall address score
+ * Named profiles ("family", "commuter", ...) are loaded from config/weighting_profiles.json
+ * and callers may also supply their own weights, which must sum to 1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { calculateWeightedScore } from './customGeoAnalysis.js';
+
+// Helper to get __dirname in ES module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PROFILES_PATH = path.resolve(__dirname, '../../config/weighting_profiles.json');
+
+// Score components that can be weighted
+// (commute only has a score when the analysis is for a user with saved destinations)
+export const SCORE_COMPONENTS = ['mobility', 'livability', 'emergency', 'grocery', 'commute'];
+
+// Share of the overall score given to the commute score when the weights don't set one
+export const DEFAULT_COMMUTE_WEIGHT = 0.25;
+
+// Allowed rounding slack when checking that weights sum to 1
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+// Used if the config file is missing so the API keeps working
+const FALLBACK_CONFIG = {
+  defaultProfile: 'balanced',
+  profiles: {
+    balanced: {
+      description: 'General-purpose weighting used when no profile is requested',
+      weights: { mobility: 0.35, livability: 0.40, emergency: 0.25, grocery: 0 }
+    }
+  }
+};
+
+let profileConfig = null;
+
+/**
+ * Load weighting profiles from the config file (cached after the first call)
+ * @param {string} filePath - Path to the profiles JSON file
+ * @returns {Object} - {defaultProfile, profiles}
+ */
+export const loadWeightingProfiles = (filePath = process.env.WEIGHTING_PROFILES_PATH || DEFAULT_PROFILES_PATH) => {
+  if (profileConfig) {
+    return profileConfig;
+  }
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Warning: File ${filePath} does not exist, using built-in weighting profile`);
+      profileConfig = FALLBACK_CONFIG;
+      return profileConfig;
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    // Reject profiles that would silently skew scores
+    for (const [name, profile] of Object.entries(config.profiles || {})) {
+      const errors = validateWeights(profile.weights);
+      if (errors.length > 0) {
+        console.warn(`Warning: Skipping weighting profile "${name}": ${errors.join('; ')}`);
+        delete config.profiles[name];
+      }
+    }
+
+    if (!config.profiles || !config.profiles[config.defaultProfile]) {
+      console.warn('Warning: Weighting profile config has no valid default profile, using built-in profile');
+      profileConfig = FALLBACK_CONFIG;
+      return profileConfig;
+    }
+
+    console.log(`Loaded ${Object.keys(config.profiles).length} weighting profiles`);
+    profileConfig = config;
+  } catch (error) {
+    console.error(`Error loading weighting profiles from ${filePath}:`, error);
+    profileConfig = FALLBACK_CONFIG;
+  }
+
+  return profileConfig;
+};
+
+/**
+ * List the available weighting profiles
+ * @returns {Array} - Profiles with name, description and weights
+ */
+export const listWeightingProfiles = () => {
+  const { defaultProfile, profiles } = loadWeightingProfiles();
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    description: profile.description || '',
+    weights: profile.weights,
+    isDefault: name === defaultProfile
+  }));
+};
+
+/**
+ * Validate a set of weights
+ * @param {Object} weights - Map of score component to weight
+ * @returns {Array} - Error messages (empty if the weights are valid)
+ */
+export const validateWeights = (weights) => {
+  const errors = [];
+
+  if (!weights || typeof weights !== 'object') {
+    return ['Weights must be an object of component to weight'];
+  }
+
+  for (const [component, weight] of Object.entries(weights)) {
+    if (!SCORE_COMPONENTS.includes(component)) {
+      errors.push(`Unknown score component "${component}" (expected one of ${SCORE_COMPONENTS.join(', ')})`);
+    } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`Weight for "${component}" must be a non-negative number`);
+    }
+  }
+
+  if (errors.length === 0) {
+    const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+    if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+      errors.push(`Weights must sum to 1 (got ${Math.round(sum * 1000) / 1000})`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse custom weights from a query string value
+ * Accepts "mobility:0.5,livability:0.3,emergency:0.2" or a JSON object
+ * @param {string} value - Raw query parameter value
+ * @returns {Object|null} - Parsed weights, or null if the value is not parseable
+ */
+export const parseWeights = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const weights = {};
+  for (const pair of text.split(',')) {
+    const [component, weight] = pair.split(':').map(part => part && part.trim());
+    if (!component || weight === undefined || weight === '') {
+      return null;
+    }
+    weights[component] = Number(weight);
+  }
+  return weights;
+};
+
+/**
+ * Fill in missing components with a weight of 0 so responses always list every component
+ * @param {Object} weights - Map of score component to weight
+ * @returns {Object} - Weights for every score component
+ */
+const withAllComponents = (weights) => {
+  return Object.fromEntries(SCORE_COMPONENTS.map(component => [component, weights[component] || 0]));
+};
+
+/**
+ * Resolve which weights to apply from a profile name and/or custom weights
+ * Custom weights take precedence over the profile
+ * @param {Object} options - Selection
+ * @param {string} options.profile - Profile name (defaults to the configured default profile)
+ * @param {Object|string} options.weights - Custom weights, as an object or query string value
+ * @returns {Object} - {profile, weights, errors}
+ */
+export const resolveWeighting = ({ profile, weights } = {}) => {
+  const { defaultProfile, profiles } = loadWeightingProfiles();
+
+  if (weights) {
+    const customWeights = typeof weights === 'string' ? parseWeights(weights) : weights;
+    if (!customWeights) {
+      return {
+        profile: 'custom',
+        weights: null,
+        errors: ['Weights must look like "mobility:0.5,livability:0.3,emergency:0.2"']
+      };
+    }
+
+    const errors = validateWeights(customWeights);
+    return {
+      profile: 'custom',
+      weights: errors.length === 0 ? withAllComponents(customWeights) : null,
+      errors
+    };
+  }
+
+  const profileName = profile || defaultProfile;
+  if (!profiles[profileName]) {
+    return {
+      profile: profileName,
+      weights: null,
+      errors: [`Unknown weighting profile "${profileName}" (available: ${Object.keys(profiles).join(', ')})`]
+    };
+  }
+
+  return {
+    profile: profileName,
+    weights: withAllComponents(profiles[profileName].weights),
+    errors: []
+  };
+};
+
+/**
+ * Make room for the commute score in a set of weights
+ * Weights that already give commute a share are kept; otherwise commute gets the default
+ * share and the other components are scaled down so the weights still sum to 1
+ * @param {Object} weights - Map of score component to weight
+ * @returns {Object} - Weights including commute
+ */
+export const withCommuteWeight = (weights) => {
+  if (weights.commute > 0) {
+    return weights;
+  }
+
+  const scaled = Object.fromEntries(
+    Object.entries(weights).map(([component, weight]) => [component, Math.round(weight * (1 - DEFAULT_COMMUTE_WEIGHT) * 10000) / 10000])
+  );
+  return { ...scaled, commute: DEFAULT_COMMUTE_WEIGHT };
+};
+
+/**
+ * Calculate the overall score from component scores and weights
+ * @param {Object} scores - Map of score component to score (0-100)
+ * @param {Object} weights - Map of score component to weight
+ * @returns {number} - Weighted overall score (0-100)
+ */
+export const calculateOverallScore = (scores, weights) => {
+  // Only weight the components we actually have scores for
+  const availableScores = Object.fromEntries(
+    Object.entries(scores).filter(([component, score]) => typeof score === 'number' && weights[component] !== undefined)
+  );
+  return calculateWeightedScore(availableScores, weights);
+};
+
+export default {
+  loadWeightingProfiles,
+  listWeightingProfiles,
+  validateWeights,
+  parseWeights,
+  resolveWeighting,
+  withCommuteWeight,
+  calculateOverallScore
+};
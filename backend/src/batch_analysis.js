@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { loadDataSources } from './data/dataLoader.js';
+import { initializeMobilityAnalysis } from './analysis/mobilityAnalysis.js';
+import { resolveWeighting } from './analysis/weightingProfiles.js';
+import { analyzeBatch, parseBatchCsv, batchToCsv } from './analysis/batchAnalysis.js';
+import { getUserDestinations } from './analysis/commuteAnalysis.js';
+import { getGeocodeCache } from './geocoding/geocoder.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = 'Usage: npm run analyze-batch -- addresses.csv [results.csv] [--profile=family] [--concurrency=4] [--user=<id>]';
+
+// Main function
+const runBatchAnalysis = async () => {
+  try {
+    // Parse command line arguments
+    const args = process.argv.slice(2);
+    const options = Object.fromEntries(
+      args
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+          const [key, ...value] = arg.slice(2).split('=');
+          return [key, value.join('=')];
+        })
+    );
+    const [inputPath, outputArg] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!inputPath) {
+      console.error('Please provide a CSV file of addresses to analyze.');
+      console.log(USAGE);
+      process.exit(1);
+    }
+
+    if (!fs.existsSync(inputPath)) {
+      console.error(`Input file ${inputPath} does not exist`);
+      process.exit(1);
+    }
+
+    const weighting = resolveWeighting({ profile: options.profile, weights: options.weights });
+    if (weighting.errors.length > 0) {
+      console.error(weighting.errors.join('; '));
+      process.exit(1);
+    }
+
+    // Fails for an unknown user, before any addresses are analyzed
+    if (options.user) {
+      getUserDestinations(options.user);
+    }
+
+    // Default output sits next to the input: addresses.csv -> addresses_results.csv
+    const parsedInput = path.parse(inputPath);
+    const outputPath = outputArg || path.join(parsedInput.dir, `${parsedInput.name}_results.csv`);
+
+    const rows = await parseBatchCsv(fs.readFileSync(inputPath, 'utf8'));
+    if (rows.length === 0) {
+      console.error(`No addresses found in ${inputPath}`);
+      process.exit(1);
+    }
+
+    console.log('Loading data sources...');
+    await loadDataSources();
+    await initializeMobilityAnalysis();
+
+    console.log(`\nAnalyzing ${rows.length} addresses with the ${weighting.profile} profile...`);
+    const batch = await analyzeBatch(rows, {
+      profile: options.profile,
+      weights: options.weights,
+      concurrency: options.concurrency,
+      user: options.user,
+      onProgress: (completed, total) => console.log(`Progress: ${completed}/${total}`)
+    });
+
+    fs.writeFileSync(outputPath, batchToCsv(batch));
+
+    // Persist any new geocoding results before exiting
+    await getGeocodeCache().flush();
+
+    console.log(`\nAnalyzed ${batch.succeeded}/${batch.total} addresses, results written to ${outputPath}`);
+    for (const error of batch.errors) {
+      console.log(`  Row ${error.id} (${error.address}): ${error.error}`);
+    }
+  } catch (error) {
+    console.error('Error running batch analysis:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the batch analysis
+runBatchAnalysis();
@@ -3,146 +3,461 @@ import { promises as fsPromises } from 'fs';
 import path from 'path';
 import csv from 'csv-parser';
 import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
+import { createSpatialIndex } from './spatialIndex.js';
+import { calculateHaversineDistance, findClosestPointOnPolygon } from '../analysis/customGeoAnalysis.js';
+import { normalizeRoad } from './roadGeometry.js';
+import { DATASET_SCHEMAS, findMissingColumns, validateRow } from './datasetSchemas.js';
+import { getOsmMainRoads, getOsmPois } from './osmLoader.js';
+import { loadPoiSources } from './featureSources.js';
+import { loadSchoolCatchments } from './schoolCatchments.js';
+import { createRegionState, getActiveRegion, getDataBounds } from './regionPacks.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create a global data container that will be updated by loadDataSources
-let dataStore = {
+/**
+ * Create an empty data container
+ * @returns {Object} - Data container with an empty list per data set
+ */
+const createEmptyDataStore = () => ({
   groceryStores: [],
   emergencyServices: [],
   mainRoads: [],
   amenities: [],
   education: [],
   parks: [],
-  restaurants: []
-};
+  restaurants: [],
+  schoolCatchments: []
+});
+
+// Data of each region: the data sets (updated by loadDataSources), the spatial indexes over them
+// (rebuilt whenever loadDataSources runs) and the load reports of their files, keyed by data set name
+const regionData = createRegionState(() => ({
+  dataStore: createEmptyDataStore(),
+  spatialIndexes: new Map(),
+  loadReports: new Map()
+}));
+
+// Data sets that are indexed as soon as they are loaded
+const INDEXED_SOURCES = ['groceryStores', 'emergencyServices', 'amenities', 'education', 'parks', 'restaurants'];
+
+// How points of interest from the OSM data (OSM_POIS) combine with the CSV data sets
+const OSM_POI_MODES = ['replace', 'merge'];
+
+// When merging, an OSM place with the same name as a CSV place within this distance is the same place
+const DUPLICATE_DISTANCE = 150;
+
+// Rejected rows listed (and logged) per file; the rest are only counted
+const MAX_REPORTED_ROWS = 100;
+
+/**
+ * Stream a CSV file and validate each row against a dataset schema
+ * Quoted fields (commas, quotes and line breaks inside a value) follow RFC 4180; lines
+ * starting with # and blank lines are skipped. Rows that don't fit the schema are left out
+ * and listed in the report with their line number.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} schema - Dataset schema (see datasetSchemas.js); without one every row is kept as text
+ * @param {Object} options - Parse options
+ * @param {Object} options.bounds - Bounds the rows' coordinates must lie within
+ * @returns {Promise<Object>} - {records, report}
+ */
+export const parseCsvFile = (filePath, schema = null, { bounds = null } = {}) => {
+  const report = {
+    file: path.basename(filePath),
+    rows: 0,
+    loaded: 0,
+    rejected: 0,
+    rejectedRows: [],
+    error: null
+  };
+
+  if (!fs.existsSync(filePath)) {
+    report.error = 'File does not exist';
+    return Promise.resolve({ records: [], report });
+  }
+
+  return new Promise((resolve, reject) => {
+    const records = [];
+    let headers = [];
+    let missingColumns = [];
 
-// Helper to get __dirname in ES module
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+    // Byte offsets of the line breaks seen so far, to turn a row's byte offset into its line number
+    const lineBreaks = [];
+    let bytesSeen = 0;
+    let lineIndex = 0;
+    const lineNumberAt = (byteOffset) => {
+      while (lineIndex < lineBreaks.length && lineBreaks[lineIndex] < byteOffset) {
+        lineIndex++;
+      }
+      return lineIndex + 1;
+    };
+
+    const rejectRow = (line, errors) => {
+      report.rejected++;
+      if (report.rejectedRows.length < MAX_REPORTED_ROWS) {
+        report.rejectedRows.push({ line, errors });
+        console.warn(`Warning: Skipping line ${line} of ${report.file}: ${errors.join('; ')}`);
+      }
+    };
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        for (let i = chunk.indexOf(10); i !== -1; i = chunk.indexOf(10, i + 1)) {
+          lineBreaks.push(bytesSeen + i);
+        }
+        bytesSeen += chunk.length;
+      })
+      .on('error', reject)
+      .pipe(csv({
+        skipComments: true,
+        outputByteOffset: true,
+        mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim(),
+        mapValues: ({ value }) => value.trim()
+      }))
+      .on('headers', columns => {
+        headers = columns;
+        missingColumns = schema ? findMissingColumns(headers, schema) : [];
+      })
+      .on('data', ({ row, byteOffset }) => {
+        const values = Object.values(row);
+        if (missingColumns.length > 0 || values.every(value => value === '')) {
+          return;
+        }
+
+        report.rows++;
+        const line = lineNumberAt(byteOffset);
+
+        // Unquoted commas shift every later value into the wrong column
+        if (values.length !== headers.length) {
+          rejectRow(line, [`has ${values.length} values for ${headers.length} columns (quote values that contain commas)`]);
+          return;
+        }
+
+        const { record, errors } = schema ? validateRow(row, schema, { bounds }) : { record: row, errors: [] };
+        if (errors.length > 0) {
+          rejectRow(line, errors);
+          return;
+        }
+
+        records.push(record);
+      })
+      .on('end', () => {
+        if (missingColumns.length > 0) {
+          report.error = `Missing required columns: ${missingColumns.join(', ')}`;
+        }
+        report.loaded = records.length;
+        resolve({ records, report });
+      })
+      .on('error', reject);
+  });
+};
 
 /**
  * Load CSV data from a file
+ * The file's load report is kept for getLoadReport
  * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Load options
+ * @param {Object} options.schema - Dataset schema the rows are validated against
+ * @param {string} options.dataset - Name the load report is kept under (defaults to the file name)
+ * @param {Object} options.bounds - Bounds the rows' coordinates must lie within
  * @returns {Promise<Array>} - Parsed data
  */
-const loadCsvData = (filePath) => {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    
-    // Check if the file exists
-    if (!fs.existsSync(filePath)) {
-      console.warn(`Warning: File ${filePath} does not exist`);
-      return resolve([]); // Return empty array if file doesn't exist
+export const loadCsvData = async (filePath, { schema = null, dataset = null, bounds = null } = {}) => {
+  try {
+    const { records, report } = await parseCsvFile(filePath, schema, { bounds });
+    regionData().loadReports.set(dataset || report.file, report);
+
+    if (report.error) {
+      console.warn(`Warning: Could not load ${filePath}: ${report.error}`);
+    } else if (report.rejected > 0) {
+      console.warn(`Warning: Rejected ${report.rejected} of ${report.rows} rows in ${report.file}`);
     }
-    
+    if (!report.error && records.length === 0) {
+      console.warn(`Warning: No valid data in ${filePath}`);
+    } else if (records.length > 0) {
+      console.log(`Successfully parsed ${records.length} entries from ${report.file}`);
+    }
+
+    return records;
+  } catch (error) {
+    console.error(`Error loading data from ${filePath}:`, error);
+    regionData().loadReports.set(dataset || path.basename(filePath), {
+      file: path.basename(filePath),
+      rows: 0,
+      loaded: 0,
+      rejected: 0,
+      rejectedRows: [],
+      error: error.message
+    });
+    return [];
+  }
+};
+
+/**
+ * Get the load reports of the active region's CSV data sets loaded so far
+ * @returns {Object} - Reports keyed by data set name: {file, rows, loaded, rejected, rejectedRows: [{line, errors}], error}
+ */
+export const getLoadReport = () => Object.fromEntries(regionData().loadReports);
+
+/**
+ * Load a data set from one or more CSV files
+ * With more than one file, each file's load report is kept under "<data set>/<file name>"
+ * @param {string} dataset - Data set name declared in DATASET_SCHEMAS (e.g. 'groceryStores')
+ * @param {string|Array} filePaths - Path or paths to the data set's CSV files
+ * @param {Object} options - Load options
+ * @param {Object} options.region - Region whose bounds the rows must lie within (defaults to the active region)
+ * @returns {Promise<Array>} - Records of all the files
+ */
+export const loadDatasetFiles = async (dataset, filePaths, { region = getActiveRegion() } = {}) => {
+  const files = [].concat(filePaths);
+  const bounds = getDataBounds(region);
+  const records = [];
+  for (const filePath of files) {
+    const reportName = files.length > 1 ? `${dataset}/${path.basename(filePath)}` : dataset;
+    records.push(...await loadCsvData(filePath, { schema: DATASET_SCHEMAS[dataset], dataset: reportName, bounds }));
+  }
+  return records;
+};
+
+/**
+ * Load main roads as polylines
+ * Rows may carry a WKT or GeoJSON line in a quoted `geometry` column, or just the
+ * start/end points of the road; MAIN_ROADS_SOURCE=osm takes the main roads from the
+ * OpenStreetMap network instead, falling back to the CSV if it can't be loaded
+ * @param {string|Array} filePaths - Path or paths to the main roads CSV files
+ * @returns {Promise<Array>} - Roads with lines and bounds (see roadGeometry.js)
+ */
+export const loadMainRoads = async (filePaths) => {
+  let rows = null;
+
+  if ((process.env.MAIN_ROADS_SOURCE || '').toLowerCase() === 'osm') {
     try {
-      // Read the file content
-      const content = fs.readFileSync(filePath, 'utf8');
-      
-      // Filter out comment lines and empty lines
-      const filteredLines = content
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line !== '' && !line.startsWith('#'));
-      
-      // No valid content after filtering
-      if (filteredLines.length <= 1) { // Just header or nothing
-        console.warn(`Warning: No valid data in ${filePath} after filtering comments`);
-        return resolve([]);
-      }
-      
-      // Extract header (first line)
-      const header = filteredLines[0].split(',').map(h => h.trim());
-      
-      // Process data rows
-      const processedData = [];
-      
-      for (let i = 1; i < filteredLines.length; i++) {
-        const line = filteredLines[i];
-        const values = line.split(',').map(v => v.trim());
-        
-        // Skip lines with fewer values than headers
-        if (values.length < header.length) {
-          console.warn(`Warning: Skipping malformed line in ${filePath}: ${line}`);
-          continue;
-        }
-        
-        const rowData = {};
-        header.forEach((key, i) => {
-          let value = values[i] || '';
-          
-          // Parse numeric values
-          if (key === 'lat' || key === 'lng' || key === 'rating') {
-            const parsed = parseFloat(value);
-            value = isNaN(parsed) ? 0 : parsed;
-          }
-          
-          rowData[key] = value;
-        });
-        
-        processedData.push(rowData);
+      const osmRoads = await getOsmMainRoads();
+      if (osmRoads.length > 0) {
+        rows = osmRoads;
+        console.log(`Loaded ${rows.length} main roads from OpenStreetMap`);
+      } else {
+        console.warn('Warning: No main roads in the OpenStreetMap data, falling back to CSV');
       }
-      
-      console.log(`Successfully parsed ${processedData.length} entries from ${path.basename(filePath)}`);
-      resolve(processedData);
     } catch (error) {
-      console.error(`Error loading data from ${filePath}:`, error);
-      resolve([]);
+      console.warn('Error loading main roads from OpenStreetMap, falling back to CSV:', error.message);
     }
-  });
+  }
+
+  if (!rows) {
+    rows = await loadDatasetFiles('mainRoads', filePaths);
+  }
+
+  const roads = [];
+  for (const row of rows) {
+    const road = normalizeRoad(row);
+    if (road) {
+      roads.push(road);
+    } else {
+      console.warn(`Warning: Skipping road without usable geometry: ${row.name || '(unnamed)'}`);
+    }
+  }
+  return roads;
 };
 
 /**
- * Load all data sources from CSV files
+ * Load the points of interest extracted from the OSM data
+ * Each POI is validated against its data set's schema like a CSV row; rejected ones are listed in
+ * the report by OSM id (unnamed places are the usual reason)
+ * @returns {Promise<Object|null>} - {records: {dataset: [...]}, report}, or null if the OSM data can't be loaded
+ */
+export const loadOsmPois = async () => {
+  let pois;
+  try {
+    pois = await getOsmPois();
+  } catch (error) {
+    console.warn('Error loading points of interest from OpenStreetMap, using the CSV data:', error.message);
+    return null;
+  }
+
+  const report = {
+    file: 'OpenStreetMap',
+    rows: 0,
+    loaded: 0,
+    rejected: 0,
+    rejectedRows: [],
+    error: null
+  };
+  const records = {};
+  const bounds = getDataBounds();
+
+  for (const { osmId, osmTag, dataset, geometry, ...fields } of pois) {
+    report.rows++;
+    const row = Object.fromEntries(
+      Object.entries(fields).map(([column, value]) => [column, value === undefined || value === null ? '' : String(value)])
+    );
+    const { record, errors } = INDEXED_SOURCES.includes(dataset)
+      ? validateRow(row, DATASET_SCHEMAS[dataset], { bounds })
+      : { record: null, errors: [`${osmTag} is mapped to unknown data set "${dataset}"`] };
+
+    if (errors.length > 0) {
+      report.rejected++;
+      if (report.rejectedRows.length < MAX_REPORTED_ROWS) {
+        report.rejectedRows.push({ osmId, errors });
+      }
+      continue;
+    }
+
+    records[dataset] = records[dataset] || [];
+    records[dataset].push({ ...record, osmId, ...(geometry ? { geometry } : {}) });
+  }
+
+  report.loaded = report.rows - report.rejected;
+  console.log(`Loaded ${report.loaded} points of interest from OpenStreetMap (${report.rejected} rejected)`);
+  return { records, report };
+};
+
+/**
+ * Measure how far a record is from a place
+ * For a place with a polygon geometry this is the distance to its boundary (0 inside it)
+ * @param {Object} record - Record with lat and lng
+ * @param {Object} place - Place with lat, lng and optional geometry
+ * @returns {number} - Distance in meters
+ */
+const calculateDistanceToPlace = (record, place) => {
+  const polygons = place.geometry?.type === 'Polygon' ? [place.geometry.coordinates]
+    : place.geometry?.type === 'MultiPolygon' ? place.geometry.coordinates
+      : null;
+  if (!polygons) {
+    return calculateHaversineDistance(place, record);
+  }
+  return Math.min(...polygons.map(rings =>
+    findClosestPointOnPolygon(record, rings.map(ring => ring.map(([lng, lat]) => ({ lat, lng })))).distance
+  ));
+};
+
+/**
+ * Find the record a place duplicates
+ * @param {Object} place - OSM or POI source place
+ * @param {Array} records - Records of the same data set
+ * @returns {number} - Index of a record with the same name within DUPLICATE_DISTANCE (of the
+ * place's boundary for areas), or -1
+ */
+const findKnownPlace = (place, records) => {
+  const name = place.name.toLowerCase();
+  return records.findIndex(record =>
+    String(record.name).toLowerCase() === name && calculateDistanceToPlace(record, place) <= DUPLICATE_DISTANCE
+  );
+};
+
+/**
+ * Load all data sources of the active region from its CSV files, plus the POI files listed in its
+ * POI sources config, its school catchments and, with OSM_POIS set, the points of interest in its OSM data
  * @returns {Object} - Object containing all data sources
  */
 export const loadDataSources = async () => {
+  const region = getActiveRegion();
+  const { loadReports, spatialIndexes } = regionData();
+
   try {
+    console.log(`Loading data sources for ${region.name}...`);
+
     // Load data from CSV files
-    const groceryStoresData = await loadCsvData(process.env.GROCERY_STORES_DATA || path.resolve(__dirname, '../../data/ottawa_grocery_stores.csv'));
-    const emergencyServicesData = await loadCsvData(process.env.EMERGENCY_SERVICES_DATA || path.resolve(__dirname, '../../data/ottawa_emergency_services.csv'));
-    const mainRoadsData = await loadCsvData(process.env.MAIN_ROADS_DATA || path.resolve(__dirname, '../../data/ottawa_main_roads.csv'));
-    const amenitiesData = await loadCsvData(process.env.AMENITIES_DATA || path.resolve(__dirname, '../../data/ottawa_amenities.csv'));
-    const educationData = await loadCsvData(process.env.EDUCATION_DATA || path.resolve(__dirname, '../../data/ottawa_education.csv'));
-    const parksData = await loadCsvData(process.env.PARKS_DATA || path.resolve(__dirname, '../../data/ottawa_parks.csv'));
-    const restaurantsData = await loadCsvData(process.env.RESTAURANTS_DATA || path.resolve(__dirname, '../../data/ottawa_restaurants.csv'));
-    
-    console.log(`Loaded ${groceryStoresData.length} grocery stores`);
-    console.log(`Loaded ${emergencyServicesData.length} emergency services`);
-    console.log(`Loaded ${mainRoadsData.length} main roads`);
-    console.log(`Loaded ${amenitiesData.length} amenities`);
-    console.log(`Loaded ${educationData.length} educational institutions`);
-    console.log(`Loaded ${parksData.length} parks`);
-    console.log(`Loaded ${restaurantsData.length} restaurants`);
+    const groceryStoresData = await loadDatasetFiles('groceryStores', region.datasets.groceryStores);
+    const emergencyServicesData = await loadDatasetFiles('emergencyServices', region.datasets.emergencyServices);
+    const mainRoadsData = await loadMainRoads(region.datasets.mainRoads);
+    const amenitiesData = await loadDatasetFiles('amenities', region.datasets.amenities);
+    const educationData = await loadDatasetFiles('education', region.datasets.education);
+    const parksData = await loadDatasetFiles('parks', region.datasets.parks);
+    const restaurantsData = await loadDatasetFiles('restaurants', region.datasets.restaurants);
+
+    // Add POIs from GeoJSON, KML, Shapefile and ArcGIS files listed in the POI sources config
+    const poiSources = region.poiSources
+      ? await loadPoiSources(region.poiSources, { datasets: INDEXED_SOURCES, bounds: getDataBounds(region) })
+      : { records: {}, reports: {} };
+    for (const [name, report] of Object.entries(poiSources.reports)) {
+      loadReports.set(name, report);
+    }
+
+    // School catchment polygons from the boundary files listed in the catchments config
+    const schoolCatchments = await loadSchoolCatchments(region.schoolCatchments);
+    for (const [name, report] of Object.entries(schoolCatchments.reports)) {
+      loadReports.set(name, report);
+    }
+
+    // OSM_POIS=replace uses the OSM places instead of the CSV ones (for data sets OSM has places for);
+    // OSM_POIS=merge adds the OSM places the CSV doesn't have yet
+    const osmPoiMode = (process.env.OSM_POIS || '').toLowerCase();
+    const osmPois = OSM_POI_MODES.includes(osmPoiMode) ? await loadOsmPois() : null;
+    if (osmPois) {
+      loadReports.set('openStreetMap', osmPois.report);
+    }
+
+    // An area that duplicates a place already loaded (e.g. an OSM or GeoJSON park polygon for a
+    // CSV park) adds its outline to that place instead of being added again
+    const combineRecords = (dataset, csvRecords) => {
+      const osmRecords = osmPois?.records[dataset] || [];
+      const records = osmPoiMode === 'replace' && osmRecords.length > 0 ? [...osmRecords] : [...csvRecords];
+
+      const addOutline = (index, place) => {
+        if (place.geometry && !records[index].geometry) {
+          records[index] = { ...records[index], geometry: place.geometry };
+        }
+      };
+
+      if (osmPoiMode === 'merge') {
+        for (const place of osmRecords) {
+          const index = findKnownPlace(place, csvRecords);
+          if (index === -1) {
+            records.push(place);
+          } else {
+            addOutline(index, place);
+          }
+        }
+      }
+
+      for (const place of poiSources.records[dataset] || []) {
+        const index = place.geometry ? findKnownPlace(place, records) : -1;
+        if (index === -1) {
+          records.push(place);
+        } else {
+          addOutline(index, place);
+        }
+      }
+      return records;
+    };
     
-    // Update the global dataStore with new data
-    dataStore = {
-      groceryStores: groceryStoresData || [],
-      emergencyServices: emergencyServicesData || [],
+    // Update the region's dataStore with new data
+    const dataStore = {
+      groceryStores: combineRecords('groceryStores', groceryStoresData),
+      emergencyServices: combineRecords('emergencyServices', emergencyServicesData),
       mainRoads: mainRoadsData || [],
-      amenities: amenitiesData || [],
-      education: educationData || [],
-      parks: parksData || [],
-      restaurants: restaurantsData || []
+      amenities: combineRecords('amenities', amenitiesData),
+      education: combineRecords('education', educationData),
+      parks: combineRecords('parks', parksData),
+      restaurants: combineRecords('restaurants', restaurantsData),
+      schoolCatchments: schoolCatchments.catchments
     };
+    regionData().dataStore = dataStore;
+
+    console.log(`Loaded ${dataStore.groceryStores.length} grocery stores`);
+    console.log(`Loaded ${dataStore.emergencyServices.length} emergency services`);
+    console.log(`Loaded ${dataStore.mainRoads.length} main roads`);
+    console.log(`Loaded ${dataStore.amenities.length} amenities`);
+    console.log(`Loaded ${dataStore.education.length} educational institutions`);
+    console.log(`Loaded ${dataStore.parks.length} parks`);
+    console.log(`Loaded ${dataStore.restaurants.length} restaurants`);
+    console.log(`Loaded ${dataStore.schoolCatchments.length} school catchments`);
+    
+    // Index the point data sets so analyses don't scan every record per query
+    spatialIndexes.clear();
+    for (const source of INDEXED_SOURCES) {
+      getSpatialIndex(source);
+    }
+    console.log(`Built spatial indexes for ${INDEXED_SOURCES.length} data sets`);
     
     return dataStore;
   } catch (error) {
     console.error('Error loading data sources:', error);
-    // Still update the global dataStore with empty arrays to prevent errors
-    dataStore = {
-      groceryStores: [],
-      emergencyServices: [],
-      mainRoads: [],
-      amenities: [],
-      education: [],
-      parks: [],
-      restaurants: []
-    };
-    return dataStore;
+    // Still update the region's dataStore with empty arrays to prevent errors
+    regionData().dataStore = createEmptyDataStore();
+    spatialIndexes.clear();
+    return regionData().dataStore;
   }
 };
 
@@ -150,43 +465,65 @@ export const loadDataSources = async () => {
  * Get grocery stores data
  * @returns {Array} - Grocery stores data
  */
-export const getGroceryStores = () => dataStore.groceryStores;
+export const getGroceryStores = () => regionData().dataStore.groceryStores;
 
 /**
  * Get emergency services data
  * @returns {Array} - Emergency services data
  */
-export const getEmergencyServices = () => dataStore.emergencyServices;
+export const getEmergencyServices = () => regionData().dataStore.emergencyServices;
 
 /**
  * Get main roads data
- * @returns {Array} - Main roads data
+ * @returns {Array} - Main roads as polylines, with lines, bounds and start/end points
  */
-export const getMainRoads = () => dataStore.mainRoads;
+export const getMainRoads = () => regionData().dataStore.mainRoads;
 
 /**
  * Get amenities data
  * @returns {Array} - Amenities data
  */
-export const getAmenities = () => dataStore.amenities;
+export const getAmenities = () => regionData().dataStore.amenities;
 
 /**
  * Get education data
  * @returns {Array} - Education data
  */
-export const getEducation = () => dataStore.education;
+export const getEducation = () => regionData().dataStore.education;
 
 /**
  * Get parks data
  * @returns {Array} - Parks data
  */
-export const getParks = () => dataStore.parks;
+export const getParks = () => regionData().dataStore.parks;
+
+/**
+ * Get school catchments data
+ * @returns {Array} - Catchments {school, board, level, boardName, language, system, polygons, bounds}
+ */
+export const getSchoolCatchments = () => regionData().dataStore.schoolCatchments;
 
 /**
  * Get restaurants data
  * @returns {Array} - Restaurants data
  */
-export const getRestaurants = () => dataStore.restaurants;
+export const getRestaurants = () => regionData().dataStore.restaurants;
+
+/**
+ * Get a spatial index over a data set, building it on first use
+ * Indexes are dropped whenever the data is reloaded
+ * @param {string} name - Data set name (e.g. 'groceryStores'), or a custom name when buildItems is given
+ * @param {Function} buildItems - Returns the items to index for a custom name (e.g. a merged list)
+ * @returns {SpatialIndex} - Spatial index with nearest() and withinRadius() queries
+ */
+export const getSpatialIndex = (name, buildItems = null) => {
+  const { dataStore, spatialIndexes } = regionData();
+  if (!spatialIndexes.has(name)) {
+    const items = buildItems ? buildItems() : dataStore[name] || [];
+    spatialIndexes.set(name, createSpatialIndex(items));
+  }
+  return spatialIndexes.get(name);
+};
 
 /**
  * Get amenities by category
@@ -195,6 +532,7 @@ export const getRestaurants = () => dataStore.restaurants;
  */
 export const getAmenitiesByCategory = (category) => {
   try {
+    const { dataStore } = regionData();
     const amenities = [...dataStore.amenities];
     
     // If the category is 'school', include education data
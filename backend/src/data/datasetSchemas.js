@@ -0,0 +1,228 @@
+/**
+ * Dataset schemas
+ * Declares the columns each CSV data set must have, their types and allowed values, so
+ * rows with missing names, unparseable coordinates or unknown categories are rejected
+ * (and reported) at load time instead of silently becoming 0 or ''
+ */
+
+import { parseRoadGeometry } from './roadGeometry.js';
+
+// Column definitions shared by the point data sets
+const NAME = { type: 'string', required: true };
+const ADDRESS = { type: 'string' };
+const LAT = { type: 'latitude', required: true };
+const LNG = { type: 'longitude', required: true };
+// Unrated places count as 0, as they always have
+const RATING = { type: 'number', min: 0, max: 5, default: 0 };
+
+// Levels a school can teach at
+export const SCHOOL_LEVELS = ['elementary', 'secondary', 'postsecondary'];
+
+export const DATASET_SCHEMAS = {
+  groceryStores: {
+    columns: { name: NAME, address: ADDRESS, lat: LAT, lng: LNG, rating: RATING }
+  },
+  emergencyServices: {
+    columns: {
+      name: NAME,
+      type: { type: 'category', required: true, values: ['hospital', 'fire', 'police'] },
+      address: ADDRESS,
+      lat: LAT,
+      lng: LNG,
+      rating: RATING
+    }
+  },
+  amenities: {
+    columns: {
+      name: NAME,
+      category: { type: 'category', required: true, values: ['retail', 'restaurant', 'entertainment', 'park', 'school', 'grocery'] },
+      address: ADDRESS,
+      lat: LAT,
+      lng: LNG,
+      rating: RATING
+    }
+  },
+  education: {
+    columns: {
+      name: NAME,
+      category: { type: 'category', required: true, values: ['school'] },
+      address: ADDRESS,
+      lat: LAT,
+      lng: LNG,
+      rating: RATING,
+      level: { type: 'category', values: SCHOOL_LEVELS },
+      // School board code (e.g. OCDSB), "private", or blank for colleges and universities
+      board: { type: 'string' }
+    }
+  },
+  parks: {
+    columns: {
+      name: NAME,
+      category: { type: 'category', required: true, values: ['park'] },
+      address: ADDRESS,
+      lat: LAT,
+      lng: LNG,
+      rating: RATING,
+      // Size in hectares, for parks without a boundary
+      area: { type: 'number', min: 0 }
+    }
+  },
+  restaurants: {
+    columns: {
+      name: NAME,
+      category: { type: 'category', required: true, values: ['restaurant'] },
+      address: ADDRESS,
+      lat: LAT,
+      lng: LNG,
+      rating: RATING
+    }
+  },
+  mainRoads: {
+    columns: {
+      name: NAME,
+      type: { type: 'string' },
+      start_lat: { type: 'latitude' },
+      start_lng: { type: 'longitude' },
+      end_lat: { type: 'latitude' },
+      end_lng: { type: 'longitude' },
+      geometry: { type: 'lineGeometry' },
+      wkt: { type: 'lineGeometry' },
+      geojson: { type: 'lineGeometry' }
+    },
+    // A road needs its shape or at least both of its ends
+    validate: (record) => {
+      const hasGeometry = ['geometry', 'wkt', 'geojson'].some(column => record[column]);
+      const hasChord = ['start_lat', 'start_lng', 'end_lat', 'end_lng'].every(column => typeof record[column] === 'number');
+      return hasGeometry || hasChord ? [] : ['needs a geometry or start_lat, start_lng, end_lat and end_lng'];
+    }
+  },
+  // Catchment areas read from boundary files (see data/schoolCatchments.js); lat/lng is the centroid
+  schoolCatchments: {
+    columns: {
+      school: { type: 'string', required: true },
+      board: { type: 'string', required: true },
+      level: { type: 'category', required: true, values: ['elementary', 'secondary'] },
+      lat: LAT,
+      lng: LNG
+    }
+  },
+  addressPoints: {
+    columns: {
+      street_number: { type: 'string', required: true },
+      street_name: { type: 'string', required: true },
+      city: { type: 'string' },
+      province: { type: 'string' },
+      postal_code: { type: 'string' },
+      lat: LAT,
+      lng: LNG
+    }
+  }
+};
+
+/**
+ * Find the required columns missing from a file's header
+ * @param {Array} headers - Column names from the header row
+ * @param {Object} schema - Dataset schema
+ * @returns {Array} - Missing column names
+ */
+export const findMissingColumns = (headers, schema) => {
+  return Object.entries(schema.columns)
+    .filter(([column, definition]) => definition.required && !headers.includes(column))
+    .map(([column]) => column);
+};
+
+/**
+ * Convert one cell to its column's type
+ * @param {string} value - Trimmed cell text (never empty)
+ * @param {Object} definition - Column definition
+ * @param {Object|null} bounds - Bounds {south, west, north, east} coordinates must lie within
+ * @returns {Object} - {value} or {error}
+ */
+const parseValue = (value, definition, bounds) => {
+  switch (definition.type) {
+    case 'number':
+    case 'latitude':
+    case 'longitude': {
+      // parseFloat would accept "45.4abc"; Number rejects it
+      const number = Number(value);
+      const [min, max] = definition.type === 'latitude' ? [-90, 90]
+        : definition.type === 'longitude' ? [-180, 180]
+          : [definition.min ?? -Infinity, definition.max ?? Infinity];
+      if (!Number.isFinite(number)) {
+        return { error: `"${value}" is not a number` };
+      }
+      if (number < min || number > max) {
+        return { error: `${number} is outside ${min} to ${max}` };
+      }
+      if (bounds && definition.type !== 'number') {
+        const [low, high] = definition.type === 'latitude' ? [bounds.south, bounds.north] : [bounds.west, bounds.east];
+        if (number < low || number > high) {
+          return { error: `${number} is outside the region (${low} to ${high})` };
+        }
+      }
+      return { value: number };
+    }
+    case 'category': {
+      const category = value.toLowerCase();
+      return definition.values.includes(category)
+        ? { value: category }
+        : { error: `"${value}" is not one of: ${definition.values.join(', ')}` };
+    }
+    case 'lineGeometry':
+      return parseRoadGeometry(value)
+        ? { value }
+        : { error: 'is not a WKT or GeoJSON line' };
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Validate a parsed CSV row against a dataset schema
+ * Declared columns are converted to their types (blank optional columns become their
+ * default, or null); undeclared columns are kept as text
+ * @param {Object} row - Row of trimmed cell text keyed by column name
+ * @param {Object} schema - Dataset schema
+ * @param {Object} options - Validation options
+ * @param {Object} options.bounds - Bounds {south, west, north, east} latitude and longitude
+ * columns must lie within (see getDataBounds in regionPacks.js); without them any valid coordinate is kept
+ * @returns {Object} - {record, errors}
+ */
+export const validateRow = (row, schema, { bounds = null } = {}) => {
+  const record = { ...row };
+  const errors = [];
+
+  for (const [column, definition] of Object.entries(schema.columns)) {
+    const text = row[column] === undefined ? '' : row[column];
+
+    if (text === '') {
+      if (definition.required) {
+        errors.push(`${column} is required`);
+      }
+      if (column in row || definition.default !== undefined) {
+        record[column] = definition.default ?? (definition.type === 'string' ? '' : null);
+      }
+      continue;
+    }
+
+    const parsed = parseValue(text, definition, bounds);
+    if (parsed.error) {
+      errors.push(`${column} ${parsed.error}`);
+    } else {
+      record[column] = parsed.value;
+    }
+  }
+
+  if (errors.length === 0 && schema.validate) {
+    errors.push(...schema.validate(record));
+  }
+
+  return { record, errors };
+};
+
+export default {
+  SCHOOL_LEVELS,
+  DATASET_SCHEMAS,
+  findMissingColumns,
+  validateRow
+};
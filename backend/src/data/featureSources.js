@@ -0,0 +1,541 @@
+/**
+ * POI feature sources
+ * Reads points of interest from GeoJSON, KML, Shapefile and ArcGIS REST JSON files (the formats
+ * Ottawa's open data ships in) and maps each feature's properties onto the
+ * {name, category, address, lat, lng, rating} model of the CSV data sets (emergency services
+ * have a type instead of a category).
+ *
+ * The files are listed in a JSON config (data/poi_sources.json by default):
+ *
+ *   { "sources": [{ "dataset": "parks", "file": "parks.geojson",
+ *                   "mapping": { "name": "NAME", "category": { "value": "park" },
+ *                                "address": "{ADDRESS_NUMBER} {ROAD_NAME}" } }] }
+ *
+ * Polygon features are located at their centroid and keep their geometry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sax from 'sax';
+import shapefile from 'shapefile';
+import yauzl from 'yauzl';
+import { calculatePolygonCentroid } from '../analysis/customGeoAnalysis.js';
+import { DATASET_SCHEMAS, validateRow } from './datasetSchemas.js';
+
+export const FEATURE_FORMATS = ['geojson', 'kml', 'shapefile', 'arcgis'];
+
+// Rejected features listed per file; the rest are only counted
+const MAX_REPORTED_FEATURES = 100;
+
+// Web Mercator spatial references used by ArcGIS services
+const WEB_MERCATOR_WKIDS = [102100, 102113, 900913, 3857];
+const EARTH_RADIUS = 6378137;
+
+/**
+ * Work out the format of a source file from its extension (and, for .json, its content)
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} - One of FEATURE_FORMATS, or null if unknown
+ */
+const detectFormat = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.geojson') return 'geojson';
+  if (extension === '.kml') return 'kml';
+  if (extension === '.shp' || extension === '.zip') return 'shapefile';
+  if (extension === '.json') {
+    // ArcGIS REST responses have features with "attributes"; GeoJSON features have "properties"
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return json.type === 'FeatureCollection' || json.type === 'Feature' ? 'geojson' : 'arcgis';
+  }
+  return null;
+};
+
+/**
+ * Read the features of a GeoJSON file
+ * @param {string} filePath - Path to a FeatureCollection or single Feature
+ * @returns {Promise<Array>} - GeoJSON features
+ */
+const readGeoJsonFeatures = async (filePath) => {
+  const geojson = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  return geojson.type === 'Feature' ? [geojson] : geojson.features || [];
+};
+
+/**
+ * Parse a KML <coordinates> element ("lng,lat[,alt] lng,lat[,alt] ...")
+ * @param {string} text - Element text
+ * @returns {Array} - [lng, lat] positions
+ */
+const parseKmlCoordinates = (text) => {
+  return text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+};
+
+/**
+ * Read the placemarks of a KML file
+ * Placemark name, description and address, and <ExtendedData> Data/SimpleData values become
+ * properties; Point, Polygon and MultiGeometry shapes become GeoJSON geometries
+ * @param {string} filePath - Path to the KML file
+ * @returns {Promise<Array>} - GeoJSON features
+ */
+const readKmlFeatures = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const features = [];
+    const stack = [];
+    let placemark = null;
+    let text = '';
+    let dataName = null;
+
+    const parser = sax.createStream(true, { trim: false });
+
+    parser.on('opentag', node => {
+      // Drop namespace prefixes (kml:Placemark)
+      const name = node.name.split(':').pop();
+      stack.push(name);
+      text = '';
+
+      if (name === 'Placemark') {
+        placemark = { properties: {}, points: [], polygons: [] };
+      } else if (name === 'Data' || name === 'SimpleData') {
+        dataName = node.attributes.name || null;
+      }
+    });
+
+    parser.on('text', value => { text += value; });
+    parser.on('cdata', value => { text += value; });
+
+    parser.on('closetag', tagName => {
+      const name = tagName.split(':').pop();
+      stack.pop();
+      const parent = stack[stack.length - 1];
+
+      if (!placemark) {
+        return;
+      }
+
+      if (parent === 'Placemark' && ['name', 'description', 'address'].includes(name)) {
+        placemark.properties[name] = text.trim();
+      } else if ((name === 'SimpleData' || (name === 'value' && parent === 'Data')) && dataName) {
+        placemark.properties[dataName] = text.trim();
+      } else if (name === 'coordinates') {
+        const positions = parseKmlCoordinates(text);
+        if (stack.includes('Point')) {
+          placemark.points.push(positions[0]);
+        } else if (stack.includes('outerBoundaryIs')) {
+          placemark.polygons.push([positions]);
+        } else if (stack.includes('innerBoundaryIs') && placemark.polygons.length > 0) {
+          placemark.polygons[placemark.polygons.length - 1].push(positions);
+        }
+      } else if (name === 'Placemark') {
+        const { properties, points, polygons } = placemark;
+        let geometry = null;
+        if (polygons.length > 1) {
+          geometry = { type: 'MultiPolygon', coordinates: polygons };
+        } else if (polygons.length === 1) {
+          geometry = { type: 'Polygon', coordinates: polygons[0] };
+        } else if (points.length > 0) {
+          geometry = { type: 'Point', coordinates: points[0] };
+        }
+        features.push({ type: 'Feature', properties, geometry });
+        placemark = null;
+      }
+      text = '';
+    });
+
+    parser.on('end', () => resolve(features));
+    parser.on('error', reject);
+
+    fs.createReadStream(filePath).on('error', reject).pipe(parser);
+  });
+};
+
+/**
+ * Read the shapefile parts (.shp, .dbf, .prj, .cpg) out of a zip
+ * @param {string} zipPath - Path to the zip
+ * @returns {Promise<Map>} - File contents keyed by extension
+ */
+const readZippedShapefile = async (zipPath) => {
+  const zipfile = await new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (error, zip) => (error ? reject(error) : resolve(zip)));
+  });
+
+  return new Promise((resolve, reject) => {
+    const parts = new Map();
+
+    zipfile.on('entry', entry => {
+      const extension = path.extname(entry.fileName).toLowerCase();
+      // Only the first shapefile in the zip is read
+      if (!['.shp', '.dbf', '.prj', '.cpg'].includes(extension) || parts.has(extension)) {
+        zipfile.readEntry();
+        return;
+      }
+
+      zipfile.openReadStream(entry, (error, stream) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          parts.set(extension, Buffer.concat(chunks));
+          zipfile.readEntry();
+        });
+        stream.on('error', reject);
+      });
+    });
+    zipfile.on('end', () => resolve(parts));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+};
+
+/**
+ * Read the features of a shapefile (.shp with its .dbf alongside, or a zip holding both)
+ * Coordinates must be WGS84 longitude/latitude; projected files are warned about and their
+ * features end up rejected for out-of-range coordinates
+ * @param {string} filePath - Path to the .shp or .zip
+ * @param {Object} options - Reader options
+ * @param {string} options.encoding - dBASE text encoding; defaults to the .cpg file, or windows-1252
+ * @returns {Promise<Array>} - GeoJSON features
+ */
+const readShapefileFeatures = async (filePath, { encoding = null } = {}) => {
+  let shp;
+  let dbf;
+  let prj = null;
+  let cpg = null;
+
+  if (path.extname(filePath).toLowerCase() === '.zip') {
+    const parts = await readZippedShapefile(filePath);
+    if (!parts.has('.shp')) {
+      throw new Error('No .shp file in the zip');
+    }
+    shp = new Uint8Array(parts.get('.shp'));
+    dbf = parts.has('.dbf') ? new Uint8Array(parts.get('.dbf')) : null;
+    prj = parts.get('.prj')?.toString('utf8') || null;
+    cpg = parts.get('.cpg')?.toString('utf8') || null;
+  } else {
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    shp = filePath;
+    dbf = fs.existsSync(`${base}.dbf`) ? `${base}.dbf` : null;
+    prj = fs.existsSync(`${base}.prj`) ? fs.readFileSync(`${base}.prj`, 'utf8') : null;
+    cpg = fs.existsSync(`${base}.cpg`) ? fs.readFileSync(`${base}.cpg`, 'utf8') : null;
+  }
+
+  if (prj && !prj.trim().toUpperCase().startsWith('GEOGCS')) {
+    console.warn(`Warning: ${path.basename(filePath)} is in a projected coordinate system; reproject it to WGS84 (EPSG:4326)`);
+  }
+
+  const source = await shapefile.open(shp, dbf, { encoding: encoding || cpg?.trim() || 'windows-1252' });
+  const features = [];
+  for (let result = await source.read(); !result.done; result = await source.read()) {
+    features.push(result.value);
+  }
+  return features;
+};
+
+/**
+ * Convert an ArcGIS geometry to GeoJSON
+ * Outer rings run clockwise and holes counter-clockwise; each hole belongs to the outer ring before it
+ * @param {Object} geometry - ArcGIS geometry ({x, y}, {points} or {rings})
+ * @param {Function} toLngLat - Converts an [x, y] position to [lng, lat]
+ * @returns {Object|null} - GeoJSON geometry, or null for lines and empty geometries
+ */
+const arcGisToGeoJson = (geometry, toLngLat) => {
+  if (!geometry) {
+    return null;
+  }
+  if (geometry.x !== undefined && geometry.y !== undefined) {
+    return { type: 'Point', coordinates: toLngLat([geometry.x, geometry.y]) };
+  }
+  if (Array.isArray(geometry.points) && geometry.points.length > 0) {
+    return { type: 'MultiPoint', coordinates: geometry.points.map(toLngLat) };
+  }
+  if (Array.isArray(geometry.rings) && geometry.rings.length > 0) {
+    const polygons = [];
+    for (const ring of geometry.rings) {
+      let signedArea = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        signedArea += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      }
+      const positions = ring.map(toLngLat);
+      if (signedArea < 0 || polygons.length === 0) {
+        polygons.push([positions]);
+      } else {
+        polygons[polygons.length - 1].push(positions);
+      }
+    }
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  }
+  return null;
+};
+
+/**
+ * Read the features of an ArcGIS REST query response (f=json)
+ * WGS84 and Web Mercator responses are supported; query with outSR=4326 for anything else
+ * @param {string} filePath - Path to the saved response
+ * @returns {Promise<Array>} - GeoJSON features
+ */
+const readArcGisFeatures = async (filePath) => {
+  const json = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  const spatialReference = json.spatialReference || {};
+  const wkid = spatialReference.latestWkid || spatialReference.wkid || 4326;
+
+  let toLngLat = ([x, y]) => [x, y];
+  if (WEB_MERCATOR_WKIDS.includes(wkid)) {
+    toLngLat = ([x, y]) => [
+      (x / EARTH_RADIUS) * 180 / Math.PI,
+      (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * 180 / Math.PI
+    ];
+  } else if (wkid !== 4326) {
+    console.warn(`Warning: ${path.basename(filePath)} uses spatial reference ${wkid}; query the service with outSR=4326`);
+  }
+
+  return (json.features || []).map(feature => ({
+    type: 'Feature',
+    properties: feature.attributes || {},
+    geometry: arcGisToGeoJson(feature.geometry, toLngLat)
+  }));
+};
+
+/**
+ * Find where a feature should be placed on the map
+ * Points use their own position (the first one for multi points); polygons use their centroid
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} - {lat, lng, isArea}, or null for unsupported geometries
+ */
+const locateGeometry = (geometry) => {
+  const toPoint = ([lng, lat]) => ({ lat, lng });
+
+  switch (geometry?.type) {
+    case 'Point':
+      return { ...toPoint(geometry.coordinates), isArea: false };
+    case 'MultiPoint':
+      return geometry.coordinates.length > 0 ? { ...toPoint(geometry.coordinates[0]), isArea: false } : null;
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      const centroid = calculatePolygonCentroid(polygons.map(rings => rings.map(ring => ring.map(toPoint))));
+      return centroid ? { ...centroid, isArea: true } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Look up a feature property, ignoring case if there is no exact match
+ * @param {Object} properties - Feature properties
+ * @param {string} name - Property name
+ * @returns {*} - Property value, or undefined
+ */
+const getProperty = (properties, name) => {
+  if (name in properties) {
+    return properties[name];
+  }
+  const key = Object.keys(properties).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : properties[key];
+};
+
+/**
+ * Work out one model field from a feature's properties
+ * A mapping is a property name ("NAME"), a template ("{ADDRESS_NUMBER} {ROAD_NAME}"),
+ * a constant ({"value": "park"}) or a lookup ({"property": "TYPE", "values": {"Fire Station": "fire"}});
+ * without a mapping the property with the field's own name is used
+ * @param {Object} properties - Feature properties
+ * @param {string} field - Model field
+ * @param {string|Object} mapping - Mapping for the field
+ * @returns {string} - Field text ('' if missing)
+ */
+const mapField = (properties, field, mapping) => {
+  let value;
+
+  if (mapping === undefined || mapping === null) {
+    value = getProperty(properties, field);
+  } else if (typeof mapping === 'string') {
+    value = mapping.includes('{')
+      ? mapping.replace(/\{([^}]+)\}/g, (match, name) => getProperty(properties, name) ?? '').replace(/\s+/g, ' ')
+      : getProperty(properties, mapping);
+  } else if ('value' in mapping) {
+    value = mapping.value;
+  } else {
+    const raw = getProperty(properties, mapping.property);
+    value = mapping.values && raw !== undefined && raw !== null && String(raw) in mapping.values
+      ? mapping.values[String(raw)]
+      : raw ?? mapping.default;
+  }
+
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+/**
+ * Read every feature of a source file
+ * @param {string} filePath - Path to the file
+ * @param {string} format - One of FEATURE_FORMATS
+ * @param {Object} options - Reader options (encoding for shapefiles)
+ * @returns {Promise<Array>} - GeoJSON features
+ */
+const readFeatures = (filePath, format, options) => {
+  switch (format) {
+    case 'geojson': return readGeoJsonFeatures(filePath);
+    case 'kml': return readKmlFeatures(filePath);
+    case 'shapefile': return readShapefileFeatures(filePath, options);
+    case 'arcgis': return readArcGisFeatures(filePath);
+    default: throw new Error(`Unknown format "${format}"`);
+  }
+};
+
+/**
+ * Load the POIs of one source file
+ * Features are mapped onto the data set's model and validated against its schema; the ones that
+ * don't fit (or have no point or polygon geometry) are listed in the report by their position in the file
+ * @param {Object} source - Source config {dataset, file, format, mapping, encoding}
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @param {Object} options - Load options
+ * @param {Object} options.bounds - Bounds the features' coordinates must lie within
+ * @returns {Promise<Object>} - {records, report}
+ */
+export const loadFeatureSource = async (source, baseDir, { bounds = null } = {}) => {
+  const filePath = path.resolve(baseDir, source.file || '');
+  const report = {
+    file: path.basename(filePath),
+    format: source.format || null,
+    rows: 0,
+    loaded: 0,
+    rejected: 0,
+    rejectedRows: [],
+    error: null
+  };
+  const records = [];
+
+  const schema = DATASET_SCHEMAS[source.dataset];
+  if (!source.file) {
+    report.error = 'Source has no file';
+    return { records, report };
+  }
+  if (!schema) {
+    report.error = `Unknown data set "${source.dataset}"`;
+    return { records, report };
+  }
+  if (!fs.existsSync(filePath)) {
+    report.error = 'File does not exist';
+    return { records, report };
+  }
+
+  try {
+    report.format = source.format || detectFormat(filePath);
+    if (!FEATURE_FORMATS.includes(report.format)) {
+      report.error = `Unknown format; use one of: ${FEATURE_FORMATS.join(', ')}`;
+      return { records, report };
+    }
+
+    const features = await readFeatures(filePath, report.format, { encoding: source.encoding });
+    const mapping = source.mapping || {};
+    // Every schema column is filled from the properties, except lat/lng which come from the geometry unless mapped
+    const fields = Object.keys(schema.columns).filter(column => column !== 'lat' && column !== 'lng');
+
+    features.forEach((feature, index) => {
+      report.rows++;
+      const properties = feature.properties || {};
+      const row = Object.fromEntries(fields.map(field => [field, mapField(properties, field, mapping[field])]));
+
+      const hasMappedCoordinates = Boolean(mapping.lat && mapping.lng);
+      let location = null;
+      if (hasMappedCoordinates) {
+        row.lat = mapField(properties, 'lat', mapping.lat);
+        row.lng = mapField(properties, 'lng', mapping.lng);
+      } else {
+        location = locateGeometry(feature.geometry);
+        row.lat = location ? String(location.lat) : '';
+        row.lng = location ? String(location.lng) : '';
+      }
+
+      const validation = validateRow(row, schema, { bounds });
+      const record = validation.record;
+      let errors = validation.errors;
+      if (!location && !hasMappedCoordinates) {
+        errors = [
+          `has no point or polygon geometry${feature.geometry ? ` (${feature.geometry.type})` : ''}`,
+          ...errors.filter(error => !error.startsWith('lat ') && !error.startsWith('lng '))
+        ];
+      }
+
+      if (errors.length > 0) {
+        report.rejected++;
+        if (report.rejectedRows.length < MAX_REPORTED_FEATURES) {
+          report.rejectedRows.push({ feature: index + 1, errors });
+          console.warn(`Warning: Skipping feature ${index + 1} of ${report.file}: ${errors.join('; ')}`);
+        }
+        return;
+      }
+
+      // Areas such as parks keep their outline
+      if (location?.isArea) {
+        record.geometry = feature.geometry;
+      }
+      records.push(record);
+    });
+  } catch (error) {
+    report.error = error.message;
+  }
+
+  report.loaded = records.length;
+  return { records, report };
+};
+
+/**
+ * Load every POI source listed in a config file
+ * @param {string} configPath - Path to the sources config
+ * @param {Object} options - Load options
+ * @param {Array} options.datasets - Data sets sources may add to
+ * @param {Object} options.bounds - Bounds the features' coordinates must lie within
+ * @returns {Promise<Object>} - {records: {dataset: [...]}, reports: {name: report}}
+ */
+export const loadPoiSources = async (configPath, { datasets = [], bounds = null } = {}) => {
+  const records = {};
+  const reports = {};
+
+  if (!configPath || configPath === 'none' || !fs.existsSync(configPath)) {
+    return { records, reports };
+  }
+
+  let sources;
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    sources = Array.isArray(config) ? config : config.sources || [];
+  } catch (error) {
+    console.warn(`Warning: Could not read POI sources from ${configPath}:`, error.message);
+    return { records, reports };
+  }
+
+  for (const source of sources) {
+    const name = source.name || path.basename(source.file || '(no file)');
+    const { records: sourceRecords, report } = datasets.includes(source.dataset)
+      ? await loadFeatureSource(source, path.dirname(configPath), { bounds })
+      : { records: [], report: { file: name, rows: 0, loaded: 0, rejected: 0, rejectedRows: [], error: `POIs can't be added to "${source.dataset}"` } };
+
+    reports[name] = { dataset: source.dataset, ...report };
+    if (report.error) {
+      console.warn(`Warning: Could not load POI source ${name}: ${report.error}`);
+      continue;
+    }
+    if (report.rejected > 0) {
+      console.warn(`Warning: Rejected ${report.rejected} of ${report.rows} features in ${name}`);
+    }
+    console.log(`Loaded ${report.loaded} ${source.dataset} from ${name} (${report.format})`);
+
+    records[source.dataset] = [...(records[source.dataset] || []), ...sourceRecords];
+  }
+
+  return { records, reports };
+};
+
+export default {
+  FEATURE_FORMATS,
+  loadFeatureSource,
+  loadPoiSources
+};
@@ -0,0 +1,704 @@
+/**
+ * GTFS static feed loader
+ * Reads stops, routes, trips, stop times and the service calendar from a GTFS feed
+ * (a folder of .txt files or a .zip) and works out which routes serve each stop and how
+ * often, grouping rail platforms into stations. The stop times are also kept as a timetable
+ * of connections (one vehicle moving between consecutive stops) for journey planning.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import yauzl from 'yauzl';
+import { createRegionState, getActiveRegion } from './regionPacks.js';
+
+// Files the feed can't be used without
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+
+// Transit modes by GTFS route_type, including the extended (hierarchical vehicle type) codes
+const ROUTE_TYPE_MODES = {
+  0: 'lrt',     // Tram, streetcar, light rail
+  1: 'subway',  // Subway, metro
+  2: 'rail',    // Intercity or commuter rail
+  3: 'bus',
+  4: 'ferry',
+  5: 'cable_tram',
+  6: 'aerial_lift',
+  7: 'funicular',
+  11: 'trolleybus',
+  12: 'monorail'
+};
+
+// Modes that make a stop a rapid transit station rather than a bus stop, in display priority order
+export const STATION_MODES = ['subway', 'lrt', 'rail', 'monorail'];
+
+// Time bands for service frequencies, by hour of the service day
+export const TIME_BANDS = [
+  { name: 'amPeak', start: 6, end: 9 },
+  { name: 'midday', start: 9, end: 15 },
+  { name: 'pmPeak', start: 15, end: 18 },
+  { name: 'evening', start: 18, end: 24 },
+  { name: 'night', start: 0, end: 6 }
+];
+
+// Days of the week in Date.getUTCDay() order, matching the calendar.txt columns
+const SERVICE_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Day types frequencies are averaged over, as days of the week
+const DAY_TYPES = {
+  weekday: [1, 2, 3, 4, 5],
+  weekend: [6, 0]
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Timetable connection flags, from pickup_type and drop_off_type
+export const NO_PICKUP = 1;
+export const NO_DROP_OFF = 2;
+
+// Cached feed, loaded once per region
+const feedState = createRegionState(() => ({ feed: null, promise: null }));
+
+/**
+ * Get the transit mode for a GTFS route_type
+ * @param {number} routeType - GTFS route_type (basic or extended)
+ * @returns {string} - Transit mode
+ */
+export const getTransitMode = (routeType) => {
+  if (ROUTE_TYPE_MODES[routeType]) {
+    return ROUTE_TYPE_MODES[routeType];
+  }
+
+  // Extended route types are grouped by hundreds
+  if (routeType >= 100 && routeType < 200) return 'rail';
+  if (routeType >= 200 && routeType < 300) return 'bus'; // Coach
+  if (routeType >= 400 && routeType < 500) return 'subway'; // Urban railway
+  if (routeType >= 700 && routeType < 800) return 'bus';
+  if (routeType >= 800 && routeType < 900) return 'trolleybus';
+  if (routeType >= 900 && routeType < 1000) return 'lrt'; // Tram
+  if (routeType >= 1000 && routeType < 1100) return 'ferry';
+
+  return 'other';
+};
+
+/**
+ * Find the GTFS feed to load: the first of the active region's feed locations (or GTFS_DATA) that exists
+ * @returns {string|null} - Path to a feed folder or zip, or null if there is none
+ */
+const findFeedPath = () => {
+  return getActiveRegion().gtfs.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+/**
+ * Open a GTFS feed for reading
+ * @param {string} feedPath - Path to a feed folder or zip
+ * @returns {Promise<Object>} - {files, openFile(name), close()}
+ */
+const openFeed = async (feedPath) => {
+  if (fs.statSync(feedPath).isDirectory()) {
+    const files = fs.readdirSync(feedPath);
+    return {
+      files,
+      openFile: async (name) => fs.createReadStream(path.join(feedPath, name)),
+      close: () => {}
+    };
+  }
+
+  const zipfile = await new Promise((resolve, reject) => {
+    yauzl.open(feedPath, { lazyEntries: true, autoClose: false }, (error, zip) => (error ? reject(error) : resolve(zip)));
+  });
+
+  // Index the entries by file name; some feeds keep their files in a folder inside the zip
+  const entries = await new Promise((resolve, reject) => {
+    const found = new Map();
+    zipfile.on('entry', entry => {
+      if (!entry.fileName.endsWith('/')) {
+        found.set(path.basename(entry.fileName), entry);
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(found));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+  });
+
+  return {
+    files: Array.from(entries.keys()),
+    openFile: (name) => new Promise((resolve, reject) => {
+      zipfile.openReadStream(entries.get(name), (error, stream) => (error ? reject(error) : resolve(stream)));
+    }),
+    close: () => zipfile.close()
+  };
+};
+
+/**
+ * Stream the rows of one feed file
+ * @param {Object} feed - Open feed from openFeed
+ * @param {string} name - File name, e.g. "stops.txt"
+ * @param {Function} onRow - Called with each row object
+ * @returns {Promise<number>} - Number of rows read (0 if the file is not in the feed)
+ */
+const readFeedFile = async (feed, name, onRow) => {
+  if (!feed.files.includes(name)) {
+    return 0;
+  }
+
+  const stream = await feed.openFile(name);
+
+  return new Promise((resolve, reject) => {
+    let count = 0;
+    stream
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+      .on('data', row => {
+        count++;
+        onRow(row);
+      })
+      .on('end', () => resolve(count))
+      .on('error', reject);
+  });
+};
+
+/**
+ * Sort route names numerically where possible ("2", "10", "R1")
+ * @param {Array} names - Route names
+ * @returns {Array} - Sorted copy
+ */
+const sortRouteNames = (names) => {
+  return [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+/**
+ * Parse a GTFS time of day
+ * @param {string} value - Time as "HH:MM:SS" (hours can run past 24 on trips after midnight)
+ * @returns {number} - Seconds since the start of the service day, or -1 if missing or invalid
+ */
+const parseGtfsTime = (value) => {
+  const match = value && value.trim().match(/^(\d{1,3}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return -1;
+  }
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+};
+
+/**
+ * Find the time band for a time of day
+ * @param {number} seconds - Seconds since the start of the service day
+ * @returns {number} - Index into TIME_BANDS, or -1 if the time is missing
+ */
+const getTimeBandIndex = (seconds) => {
+  if (seconds < 0) {
+    return -1;
+  }
+
+  const hour = Math.floor(seconds / 3600) % 24;
+  return TIME_BANDS.findIndex(band => hour >= band.start && hour < band.end);
+};
+
+/**
+ * Create a growable array of integers
+ * @returns {Object} - {push(value), toArray()}
+ */
+const createIntBuffer = () => {
+  let values = new Int32Array(1024);
+  let length = 0;
+
+  return {
+    push(value) {
+      if (length === values.length) {
+        const grown = new Int32Array(values.length * 2);
+        grown.set(values);
+        values = grown;
+      }
+      values[length++] = value;
+    },
+    toArray: () => values.slice(0, length)
+  };
+};
+
+/**
+ * Parse a GTFS date
+ * @param {string} value - Date as YYYYMMDD
+ * @returns {number|null} - Milliseconds since the epoch (UTC midnight), or null if invalid
+ */
+const parseGtfsDate = (value) => {
+  const match = value && value.trim().match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - Formatted date
+ */
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Work out which services run on each day of a representative week
+ * The week starts on the Monday of GTFS_SERVICE_DATE (YYYYMMDD) if set, otherwise of today if
+ * the feed covers it, otherwise of the first day the feed covers
+ * @param {Map} services - Services from calendar.txt
+ * @param {Array} exceptions - Rows from calendar_dates.txt {serviceId, date, added}
+ * @returns {Object} - {weekStart, days: Array of 7 Sets of service IDs in Date.getUTCDay() order}
+ */
+const getServiceWeek = (services, exceptions) => {
+  const dates = [
+    ...Array.from(services.values()).flatMap(service => [service.startDate, service.endDate]),
+    ...exceptions.map(exception => exception.date)
+  ].filter(date => date !== null);
+
+  // A large feed has too many calendar dates to spread into Math.min/Math.max
+  const feedStart = dates.length > 0 ? dates.reduce((earliest, date) => Math.min(earliest, date)) : null;
+  const feedEnd = dates.length > 0 ? dates.reduce((latest, date) => Math.max(latest, date)) : null;
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  let referenceDate = parseGtfsDate(process.env.GTFS_SERVICE_DATE);
+  if (referenceDate === null) {
+    referenceDate = feedStart === null || (today >= feedStart && today <= feedEnd) ? today : feedStart;
+  }
+
+  // Back up to Monday, but don't start the week before the feed does
+  let weekStart = referenceDate - ((new Date(referenceDate).getUTCDay() + 6) % 7) * MS_PER_DAY;
+  if (referenceDate === feedStart && weekStart < feedStart) {
+    weekStart += 7 * MS_PER_DAY;
+  }
+
+  const days = [];
+  for (let offset = 0; offset < 7; offset++) {
+    const date = weekStart + offset * MS_PER_DAY;
+    const dayOfWeek = new Date(date).getUTCDay();
+
+    const active = new Set();
+    for (const service of services.values()) {
+      if (service.days[dayOfWeek] && service.startDate <= date && date <= service.endDate) {
+        active.add(service.id);
+      }
+    }
+
+    for (const exception of exceptions) {
+      if (exception.date === date) {
+        if (exception.added) {
+          active.add(exception.serviceId);
+        } else {
+          active.delete(exception.serviceId);
+        }
+      }
+    }
+
+    days[dayOfWeek] = active;
+  }
+
+  return { weekStart, days };
+};
+
+/**
+ * Calculate how often each route leaves a stop in a representative week
+ * @param {Map} departures - Departure counts by "routeId|serviceId", one count per time band
+ * @param {Object} serviceWeek - Services running each day, from getServiceWeek
+ * @returns {Map} - Route ID -> {weekday, weekend}, each mapping time band names to trips per hour
+ */
+const calculateRouteFrequencies = (departures, serviceWeek) => {
+  const frequencies = new Map();
+
+  for (const [key, counts] of departures) {
+    const [routeId, serviceId] = key.split('|');
+    if (!frequencies.has(routeId)) {
+      frequencies.set(routeId, Object.fromEntries(
+        Object.keys(DAY_TYPES).map(dayType => [dayType, TIME_BANDS.map(() => 0)])
+      ));
+    }
+    const routeFrequencies = frequencies.get(routeId);
+
+    for (const [dayType, daysOfWeek] of Object.entries(DAY_TYPES)) {
+      // Average number of days of this type the service runs
+      const share = daysOfWeek.filter(day => serviceWeek.days[day].has(serviceId)).length / daysOfWeek.length;
+      if (share > 0) {
+        counts.forEach((count, band) => {
+          routeFrequencies[dayType][band] += count * share;
+        });
+      }
+    }
+  }
+
+  // Convert departures per band into trips per hour
+  for (const [routeId, byDayType] of frequencies) {
+    frequencies.set(routeId, Object.fromEntries(
+      Object.entries(byDayType).map(([dayType, counts]) => [dayType, Object.fromEntries(
+        TIME_BANDS.map((band, index) => [band.name, counts[index] / (band.end - band.start)])
+      )])
+    ));
+  }
+
+  return frequencies;
+};
+
+/**
+ * Combine the frequencies of several routes or stops
+ * @param {Array} frequencies - Frequencies {weekday, weekend} to combine
+ * @param {Function} combine - How to combine trips per hour, e.g. Math.max or a sum
+ * @returns {Object} - Combined {weekday, weekend} trips per hour by time band
+ */
+export const combineFrequencies = (frequencies, combine) => {
+  return Object.fromEntries(Object.keys(DAY_TYPES).map(dayType => [dayType, Object.fromEntries(
+    TIME_BANDS.map(band => [band.name, frequencies.reduce(
+      (total, frequency) => combine(total, frequency[dayType][band.name]), 0
+    )])
+  )]));
+};
+
+/**
+ * Round trips per hour for output
+ * @param {Object} frequencies - {weekday, weekend} trips per hour by time band
+ * @returns {Object} - Same shape, rounded to one decimal place
+ */
+export const roundFrequencies = (frequencies) => {
+  return Object.fromEntries(Object.entries(frequencies).map(([dayType, bands]) => [dayType, Object.fromEntries(
+    Object.entries(bands).map(([band, tripsPerHour]) => [band, Math.round(tripsPerHour * 10) / 10])
+  )]));
+};
+
+const sum = (a, b) => a + b;
+
+/**
+ * Build the timetable of connections from the stop times
+ * Each connection is a trip leaving one stop and arriving at the next timed stop; stops
+ * without times are skipped over. Connections are sorted by departure time.
+ * @param {Object} stopTimes - Stop time columns {trip, sequence, stop, arrival, departure, flags}
+ * @param {Array} stopList - Stops by index
+ * @param {Array} tripList - Trips by index
+ * @returns {Object} - {stops, trips, connections: {count, depStop, arrStop, depTime, arrTime, trip, flags}}
+ */
+const buildTimetable = (stopTimes, stopList, tripList) => {
+  const { trip, sequence, stop, arrival, departure, flags } = stopTimes;
+
+  // Stop times in trip order
+  const order = new Int32Array(trip.length).map((_, index) => index)
+    .sort((a, b) => (trip[a] - trip[b]) || (sequence[a] - sequence[b]));
+
+  const columns = ['depStop', 'arrStop', 'depTime', 'arrTime', 'trip', 'flags'];
+  const buffers = Object.fromEntries(columns.map(column => [column, createIntBuffer()]));
+
+  let previous = -1;
+  for (const current of order) {
+    const time = arrival[current] >= 0 ? arrival[current] : departure[current];
+    if (time < 0) {
+      continue;
+    }
+
+    if (previous !== -1 && trip[previous] === trip[current]) {
+      buffers.depStop.push(stop[previous]);
+      buffers.arrStop.push(stop[current]);
+      buffers.depTime.push(departure[previous] >= 0 ? departure[previous] : arrival[previous]);
+      buffers.arrTime.push(time);
+      buffers.trip.push(trip[current]);
+      buffers.flags.push((flags[previous] & NO_PICKUP) | (flags[current] & NO_DROP_OFF));
+    }
+    previous = current;
+  }
+
+  const unsorted = Object.fromEntries(columns.map(column => [column, buffers[column].toArray()]));
+  const count = unsorted.depTime.length;
+  const byDeparture = new Int32Array(count).map((_, index) => index)
+    .sort((a, b) => unsorted.depTime[a] - unsorted.depTime[b]);
+
+  const connections = { count };
+  for (const column of columns) {
+    connections[column] = byDeparture.map(index => unsorted[column][index]);
+  }
+
+  return { stops: stopList, trips: tripList, connections };
+};
+
+/**
+ * Load a GTFS static feed
+ * @param {string} feedPath - Path to a feed folder or zip
+ * @returns {Promise<Object>} - {stations, busStops, stops, routes, trips, services, serviceWeek, timetable, source}
+ */
+export const loadGtfsFeed = async (feedPath) => {
+  console.log(`Loading GTFS feed from ${feedPath}...`);
+  const feed = await openFeed(feedPath);
+
+  try {
+    const missing = REQUIRED_FILES.filter(name => !feed.files.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`GTFS feed is missing ${missing.join(', ')}`);
+    }
+
+    // Routes, with their transit mode
+    const routes = new Map();
+    await readFeedFile(feed, 'routes.txt', row => {
+      const type = parseInt(row.route_type, 10);
+      routes.set(row.route_id, {
+        id: row.route_id,
+        shortName: row.route_short_name || row.route_long_name || row.route_id,
+        longName: row.route_long_name || '',
+        type,
+        mode: getTransitMode(type)
+      });
+    });
+
+    // Trips, numbered for the timetable
+    const trips = new Map();
+    const tripList = [];
+    await readFeedFile(feed, 'trips.txt', row => {
+      const trip = {
+        index: tripList.length,
+        id: row.trip_id,
+        routeId: row.route_id,
+        serviceId: row.service_id,
+        headsign: row.trip_headsign || ''
+      };
+      trips.set(row.trip_id, trip);
+      tripList.push(trip);
+    });
+
+    // Stops, stations and platforms, numbered for the timetable
+    const stops = new Map();
+    const stopList = [];
+    await readFeedFile(feed, 'stops.txt', row => {
+      const stop = {
+        index: stopList.length,
+        id: row.stop_id,
+        code: row.stop_code || '',
+        name: row.stop_name || '',
+        lat: parseFloat(row.stop_lat),
+        lng: parseFloat(row.stop_lon),
+        locationType: parseInt(row.location_type, 10) || 0,
+        parentStation: row.parent_station || null,
+        routeIds: new Set(),
+        // Departure counts per time band, by "routeId|serviceId"
+        departures: new Map()
+      };
+      stops.set(row.stop_id, stop);
+      stopList.push(stop);
+    });
+
+    // Stop times: the routes serving each stop, and when they leave it
+    const stopTimeColumns = ['trip', 'sequence', 'stop', 'arrival', 'departure', 'flags'];
+    const stopTimeBuffers = Object.fromEntries(stopTimeColumns.map(column => [column, createIntBuffer()]));
+
+    const stopTimeCount = await readFeedFile(feed, 'stop_times.txt', row => {
+      const trip = trips.get(row.trip_id);
+      const stop = stops.get(row.stop_id);
+      if (!trip || !stop) {
+        return;
+      }
+
+      stop.routeIds.add(trip.routeId);
+
+      const arrival = parseGtfsTime(row.arrival_time);
+      const departure = parseGtfsTime(row.departure_time);
+      stopTimeBuffers.trip.push(trip.index);
+      stopTimeBuffers.sequence.push(parseInt(row.stop_sequence, 10) || 0);
+      stopTimeBuffers.stop.push(stop.index);
+      stopTimeBuffers.arrival.push(arrival);
+      stopTimeBuffers.departure.push(departure);
+      stopTimeBuffers.flags.push((row.pickup_type === '1' ? NO_PICKUP : 0) | (row.drop_off_type === '1' ? NO_DROP_OFF : 0));
+
+      // Drop-off only stops (e.g. the end of the line) aren't departures
+      const band = getTimeBandIndex(departure >= 0 ? departure : arrival);
+      if (band === -1 || row.pickup_type === '1') {
+        return;
+      }
+
+      const key = `${trip.routeId}|${trip.serviceId}`;
+      if (!stop.departures.has(key)) {
+        stop.departures.set(key, TIME_BANDS.map(() => 0));
+      }
+      stop.departures.get(key)[band]++;
+    });
+
+    // Service calendar (optional; feeds may use calendar_dates.txt only)
+    const services = new Map();
+    await readFeedFile(feed, 'calendar.txt', row => {
+      services.set(row.service_id, {
+        id: row.service_id,
+        days: SERVICE_DAYS.map(day => row[day] === '1'),
+        startDate: parseGtfsDate(row.start_date),
+        endDate: parseGtfsDate(row.end_date)
+      });
+    });
+
+    // Service added or removed on particular dates (holidays, or every date in some feeds)
+    const exceptions = [];
+    await readFeedFile(feed, 'calendar_dates.txt', row => {
+      const date = parseGtfsDate(row.date);
+      if (date !== null) {
+        exceptions.push({ serviceId: row.service_id, date, added: row.exception_type === '1' });
+      }
+    });
+
+    const serviceWeek = getServiceWeek(services, exceptions);
+    for (const stop of stops.values()) {
+      stop.routeFrequencies = calculateRouteFrequencies(stop.departures, serviceWeek);
+      delete stop.departures;
+    }
+
+    const { stations, busStops } = buildTransitStops(stops, routes);
+
+    const timetable = buildTimetable(
+      Object.fromEntries(stopTimeColumns.map(column => [column, stopTimeBuffers[column].toArray()])),
+      stopList,
+      tripList
+    );
+
+    console.log(`Loaded GTFS feed: ${routes.size} routes, ${trips.size} trips, ${stopTimeCount} stop times, ` +
+      `${stations.length} stations, ${busStops.length} bus stops, ${timetable.connections.count} connections ` +
+      `(service week of ${formatDate(serviceWeek.weekStart)})`);
+
+    return {
+      stations,
+      busStops,
+      stops,
+      routes,
+      trips,
+      services,
+      serviceWeek: { weekStart: formatDate(serviceWeek.weekStart), days: serviceWeek.days },
+      timetable,
+      source: feedPath
+    };
+  } finally {
+    feed.close();
+  }
+};
+
+/**
+ * Frequencies of a stop's routes, keyed by route name
+ * Routes sharing a name (e.g. variants with their own route IDs) are added together
+ * @param {Object} stop - GTFS stop with routeFrequencies by route ID
+ * @param {Array} stopRoutes - Routes to include
+ * @returns {Map} - Route name -> {weekday, weekend} trips per hour
+ */
+const getFrequenciesByRouteName = (stop, stopRoutes) => {
+  const byName = new Map();
+  for (const route of stopRoutes) {
+    const frequencies = stop.routeFrequencies.get(route.id);
+    if (frequencies) {
+      const existing = byName.get(route.shortName);
+      byName.set(route.shortName, existing ? combineFrequencies([existing, frequencies], sum) : frequencies);
+    }
+  }
+  return byName;
+};
+
+/**
+ * Turn served GTFS stops into rapid transit stations and bus stops
+ * Platforms are grouped into their parent station; a stop can be both (e.g. a bus platform
+ * sharing a stop ID with the train). Frequencies are departures per hour in one direction:
+ * each route's busiest platform at a station, and the total over a stop's routes
+ * @param {Map} stops - Stops by ID, with the route IDs serving them
+ * @param {Map} routes - Routes by ID
+ * @returns {Object} - {stations, busStops}
+ */
+const buildTransitStops = (stops, routes) => {
+  const stationGroups = new Map();
+  const busStops = [];
+
+  for (const stop of stops.values()) {
+    if (stop.routeIds.size === 0 || !Number.isFinite(stop.lat) || !Number.isFinite(stop.lng)) {
+      continue;
+    }
+
+    const stopRoutes = Array.from(stop.routeIds).map(id => routes.get(id)).filter(Boolean);
+    const railRoutes = stopRoutes.filter(route => STATION_MODES.includes(route.mode));
+    const otherRoutes = stopRoutes.filter(route => !STATION_MODES.includes(route.mode));
+
+    if (railRoutes.length > 0) {
+      // Group platforms under their parent station, using the parent's name and position
+      const parent = stop.parentStation ? stops.get(stop.parentStation) : null;
+      const station = parent && Number.isFinite(parent.lat) ? parent : stop;
+
+      if (!stationGroups.has(station.id)) {
+        stationGroups.set(station.id, {
+          id: station.id,
+          name: station.name,
+          lat: station.lat,
+          lng: station.lng,
+          routes: new Map(),
+          routeFrequencies: new Map()
+        });
+      }
+      const group = stationGroups.get(station.id);
+      railRoutes.forEach(route => group.routes.set(route.id, route));
+
+      // Platforms usually serve one direction each, so keep each route's busiest platform
+      for (const [name, frequencies] of getFrequenciesByRouteName(stop, railRoutes)) {
+        const existing = group.routeFrequencies.get(name);
+        group.routeFrequencies.set(name, existing ? combineFrequencies([existing, frequencies], Math.max) : frequencies);
+      }
+    }
+
+    if (otherRoutes.length > 0) {
+      const routeFrequencies = getFrequenciesByRouteName(stop, otherRoutes);
+      busStops.push({
+        id: stop.code || stop.id,
+        stopId: stop.id,
+        name: stop.name,
+        lat: stop.lat,
+        lng: stop.lng,
+        modes: [...new Set(otherRoutes.map(route => route.mode))],
+        routes: sortRouteNames(new Set(otherRoutes.map(route => route.shortName))),
+        routeFrequencies: Object.fromEntries(routeFrequencies),
+        frequencies: combineFrequencies(Array.from(routeFrequencies.values()), sum)
+      });
+    }
+  }
+
+  const stations = Array.from(stationGroups.values()).map(group => {
+    const stationRoutes = Array.from(group.routes.values());
+    const modes = STATION_MODES.filter(mode => stationRoutes.some(route => route.mode === mode));
+    return {
+      id: group.id,
+      name: group.name,
+      lat: group.lat,
+      lng: group.lng,
+      mode: modes[0],
+      modes,
+      routes: sortRouteNames(new Set(stationRoutes.map(route => route.shortName))),
+      routeFrequencies: Object.fromEntries(group.routeFrequencies),
+      frequencies: combineFrequencies(Array.from(group.routeFrequencies.values()), sum)
+    };
+  });
+
+  return { stations, busStops };
+};
+
+/**
+ * Get the GTFS feed, loading it on first use
+ * @returns {Promise<Object|null>} - Loaded feed, or null if there is no feed or it failed to load
+ */
+export const getGtfsFeed = async () => {
+  const state = feedState();
+  if (state.feed) {
+    return state.feed;
+  }
+
+  if (!state.promise) {
+    state.promise = (async () => {
+      const feedPath = findFeedPath();
+      if (!feedPath) {
+        const region = getActiveRegion();
+        console.warn(`Warning: No GTFS feed found for ${region.name} (set GTFS_DATA or add one of ${region.gtfs.map(candidate => path.basename(candidate)).join(', ')} to data)`);
+        return null;
+      }
+
+      try {
+        state.feed = await loadGtfsFeed(feedPath);
+        return state.feed;
+      } catch (error) {
+        console.error(`Error loading GTFS feed from ${feedPath}:`, error);
+        return null;
+      }
+    })();
+  }
+
+  return state.promise;
+};
+
+export default {
+  loadGtfsFeed,
+  getGtfsFeed,
+  getTransitMode,
+  combineFrequencies,
+  roundFrequencies
+};
@@ -1,67 +1,115 @@
 /**
  * OpenStreetMap data loader
- * Handles downloading, parsing, and processing OSM data for Ottawa
+ * Handles downloading, parsing, and processing OSM data for the active region
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import fetch from 'node-fetch';
 import osmRead from 'osm-read';
-
-// Get directory name in ES module
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Path to store OSM data
-const OSM_DATA_PATH = path.resolve(__dirname, '../../data/ottawa_osm.xml');
+import parseOSM from 'osm-pbf-parser';
+import { getTravelModes, matchPoiTags, formatOsmAddress, DEFAULT_POI_TAGS } from './osmTags.js';
+import { calculatePolygonCentroid, isPointInPolygon } from '../analysis/customGeoAnalysis.js';
+import { createRegionState, getActiveRegion } from './regionPacks.js';
 
 // Overpass API endpoint
 const OVERPASS_API = 'https://overpass-api.de/api/interpreter';
 
-// Ottawa bounding box (approximate)
-const OTTAWA_BOUNDS = {
-  south: 45.2,
-  west: -76.0,
-  north: 45.5,
-  east: -75.5
+/**
+ * Find the OSM data file to load for the active region
+ * The first of its PBF extracts (or OSM_DATA) that exists, falling back to its downloaded XML file
+ * @returns {string} - Path to an OSM XML or PBF file
+ */
+const findOsmDataPath = () => {
+  const region = getActiveRegion();
+  return region.osmData.find(candidate => fs.existsSync(candidate)) || region.osmDownload;
+};
+
+// Road network data and the points of interest found alongside it, per region
+const osmState = createRegionState(() => ({
+  roadNetworkData: {
+    nodes: new Map(),
+    ways: [],
+    initialized: false
+  },
+  osmPois: []
+}));
+
+/**
+ * Get the tag mapping that decides which OSM elements are points of interest
+ * Entries in the JSON file named by OSM_POI_TAGS are added to DEFAULT_POI_TAGS, or replace the
+ * default for the same tag; mapping a tag to null drops it
+ * @returns {Object} - Mapping of "key=value" to {dataset, category|type}
+ */
+export const getPoiTagMapping = () => {
+  const filePath = process.env.OSM_POI_TAGS;
+  if (!filePath) {
+    return DEFAULT_POI_TAGS;
+  }
+
+  try {
+    return { ...DEFAULT_POI_TAGS, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (error) {
+    console.warn(`Warning: Could not read OSM POI tags from ${filePath}, using the defaults:`, error.message);
+    return DEFAULT_POI_TAGS;
+  }
 };
 
-// Store the road network data
-let roadNetworkData = {
-  nodes: new Map(),
-  ways: [],
-  initialized: false
+/**
+ * Build the Overpass statements selecting the mapped points of interest
+ * @param {Object} poiTags - POI tag mapping
+ * @param {string} bbox - "south,west,north,east"
+ * @returns {string} - One nwr statement per tag key
+ */
+const buildPoiQuery = (poiTags, bbox) => {
+  const valuesByKey = new Map();
+  for (const [tag, target] of Object.entries(poiTags)) {
+    if (!target) {
+      continue;
+    }
+    const [key, value] = [tag.slice(0, tag.indexOf('=')), tag.slice(tag.indexOf('=') + 1)];
+    valuesByKey.set(key, [...(valuesByKey.get(key) || []), value]);
+  }
+
+  return Array.from(valuesByKey.entries())
+    .map(([key, values]) => `nwr["${key}"~"^(${values.join('|')})$"](${bbox});`)
+    .join('\n        ');
 };
 
 /**
- * Download OSM data for Ottawa using Overpass API
+ * Download OSM data for the active region using Overpass API
  * @returns {Promise<string>} - Path to the downloaded file
  */
 export const downloadOsmData = async () => {
+  const region = getActiveRegion();
+  const downloadPath = region.osmDownload;
+
   try {
-    console.log('Downloading OpenStreetMap data for Ottawa...');
+    console.log(`Downloading OpenStreetMap data for ${region.name}...`);
     
-    // Create Overpass query for roads in Ottawa
+    // Create Overpass query for roads and points of interest in the region, with the nodes and
+    // member ways they are made of
+    const { south, west, north, east } = region.bounds;
+    const bbox = `${south},${west},${north},${east}`;
     const query = `
       [out:xml][timeout:300];
       (
-        way["highway"](${OTTAWA_BOUNDS.south},${OTTAWA_BOUNDS.west},${OTTAWA_BOUNDS.north},${OTTAWA_BOUNDS.east});
-        >;
+        way["highway"](${bbox});
+        ${buildPoiQuery(getPoiTagMapping(), bbox)}
       );
+      (._;>;);
       out body;
     `;
     
     // Check if file already exists
-    if (fs.existsSync(OSM_DATA_PATH)) {
-      const stats = fs.statSync(OSM_DATA_PATH);
+    if (fs.existsSync(downloadPath)) {
+      const stats = fs.statSync(downloadPath);
       const fileSizeInMB = stats.size / (1024 * 1024);
       const fileAgeInDays = (Date.now() - stats.mtime) / (1000 * 60 * 60 * 24);
       
       // If file is recent (less than 30 days old) and not empty, use it
       if (fileAgeInDays < 30 && fileSizeInMB > 1) {
         console.log(`Using existing OSM data (${fileSizeInMB.toFixed(2)} MB, ${fileAgeInDays.toFixed(1)} days old)`);
-        return OSM_DATA_PATH;
+        return downloadPath;
       }
     }
     
@@ -80,10 +128,10 @@ export const downloadOsmData = async () => {
     
     // Save data to file
     const data = await response.text();
-    fs.writeFileSync(OSM_DATA_PATH, data);
+    fs.writeFileSync(downloadPath, data);
     
-    console.log(`Downloaded OSM data to ${OSM_DATA_PATH}`);
-    return OSM_DATA_PATH;
+    console.log(`Downloaded OSM data to ${downloadPath}`);
+    return downloadPath;
   } catch (error) {
     console.error('Error downloading OSM data:', error);
     throw error;
@@ -91,11 +139,327 @@ export const downloadOsmData = async () => {
 };
 
 /**
- * Parse OSM data and build road network
+ * Read an OSM file once, calling the given element handlers
+ * @param {string} osmFilePath - Path to OSM data file
+ * @param {Object} handlers - osm-read callbacks (node, way, relation)
+ * @returns {Promise<void>} - Resolves when the whole file has been read
+ */
+const readOsmFile = (osmFilePath, handlers) => {
+  return new Promise((resolve, reject) => {
+    osmRead.parse({
+      filePath: osmFilePath,
+      ...handlers,
+      endDocument: () => resolve(),
+      error: (error) => reject(error)
+    });
+  });
+};
+
+/**
+ * Join the member ways of a multipolygon into closed rings
+ * Ways are chained end to end (reversing them where needed); pieces that never close are dropped
+ * @param {Array} wayNodeRefs - Node id lists, one per member way
+ * @returns {Array} - Closed rings as node id lists
+ */
+const assembleRings = (wayNodeRefs) => {
+  const pending = wayNodeRefs.filter(refs => refs.length >= 2).map(refs => [...refs]);
+  const rings = [];
+
+  while (pending.length > 0) {
+    let ring = pending.shift();
+    while (ring[0] !== ring[ring.length - 1]) {
+      const end = ring[ring.length - 1];
+      const index = pending.findIndex(refs => refs[0] === end || refs[refs.length - 1] === end);
+      if (index === -1) {
+        break;
+      }
+      const [next] = pending.splice(index, 1);
+      ring = ring.concat((next[0] === end ? next : next.reverse()).slice(1));
+    }
+    if (ring.length >= 4 && ring[0] === ring[ring.length - 1]) {
+      rings.push(ring);
+    }
+  }
+
+  return rings;
+};
+
+/**
+ * Create a point of interest from a tagged OSM element
+ * Areas (closed ways and multipolygons) are placed at their centroid and keep their outline;
+ * open ways are placed at the average of their nodes
+ * @param {string} osmId - Element id, e.g. "way/123"
+ * @param {Object} tags - Element tags
+ * @param {Object} match - Matching POI tag mapping {tag, dataset, category|type}
+ * @param {Array} points - Node positions {lat, lng} for points and open ways
+ * @param {Array} polygons - Polygons as rings of positions {lat, lng} for areas
+ * @returns {Object|null} - POI, or null if the element has no known position
+ */
+const createOsmPoi = (osmId, tags, match, { points = [], polygons = [] }) => {
+  let location;
+  let geometry = null;
+
+  if (polygons.length > 0) {
+    location = calculatePolygonCentroid(polygons);
+    const coordinates = polygons.map(rings => rings.map(ring => ring.map(point => [point.lng, point.lat])));
+    geometry = coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates };
+  } else if (points.length > 0) {
+    location = {
+      lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+      lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+    };
+  } else {
+    return null;
+  }
+
+  const { tag, dataset, ...attributes } = match;
+  return {
+    osmId,
+    osmTag: tag,
+    dataset,
+    name: tags.name || '',
+    ...attributes,
+    address: formatOsmAddress(tags),
+    lat: location.lat,
+    lng: location.lng,
+    ...(geometry ? { geometry } : {})
+  };
+};
+
+/**
+ * Collect the road network and points of interest from a stream of OSM elements
+ * Shared by the XML and PBF readers. Nodes outside the bounds are dropped, so roads crossing
+ * the edge are cut there and a way is split wherever its nodes are missing.
+ * @param {Object} poiTags - POI tag mapping
+ * @param {Object} bounds - {south, west, north, east}
+ * @returns {Object} - {addNode, addWay, addRelation, addMemberWay, needsMemberWays, hasNode, nodeCount, finish}
+ */
+const createOsmCollector = ({ poiTags, bounds }) => {
+  const nodes = new Map();
+  const ways = [];
+  const pois = [];
+  const multipolygons = [];
+  const memberWayIds = new Set();
+  const memberWays = new Map();
+
+  const toPosition = (node) => ({ lat: node.lat, lng: node.lng });
+
+  const addNode = (id, lat, lng, tags) => {
+    if (lat < bounds.south || lat > bounds.north || lng < bounds.west || lng > bounds.east) {
+      return;
+    }
+    nodes.set(id, { id, lat, lng });
+
+    const match = tags && matchPoiTags(tags, poiTags);
+    if (match) {
+      pois.push(createOsmPoi(`node/${id}`, tags, match, { points: [{ lat, lng }] }));
+    }
+  };
+
+  const addWay = (id, tags, nodeRefs) => {
+    const poiMatch = tags && matchPoiTags(tags, poiTags);
+    if (poiMatch) {
+      const refs = nodeRefs.filter(nodeId => nodes.has(nodeId));
+      const positions = refs.map(nodeId => toPosition(nodes.get(nodeId)));
+      const isClosed = refs.length >= 4 && refs[0] === refs[refs.length - 1];
+      const poi = createOsmPoi(`way/${id}`, tags, poiMatch, isClosed ? { polygons: [[positions]] } : { points: positions });
+      if (poi) {
+        pois.push(poi);
+      }
+    }
+
+    // Check if this way is a road
+    if (!tags || !tags.highway) {
+      return;
+    }
+    const { walkable, drivable, oneway, footOneway, maxspeed } = getTravelModes(tags);
+
+    // Skip ways nobody can travel on (construction, raceways, private roads, ...)
+    if (!walkable && !drivable) {
+      return;
+    }
+
+    // Split the way into runs of consecutive known nodes
+    const runs = [[]];
+    for (const nodeId of nodeRefs) {
+      if (nodes.has(nodeId)) {
+        runs[runs.length - 1].push(nodes.get(nodeId));
+      } else if (runs[runs.length - 1].length > 0) {
+        runs.push([]);
+      }
+    }
+
+    runs.filter(run => run.length >= 2).forEach((run, index) => {
+      // Store reverse one-way streets in their driving direction
+      if (oneway === -1) {
+        run.reverse();
+      }
+
+      ways.push({
+        id: index === 0 ? id : `${id}:${index}`,
+        name: tags.name || 'Unnamed Road',
+        type: tags.highway,
+        oneway: oneway !== 0,
+        footOneway,
+        walkable,
+        drivable,
+        maxspeed,
+        nodes: run
+      });
+    });
+  };
+
+  // Relation members are {type, ref, role}
+  const addRelation = (id, tags, members) => {
+    const match = tags && tags.type === 'multipolygon' && matchPoiTags(tags, poiTags);
+    if (match) {
+      const wayMembers = members.filter(member => member.type === 'way');
+      wayMembers.forEach(member => memberWayIds.add(member.ref));
+      multipolygons.push({ id, tags, match, members: wayMembers });
+    }
+  };
+
+  const addMemberWay = (id, nodeRefs) => {
+    if (memberWayIds.has(id)) {
+      memberWays.set(id, nodeRefs.filter(nodeId => nodes.has(nodeId)));
+    }
+  };
+
+  const finish = () => {
+    for (const multipolygon of multipolygons) {
+      const ringsFor = (role) => assembleRings(
+        multipolygon.members
+          .filter(member => (member.role || 'outer') === role && memberWays.has(member.ref))
+          .map(member => memberWays.get(member.ref))
+      ).map(ring => ring.map(nodeId => toPosition(nodes.get(nodeId))));
+
+      // Each hole belongs to the outer ring it lies in
+      const polygons = ringsFor('outer').map(ring => [ring]);
+      for (const hole of ringsFor('inner')) {
+        const outer = polygons.find(([ring]) => isPointInPolygon(hole[0], ring));
+        if (outer) {
+          outer.push(hole);
+        }
+      }
+
+      const poi = createOsmPoi(`relation/${multipolygon.id}`, multipolygon.tags, multipolygon.match, { polygons });
+      if (poi) {
+        pois.push(poi);
+      }
+    }
+
+    // Only the road nodes are kept once everything is built
+    const roadNodes = new Map();
+    for (const way of ways) {
+      way.nodes.forEach(node => roadNodes.set(node.id, node));
+    }
+
+    return { nodes: roadNodes, ways, pois };
+  };
+
+  return {
+    addNode,
+    addWay,
+    addRelation,
+    addMemberWay,
+    needsMemberWays: () => multipolygons.length > 0,
+    hasNode: (id) => nodes.has(id),
+    nodeCount: () => nodes.size,
+    finish
+  };
+};
+
+/**
+ * Read an OSM XML file into a collector
+ * osm-read streams each element type separately, so the file is read once for nodes, once for
+ * ways and relations, and once more for multipolygon member ways if there are any
+ * @param {string} osmFilePath - Path to OSM XML file
+ * @param {Object} collector - Collector from createOsmCollector
+ * @returns {Promise<void>}
+ */
+const readOsmXml = async (osmFilePath, collector) => {
+  await readOsmFile(osmFilePath, {
+    node: (node) => collector.addNode(node.id, node.lat, node.lon, node.tags)
+  });
+  console.log(`Parsed ${collector.nodeCount()} nodes`);
+
+  await readOsmFile(osmFilePath, {
+    way: (way) => collector.addWay(way.id, way.tags, way.nodeRefs),
+    relation: (relation) => collector.addRelation(relation.id, relation.tags, relation.members)
+  });
+
+  if (collector.needsMemberWays()) {
+    await readOsmFile(osmFilePath, {
+      way: (way) => collector.addMemberWay(way.id, way.nodeRefs)
+    });
+  }
+};
+
+/**
+ * Read an OSM PBF extract (e.g. from Geofabrik) into a collector in a single streaming pass
+ * PBF files list nodes, then ways, then relations, so every way's nodes are known when it arrives.
+ * Multipolygon members are only known at the end; untagged ways with nodes inside the bounds
+ * are held on to until then (just those nodes), as members usually carry no tags of their own.
+ * @param {string} osmFilePath - Path to .osm.pbf file
+ * @param {Object} collector - Collector from createOsmCollector
+ * @returns {Promise<void>}
+ */
+const readOsmPbf = (osmFilePath, collector) => {
+  return new Promise((resolve, reject) => {
+    const untaggedWays = new Map();
+    let nodesLogged = false;
+
+    fs.createReadStream(osmFilePath)
+      .on('error', reject)
+      .pipe(parseOSM())
+      .on('data', (items) => {
+        for (const item of items) {
+          if (item.type === 'node') {
+            collector.addNode(item.id, item.lat, item.lon, item.tags);
+            continue;
+          }
+
+          if (!nodesLogged) {
+            console.log(`Parsed ${collector.nodeCount()} nodes`);
+            nodesLogged = true;
+          }
+
+          if (item.type === 'way') {
+            collector.addWay(item.id, item.tags, item.refs);
+            if (Object.keys(item.tags).length === 0) {
+              const refs = item.refs.filter(collector.hasNode);
+              if (refs.length > 0) {
+                untaggedWays.set(item.id, refs);
+              }
+            }
+          } else if (item.type === 'relation') {
+            collector.addRelation(item.id, item.tags, item.members.map(member => ({ type: member.type, ref: member.id, role: member.role })));
+          }
+        }
+      })
+      .on('error', reject)
+      .on('end', () => {
+        if (!nodesLogged) {
+          console.log(`Parsed ${collector.nodeCount()} nodes`);
+        }
+        for (const [id, nodeRefs] of untaggedWays) {
+          collector.addMemberWay(id, nodeRefs);
+        }
+        resolve();
+      });
+  });
+};
+
+/**
+ * Parse OSM data: build the road network and extract the mapped points of interest
+ * Reads an OSM XML file or, for paths ending in .pbf, a PBF extract, keeping only what lies
+ * within the active region's bounds
  * @param {string} osmFilePath - Path to OSM data file
  * @returns {Promise<Object>} - Road network data
  */
-export const parseOsmData = async (osmFilePath = OSM_DATA_PATH) => {
+export const parseOsmData = async (osmFilePath = findOsmDataPath()) => {
   try {
     console.log(`Parsing OSM data from ${osmFilePath}...`);
     
@@ -106,73 +470,31 @@ export const parseOsmData = async (osmFilePath = OSM_DATA_PATH) => {
     }
     
     // Reset road network data
-    roadNetworkData = {
+    const state = osmState();
+    const roadNetworkData = {
       nodes: new Map(),
       ways: [],
       initialized: false
     };
-    
-    // Parse OSM data
-    return new Promise((resolve, reject) => {
-      // First pass: collect all nodes
-      osmRead.parse({
-        filePath: osmFilePath,
-        endDocument: () => {
-          console.log(`Parsed ${roadNetworkData.nodes.size} nodes`);
-          
-          // Second pass: collect all ways (roads)
-          osmRead.parse({
-            filePath: osmFilePath,
-            way: (way) => {
-              // Check if this way is a road
-              if (way.tags && way.tags.highway) {
-                const roadType = way.tags.highway;
-                const name = way.tags.name || 'Unnamed Road';
-                const oneway = way.tags.oneway === 'yes';
-                const maxspeed = way.tags.maxspeed ? parseInt(way.tags.maxspeed, 10) : null;
-                
-                // Create road segments from consecutive nodes
-                const nodes = [];
-                for (const nodeId of way.nodeRefs) {
-                  if (roadNetworkData.nodes.has(nodeId)) {
-                    nodes.push(roadNetworkData.nodes.get(nodeId));
-                  }
-                }
-                
-                if (nodes.length >= 2) {
-                  roadNetworkData.ways.push({
-                    id: way.id,
-                    name,
-                    type: roadType,
-                    oneway,
-                    maxspeed,
-                    nodes
-                  });
-                }
-              }
-            },
-            endDocument: () => {
-              console.log(`Parsed ${roadNetworkData.ways.length} road segments`);
-              roadNetworkData.initialized = true;
-              resolve(roadNetworkData);
-            },
-            error: (error) => {
-              reject(error);
-            }
-          });
-        },
-        node: (node) => {
-          roadNetworkData.nodes.set(node.id, {
-            id: node.id,
-            lat: node.lat,
-            lng: node.lon
-          });
-        },
-        error: (error) => {
-          reject(error);
-        }
-      });
-    });
+    state.roadNetworkData = roadNetworkData;
+    state.osmPois = [];
+
+    const collector = createOsmCollector({ poiTags: getPoiTagMapping(), bounds: getActiveRegion().bounds });
+    if (osmFilePath.toLowerCase().endsWith('.pbf')) {
+      await readOsmPbf(osmFilePath, collector);
+    } else {
+      await readOsmXml(osmFilePath, collector);
+    }
+
+    const { nodes, ways, pois } = collector.finish();
+    roadNetworkData.nodes = nodes;
+    roadNetworkData.ways = ways;
+    state.osmPois = pois;
+    console.log(`Parsed ${roadNetworkData.ways.length} road segments`);
+    console.log(`Found ${pois.length} points of interest`);
+
+    roadNetworkData.initialized = true;
+    return roadNetworkData;
   } catch (error) {
     console.error('Error parsing OSM data:', error);
     throw error;
@@ -184,10 +506,40 @@ export const parseOsmData = async (osmFilePath = OSM_DATA_PATH) => {
  * @returns {Promise<Object>} - Road network data
  */
 export const getRoadNetworkData = async () => {
-  if (!roadNetworkData.initialized) {
+  if (!osmState().roadNetworkData.initialized) {
     await parseOsmData();
   }
-  return roadNetworkData;
+  return osmState().roadNetworkData;
+};
+
+/**
+ * Get the points of interest extracted from the OSM data
+ * @returns {Promise<Array>} - POIs {osmId, osmTag, dataset, name, category|type, address, lat, lng, geometry?}
+ */
+export const getOsmPois = async () => {
+  await getRoadNetworkData();
+  return osmState().osmPois;
+};
+
+// Highway types counted as main roads for road access scoring
+const MAIN_ROAD_TYPES = new Set(['motorway', 'trunk', 'primary', 'secondary']);
+
+/**
+ * Get the main roads (motorways, trunk, primary and secondary roads) of the OSM network
+ * Each way is kept whole as a polyline, rather than split into segments for routing
+ * @returns {Promise<Array>} - Roads {id, name, type, lines: [[{lat, lng}, ...]]}
+ */
+export const getOsmMainRoads = async () => {
+  const roadNetwork = await getRoadNetworkData();
+
+  return roadNetwork.ways
+    .filter(way => MAIN_ROAD_TYPES.has(way.type))
+    .map(way => ({
+      id: String(way.id),
+      name: way.name,
+      type: way.type,
+      lines: [way.nodes.map(node => ({ lat: node.lat, lng: node.lng }))]
+    }));
 };
 
 /**
@@ -252,7 +604,7 @@ export const getOsmRoads = async () => {
         }
       }
       
-      // Create road segment
+      // Create road segment; the graph adds the reverse direction unless the road is one-way
       roads.push({
         name: way.name,
         start_lat: startNode.lat,
@@ -261,24 +613,12 @@ export const getOsmRoads = async () => {
         end_lng: endNode.lng,
         type: way.type,
         oneway: way.oneway,
+        footOneway: way.footOneway,
+        walkable: way.walkable,
+        drivable: way.drivable,
         speed: speedKmh,
         id: `${way.id}-${i}`
       });
-      
-      // If not one-way, add reverse segment
-      if (!way.oneway) {
-        roads.push({
-          name: way.name,
-          start_lat: endNode.lat,
-          start_lng: endNode.lng,
-          end_lat: startNode.lat,
-          end_lng: startNode.lng,
-          type: way.type,
-          oneway: way.oneway,
-          speed: speedKmh,
-          id: `${way.id}-${i}-rev`
-        });
-      }
     }
   }
   
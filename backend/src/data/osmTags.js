@@ -0,0 +1,272 @@
+/**
+ * OpenStreetMap tag interpretation
+ * Decides which travel modes may use a way (walking, driving) and in which direction,
+ * following the usual OSM highway, access, oneway and maxspeed tagging conventions, and
+ * which data set (and category) a tagged point of interest belongs to
+ */
+
+// Highway types cars can use
+const DRIVABLE_HIGHWAYS = new Set([
+  'motorway', 'motorway_link',
+  'trunk', 'trunk_link',
+  'primary', 'primary_link',
+  'secondary', 'secondary_link',
+  'tertiary', 'tertiary_link',
+  'unclassified', 'residential', 'living_street', 'service', 'road'
+]);
+
+// Highway types pedestrians can never use
+const NON_WALKABLE_HIGHWAYS = new Set(['motorway', 'motorway_link']);
+
+// Highway types pedestrians can only use if they have a sidewalk or explicit foot access
+const SIDEWALK_REQUIRED_HIGHWAYS = new Set(['trunk', 'trunk_link']);
+
+// Highway types that are not (or not yet, or no longer) usable roads
+const UNUSABLE_HIGHWAYS = new Set([
+  'construction', 'proposed', 'planned', 'abandoned', 'disused', 'razed',
+  'raceway', 'bus_guideway', 'escape', 'elevator', 'platform', 'corridor'
+]);
+
+// Access values that allow or deny passage
+const ALLOWED_ACCESS = new Set(['yes', 'designated', 'permissive', 'destination', 'customers']);
+const DENIED_ACCESS = new Set(['no', 'private', 'agricultural', 'forestry', 'delivery', 'discouraged', 'use_sidepath']);
+
+// Sidewalk values that mean pedestrians can walk along the road
+const SIDEWALK_VALUES = new Set(['both', 'left', 'right', 'yes']);
+
+// Conversion factor for maxspeed values given in miles per hour
+const KMH_PER_MPH = 1.609344;
+
+// Implicit speed limits used by "CA:urban"-style maxspeed values (km/h)
+const IMPLICIT_SPEEDS = {
+  urban: 50,
+  rural: 80,
+  motorway: 100,
+  living_street: 20,
+  walk: 5
+};
+
+/**
+ * Resolve access for one travel mode from a list of increasingly specific access keys
+ * The most specific key that is tagged wins, e.g. motorcar overrides motor_vehicle overrides access
+ * @param {Object} tags - OSM way tags
+ * @param {Array} keys - Access keys from least to most specific
+ * @returns {boolean|null} - true if allowed, false if denied, null if not tagged
+ */
+const resolveAccess = (tags, keys) => {
+  let allowed = null;
+  for (const key of keys) {
+    const value = tags[key];
+    if (ALLOWED_ACCESS.has(value)) {
+      allowed = true;
+    } else if (DENIED_ACCESS.has(value)) {
+      allowed = false;
+    }
+  }
+  return allowed;
+};
+
+/**
+ * Check whether a way can be used on foot
+ * @param {Object} tags - OSM way tags
+ * @returns {boolean} - True if pedestrians may use the way
+ */
+export const isWalkable = (tags = {}) => {
+  const highway = tags.highway;
+  if (!highway || UNUSABLE_HIGHWAYS.has(highway)) {
+    return false;
+  }
+
+  // Walking on motorways is never allowed, whatever the access tags say
+  if (NON_WALKABLE_HIGHWAYS.has(highway)) {
+    return false;
+  }
+
+  // Otherwise explicit access tags win
+  const footAccess = resolveAccess(tags, ['access', 'foot']);
+  if (footAccess !== null) {
+    return footAccess;
+  }
+
+  // Trunk roads are only walkable along a sidewalk mapped on the road itself
+  if (SIDEWALK_REQUIRED_HIGHWAYS.has(highway)) {
+    return ['sidewalk', 'sidewalk:both', 'sidewalk:left', 'sidewalk:right']
+      .some(key => SIDEWALK_VALUES.has(tags[key]));
+  }
+
+  return true;
+};
+
+/**
+ * Check whether a way can be used by car
+ * @param {Object} tags - OSM way tags
+ * @returns {boolean} - True if cars may use the way
+ */
+export const isDrivable = (tags = {}) => {
+  if (!DRIVABLE_HIGHWAYS.has(tags.highway)) {
+    return false;
+  }
+
+  // Reversible lanes change direction during the day, so they can't be routed on safely
+  if (tags.oneway === 'reversible' || tags.oneway === 'alternating') {
+    return false;
+  }
+
+  return resolveAccess(tags, ['access', 'vehicle', 'motor_vehicle', 'motorcar']) !== false;
+};
+
+/**
+ * Get the direction cars may travel along a way
+ * @param {Object} tags - OSM way tags
+ * @returns {number} - 1 for forward only, -1 for reverse only, 0 for both directions
+ */
+export const getOnewayDirection = (tags = {}) => {
+  const oneway = tags.oneway;
+
+  if (oneway === 'yes' || oneway === 'true' || oneway === '1') {
+    return 1;
+  }
+  if (oneway === '-1' || oneway === 'reverse') {
+    return -1;
+  }
+  if (oneway === 'no' || oneway === 'false' || oneway === '0') {
+    return 0;
+  }
+
+  // Motorways and roundabouts are one-way unless tagged otherwise
+  if (tags.highway === 'motorway' || tags.junction === 'roundabout' || tags.junction === 'circular') {
+    return 1;
+  }
+
+  return 0;
+};
+
+/**
+ * Check whether pedestrians are restricted to the way's direction
+ * Pedestrians ignore oneway restrictions for vehicles unless oneway:foot is set
+ * @param {Object} tags - OSM way tags
+ * @returns {boolean} - True if walking is only allowed in the forward direction
+ */
+export const isOnewayForWalking = (tags = {}) => {
+  return tags['oneway:foot'] === 'yes';
+};
+
+/**
+ * Parse an OSM maxspeed value into km/h
+ * Handles plain numbers ("50"), miles per hour ("30 mph") and implicit limits ("CA:urban")
+ * @param {string|number} value - Raw maxspeed tag value
+ * @returns {number|null} - Speed in km/h, or null if the value has no usable speed
+ */
+export const parseMaxspeed = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+
+  const implicit = text.match(/^[a-z]{2}:([a-z_]+)$/);
+  if (implicit) {
+    return IMPLICIT_SPEEDS[implicit[1]] || null;
+  }
+
+  const numeric = text.match(/^(\d+(?:\.\d+)?)\s*(mph|km\/h|kmh|kph)?$/);
+  if (!numeric) {
+    return null;
+  }
+
+  const speed = parseFloat(numeric[1]);
+  if (!(speed > 0)) {
+    return null;
+  }
+
+  return numeric[2] === 'mph' ? Math.round(speed * KMH_PER_MPH) : speed;
+};
+
+/**
+ * Interpret the routing-relevant tags of a way
+ * @param {Object} tags - OSM way tags
+ * @returns {Object} - {walkable, drivable, oneway, footOneway, maxspeed}
+ */
+export const getTravelModes = (tags = {}) => ({
+  walkable: isWalkable(tags),
+  drivable: isDrivable(tags),
+  oneway: getOnewayDirection(tags),
+  footOneway: isOnewayForWalking(tags),
+  maxspeed: parseMaxspeed(tags.maxspeed)
+});
+
+// Points of interest by "key=value" tag: the data set they belong to and their category (or, for
+// emergency services, their type). The first matching entry wins, so more specific tags come first.
+export const DEFAULT_POI_TAGS = {
+  'amenity=hospital': { dataset: 'emergencyServices', type: 'hospital' },
+  'amenity=fire_station': { dataset: 'emergencyServices', type: 'fire' },
+  'amenity=police': { dataset: 'emergencyServices', type: 'police' },
+  'shop=supermarket': { dataset: 'groceryStores' },
+  'shop=grocery': { dataset: 'groceryStores' },
+  'shop=greengrocer': { dataset: 'groceryStores' },
+  'amenity=school': { dataset: 'education', category: 'school' },
+  'amenity=college': { dataset: 'education', category: 'school', level: 'postsecondary' },
+  'amenity=university': { dataset: 'education', category: 'school', level: 'postsecondary' },
+  'amenity=kindergarten': { dataset: 'education', category: 'school', level: 'elementary' },
+  'leisure=park': { dataset: 'parks', category: 'park' },
+  'leisure=nature_reserve': { dataset: 'parks', category: 'park' },
+  'leisure=garden': { dataset: 'parks', category: 'park' },
+  'amenity=restaurant': { dataset: 'restaurants', category: 'restaurant' },
+  'amenity=cafe': { dataset: 'restaurants', category: 'restaurant' },
+  'amenity=fast_food': { dataset: 'restaurants', category: 'restaurant' },
+  'amenity=pub': { dataset: 'restaurants', category: 'restaurant' },
+  'amenity=cinema': { dataset: 'amenities', category: 'entertainment' },
+  'amenity=theatre': { dataset: 'amenities', category: 'entertainment' },
+  'amenity=arts_centre': { dataset: 'amenities', category: 'entertainment' },
+  'amenity=library': { dataset: 'amenities', category: 'entertainment' },
+  'tourism=museum': { dataset: 'amenities', category: 'entertainment' },
+  'leisure=sports_centre': { dataset: 'amenities', category: 'entertainment' },
+  'leisure=fitness_centre': { dataset: 'amenities', category: 'entertainment' },
+  'shop=mall': { dataset: 'amenities', category: 'retail' },
+  'shop=department_store': { dataset: 'amenities', category: 'retail' },
+  'shop=convenience': { dataset: 'amenities', category: 'retail' },
+  'shop=pharmacy': { dataset: 'amenities', category: 'retail' },
+  'amenity=pharmacy': { dataset: 'amenities', category: 'retail' },
+  'shop=hardware': { dataset: 'amenities', category: 'retail' },
+  'shop=clothes': { dataset: 'amenities', category: 'retail' }
+};
+
+/**
+ * Find the point-of-interest mapping an element's tags match
+ * @param {Object} tags - OSM element tags
+ * @param {Object} poiTags - Mapping of "key=value" to {dataset, category|type} (see DEFAULT_POI_TAGS)
+ * @returns {Object|null} - {tag, dataset, category|type}, or null if the element isn't a mapped POI
+ */
+export const matchPoiTags = (tags = {}, poiTags = DEFAULT_POI_TAGS) => {
+  for (const [tag, target] of Object.entries(poiTags)) {
+    if (!target) {
+      continue;
+    }
+    const separator = tag.indexOf('=');
+    if (tags[tag.slice(0, separator)] === tag.slice(separator + 1)) {
+      return { tag, ...target };
+    }
+  }
+  return null;
+};
+
+/**
+ * Build a one-line address from OSM addr:* tags
+ * @param {Object} tags - OSM element tags
+ * @returns {string} - "475 Ness St", addr:full, or '' if the element has no address
+ */
+export const formatOsmAddress = (tags = {}) => {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  return street || tags['addr:full'] || '';
+};
+
+export default {
+  isWalkable,
+  isDrivable,
+  getOnewayDirection,
+  isOnewayForWalking,
+  parseMaxspeed,
+  getTravelModes,
+  matchPoiTags,
+  formatOsmAddress
+};
@@ -0,0 +1,378 @@
+/**
+ * Region packs
+ * A region pack describes one study area: its bounds (or boundary polygon), centre and downtown,
+ * the data set files, school catchments, OSM extract and GTFS feed to load for it, and how to bias
+ * the geocoder.
+ * Packs are loaded from config/regions.json; the region a request is for is kept in an async
+ * context (runInRegion), so the loaders can keep separate state per region (createRegionState).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { calculateHaversineDistance, isPointInPolygon } from '../analysis/customGeoAnalysis.js';
+
+// Helper to get __dirname in ES module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_REGIONS_PATH = path.resolve(__dirname, '../../config/regions.json');
+
+// Relative paths in a pack are resolved against the data folder
+const DATA_DIR = path.resolve(__dirname, '../../data');
+
+// Data sets a pack can list files for
+export const REGION_DATASETS = [
+  'groceryStores', 'emergencyServices', 'mainRoads', 'amenities', 'education', 'parks', 'restaurants', 'addressPoints'
+];
+
+// Data set rows may lie this far (meters) outside a region's bounds, as services just over
+// its edge still serve it; rows further out are rejected as misplaced (0,0 or swapped lat/lng)
+const DATA_BOUNDS_MARGIN = 25000;
+const METERS_PER_DEGREE = 111320;
+
+// Environment variables that override the files of the default region, as before region packs
+const DATASET_ENV = {
+  groceryStores: 'GROCERY_STORES_DATA',
+  emergencyServices: 'EMERGENCY_SERVICES_DATA',
+  mainRoads: 'MAIN_ROADS_DATA',
+  amenities: 'AMENITIES_DATA',
+  education: 'EDUCATION_DATA',
+  parks: 'PARKS_DATA',
+  restaurants: 'RESTAURANTS_DATA',
+  addressPoints: 'ADDRESS_INDEX_DATA'
+};
+
+// Used if the config file is missing so the API keeps working
+const FALLBACK_CONFIG = {
+  defaultRegion: 'ottawa',
+  regions: {
+    ottawa: {
+      name: 'Ottawa',
+      bounds: { south: 45.2, west: -76.0, north: 45.5, east: -75.5 },
+      center: { lat: 45.4215, lng: -75.6972 },
+      maxDistance: 30000,
+      downtown: { name: 'Downtown Ottawa', lat: 45.4236, lng: -75.7009 },
+      geocoder: { city: 'Ottawa', province: 'ON', country: 'Canada', countryCodes: 'ca' },
+      datasets: {
+        groceryStores: 'ottawa_grocery_stores.csv',
+        emergencyServices: 'ottawa_emergency_services.csv',
+        mainRoads: 'ottawa_main_roads.csv',
+        amenities: 'ottawa_amenities.csv',
+        education: 'ottawa_education.csv',
+        parks: 'ottawa_parks.csv',
+        restaurants: 'ottawa_restaurants.csv',
+        addressPoints: 'ottawa_address_points.csv'
+      },
+      poiSources: 'poi_sources.json',
+      schoolCatchments: 'school_catchments.json',
+      osmData: ['ottawa.osm.pbf', 'ontario-latest.osm.pbf'],
+      osmDownload: 'ottawa_osm.xml',
+      gtfs: ['gtfs', 'gtfs.zip'],
+      sampleTransit: true
+    }
+  }
+};
+
+let regionConfig = null;
+
+// Region of the request being handled
+const regionContext = new AsyncLocalStorage();
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} - Error with a status property
+ */
+const createRegionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Parse "south,west,north,east" bounds
+ * @param {string} text - Bounds text
+ * @returns {Object|null} - {south, west, north, east}, or null if invalid
+ */
+export const parseBounds = (text) => {
+  const [south, west, north, east] = String(text).split(',').map(Number);
+  if (![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+    return null;
+  }
+  return { south, west, north, east };
+};
+
+/**
+ * Resolve a pack file path (or list of paths) against the data folder
+ * @param {string|Array|null} value - Path or paths from the pack
+ * @returns {Array} - Absolute paths
+ */
+const resolvePaths = (value) => {
+  return [].concat(value ?? []).filter(Boolean).map(file => path.resolve(DATA_DIR, file));
+};
+
+/**
+ * Turn a region pack from the config into the form the loaders use
+ * @param {string} id - Region id
+ * @param {Object} pack - Pack from the config
+ * @returns {Object} - {region} or {errors}
+ */
+const buildRegion = (id, pack) => {
+  const errors = [];
+
+  const bounds = pack.bounds && parseBounds([pack.bounds.south, pack.bounds.west, pack.bounds.north, pack.bounds.east].join(','));
+  if (!bounds) {
+    errors.push('bounds must have south < north and west < east');
+  }
+
+  // A GeoJSON Polygon (only its outer ring is used) or a list of {lat, lng}
+  let polygon = null;
+  if (pack.boundary) {
+    const ring = pack.boundary.type === 'Polygon' ? pack.boundary.coordinates?.[0]?.map(([lng, lat]) => ({ lat, lng })) : pack.boundary;
+    if (Array.isArray(ring) && ring.length >= 3 && ring.every(point => Number.isFinite(point?.lat) && Number.isFinite(point?.lng))) {
+      polygon = ring;
+    } else {
+      errors.push('boundary must be a GeoJSON Polygon or a list of at least three {lat, lng} points');
+    }
+  }
+
+  const unknownDatasets = Object.keys(pack.datasets || {}).filter(dataset => !REGION_DATASETS.includes(dataset));
+  if (unknownDatasets.length > 0) {
+    errors.push(`unknown data sets ${unknownDatasets.join(', ')} (expected ${REGION_DATASETS.join(', ')})`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const center = pack.center || { lat: (bounds.south + bounds.north) / 2, lng: (bounds.west + bounds.east) / 2 };
+
+  return {
+    region: {
+      id,
+      name: pack.name || id,
+      bounds,
+      polygon,
+      center,
+      maxDistance: pack.maxDistance || null,
+      downtown: { name: `Downtown ${pack.name || id}`, ...center, ...pack.downtown },
+      geocoder: { city: pack.name || id, ...pack.geocoder },
+      datasets: Object.fromEntries(REGION_DATASETS.map(dataset => [dataset, resolvePaths(pack.datasets?.[dataset])])),
+      poiSources: resolvePaths(pack.poiSources)[0] || null,
+      schoolCatchments: resolvePaths(pack.schoolCatchments)[0] || null,
+      osmData: resolvePaths(pack.osmData),
+      osmDownload: path.resolve(DATA_DIR, pack.osmDownload || `${id}_osm.xml`),
+      gtfs: resolvePaths(pack.gtfs),
+      sampleTransit: pack.sampleTransit === true
+    }
+  };
+};
+
+/**
+ * Apply the environment overrides from before region packs to the default region
+ * @param {Object} region - Default region
+ * @returns {Object} - Region with the overrides applied
+ */
+const applyEnvironmentOverrides = (region) => {
+  const datasets = { ...region.datasets };
+  for (const [dataset, variable] of Object.entries(DATASET_ENV)) {
+    if (process.env[variable]) {
+      datasets[dataset] = [process.env[variable]];
+    }
+  }
+
+  let bounds = region.bounds;
+  if (process.env.OSM_BOUNDS) {
+    bounds = parseBounds(process.env.OSM_BOUNDS) || bounds;
+    if (bounds === region.bounds) {
+      console.warn(`Warning: Invalid OSM_BOUNDS "${process.env.OSM_BOUNDS}", using the ${region.name} bounds`);
+    }
+  }
+
+  return {
+    ...region,
+    bounds,
+    datasets,
+    poiSources: process.env.POI_SOURCES || region.poiSources,
+    schoolCatchments: process.env.SCHOOL_CATCHMENTS || region.schoolCatchments,
+    osmData: process.env.OSM_DATA ? [process.env.OSM_DATA] : region.osmData,
+    gtfs: process.env.GTFS_DATA ? [process.env.GTFS_DATA] : region.gtfs
+  };
+};
+
+/**
+ * Load the region packs from the config file (cached after the first call)
+ * REGION overrides the config's default region
+ * @param {string} filePath - Path to the regions JSON file
+ * @returns {Object} - {defaultRegion, regions} with regions keyed by id
+ */
+export const loadRegionPacks = (filePath = process.env.REGIONS_PATH || DEFAULT_REGIONS_PATH) => {
+  if (regionConfig) {
+    return regionConfig;
+  }
+
+  let config = FALLBACK_CONFIG;
+  try {
+    if (fs.existsSync(filePath)) {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else {
+      console.warn(`Warning: File ${filePath} does not exist, using the built-in Ottawa region`);
+    }
+  } catch (error) {
+    console.error(`Error loading region packs from ${filePath}:`, error);
+  }
+
+  const regions = {};
+  for (const [id, pack] of Object.entries(config.regions || {})) {
+    const { region, errors } = buildRegion(id, pack || {});
+    if (errors) {
+      console.warn(`Warning: Skipping region "${id}": ${errors.join('; ')}`);
+    } else {
+      regions[id] = region;
+    }
+  }
+
+  let defaultRegion = process.env.REGION || config.defaultRegion;
+  if (!regions[defaultRegion]) {
+    console.warn(`Warning: Unknown default region "${defaultRegion}", using the built-in Ottawa region`);
+    defaultRegion = FALLBACK_CONFIG.defaultRegion;
+    regions[defaultRegion] = buildRegion(defaultRegion, FALLBACK_CONFIG.regions[defaultRegion]).region;
+  }
+  regions[defaultRegion] = applyEnvironmentOverrides(regions[defaultRegion]);
+
+  // A region other than the default can't be used until its data set files are in place,
+  // rather than running its analyses on half its data
+  for (const region of Object.values(regions)) {
+    region.missingFiles = Object.values(region.datasets).flat()
+      .filter(filePath => !fs.existsSync(filePath))
+      .map(filePath => path.basename(filePath));
+    region.available = region.id === defaultRegion || region.missingFiles.length === 0;
+    if (!region.available) {
+      console.warn(`Warning: Region "${region.id}" is not available, missing ${region.missingFiles.join(', ')}`);
+    }
+  }
+
+  console.log(`Loaded ${Object.keys(regions).length} region packs (default: ${defaultRegion})`);
+  regionConfig = { defaultRegion, regions };
+  return regionConfig;
+};
+
+/**
+ * List the region packs
+ * @returns {Array} - Regions {id, name, bounds, center, isDefault, available, missingFiles}
+ */
+export const listRegions = () => {
+  const { defaultRegion, regions } = loadRegionPacks();
+  return Object.values(regions).map(region => ({
+    id: region.id,
+    name: region.name,
+    bounds: region.bounds,
+    center: region.center,
+    isDefault: region.id === defaultRegion,
+    available: region.available,
+    missingFiles: region.missingFiles
+  }));
+};
+
+/**
+ * Get a region pack
+ * Errors carry a status property: 400 when the region is unknown, 503 when its data files are missing
+ * @param {string} id - Region id (defaults to the default region)
+ * @returns {Object} - Region
+ */
+export const getRegion = (id = null) => {
+  const { defaultRegion, regions } = loadRegionPacks();
+  const regionId = id ? String(id).trim().toLowerCase() : defaultRegion;
+  if (!regions[regionId]) {
+    throw createRegionError(`Unknown region "${id}" (expected one of ${Object.keys(regions).join(', ')})`, 400);
+  }
+  if (!regions[regionId].available) {
+    throw createRegionError(`Region "${regions[regionId].name}" is not available: its data files are missing (${regions[regionId].missingFiles.join(', ')})`, 503);
+  }
+  return regions[regionId];
+};
+
+/**
+ * Run a function for a region; the loaders and analyses it calls (also after awaits) use that region
+ * @param {string|Object} region - Region id or region
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever fn returns
+ */
+export const runInRegion = (region, fn) => {
+  return regionContext.run(typeof region === 'object' ? region : getRegion(region), fn);
+};
+
+/**
+ * Get the region being worked on: the one set by runInRegion, or the default region
+ * @returns {Object} - Region
+ */
+export const getActiveRegion = () => regionContext.getStore() || getRegion();
+
+/**
+ * Create module state that is kept separately for each region
+ * @param {Function} create - Returns the initial state for a region
+ * @returns {Function} - Returns the active region's state, creating it on first use
+ */
+export const createRegionState = (create) => {
+  const states = new Map();
+  return () => {
+    const { id } = getActiveRegion();
+    if (!states.has(id)) {
+      states.set(id, create());
+    }
+    return states.get(id);
+  };
+};
+
+/**
+ * Get the bounds a region's data set rows must lie within: its bounds widened by DATA_BOUNDS_MARGIN
+ * @param {Object} region - Region (defaults to the active region)
+ * @returns {Object} - Bounds {south, west, north, east}, rounded to 3 decimals
+ */
+export const getDataBounds = (region = getActiveRegion()) => {
+  const { south, west, north, east } = region.bounds;
+  const latMargin = DATA_BOUNDS_MARGIN / METERS_PER_DEGREE;
+  const lngMargin = latMargin / Math.cos(((south + north) / 2) * (Math.PI / 180));
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  return {
+    south: round(south - latMargin),
+    west: round(west - lngMargin),
+    north: round(north + latMargin),
+    east: round(east + lngMargin)
+  };
+};
+
+/**
+ * Check whether a location is in a region
+ * Uses the boundary polygon if the pack has one, else the distance from the centre if it sets
+ * maxDistance, else the bounds
+ * @param {Object} location - Location {lat, lng}
+ * @param {Object} region - Region (defaults to the active region)
+ * @returns {boolean} - True if the location is in the region
+ */
+export const isInRegion = (location, region = getActiveRegion()) => {
+  if (region.polygon) {
+    return isPointInPolygon(location, region.polygon);
+  }
+  if (region.maxDistance) {
+    return calculateHaversineDistance(location, region.center) <= region.maxDistance;
+  }
+  const { south, west, north, east } = region.bounds;
+  return location.lat >= south && location.lat <= north && location.lng >= west && location.lng <= east;
+};
+
+export default {
+  loadRegionPacks,
+  listRegions,
+  getRegion,
+  runInRegion,
+  getActiveRegion,
+  createRegionState,
+  getDataBounds,
+  isInRegion,
+  parseBounds
+};
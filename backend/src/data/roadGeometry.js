@@ -0,0 +1,212 @@
+/**
+ * Road geometry
+ * Turns road records into polylines. A road can carry its full shape in a `geometry` column
+ * (WKT LINESTRING / MULTILINESTRING, or a GeoJSON LineString / MultiLineString), or just the
+ * `start_lat,start_lng,end_lat,end_lng` chord of the original main roads CSV.
+ */
+
+// Columns that may hold a road's geometry, in order of preference
+const GEOMETRY_COLUMNS = ['geometry', 'wkt', 'geojson'];
+
+/**
+ * Convert a list of [lng, lat] positions into vertices
+ * @param {Array} positions - Positions in GeoJSON / WKT axis order (x = lng, y = lat)
+ * @returns {Array|null} - Vertices {lat, lng}, or null if any position is invalid
+ */
+const toVertices = (positions) => {
+  if (!Array.isArray(positions)) {
+    return null;
+  }
+
+  const vertices = [];
+  for (const position of positions) {
+    const lng = Number(position?.[0]);
+    const lat = Number(position?.[1]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return null;
+    }
+    vertices.push({ lat, lng });
+  }
+  return vertices;
+};
+
+/**
+ * Parse a GeoJSON LineString or MultiLineString (optionally wrapped in a Feature)
+ * @param {Object} geojson - Parsed GeoJSON
+ * @returns {Array|null} - Lines of vertices, or null if the geometry isn't a line
+ */
+const parseGeoJsonLines = (geojson) => {
+  const geometry = geojson?.type === 'Feature' ? geojson.geometry : geojson;
+
+  if (geometry?.type === 'LineString') {
+    const line = toVertices(geometry.coordinates);
+    return line ? [line] : null;
+  }
+  if (geometry?.type === 'MultiLineString' && Array.isArray(geometry.coordinates)) {
+    const lines = geometry.coordinates.map(toVertices);
+    return lines.every(Boolean) ? lines : null;
+  }
+  return null;
+};
+
+/**
+ * Parse a WKT LINESTRING or MULTILINESTRING (an EWKT "SRID=4326;" prefix and Z/M values are ignored)
+ * @param {string} text - WKT text
+ * @returns {Array|null} - Lines of vertices, or null if the text isn't a line
+ */
+const parseWktLines = (text) => {
+  const match = text.replace(/^SRID=\d+;\s*/i, '').match(/^(MULTI)?LINESTRING\s*(?:Z|M|ZM)?\s*\((.*)\)$/is);
+  if (!match) {
+    return null;
+  }
+
+  // A multi line string is "(x y, x y), (x y, x y)"; a line string is just "x y, x y"
+  const parts = match[1] ? match[2].split(/\)\s*,\s*\(/).map(part => part.replace(/^\s*\(|\)\s*$/g, '')) : [match[2]];
+
+  const lines = parts.map(part => toVertices(
+    part.split(',').map(position => position.trim().split(/\s+/))
+  ));
+  return lines.every(Boolean) ? lines : null;
+};
+
+/**
+ * Parse a road geometry value
+ * @param {string|Object} value - WKT text, GeoJSON text or a GeoJSON object
+ * @returns {Array|null} - Lines of vertices {lat, lng} with at least two vertices each, or null
+ */
+export const parseRoadGeometry = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  let lines = null;
+  if (typeof value === 'object') {
+    lines = parseGeoJsonLines(value);
+  } else {
+    const text = String(value).trim();
+    if (text.startsWith('{')) {
+      try {
+        lines = parseGeoJsonLines(JSON.parse(text));
+      } catch (error) {
+        return null;
+      }
+    } else {
+      lines = parseWktLines(text);
+    }
+  }
+
+  if (!lines) {
+    return null;
+  }
+  lines = lines.filter(line => line.length >= 2);
+  return lines.length > 0 ? lines : null;
+};
+
+/**
+ * Calculate the bounding box of a set of lines
+ * @param {Array} lines - Lines of vertices
+ * @returns {Object} - {minLat, maxLat, minLng, maxLng}
+ */
+const calculateBounds = (lines) => {
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const line of lines) {
+    for (const { lat, lng } of line) {
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLng = Math.min(bounds.minLng, lng);
+      bounds.maxLng = Math.max(bounds.maxLng, lng);
+    }
+  }
+  return bounds;
+};
+
+/**
+ * Read the geometry of a road without a geometry column: its start/end chord, or a
+ * single lat/lng point for roads only known by one location
+ * @param {Object} road - Road record
+ * @returns {Array|null} - Lines of vertices, or null if the coordinates are missing or invalid
+ */
+const parseChord = (road) => {
+  const isSet = (value) => value !== '' && value !== undefined && value !== null;
+
+  if ([road.start_lat, road.start_lng, road.end_lat, road.end_lng].every(isSet)) {
+    const chord = toVertices([[road.start_lng, road.start_lat], [road.end_lng, road.end_lat]]);
+    return chord ? [chord] : null;
+  }
+  if (isSet(road.lat) && isSet(road.lng)) {
+    const point = toVertices([[road.lng, road.lat]]);
+    return point ? [point] : null;
+  }
+  return null;
+};
+
+/**
+ * Give a road record its polyline geometry
+ * The geometry column wins; otherwise the start/end chord (or lat/lng point) is used. The chord fields are
+ * (re)set from the first and last vertex so code that only needs the ends keeps working.
+ * @param {Object} road - Road record (e.g. a CSV row)
+ * @returns {Object|null} - Road with lines and bounds, or null if it has no usable geometry
+ */
+export const normalizeRoad = (road) => {
+  const geometryColumn = GEOMETRY_COLUMNS.find(column => road[column]);
+  let lines = road.lines || (geometryColumn ? parseRoadGeometry(road[geometryColumn]) : null);
+
+  if (!lines && geometryColumn) {
+    console.warn(`Warning: Road ${road.name || '(unnamed)'} has an invalid ${geometryColumn}, using its start/end points`);
+  }
+
+  if (!lines) {
+    lines = parseChord(road);
+  }
+  if (!lines) {
+    return null;
+  }
+
+  // The parsed lines replace the raw geometry text
+  const attributes = { ...road };
+  if (geometryColumn) {
+    delete attributes[geometryColumn];
+  }
+  const first = lines[0][0];
+  const last = lines[lines.length - 1][lines[lines.length - 1].length - 1];
+
+  return {
+    ...attributes,
+    start_lat: first.lat,
+    start_lng: first.lng,
+    end_lat: last.lat,
+    end_lng: last.lng,
+    lines,
+    bounds: calculateBounds(lines)
+  };
+};
+
+/**
+ * Split a road into one straight segment per pair of consecutive vertices, for the routing graph
+ * @param {Object} road - Road from normalizeRoad
+ * @returns {Array} - Segments with start_lat, start_lng, end_lat, end_lng and the road's attributes
+ */
+export const splitRoadIntoSegments = (road) => {
+  const { lines, bounds, ...attributes } = road;
+  const segments = [];
+
+  for (const line of lines) {
+    for (let i = 0; i < line.length - 1; i++) {
+      segments.push({
+        ...attributes,
+        start_lat: line[i].lat,
+        start_lng: line[i].lng,
+        end_lat: line[i + 1].lat,
+        end_lng: line[i + 1].lng
+      });
+    }
+  }
+
+  return segments;
+};
+
+export default {
+  parseRoadGeometry,
+  normalizeRoad,
+  splitRoadIntoSegments
+};
@@ -0,0 +1,134 @@
+/**
+ * School catchments
+ * Reads the catchment (attendance boundary) polygons each school board publishes for its
+ * elementary and secondary schools, from GeoJSON, KML, Shapefile or ArcGIS files (see
+ * featureSources.js). The files are listed in a JSON config (data/school_catchments.json by default):
+ *
+ *   { "sources": [{ "board": "OCDSB", "level": "elementary", "file": "ocdsb_elementary.geojson",
+ *                   "mapping": { "school": "SCHOOL_NAME" } }] }
+ *
+ * Each catchment names the school an address inside it is designated to.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadFeatureSource } from './featureSources.js';
+
+// Ottawa's four boards; the config's "boards" can add others or override these
+export const SCHOOL_BOARDS = {
+  OCDSB: { name: 'Ottawa-Carleton District School Board', language: 'english', system: 'public' },
+  OCSB: { name: 'Ottawa Catholic School Board', language: 'english', system: 'catholic' },
+  CEPEO: { name: "Conseil des écoles publiques de l'Est de l'Ontario", language: 'french', system: 'public' },
+  CECCE: { name: 'Conseil des écoles catholiques du Centre-Est', language: 'french', system: 'catholic' }
+};
+
+/**
+ * Convert a catchment record's geometry to rings of {lat, lng}
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array} - Polygons, each an array of rings (outer ring first, then holes)
+ */
+const toPolygons = (geometry) => {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => ({ lat, lng }))));
+};
+
+/**
+ * Work out the bounding box of some polygons
+ * @param {Array} polygons - Polygons as rings of points with lat and lng
+ * @returns {Object} - Box {minLat, maxLat, minLng, maxLng}
+ */
+const calculatePolygonBounds = (polygons) => {
+  return polygons.flatMap(([outer]) => outer).reduce((bounds, point) => ({
+    minLat: Math.min(bounds.minLat, point.lat),
+    maxLat: Math.max(bounds.maxLat, point.lat),
+    minLng: Math.min(bounds.minLng, point.lng),
+    maxLng: Math.max(bounds.maxLng, point.lng)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+};
+
+/**
+ * Load the school catchments listed in a catchments config
+ * Missing config files (or "none") load no catchments
+ * @param {string} configPath - Path to the catchments config
+ * @returns {Promise<Object>} - {catchments, boards, reports: {name: report}}; catchments are
+ * {school, board, level, boardName, language, system, polygons, bounds}
+ */
+export const loadSchoolCatchments = async (configPath) => {
+  const catchments = [];
+  const reports = {};
+  let boards = { ...SCHOOL_BOARDS };
+
+  if (!configPath || configPath === 'none' || !fs.existsSync(configPath)) {
+    return { catchments, boards, reports };
+  }
+
+  let sources;
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    sources = Array.isArray(config) ? config : config.sources || [];
+    for (const [code, board] of Object.entries(config.boards || {})) {
+      boards[code.toUpperCase()] = board;
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not read school catchments from ${configPath}:`, error.message);
+    return { catchments, boards, reports };
+  }
+
+  for (const source of sources) {
+    const name = source.name || path.basename(source.file || '(no file)');
+    const board = String(source.board || '').toUpperCase();
+
+    // The board and level are usually the same for every catchment in a file, but can be mapped
+    const { records, report } = await loadFeatureSource({
+      ...source,
+      dataset: 'schoolCatchments',
+      mapping: {
+        board: { value: board },
+        level: { value: source.level || '' },
+        ...source.mapping
+      }
+    }, path.dirname(configPath));
+
+    reports[name] = { dataset: 'schoolCatchments', ...report };
+    if (report.error) {
+      console.warn(`Warning: Could not load school catchments ${name}: ${report.error}`);
+      continue;
+    }
+
+    // Point features have no area to be inside of
+    const areas = records.filter(record => record.geometry);
+    if (areas.length < records.length) {
+      console.warn(`Warning: Skipping ${records.length - areas.length} catchments without a polygon in ${name}`);
+    }
+
+    const unknownBoards = new Set();
+    for (const record of areas) {
+      const code = record.board.toUpperCase();
+      if (!boards[code]) {
+        unknownBoards.add(code);
+      }
+      const polygons = toPolygons(record.geometry);
+      catchments.push({
+        school: record.school,
+        board: code,
+        level: record.level,
+        boardName: boards[code]?.name || code,
+        language: boards[code]?.language || null,
+        system: boards[code]?.system || null,
+        polygons,
+        bounds: calculatePolygonBounds(polygons)
+      });
+    }
+    if (unknownBoards.size > 0) {
+      console.warn(`Warning: School catchments in ${name} are for unknown boards ${[...unknownBoards].join(', ')}; add them to "boards"`);
+    }
+    console.log(`Loaded ${areas.length} school catchments from ${name} (${report.format})`);
+  }
+
+  return { catchments, boards, reports };
+};
+
+export default {
+  SCHOOL_BOARDS,
+  loadSchoolCatchments
+};
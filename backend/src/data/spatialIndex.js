@@ -0,0 +1,228 @@
+/**
+ * Spatial index for fast nearest-neighbour and radius queries
+ * Buckets items into a uniform grid of roughly square cells (in meters), so a query only
+ * computes distances to items in the cells around the query point instead of to every item
+ */
+
+import { calculateHaversineDistance } from '../analysis/customGeoAnalysis.js';
+
+// Meters per degree of latitude
+const METERS_PER_DEGREE = 111320;
+
+// Default cell size in meters; a few hundred meters suits city-scale POI density
+const DEFAULT_CELL_SIZE = 500;
+
+/**
+ * Read an item's coordinates from lat/lng fields (numbers or numeric strings)
+ * @param {Object} item - Item with lat and lng
+ * @returns {Object} - {lat, lng}
+ */
+const defaultGetLocation = (item) => ({
+  lat: parseFloat(item.lat),
+  lng: parseFloat(item.lng)
+});
+
+export class SpatialIndex {
+  /**
+   * Build an index over a list of items
+   * Items without valid coordinates are skipped
+   * @param {Array} items - Items to index
+   * @param {Object} options - Index options
+   * @param {number} options.cellSize - Grid cell size in meters
+   * @param {Function} options.getLocation - Returns {lat, lng} for an item
+   */
+  constructor(items = [], options = {}) {
+    const { cellSize = DEFAULT_CELL_SIZE, getLocation = defaultGetLocation } = options;
+
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Map of "x,y" cell key to entries {item, lat, lng}
+    this.size = 0;
+
+    const entries = [];
+    for (const item of items) {
+      const { lat, lng } = getLocation(item);
+      if (Number.isFinite(lat) && Number.isFinite(lng)) {
+        entries.push({ item, lat, lng });
+      }
+    }
+
+    // Project longitudes at the mean latitude so cells are close to square
+    const meanLat = entries.length > 0
+      ? entries.reduce((sum, entry) => sum + entry.lat, 0) / entries.length
+      : 0;
+    this.meanLatCos = Math.max(Math.cos(meanLat * (Math.PI / 180)), 0.01);
+    this.cellLat = cellSize / METERS_PER_DEGREE;
+    this.cellLng = cellSize / (METERS_PER_DEGREE * this.meanLatCos);
+
+    // Cells are narrower (in meters) the further they are from the mean latitude
+    this.maxAbsLat = entries.reduce((max, entry) => Math.max(max, Math.abs(entry.lat)), Math.abs(meanLat));
+
+    this.bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+
+    for (const entry of entries) {
+      const x = this.toCellX(entry.lng);
+      const y = this.toCellY(entry.lat);
+      const key = `${x},${y}`;
+
+      if (!this.cells.has(key)) {
+        this.cells.set(key, []);
+      }
+      this.cells.get(key).push(entry);
+      this.size++;
+
+      this.bounds.minX = Math.min(this.bounds.minX, x);
+      this.bounds.maxX = Math.max(this.bounds.maxX, x);
+      this.bounds.minY = Math.min(this.bounds.minY, y);
+      this.bounds.maxY = Math.max(this.bounds.maxY, y);
+    }
+  }
+
+  /**
+   * Smallest cell width in meters between the indexed items and a query point
+   * Used to turn a number of searched cells into a guaranteed search distance
+   * @param {number} lat - Query latitude
+   * @returns {number} - Cell width in meters
+   */
+  minCellMeters(lat) {
+    const widestLat = Math.max(this.maxAbsLat, Math.abs(lat));
+    return this.cellSize * Math.min(1, Math.cos(widestLat * (Math.PI / 180)) / this.meanLatCos);
+  }
+
+  toCellX(lng) {
+    return Math.floor(lng / this.cellLng);
+  }
+
+  toCellY(lat) {
+    return Math.floor(lat / this.cellLat);
+  }
+
+  /**
+   * Visit every entry in the square ring of cells at a given distance (in cells) from a center cell
+   * @param {number} cx - Center cell x
+   * @param {number} cy - Center cell y
+   * @param {number} ring - Ring number (0 is the center cell itself)
+   * @param {Function} visit - Called with each entry
+   */
+  visitRing(cx, cy, ring, visit) {
+    const { minX, maxX, minY, maxY } = this.bounds;
+
+    const visitCell = (x, y) => {
+      const cell = this.cells.get(`${x},${y}`);
+      if (cell) {
+        cell.forEach(visit);
+      }
+    };
+
+    for (let x = Math.max(cx - ring, minX); x <= Math.min(cx + ring, maxX); x++) {
+      if (x === cx - ring || x === cx + ring) {
+        // Left and right edges of the ring: the whole column
+        for (let y = Math.max(cy - ring, minY); y <= Math.min(cy + ring, maxY); y++) {
+          visitCell(x, y);
+        }
+      } else {
+        // Inside columns: only the top and bottom cells belong to the ring
+        if (cy - ring >= minY) visitCell(x, cy - ring);
+        if (cy + ring <= maxY) visitCell(x, cy + ring);
+      }
+    }
+  }
+
+  /**
+   * Find all items within a radius
+   * @param {Object} location - Query location with lat and lng
+   * @param {number} radius - Radius in meters
+   * @param {Function} filter - Optional predicate on the item
+   * @returns {Array} - [{item, distance}] sorted by distance
+   */
+  withinRadius(location, radius, filter = null) {
+    if (this.size === 0) {
+      return [];
+    }
+
+    const lngCells = radius / this.minCellMeters(location.lat);
+    const minX = this.toCellX(location.lng - lngCells * this.cellLng);
+    const maxX = this.toCellX(location.lng + lngCells * this.cellLng);
+    const minY = this.toCellY(location.lat - radius / METERS_PER_DEGREE);
+    const maxY = this.toCellY(location.lat + radius / METERS_PER_DEGREE);
+
+    const results = [];
+    for (let x = Math.max(minX, this.bounds.minX); x <= Math.min(maxX, this.bounds.maxX); x++) {
+      for (let y = Math.max(minY, this.bounds.minY); y <= Math.min(maxY, this.bounds.maxY); y++) {
+        const cell = this.cells.get(`${x},${y}`);
+        if (!cell) continue;
+
+        for (const entry of cell) {
+          if (filter && !filter(entry.item)) continue;
+          const distance = calculateHaversineDistance(location, entry);
+          if (distance <= radius) {
+            results.push({ item: entry.item, distance });
+          }
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Find the k nearest items
+   * Searches rings of cells outward until nothing unvisited can be closer than the k-th result
+   * @param {Object} location - Query location with lat and lng
+   * @param {number} k - Number of items to return
+   * @param {Object} options - Query options
+   * @param {number} options.maxDistance - Ignore items further than this (meters)
+   * @param {Function} options.filter - Optional predicate on the item
+   * @returns {Array} - Up to k [{item, distance}] sorted by distance
+   */
+  nearest(location, k = 1, { maxDistance = Infinity, filter = null } = {}) {
+    if (this.size === 0 || k <= 0) {
+      return [];
+    }
+
+    const cx = this.toCellX(location.lng);
+    const cy = this.toCellY(location.lat);
+
+    const { minX, maxX, minY, maxY } = this.bounds;
+    const cellMeters = this.minCellMeters(location.lat);
+
+    // Rings before the first one touching an occupied cell are empty; the last ring covers them all
+    const firstRing = Math.max(0, minX - cx, cx - maxX, minY - cy, cy - maxY);
+    const lastRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy);
+
+    const candidates = [];
+
+    for (let ring = firstRing; ring <= lastRing; ring++) {
+      this.visitRing(cx, cy, ring, entry => {
+        if (filter && !filter(entry.item)) return;
+        const distance = calculateHaversineDistance(location, entry);
+        if (distance <= maxDistance) {
+          candidates.push({ item: entry.item, distance });
+        }
+      });
+
+      // Anything outside the rings searched so far is at least this far away
+      const searchedDistance = ring * cellMeters;
+      if (searchedDistance >= maxDistance) {
+        break;
+      }
+      if (candidates.length >= k) {
+        candidates.sort((a, b) => a.distance - b.distance);
+        if (candidates[k - 1].distance <= searchedDistance) {
+          break;
+        }
+      }
+    }
+
+    return candidates.sort((a, b) => a.distance - b.distance).slice(0, k);
+  }
+}
+
+/**
+ * Create a spatial index
+ * @param {Array} items - Items with lat and lng (or use options.getLocation)
+ * @param {Object} options - Index options, see SpatialIndex
+ * @returns {SpatialIndex} - Spatial index
+ */
+export const createSpatialIndex = (items, options = {}) => new SpatialIndex(items, options);
+
+export default createSpatialIndex;
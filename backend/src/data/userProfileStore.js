@@ -0,0 +1,181 @@
+/**
+ * User profile store
+ * Keeps each user's saved commute destinations, persisted to a JSON file under
+ * backend/data so they are geocoded once and survive restarts
+ */
+
+import fs from 'fs';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helper to get __dirname in ES module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_STORE_PATH = path.resolve(__dirname, '../../data/user_profiles.json');
+
+// Delay before writing changes to disk, so several edits in a row cause a single write
+const PERSIST_DELAY_MS = 500;
+
+/**
+ * Create a user profile store
+ * @param {Object} options - Store options
+ * @param {string|null} options.filePath - JSON file to persist to, or null for memory only
+ * @returns {Object} - Store with getProfile/listDestinations/saveDestination/removeDestination/flush methods
+ */
+export const createUserProfileStore = (options = {}) => {
+  const { filePath = DEFAULT_STORE_PATH } = options;
+
+  // User id -> {userId, destinations, updatedAt}
+  const profiles = new Map();
+
+  let persistTimer = null;
+
+  /**
+   * Load persisted profiles from disk
+   */
+  const load = () => {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const profile of stored.users || []) {
+        profiles.set(profile.userId, profile);
+      }
+      console.log(`Loaded ${profiles.size} user profiles from ${path.basename(filePath)}`);
+    } catch (error) {
+      console.warn(`Warning: Could not read user profiles ${filePath}:`, error.message);
+    }
+  };
+
+  /**
+   * Write all profiles to disk now
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      // Write to a temp file first so a crash never leaves a half-written store
+      const tempPath = `${filePath}.tmp`;
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(tempPath, JSON.stringify({ users: Array.from(profiles.values()) }, null, 2));
+      await fsPromises.rename(tempPath, filePath);
+    } catch (error) {
+      console.error(`Error writing user profiles to ${filePath}:`, error.message);
+    }
+  };
+
+  const schedulePersist = () => {
+    if (!filePath || persistTimer) {
+      return;
+    }
+    persistTimer = setTimeout(flush, PERSIST_DELAY_MS);
+    // Don't keep the process alive just to write the profiles; the server flushes them when it stops
+    persistTimer.unref?.();
+  };
+
+  load();
+
+  return {
+    /**
+     * Look up a user's profile
+     * @param {string} userId - User id
+     * @returns {Object|null} - {userId, destinations, updatedAt}, or null for an unknown user
+     */
+    getProfile(userId) {
+      return profiles.get(userId) || null;
+    },
+
+    /**
+     * List a user's destinations
+     * @param {string} userId - User id
+     * @returns {Array} - Saved destinations, in the order they were added (empty for an unknown user)
+     */
+    listDestinations(userId) {
+      return profiles.get(userId)?.destinations || [];
+    },
+
+    /**
+     * Add a destination, replacing any existing destination with the same id
+     * @param {string} userId - User id (the profile is created if needed)
+     * @param {Object} destination - Destination with an id
+     * @returns {boolean} - True if an existing destination was replaced
+     */
+    saveDestination(userId, destination) {
+      const profile = profiles.get(userId) || { userId, destinations: [] };
+      const index = profile.destinations.findIndex(existing => existing.id === destination.id);
+
+      if (index >= 0) {
+        profile.destinations[index] = destination;
+      } else {
+        profile.destinations.push(destination);
+      }
+      profile.updatedAt = new Date().toISOString();
+      profiles.set(userId, profile);
+
+      schedulePersist();
+      return index >= 0;
+    },
+
+    /**
+     * Remove a destination
+     * @param {string} userId - User id
+     * @param {string} destinationId - Destination id
+     * @returns {boolean} - True if a destination was removed
+     */
+    removeDestination(userId, destinationId) {
+      const profile = profiles.get(userId);
+      const index = profile ? profile.destinations.findIndex(destination => destination.id === destinationId) : -1;
+      if (index < 0) {
+        return false;
+      }
+
+      profile.destinations.splice(index, 1);
+      profile.updatedAt = new Date().toISOString();
+      schedulePersist();
+      return true;
+    },
+
+    flush
+  };
+};
+
+// Shared store, created on first use from the environment
+let defaultStore = null;
+
+/**
+ * Get the shared user profile store
+ * USER_PROFILES_PATH overrides the file; USER_PROFILES_PATH=none keeps profiles in memory only
+ * @returns {Object} - User profile store
+ */
+export const getUserProfileStore = () => {
+  if (!defaultStore) {
+    const envPath = process.env.USER_PROFILES_PATH;
+    defaultStore = createUserProfileStore(envPath ? { filePath: envPath === 'none' ? null : envPath } : {});
+  }
+  return defaultStore;
+};
+
+/**
+ * Replace the shared user profile store (useful for tests)
+ * @param {Object} store - User profile store
+ */
+export const setUserProfileStore = (store) => {
+  defaultStore = store;
+};
+
+export default {
+  createUserProfileStore,
+  getUserProfileStore,
+  setUserProfileStore
+};
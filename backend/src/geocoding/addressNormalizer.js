@@ -0,0 +1,184 @@
+/**
+ * Address normalization helpers shared by the geocoding providers
+ * Turns free-form input such as "240 Sparks St., Ottawa ON" into comparable tokens
+ */
+
+// Street suffix abbreviations mapped to their canonical form
+const STREET_SUFFIXES = {
+  st: 'street',
+  str: 'street',
+  ave: 'avenue',
+  av: 'avenue',
+  rd: 'road',
+  dr: 'drive',
+  blvd: 'boulevard',
+  boul: 'boulevard',
+  cres: 'crescent',
+  cr: 'crescent',
+  crt: 'court',
+  ct: 'court',
+  pl: 'place',
+  pkwy: 'parkway',
+  pvt: 'private',
+  ln: 'lane',
+  hwy: 'highway',
+  terr: 'terrace',
+  ter: 'terrace',
+  cir: 'circle',
+  sq: 'square',
+  grv: 'grove',
+  hts: 'heights'
+};
+
+// Directional abbreviations mapped to their canonical form
+const DIRECTIONS = {
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west',
+  ne: 'northeast',
+  nw: 'northwest',
+  se: 'southeast',
+  sw: 'southwest'
+};
+
+/**
+ * Normalize a single piece of text: lowercase, strip accents and punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text with single spaces
+ */
+export const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.,#'"]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalize a street name, expanding suffix and direction abbreviations
+ * @param {string} streetName - Street name such as "Sparks St"
+ * @returns {string} - Canonical street name such as "sparks street"
+ */
+export const normalizeStreetName = (streetName) => {
+  const tokens = normalizeText(streetName).split(' ').filter(Boolean);
+
+  return tokens.map((token, index) => {
+    // Only expand suffixes after the first token so "St. Laurent" style names survive
+    if (index > 0 && STREET_SUFFIXES[token]) {
+      return STREET_SUFFIXES[token];
+    }
+    if (DIRECTIONS[token] && (index === 0 || index === tokens.length - 1)) {
+      return DIRECTIONS[token];
+    }
+    if (index === 0 && token === 'st' && tokens.length > 1) {
+      return 'saint';
+    }
+    return token;
+  }).join(' ');
+};
+
+/**
+ * Split a free-form address into street number, unit and street name
+ * Only the first comma-separated part is treated as the street line; the rest is locality
+ * @param {string} address - Free-form address
+ * @returns {Object} - Parsed address {streetNumber, unit, streetName, locality}
+ */
+export const parseAddress = (address) => {
+  const [streetLine = '', ...localityParts] = String(address || '').split(',');
+  let line = streetLine.trim();
+  let unit = null;
+
+  // "1203-240 Sparks St" style unit prefixes
+  const unitPrefix = line.match(/^(\w+)\s*-\s*(\d+\w?)\s+(.*)$/);
+  if (unitPrefix) {
+    unit = unitPrefix[1];
+    line = `${unitPrefix[2]} ${unitPrefix[3]}`;
+  }
+
+  // "240 Sparks St Unit 1203" / "Apt 4" style unit suffixes
+  const unitSuffix = line.match(/^(.*?)\s+(?:unit|apt|suite|#)\s*(\w+)$/i);
+  if (unitSuffix) {
+    unit = unit || unitSuffix[2];
+    line = unitSuffix[1];
+  }
+
+  const numbered = line.match(/^(\d+)([a-z]?)\s+(.*)$/i);
+
+  return {
+    streetNumber: numbered ? numbered[1] : null,
+    unit: unit || (numbered && numbered[2] ? numbered[2].toLowerCase() : null),
+    streetName: normalizeStreetName(numbered ? numbered[3] : line),
+    locality: normalizeText(localityParts.join(' '))
+  };
+};
+
+/**
+ * Build a stable lookup key for an address
+ * @param {string} address - Free-form address
+ * @returns {string} - Normalized key such as "240 sparks street"
+ */
+export const normalizeAddress = (address) => {
+  const { streetNumber, streetName } = parseAddress(address);
+  return [streetNumber, streetName].filter(Boolean).join(' ');
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Minimum number of single-character edits
+ */
+export const calculateEditDistance = (a, b) => {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + substitutionCost
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return previousRow[b.length];
+};
+
+// Province and country tokens that don't help tell two localities apart
+const REGION_TOKENS = new Set(['on', 'ont', 'ontario', 'qc', 'quebec', 'canada', 'ca']);
+
+/**
+ * Reduce a locality ("Ottawa, ON K1P 6C9, Canada") to its city words ("ottawa")
+ * @param {string} locality - Locality text
+ * @returns {string} - Normalized city words
+ */
+export const normalizeLocality = (locality) => {
+  return normalizeText(locality)
+    .replace(/\b[a-z]\d[a-z] ?\d[a-z]\d\b/g, ' ')
+    .split(' ')
+    .filter(token => token && !REGION_TOKENS.has(token))
+    .join(' ');
+};
+
+/**
+ * Build a cache key for an address lookup
+ * Street line and city are normalized so spelling variants share a key
+ * @param {string} address - Free-form address
+ * @param {string} defaultCity - City assumed when the address doesn't name one
+ * @returns {string} - Key such as "240 sparks street|ottawa"
+ */
+export const buildAddressKey = (address, defaultCity = '') => {
+  const { locality } = parseAddress(address);
+  const city = normalizeLocality(locality) || normalizeLocality(defaultCity);
+  return `${normalizeAddress(address)}|${city}`;
+};
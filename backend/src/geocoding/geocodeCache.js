@@ -0,0 +1,254 @@
+/**
+ * Geocoding result cache
+ * In-memory LRU with TTL, persisted to a JSON file under backend/data so that
+ * repeat lookups survive restarts and don't re-hit Nominatim
+ */
+
+import fs from 'fs';
+import { promises as fsPromises } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Helper to get __dirname in ES module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CACHE_PATH = path.resolve(__dirname, '../../data/geocode_cache.json');
+
+// Successful lookups rarely change, failed ones might be fixed upstream sooner
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_NEGATIVE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_ENTRIES = 5000;
+
+// Delay before writing changes to disk, so bursts of lookups cause a single write
+const PERSIST_DELAY_MS = 1000;
+
+/**
+ * Create a geocode cache
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Maximum number of entries kept (least recently used are evicted)
+ * @param {number} options.ttlMs - Time to live for successful lookups in milliseconds
+ * @param {number} options.negativeTtlMs - Time to live for "not found" lookups in milliseconds
+ * @param {string|null} options.filePath - JSON file to persist to, or null for memory only
+ * @returns {Object} - Cache with get/set/delete/purge/entries/getStats methods
+ */
+export const createGeocodeCache = (options = {}) => {
+  const {
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    ttlMs = DEFAULT_TTL_MS,
+    negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+    filePath = DEFAULT_CACHE_PATH
+  } = options;
+
+  // Map iteration order doubles as recency order: oldest first, most recent last
+  const entries = new Map();
+
+  const stats = {
+    hits: 0,
+    misses: 0,
+    expired: 0,
+    evictions: 0,
+    writes: 0
+  };
+
+  let persistTimer = null;
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt <= now;
+
+  /**
+   * Load persisted entries from disk, dropping any that have expired
+   */
+  const load = () => {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const now = Date.now();
+      for (const entry of stored.entries || []) {
+        if (!isExpired(entry, now)) {
+          entries.set(entry.key, entry);
+        }
+      }
+      console.log(`Loaded ${entries.size} geocode cache entries from ${path.basename(filePath)}`);
+    } catch (error) {
+      console.warn(`Warning: Could not read geocode cache ${filePath}:`, error.message);
+    }
+  };
+
+  /**
+   * Write all entries to disk now
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (persistTimer) {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+    }
+    if (!filePath) {
+      return;
+    }
+
+    try {
+      // Write to a temp file first so a crash never leaves a half-written cache
+      const tempPath = `${filePath}.tmp`;
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(tempPath, JSON.stringify({ entries: Array.from(entries.values()) }, null, 2));
+      await fsPromises.rename(tempPath, filePath);
+      stats.writes++;
+    } catch (error) {
+      console.error(`Error writing geocode cache to ${filePath}:`, error.message);
+    }
+  };
+
+  const schedulePersist = () => {
+    if (!filePath || persistTimer) {
+      return;
+    }
+    persistTimer = setTimeout(flush, PERSIST_DELAY_MS);
+    // Don't keep the process alive just to write the cache
+    persistTimer.unref?.();
+  };
+
+  load();
+
+  return {
+    /**
+     * Look up a cached result
+     * @param {string} key - Normalized address key
+     * @returns {Object|undefined} - {result} if cached (result may be null for "not found"), undefined on miss
+     */
+    get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        stats.misses++;
+        return undefined;
+      }
+
+      if (isExpired(entry)) {
+        entries.delete(key);
+        stats.expired++;
+        stats.misses++;
+        schedulePersist();
+        return undefined;
+      }
+
+      // Move to the most recently used position
+      entries.delete(key);
+      entry.hits = (entry.hits || 0) + 1;
+      entry.lastAccessedAt = Date.now();
+      entries.set(key, entry);
+      stats.hits++;
+
+      return { result: entry.result };
+    },
+
+    /**
+     * Store a result
+     * @param {string} key - Normalized address key
+     * @param {Object|null} result - Geocoded location, or null for "not found"
+     * @param {string} address - Original address text, kept for inspection
+     */
+    set(key, result, address = key) {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, {
+        key,
+        address,
+        result,
+        createdAt: now,
+        lastAccessedAt: now,
+        expiresAt: now + (result ? ttlMs : negativeTtlMs),
+        hits: 0
+      });
+
+      // Evict least recently used entries beyond the limit
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+        stats.evictions++;
+      }
+
+      schedulePersist();
+    },
+
+    /**
+     * Remove a single entry
+     * @param {string} key - Normalized address key
+     * @returns {boolean} - True if an entry was removed
+     */
+    delete(key) {
+      const removed = entries.delete(key);
+      if (removed) {
+        schedulePersist();
+      }
+      return removed;
+    },
+
+    /**
+     * Remove entries
+     * @param {Object} filter - Purge filter
+     * @param {boolean} filter.expiredOnly - Only remove expired entries
+     * @param {string} filter.match - Only remove entries whose key or address contains this text
+     * @returns {number} - Number of entries removed
+     */
+    purge({ expiredOnly = false, match = null } = {}) {
+      const now = Date.now();
+      const needle = match ? match.toLowerCase() : null;
+      let removed = 0;
+
+      for (const [key, entry] of entries) {
+        if (expiredOnly && !isExpired(entry, now)) continue;
+        if (needle && !key.includes(needle) && !String(entry.address).toLowerCase().includes(needle)) continue;
+        entries.delete(key);
+        removed++;
+      }
+
+      if (removed > 0) {
+        schedulePersist();
+      }
+      return removed;
+    },
+
+    /**
+     * List entries, most recently used first
+     * @param {Object} filter - Listing filter
+     * @param {string} filter.match - Only list entries whose key or address contains this text
+     * @param {number} filter.limit - Maximum number of entries to return
+     * @returns {Array} - Cache entries
+     */
+    entries({ match = null, limit = 100 } = {}) {
+      const needle = match ? match.toLowerCase() : null;
+      const now = Date.now();
+
+      return Array.from(entries.values())
+        .reverse()
+        .filter(entry => !needle || entry.key.includes(needle) || String(entry.address).toLowerCase().includes(needle))
+        .slice(0, limit)
+        .map(entry => ({ ...entry, expired: isExpired(entry, now) }));
+    },
+
+    /**
+     * Get cache statistics
+     * @returns {Object} - Hit/miss counters, size and configuration
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+        size: entries.size,
+        maxEntries,
+        ttlMs,
+        negativeTtlMs,
+        filePath
+      };
+    },
+
+    flush
+  };
+};
+
+export default createGeocodeCache;
@@ -0,0 +1,184 @@
+/**
+ * Geocoder entry point
+ * Resolves addresses through a chain of pluggable providers (local index, Nominatim, mock)
+ *
+ * Every provider implements the same interface:
+ *   { name: string, geocode(address, options): Promise<{lat, lng, displayName, addressDetails} | null> }
+ * and resolves to null when it has no match, so the next provider in the chain is tried.
+ * Results (including "not found") are cached by normalized address, see geocodeCache.js.
+ */
+
+import { createNominatimProvider } from './nominatimProvider.js';
+import { createLocalProvider } from './localProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { createGeocodeCache } from './geocodeCache.js';
+import { buildAddressKey } from './addressNormalizer.js';
+import { getActiveRegion } from '../data/regionPacks.js';
+
+// Provider factories by name, as used in the GEOCODER_PROVIDERS environment variable
+const PROVIDER_FACTORIES = {
+  nominatim: createNominatimProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+// Try the offline index first and only go to the network for addresses it doesn't know
+const DEFAULT_PROVIDERS = 'local,nominatim';
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name: 'nominatim', 'local' or 'mock'
+ * @param {Object} options - Options passed to the provider factory
+ * @returns {Object} - Geocoding provider
+ */
+export const createProvider = (name, options = {}) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown geocoding provider: ${name}`);
+  }
+  return factory(options);
+};
+
+/**
+ * Create a geocoder that tries each provider in order until one finds a match
+ * Provider errors (e.g. no network) are logged and the next provider is tried
+ * @param {Array} providers - Provider objects or provider names
+ * @returns {Object} - Geocoder with a geocode(address, options) method
+ */
+export const createGeocoder = (providers) => {
+  const chain = providers.map(provider => typeof provider === 'string' ? createProvider(provider) : provider);
+
+  return {
+    providers: chain,
+
+    /**
+     * Geocode an address
+     * @param {string} address - Address to geocode
+     * @param {Object} options - Options forwarded to each provider
+     * @returns {Promise<Object|null>} - Geocoded location or null if no provider matched
+     */
+    async geocode(address, options = {}) {
+      let lastError = null;
+      let failures = 0;
+
+      for (const provider of chain) {
+        try {
+          const result = await provider.geocode(address, options);
+          if (result) {
+            return result;
+          }
+        } catch (error) {
+          console.warn(`Geocoding provider ${provider.name} failed:`, error.message);
+          lastError = error;
+          failures++;
+        }
+      }
+
+      // Only surface an error if every provider failed rather than simply finding nothing
+      if (lastError && failures === chain.length) {
+        throw lastError;
+      }
+      return null;
+    }
+  };
+};
+
+// Shared geocoder instance, created on first use from the environment
+let defaultGeocoder = null;
+
+/**
+ * Get the shared geocoder, configured by GEOCODER_PROVIDERS (e.g. "local,nominatim")
+ * @returns {Object} - Geocoder
+ */
+export const getGeocoder = () => {
+  if (!defaultGeocoder) {
+    const names = (process.env.GEOCODER_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+    defaultGeocoder = createGeocoder(names);
+    console.log(`Geocoder using providers: ${names.join(' -> ')}`);
+  }
+  return defaultGeocoder;
+};
+
+/**
+ * Replace the shared geocoder (useful for tests)
+ * @param {Object} geocoder - Geocoder or single provider with a geocode method
+ */
+export const setGeocoder = (geocoder) => {
+  defaultGeocoder = geocoder;
+};
+
+// Shared geocode cache, created on first use from the environment
+let defaultCache = null;
+
+/**
+ * Get the shared geocode cache
+ * Configured by GEOCODE_CACHE_PATH, GEOCODE_CACHE_TTL_HOURS and GEOCODE_CACHE_MAX_ENTRIES;
+ * GEOCODE_CACHE_PATH=none keeps the cache in memory only
+ * @returns {Object} - Geocode cache
+ */
+export const getGeocodeCache = () => {
+  if (!defaultCache) {
+    const options = {};
+    if (process.env.GEOCODE_CACHE_PATH) {
+      options.filePath = process.env.GEOCODE_CACHE_PATH === 'none' ? null : process.env.GEOCODE_CACHE_PATH;
+    }
+    if (process.env.GEOCODE_CACHE_TTL_HOURS) {
+      options.ttlMs = parseFloat(process.env.GEOCODE_CACHE_TTL_HOURS) * 60 * 60 * 1000;
+    }
+    if (process.env.GEOCODE_CACHE_MAX_ENTRIES) {
+      options.maxEntries = parseInt(process.env.GEOCODE_CACHE_MAX_ENTRIES, 10);
+    }
+    defaultCache = createGeocodeCache(options);
+  }
+  return defaultCache;
+};
+
+/**
+ * Replace the shared geocode cache (useful for tests)
+ * @param {Object} cache - Geocode cache
+ */
+export const setGeocodeCache = (cache) => {
+  defaultCache = cache;
+};
+
+/**
+ * Geocode an address with the shared geocoder, answering from the cache when possible
+ * The providers are biased towards the active region: its city, province and country are
+ * assumed unless the options name others
+ * @param {string} address - Address to geocode
+ * @param {Object} options - Options forwarded to the providers (city, province, country)
+ * @param {boolean} options.skipCache - Always ask the providers, and refresh the cached result
+ * @returns {Promise<Object|null>} - Geocoded location {lat, lng, displayName, addressDetails} or null
+ */
+export const geocodeAddress = async (address, options = {}) => {
+  const { skipCache = false, ...queryOptions } = options;
+  const region = getActiveRegion();
+  const { city, province, country } = region.geocoder;
+  const providerOptions = { city, province, country, region, ...queryOptions };
+  const cache = getGeocodeCache();
+  const key = buildAddressKey(address, providerOptions.city);
+
+  if (!skipCache) {
+    const cached = cache.get(key);
+    if (cached) {
+      return cached.result ? { ...cached.result, cached: true } : null;
+    }
+  }
+
+  const result = await getGeocoder().geocode(address, providerOptions);
+  cache.set(key, result, address);
+  return result;
+};
+
+export default {
+  createGeocoder,
+  createProvider,
+  getGeocoder,
+  setGeocoder,
+  getGeocodeCache,
+  setGeocodeCache,
+  geocodeAddress
+};
@@ -0,0 +1,303 @@
+/**
+ * Offline geocoding provider backed by a local address-point index
+ * Reads address points from a CSV or GeoJSON file and matches addresses without network access
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadDatasetFiles } from '../data/dataLoader.js';
+import { getActiveRegion } from '../data/regionPacks.js';
+import { calculateEditDistance, normalizeLocality, normalizeStreetName, normalizeText, parseAddress } from './addressNormalizer.js';
+
+// A fuzzy street match allows one typo, and only in names long enough that one typo can't
+// turn them into a different street (e.g. "bay" and "bank" must match exactly)
+const MAX_STREET_EDITS = 1;
+const MIN_FUZZY_NAME_LENGTH = 5;
+
+/**
+ * Read raw address points from a GeoJSON FeatureCollection of Point features
+ * Accepts both our column names and OSM "addr:*" tags as feature properties
+ * @param {string} filePath - Path to the GeoJSON file
+ * @returns {Array} - Raw address point rows
+ */
+const loadGeoJsonAddressPoints = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    console.warn(`Warning: File ${filePath} does not exist`);
+    return [];
+  }
+
+  const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  return (geojson.features || [])
+    .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+    .map(feature => {
+      const props = feature.properties || {};
+      const [lng, lat] = feature.geometry.coordinates;
+      return {
+        street_number: props.street_number ?? props['addr:housenumber'],
+        street_name: props.street_name ?? props['addr:street'],
+        city: props.city ?? props['addr:city'],
+        province: props.province ?? props['addr:province'],
+        postal_code: props.postal_code ?? props['addr:postcode'],
+        lat,
+        lng
+      };
+    });
+};
+
+/**
+ * Build the street-level index from raw address point rows
+ * @param {Array} rows - Raw rows with street_number, street_name, city, postal_code, lat, lng
+ * @returns {Map} - Map of normalized street name to address points sorted by number
+ */
+const buildStreetIndex = (rows) => {
+  const streets = new Map();
+
+  for (const row of rows) {
+    const lat = parseFloat(row.lat);
+    const lng = parseFloat(row.lng);
+    const number = parseInt(row.street_number, 10);
+
+    if (!row.street_name || isNaN(lat) || isNaN(lng) || isNaN(number)) {
+      continue;
+    }
+
+    const streetKey = normalizeStreetName(row.street_name);
+    if (!streets.has(streetKey)) {
+      streets.set(streetKey, []);
+    }
+
+    streets.get(streetKey).push({
+      number,
+      streetNumber: String(row.street_number).trim(),
+      streetName: String(row.street_name).trim(),
+      city: row.city ? String(row.city).trim() : '',
+      province: row.province ? String(row.province).trim() : '',
+      postalCode: row.postal_code ? String(row.postal_code).trim() : '',
+      lat,
+      lng
+    });
+  }
+
+  for (const points of streets.values()) {
+    points.sort((a, b) => a.number - b.number);
+  }
+
+  return streets;
+};
+
+/**
+ * Split a normalized street name into its name and its street type (the last word, e.g. "street")
+ * @param {string} streetKey - Normalized street name
+ * @returns {Object} - {name, type}
+ */
+const splitStreetType = (streetKey) => {
+  const index = streetKey.lastIndexOf(' ');
+  return index > 0
+    ? { name: streetKey.slice(0, index), type: streetKey.slice(index + 1) }
+    : { name: streetKey, type: '' };
+};
+
+/**
+ * Find the indexed street name that differs from the requested one by a single typo
+ * The street type has to match exactly, and a typo that matches more than one street is
+ * ambiguous, so it matches none; the next provider in the chain then gets to answer
+ * @param {Map} streets - Street index
+ * @param {string} streetKey - Normalized street name
+ * @returns {string|null} - Matching indexed street name, or null if none is close enough
+ */
+const findClosestStreet = (streets, streetKey) => {
+  const requested = splitStreetType(streetKey);
+  if (requested.name.length < MIN_FUZZY_NAME_LENGTH) {
+    return null;
+  }
+
+  const matches = [...streets.keys()].filter(candidate => {
+    const { name, type } = splitStreetType(candidate);
+    return type === requested.type && calculateEditDistance(requested.name, name) <= MAX_STREET_EDITS;
+  });
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Narrow a street's points to the city mentioned in the query, if any
+ * Points without a city could be in any city, so they are kept
+ * @param {Array} points - Address points on one street
+ * @param {string} locality - Locality part of the query
+ * @returns {Array} - Points that may be in the requested city; empty if the street is only known elsewhere
+ */
+const filterByLocality = (points, locality) => {
+  const city = normalizeLocality(locality);
+  if (!city) {
+    return points;
+  }
+  return points.filter(point => !point.city || city.includes(normalizeText(point.city)));
+};
+
+/**
+ * Locate a street number on a street: exact match, or interpolation between known
+ * neighbours on the same side of the street
+ * A number beyond the known ones isn't guessed, as the street may run on for kilometers
+ * @param {Array} points - Address points on one street, sorted by number
+ * @param {number} number - Requested street number
+ * @returns {Object|null} - {point, matchType}, or null if the number can't be placed
+ */
+const locateNumberOnStreet = (points, number) => {
+  const exact = points.find(point => point.number === number);
+  if (exact) {
+    return { point: exact, matchType: 'exact' };
+  }
+
+  // Same parity means same side of the street in Ottawa's numbering
+  const sameSide = points.filter(point => point.number % 2 === number % 2);
+  const candidates = sameSide.length > 0 ? sameSide : points;
+
+  const below = [...candidates].reverse().find(point => point.number < number);
+  const above = candidates.find(point => point.number > number);
+
+  if (below && above) {
+    const ratio = (number - below.number) / (above.number - below.number);
+    return {
+      point: {
+        ...below,
+        number,
+        streetNumber: String(number),
+        postalCode: '',
+        lat: below.lat + (above.lat - below.lat) * ratio,
+        lng: below.lng + (above.lng - below.lng) * ratio
+      },
+      matchType: 'interpolated'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Format an address point into the shared geocoder result shape
+ * @param {Object} point - Address point
+ * @param {string} matchType - How the point was matched
+ * @returns {Object} - Geocoded location
+ */
+const toGeocodeResult = (point, matchType) => {
+  const displayParts = [
+    point.streetNumber ? `${point.streetNumber} ${point.streetName}` : point.streetName,
+    point.city,
+    point.province,
+    point.postalCode,
+    'Canada'
+  ].filter(Boolean);
+
+  return {
+    lat: point.lat,
+    lng: point.lng,
+    displayName: displayParts.join(', '),
+    addressDetails: {
+      house_number: point.streetNumber || undefined,
+      road: point.streetName,
+      city: point.city || undefined,
+      state: point.province || undefined,
+      postcode: point.postalCode || undefined,
+      country: 'Canada',
+      country_code: 'ca'
+    },
+    provider: 'local',
+    matchType
+  };
+};
+
+/**
+ * Create a local address-index geocoding provider
+ * Without a file or rows, each region gets its own index from its address points files
+ * @param {Object} options - Provider options
+ * @param {string} options.filePath - Path to a CSV or GeoJSON address point file
+ * @param {Array} options.rows - Preloaded address point rows (skips reading a file)
+ * @returns {Object} - Provider with a geocode(address, {region}) method
+ */
+export const createLocalProvider = (options = {}) => {
+  // Street indexes by region id (or by file when the provider was given one)
+  const streetsPromises = new Map();
+
+  const loadIndex = (region) => {
+    const filePaths = options.filePath ? [options.filePath] : region.datasets.addressPoints;
+    const key = options.rows || options.filePath ? 'provider' : region.id;
+
+    if (!streetsPromises.has(key)) {
+      streetsPromises.set(key, (async () => {
+        let rows = options.rows;
+        if (!rows) {
+          const geoJsonPaths = filePaths.filter(filePath => ['.geojson', '.json'].includes(path.extname(filePath).toLowerCase()));
+          const csvPaths = filePaths.filter(filePath => !geoJsonPaths.includes(filePath));
+          rows = [
+            ...geoJsonPaths.flatMap(loadGeoJsonAddressPoints),
+            ...(csvPaths.length > 0 ? await loadDatasetFiles('addressPoints', csvPaths, { region }) : [])
+          ];
+        }
+        const streets = buildStreetIndex(rows);
+        console.log(`Local address index ready with ${rows.length} points on ${streets.size} streets`);
+        return streets;
+      })());
+    }
+    return streetsPromises.get(key);
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Geocode an address against the local index
+     * @param {string} address - Address to geocode
+     * @param {Object} query - Query options
+     * @param {Object} query.region - Region whose index is searched (defaults to the active region)
+     * @returns {Promise<Object|null>} - Geocoded location or null if nothing matched
+     */
+    async geocode(address, { region = getActiveRegion() } = {}) {
+      const streets = await loadIndex(region);
+      const { streetNumber, streetName, locality } = parseAddress(address);
+
+      if (!streetName) {
+        return null;
+      }
+
+      let streetKey = streetName;
+      let fuzzy = false;
+      if (!streets.has(streetKey)) {
+        streetKey = findClosestStreet(streets, streetName);
+        fuzzy = true;
+      }
+
+      if (!streetKey) {
+        return null;
+      }
+
+      // A street of the same name in another city is left to the next provider
+      const points = filterByLocality(streets.get(streetKey), locality);
+      if (points.length === 0) {
+        return null;
+      }
+
+      // Without a street number the best we can do is the middle of the known points
+      if (!streetNumber) {
+        const middle = points[Math.floor(points.length / 2)];
+        return toGeocodeResult({ ...middle, streetNumber: '' }, 'street');
+      }
+
+      const located = locateNumberOnStreet(points, parseInt(streetNumber, 10));
+      if (!located) {
+        return null;
+      }
+      return toGeocodeResult(located.point, fuzzy ? `fuzzy-${located.matchType}` : located.matchType);
+    },
+
+    /**
+     * Preload the address index of the active region
+     * @returns {Promise<void>}
+     */
+    async load() {
+      await loadIndex(getActiveRegion());
+    }
+  };
+};
+
+export default createLocalProvider;
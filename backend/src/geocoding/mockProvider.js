@@ -0,0 +1,57 @@
+/**
+ * Mock geocoding provider for tests and CI
+ * Answers from a fixed table of fixtures and records every query it receives
+ */
+
+import fs from 'fs';
+import { normalizeAddress } from './addressNormalizer.js';
+
+/**
+ * Create a mock geocoding provider
+ * @param {Object} options - Provider options
+ * @param {Object} options.fixtures - Map of address to {lat, lng, displayName, addressDetails}
+ * @param {string} options.fixturesPath - JSON file with the same shape as fixtures
+ * @param {Object} options.fallback - Result returned for unknown addresses (defaults to no match)
+ * @returns {Object} - Provider with a geocode(address) method and a calls log
+ */
+export const createMockProvider = (options = {}) => {
+  const fixturesPath = options.fixturesPath || process.env.GEOCODER_MOCK_FIXTURES;
+  const rawFixtures = options.fixtures ||
+    (fixturesPath && fs.existsSync(fixturesPath) ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {});
+
+  // Key fixtures by normalized address so "240 Sparks St" and "240 sparks street" both hit
+  const fixtures = new Map(
+    Object.entries(rawFixtures).map(([address, result]) => [normalizeAddress(address), result])
+  );
+
+  const calls = [];
+
+  return {
+    name: 'mock',
+    calls,
+
+    /**
+     * Geocode an address from the fixture table
+     * @param {string} address - Address to geocode
+     * @returns {Promise<Object|null>} - Geocoded location or null if nothing matched
+     */
+    async geocode(address) {
+      calls.push(address);
+
+      const fixture = fixtures.get(normalizeAddress(address)) || options.fallback;
+      if (!fixture) {
+        return null;
+      }
+
+      return {
+        lat: fixture.lat,
+        lng: fixture.lng,
+        displayName: fixture.displayName || address,
+        addressDetails: fixture.addressDetails || {},
+        provider: 'mock'
+      };
+    }
+  };
+};
+
+export default createMockProvider;
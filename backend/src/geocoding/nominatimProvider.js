@@ -0,0 +1,101 @@
+/**
+ * Geocoding provider backed by the OpenStreetMap Nominatim API
+ * Free and doesn't require an API key, but needs network access
+ */
+
+import axios from 'axios';
+
+const NOMINATIM_SEARCH_URL = 'https://nominatim.openstreetmap.org/search';
+
+// The public server's usage policy allows one request per second
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+
+// Requests from every provider instance wait their turn in one queue, so batch analysis,
+// commutes and transit routes together stay within the limit
+let requestQueue = Promise.resolve();
+let nextRequestAt = 0;
+
+/**
+ * Wait until a request may be sent, keeping requests at least the given interval apart
+ * @param {number} minIntervalMs - Minimum time between the starts of two requests
+ * @returns {Promise<void>} - Resolves when it is this request's turn
+ */
+const waitForTurn = (minIntervalMs) => {
+  const turn = requestQueue.then(async () => {
+    const wait = nextRequestAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    nextRequestAt = Date.now() + minIntervalMs;
+  });
+  requestQueue = turn;
+  return turn;
+};
+
+/**
+ * Create a Nominatim geocoding provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Search endpoint (defaults to the public Nominatim server)
+ * @param {string} options.userAgent - User-Agent header required by the Nominatim usage policy
+ * @param {string} options.countryCodes - Comma-separated country codes to restrict results to
+ * @param {number} options.minIntervalMs - Minimum time between requests (raise the rate for a self-hosted server)
+ * @returns {Object} - Provider with a geocode(address, options) method
+ */
+export const createNominatimProvider = (options = {}) => {
+  const {
+    baseUrl = process.env.NOMINATIM_URL || NOMINATIM_SEARCH_URL,
+    userAgent = 'RealEstateMapping/1.0',
+    countryCodes = 'ca',
+    minIntervalMs = process.env.NOMINATIM_MIN_INTERVAL_MS !== undefined
+      ? parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS, 10)
+      : DEFAULT_MIN_INTERVAL_MS
+  } = options;
+
+  return {
+    name: 'nominatim',
+
+    /**
+     * Geocode an address
+     * @param {string} address - Address to geocode
+     * @param {Object} query - Query options
+     * @param {string} query.city - City appended to the query (defaults to Ottawa)
+     * @param {string} query.province - Province appended to the query (defaults to ON)
+     * @param {string} query.country - Country appended to the query (defaults to Canada)
+     * @param {Object} query.region - Region pack; results inside its bounds are preferred
+     * @returns {Promise<Object|null>} - Geocoded location or null if nothing matched
+     */
+    async geocode(address, { city = 'Ottawa', province = 'ON', country = 'Canada', region = null } = {}) {
+      const bounds = region?.bounds;
+      await waitForTurn(minIntervalMs);
+      const response = await axios.get(baseUrl, {
+        params: {
+          q: [address, city, province, country].filter(Boolean).join(', '),
+          format: 'json',
+          addressdetails: 1,
+          limit: 1,
+          countrycodes: region?.geocoder.countryCodes || countryCodes,
+          ...(bounds ? { viewbox: `${bounds.west},${bounds.north},${bounds.east},${bounds.south}` } : {})
+        },
+        headers: {
+          'User-Agent': userAgent
+        }
+      });
+
+      if (!response.data || response.data.length === 0) {
+        return null;
+      }
+
+      const result = response.data[0];
+
+      return {
+        lat: parseFloat(result.lat),
+        lng: parseFloat(result.lon),
+        displayName: result.display_name,
+        addressDetails: result.address || {},
+        provider: 'nominatim'
+      };
+    }
+  };
+};
+
+export default createNominatimProvider;
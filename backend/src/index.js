@@ -1,22 +1,31 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
-import { loadDataSources } from './data/dataLoader.js';
-import { getRealEstateHotspots } from './analysis/hotspotAnalysis.js';
+import { loadDataSources, getLoadReport } from './data/dataLoader.js';
+import { getHotspotHeatmap, parseHeatmapParams } from './analysis/hotspotAnalysis.js';
+import { calculateIsochrones, parseIsochroneParams } from './analysis/isochroneAnalysis.js';
+import { calculateEmergencyCoverage, parseCoverageParams } from './analysis/emergencyCoverage.js';
 import { getLivabilityScore } from './analysis/livabilityAnalysis.js';
 import { calculateMobilityScore, initializeMobilityAnalysis } from './analysis/mobilityAnalysis.js';
-import axios from 'axios';
-import { calculateEmergencyServicesScore } from './analysis/emergencyAnalysis.js';
-import { calculateHaversineDistance } from './analysis/customGeoAnalysis.js';
-import { calculateGroceryScore } from './analysis/groceryAnalysis.js';
 import { calculateRestaurantScore } from './analysis/restaurantAnalysis.js';
+import { geocodeAddress, getGeocodeCache } from './geocoding/geocoder.js';
+import { listWeightingProfiles, resolveWeighting } from './analysis/weightingProfiles.js';
+import { analyzeAddress } from './analysis/addressAnalysis.js';
+import { analyzeBatch, parseBatchCsv, MAX_BATCH_SIZE } from './analysis/batchAnalysis.js';
+import { loadTransitTimetable, planTransitJourney } from './analysis/transitRouting.js';
+import { saveCommuteDestination, getUserDestinations, validateUserId } from './analysis/commuteAnalysis.js';
+import { getUserProfileStore } from './data/userProfileStore.js';
+import { parseDepartAt } from './analysis/trafficProfile.js';
+import { getRegion, listRegions, runInRegion } from './data/regionPacks.js';
 
 // Load environment variables
 dotenv.config();
 
 // Create Express app
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+// Raw CSV uploads for the batch endpoint
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }));
 
 // Enable CORS for frontend requests
 app.use(cors());
@@ -41,83 +50,126 @@ loadDataSources().then(data => {
     };
 });
 
+// Regions whose data sources and road network are loaded (or loading), by region id
+const preparedRegions = new Map();
+
 /**
- * Geocode an address using Open Street Maps Nominatim API
- * @param {string} address - Address to geocode
- * @param {string} city - City (defaults to Ottawa)
- * @param {string} province - Province (defaults to ON)
- * @param {string} country - Country (defaults to Canada)
- * @returns {Promise<Object>} - Geocoded location
+ * Keep a region's preparation, dropping it if it fails so the next request tries again
+ * @param {string} regionId - Region id
+ * @param {Promise<void>} preparation - Preparation of the region
+ * @returns {Promise<void>} - The preparation
  */
-const geocodeAddress = async (address, city = 'Ottawa', province = 'ON', country = 'Canada') => {
-  try {
-    // Format the query
-    const query = encodeURIComponent(`${address}, ${city}, ${province}, ${country}`);
-
-    // Use OpenStreetMap Nominatim API (free and doesn't require API key)
-    const response = await axios.get(
-      `https://nominatim.openstreetmap.org/search?q=${query}&format=json&addressdetails=1&limit=1`,
-      { headers: { 'User-Agent': 'Real-Estate-Mapping/1.0' } }
-    );
-
-    if (response.data && response.data.length > 0) {
-      const result = response.data[0];
-
-      // Verify the address is in Ottawa
-      const isInOttawa =
-        (result.address?.city?.toLowerCase() === 'ottawa') ||
-        (result.address?.town?.toLowerCase() === 'ottawa') ||
-        (result.address?.county?.toLowerCase().includes('ottawa')) ||
-        (result.address?.state?.toLowerCase() === 'ontario' &&
-         (result.display_name?.toLowerCase().includes('ottawa') ||
-          parseFloat(result.lat) > 45.0 && parseFloat(result.lat) < 45.6 &&
-          parseFloat(result.lon) > -76.0 && parseFloat(result.lon) < -75.3));
-
-      if (!isInOttawa) {
-        throw new Error('Address is not located in Ottawa');
-      }
-
-      return {
-        lat: parseFloat(result.lat),
-        lng: parseFloat(result.lon),
-        displayName: result.display_name,
-        addressDetails: result.address
-      };
-    } else {
-      throw new Error('No results found for the given address');
+const trackPreparation = (regionId, preparation) => {
+  preparedRegions.set(regionId, preparation);
+  preparation.catch(() => {
+    if (preparedRegions.get(regionId) === preparation) {
+      preparedRegions.delete(regionId);
     }
-  } catch (error) {
-    console.error('Error geocoding address:', error.message);
-    throw error;
+  });
+  return preparation;
+};
+
+/**
+ * Load a region's data sources, transit data and road network, once
+ * @param {Object} region - Region pack
+ * @returns {Promise<void>} - Resolves when the region is ready
+ */
+const prepareRegion = (region) => {
+  if (!preparedRegions.has(region.id)) {
+    trackPreparation(region.id, runInRegion(region, async () => {
+      console.log(`Preparing region ${region.name}...`);
+      await loadDataSources();
+      await initializeMobilityAnalysis();
+    }));
   }
+  return preparedRegions.get(region.id);
 };
 
-// Calculate overall combined score for address analysis
-const calculateOverallScore = (mobility, livability, emergency) => {
-  // Weights
-  const weights = {
-    mobility: 0.35,
-    livability: 0.40,
-    emergency: 0.25
-  };
-
-  return Math.round(
-    mobility * weights.mobility +
-    livability * weights.livability +
-    emergency * weights.emergency
-  );
+// Run API requests in the region they ask for (?region=, or "region" in a JSON body; the default
+// region otherwise), loading the region on first use
+app.use('/api', async (req, res, next) => {
+  let region;
+  try {
+    region = getRegion(req.query.region || req.body?.region);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  try {
+    await prepareRegion(region);
+  } catch (error) {
+    console.error(`Error preparing region ${region.name}:`, error);
+    return res.status(503).json({ error: `Failed to load region ${region.name}, try again later` });
+  }
+  runInRegion(region, next);
+});
+
+// Whether a request carries the admin token (never, while ADMIN_TOKEN is unset)
+const hasAdminToken = (req) => Boolean(process.env.ADMIN_TOKEN) && req.get('x-admin-token') === process.env.ADMIN_TOKEN;
+
+// Protect admin and user profile routes with a shared token; they stay closed until ADMIN_TOKEN is set
+const requireAdminToken = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin routes are disabled; set ADMIN_TOKEN to enable them' });
+  }
+  if (!hasAdminToken(req)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
 };
 
 // API Routes
 
-// Get hotspots based on location
+// Score heatmap around a location: ?lat=&lng=&radius=&step=&profile=&weights=
 app.get('/api/hotspots', (req, res) => {
-    try {
-        const hotspots = getRealEstateHotspots(dataSources);
-        res.json(hotspots);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+  try {
+    const { profile, weights } = req.query;
+
+    const { params, errors } = parseHeatmapParams(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const weighting = resolveWeighting({ profile, weights });
+    if (weighting.errors.length > 0) {
+      return res.status(400).json({ error: weighting.errors.join('; ') });
+    }
+
+    res.json(getHotspotHeatmap({ ...params, weighting }));
+  } catch (error) {
+    console.error('Error building hotspot heatmap:', error);
+    res.status(500).json({ error: 'Failed to build hotspot heatmap' });
+  }
+});
+
+// Areas reachable within each time band: ?lat=&lng=&mode=walk|drive&minutes=5,10,15&departAt=
+app.get('/api/isochrones', async (req, res) => {
+  try {
+    const { params, errors } = parseIsochroneParams(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    res.json(await calculateIsochrones(params));
+  } catch (error) {
+    console.error('Error calculating isochrones:', error);
+    res.status(500).json({ error: 'Failed to calculate isochrones' });
+  }
+});
+
+// Areas of the region beyond emergency response targets: ?types=fire,police,hospital&targets=fire:6&cellSize=&departAt=
+app.get('/api/emergency/coverage', async (req, res) => {
+  try {
+    const { params, errors } = parseCoverageParams(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
     }
+
+    res.json(await calculateEmergencyCoverage(params));
+  } catch (error) {
+    console.error('Error calculating emergency coverage:', error);
+    res.status(500).json({ error: 'Failed to calculate emergency coverage' });
+  }
 });
 
 // Get livability score based on location
@@ -163,250 +215,270 @@ app.get('/api/mobility', async (req, res) => {
   }
 });
 
-// Analyze address endpoint
-app.get('/api/analyze-address', async (req, res) => {
+/**
+ * Resolve a location query parameter: "lat,lng" or an address to geocode
+ * @param {string} value - Query parameter value
+ * @returns {Promise<Object|null>} - Location {lat, lng, displayName}, or null if not found
+ */
+const resolveLocationParam = async (value) => {
+  const coordinates = String(value).match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (coordinates) {
+    return { lat: parseFloat(coordinates[1]), lng: parseFloat(coordinates[2]) };
+  }
+  return geocodeAddress(String(value));
+};
+
+// Walk + transit journey: ?from=&to=&departAt= (from and to are "lat,lng" or addresses)
+app.get('/api/transit-route', async (req, res) => {
   try {
-    const { address } = req.query;
+    const { from, to, departAt } = req.query;
 
-    if (!address) {
-      return res.status(400).json({ error: 'Address is required' });
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to are required' });
     }
 
-    // Geocode the address
-    const geocodeResponse = await axios.get(`https://nominatim.openstreetmap.org/search`, {
-      params: {
-        q: `${address}, Ottawa, Canada`,
-        format: 'json',
-        limit: 1,
-        countrycodes: 'ca'
-      },
-      headers: {
-        'User-Agent': 'RealEstateMapping/1.0'
-      }
+    const departure = parseDepartAt(departAt);
+    if (departure.errors.length > 0) {
+      return res.status(400).json({ error: departure.errors.join('; ') });
+    }
+
+    if (!(await loadTransitTimetable())) {
+      return res.status(503).json({ error: 'Transit timetable data is not available' });
+    }
+
+    const [origin, destination] = await Promise.all([resolveLocationParam(from), resolveLocationParam(to)]);
+    if (!origin || !destination) {
+      return res.status(404).json({ error: `Could not find ${!origin ? from : to}` });
+    }
+
+    const journey = planTransitJourney(origin, destination, { departAt: departure.time || new Date() });
+
+    res.json({
+      from: { lat: origin.lat, lng: origin.lng, displayName: origin.displayName || null },
+      to: { lat: destination.lat, lng: destination.lng, displayName: destination.displayName || null },
+      ...journey
     });
+  } catch (error) {
+    console.error('Error planning transit route:', error);
+    res.status(500).json({ error: 'Failed to plan transit route' });
+  }
+});
+
+// List the available region packs
+app.get('/api/regions', (req, res) => {
+  try {
+    res.json({ regions: listRegions() });
+  } catch (error) {
+    console.error('Error listing regions:', error);
+    res.status(500).json({ error: 'Failed to list regions' });
+  }
+});
 
-    if (!geocodeResponse.data || geocodeResponse.data.length === 0) {
-      return res.status(404).json({ error: 'Address not found in Ottawa' });
+// List the available overall-score weighting profiles
+app.get('/api/profiles', (req, res) => {
+  try {
+    res.json({ profiles: listWeightingProfiles() });
+  } catch (error) {
+    console.error('Error listing weighting profiles:', error);
+    res.status(500).json({ error: 'Failed to list weighting profiles' });
+  }
+});
+
+// List a user's saved commute destinations
+app.get('/api/users/:userId/destinations', requireAdminToken, (req, res) => {
+  try {
+    const { userId } = req.params;
+    res.json({ userId, destinations: getUserDestinations(userId) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error listing commute destinations:', error);
+    res.status(500).json({ error: 'Failed to list commute destinations' });
+  }
+});
 
-    const location = geocodeResponse.data[0];
-    const lat = parseFloat(location.lat);
-    const lng = parseFloat(location.lon);
+// Save a commute destination: {name, address, mode, weight} or {name, lat, lng, ...}
+// The address is geocoded once here; saving the same name again replaces the destination
+app.post('/api/users/:userId/destinations', requireAdminToken, async (req, res) => {
+  try {
+    const { destination, replaced } = await saveCommuteDestination(req.params.userId, req.body || {});
+    res.status(replaced ? 200 : 201).json(destination);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving commute destination:', error);
+    res.status(500).json({ error: 'Failed to save commute destination' });
+  }
+});
 
-    // Check if the address is in Ottawa (approximately)
-    const ottawaCenter = { lat: 45.4215, lng: -75.6972 };
-    const distanceToOttawaCenter =
-      calculateHaversineDistance(
-        { lat, lng },
-        ottawaCenter
-      );
+// Remove a saved commute destination
+app.delete('/api/users/:userId/destinations/:destinationId', requireAdminToken, (req, res) => {
+  try {
+    const { userId, destinationId } = req.params;
 
-    if (distanceToOttawaCenter > 30000) { // 30km radius from Ottawa center
-      return res.status(400).json({ error: 'Address is outside Ottawa region' });
+    const errors = validateUserId(userId);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
     }
 
-    console.log('Calculating mobility score...');
-    // Calculate scores
-    const mobilityScore = calculateMobilityScore({
-      lat: lat,
-      lng: lng
-    });
+    if (!getUserProfileStore().removeDestination(userId, destinationId)) {
+      return res.status(404).json({ error: `No destination "${destinationId}" for user "${userId}"` });
+    }
 
-    // Log mobility score details including walking times
-    if (mobilityScore.details?.station?.walkingTime) {
-      console.log(`Walking time to nearest station: ${mobilityScore.details.station.walkingTime.minutes} minutes`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error removing commute destination:', error);
+    res.status(500).json({ error: 'Failed to remove commute destination' });
+  }
+});
+
+// Analyze address endpoint
+app.get('/api/analyze-address', async (req, res) => {
+  try {
+    const { address, profile, weights, departAt, user } = req.query;
+
+    // Only an admin, who manages the destinations, gets to see where they are
+    const result = await analyzeAddress(address, { profile, weights, departAt, user, destinationDetails: hasAdminToken(req) });
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-    if (mobilityScore.details?.busStop?.walkingTime) {
-      console.log(`Walking time to nearest bus stop: ${mobilityScore.details.busStop.walkingTime.minutes} minutes`);
+    console.error('Error analyzing address:', error);
+    res.status(500).json({ error: 'Failed to analyze address' });
+  }
+});
+
+// Analyze many addresses at once
+// Body: a JSON array of addresses, {addresses: [...], profile, weights, concurrency, user},
+// {csv: "..."} or a raw CSV upload (Content-Type: text/csv)
+app.post('/api/analyze-batch', async (req, res) => {
+  try {
+    const body = req.body;
+    // Options come from the JSON body when there is one, otherwise from the query string
+    const bodyOptions = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    const { profile, weights, concurrency, user } = { ...req.query, ...bodyOptions };
+
+    let rows;
+    if (typeof body === 'string') {
+      rows = await parseBatchCsv(body);
+    } else if (Array.isArray(body)) {
+      rows = body;
+    } else if (Array.isArray(body?.addresses)) {
+      rows = body.addresses;
+    } else if (typeof body?.csv === 'string') {
+      rows = await parseBatchCsv(body.csv);
+    }
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({ error: 'Provide a list of addresses or a CSV with an address column' });
+    }
+
+    if (rows.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `Batch is limited to ${MAX_BATCH_SIZE} addresses (got ${rows.length})` });
+    }
+
+    // Reject bad weighting once rather than failing every row with the same error
+    const weighting = resolveWeighting({ profile, weights });
+    if (weighting.errors.length > 0) {
+      return res.status(400).json({ error: weighting.errors.join('; ') });
+    }
+
+    // Same for an unknown user
+    if (user) {
+      getUserDestinations(user);
     }
-    if (mobilityScore.details?.road?.walkingTime) {
-      console.log(`Walking time to nearest road: ${mobilityScore.details.road.walkingTime.minutes} minutes`);
+
+    const batch = await analyzeBatch(rows, { profile, weights, concurrency, user, destinationDetails: hasAdminToken(req) });
+
+    res.json(batch);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Error analyzing address batch:', error);
+    res.status(500).json({ error: 'Failed to analyze address batch' });
+  }
+});
+
+// Inspect the geocode cache: statistics plus the most recently used entries
+app.get('/api/admin/geocode-cache', requireAdminToken, (req, res) => {
+  try {
+    const { q, limit = 100 } = req.query;
+    const cache = getGeocodeCache();
 
-    console.log('Calculating livability score...');
-    const livabilityResults = getLivabilityScore({
-      lat: lat,
-      lng: lng
+    res.json({
+      stats: cache.getStats(),
+      entries: cache.entries({ match: q || null, limit: parseInt(limit) })
     });
+  } catch (error) {
+    console.error('Error reading geocode cache:', error);
+    res.status(500).json({ error: 'Failed to read geocode cache' });
+  }
+});
+
+// Purge geocode cache entries: all, only expired ones (?expired=true) or matching ones (?q=sparks)
+app.delete('/api/admin/geocode-cache', requireAdminToken, async (req, res) => {
+  try {
+    const { q, expired } = req.query;
+    const cache = getGeocodeCache();
 
-    console.log('Calculating emergency services score...');
-    const emergencyServicesResults = calculateEmergencyServicesScore({
-      lat: lat,
-      lng: lng
+    const removed = cache.purge({
+      expiredOnly: expired === 'true',
+      match: q || null
     });
+    await cache.flush();
 
-    console.log('Mobility score:', mobilityScore);
-    console.log('Livability results:', JSON.stringify(livabilityResults, null, 2));
-    console.log('Emergency services results:', JSON.stringify(emergencyServicesResults, null, 2));
-
-    // Calculate overall score (weighted average)
-    const overallScore = calculateOverallScore(
-      mobilityScore.score || 0,
-      livabilityResults?.score || 0,
-      emergencyServicesResults?.score || 0
-    );
-
-    // Format the response to include detailed information with places for the frontend
-    const result = {
-      geocodedAddress: location.display_name,
-      lat,
-      lng,
-      scores: {
-        mobility: {
-          score: mobilityScore.score || 0,
-          transitStationScore: mobilityScore.transitStationScore || 0,
-          busStopScore: mobilityScore.busStopScore || 0,
-          roadAccessScore: mobilityScore.roadAccessScore || 0,
-          nearestTransitStation: mobilityScore.nearestTransitStation || null,
-          nearestBusStop: mobilityScore.nearestBusStop || null,
-          nearestMainRoad: mobilityScore.nearestMainRoad || null
-        },
-        livability: {
-          score: livabilityResults?.score || 0,
-          categoryScores: livabilityResults?.categoryScores || {},
-          places: livabilityResults?.places ? Object.fromEntries(
-            Object.entries(livabilityResults.places).map(([category, places]) => [
-              category,
-              places.map(place => ({
-                ...place,
-                walkingTime: place.walkingTime ? {
-                  minutes: place.walkingTime.minutes,
-                  isEstimate: place.walkingTime.isEstimate,
-                  method: place.walkingTime.method
-                } : null,
-                drivingTime: place.drivingTime ? {
-                  minutes: place.drivingTime.minutes,
-                  isEstimate: place.drivingTime.isEstimate,
-                  method: place.drivingTime.method,
-                  trafficLevel: place.drivingTime.trafficLevel
-                } : null
-              }))
-            ])
-          ) : {},
-          closestPlaces: livabilityResults?.closestPlaces ? Object.fromEntries(
-            Object.entries(livabilityResults.closestPlaces).map(([category, place]) => [
-              category,
-              {
-                ...place,
-                walkingTime: place.walkingTime ? {
-                  minutes: place.walkingTime.minutes,
-                  isEstimate: place.walkingTime.isEstimate,
-                  method: place.walkingTime.method
-                } : null,
-                drivingTime: place.drivingTime ? {
-                  minutes: place.drivingTime.minutes,
-                  isEstimate: place.drivingTime.isEstimate,
-                  method: place.drivingTime.method,
-                  trafficLevel: place.drivingTime.trafficLevel
-                } : null
-              }
-            ])
-          ) : {}
-        },
-        emergencyServices: {
-          score: emergencyServicesResults?.score || 0,
-          medical: {
-            score: emergencyServicesResults?.hospitalScore || 0,
-            hospitals: Array.isArray(emergencyServicesResults?.hospitals)
-              ? emergencyServicesResults.hospitals.map(service => ({
-                  name: service.name || 'Unknown Hospital',
-                  address: service.address || 'Address not available',
-                  lat: parseFloat(service.lat) || 0,
-                  lng: parseFloat(service.lng) || 0,
-                  distance: service.distance || 0,
-                  rating: parseFloat(service.rating) || 0,
-                  responseTime: service.responseTime ? {
-                    minutes: service.responseTime.minutes,
-                    serviceType: service.responseTime.serviceType
-                  } : null
-                }))
-              : [],
-            nearest: emergencyServicesResults?.nearestHospital || null
-          },
-          fire: {
-            score: emergencyServicesResults?.fireStationScore || 0,
-            stations: Array.isArray(emergencyServicesResults?.fireStations)
-              ? emergencyServicesResults.fireStations.map(service => ({
-                  name: service.name || 'Unknown Fire Station',
-                  address: service.address || 'Address not available',
-                  lat: parseFloat(service.lat) || 0,
-                  lng: parseFloat(service.lng) || 0,
-                  distance: service.distance || 0,
-                  rating: parseFloat(service.rating) || 0,
-                  responseTime: service.responseTime ? {
-                    minutes: service.responseTime.minutes,
-                    serviceType: service.responseTime.serviceType
-                  } : null
-                }))
-              : [],
-            nearest: emergencyServicesResults?.nearestFireStation || null
-          },
-          police: {
-            score: emergencyServicesResults?.policeStationScore || 0,
-            stations: Array.isArray(emergencyServicesResults?.policeStations)
-              ? emergencyServicesResults.policeStations.map(service => ({
-                  name: service.name || 'Unknown Police Station',
-                  address: service.address || 'Address not available',
-                  lat: parseFloat(service.lat) || 0,
-                  lng: parseFloat(service.lng) || 0,
-                  distance: service.distance || 0,
-                  rating: parseFloat(service.rating) || 0,
-                  responseTime: service.responseTime ? {
-                    minutes: service.responseTime.minutes,
-                    serviceType: service.responseTime.serviceType
-                  } : null
-                }))
-              : [],
-            nearest: emergencyServicesResults?.nearestPoliceStation || null
-          },
-          closestServices: emergencyServicesResults?.closestServices ? Object.fromEntries(
-            Object.entries(emergencyServicesResults.closestServices).map(([type, service]) => [
-              type,
-              {
-                name: service.name || 'Unknown Service',
-                address: service.address || 'Address not available',
-                distance: service.distance || 0,
-                responseTime: service.responseTime ? {
-                  minutes: service.responseTime.minutes,
-                  serviceType: service.responseTime.serviceType
-                } : null,
-                drivingTime: service.drivingTime ? {
-                  minutes: service.drivingTime.minutes,
-                  isEstimate: service.drivingTime.isEstimate,
-                  method: service.drivingTime.method,
-                  trafficLevel: service.drivingTime.trafficLevel
-                } : null
-              }
-            ])
-          ) : {}
-        },
-        overallScore
-      }
-    };
+    res.json({ removed, stats: cache.getStats() });
+  } catch (error) {
+    console.error('Error purging geocode cache:', error);
+    res.status(500).json({ error: 'Failed to purge geocode cache' });
+  }
+});
 
-    res.json(result);
+// Load report of the region's CSV data sets: rows loaded and rows rejected (with line numbers and reasons)
+app.get('/api/admin/data-load-report', requireAdminToken, (req, res) => {
+  try {
+    res.json({ datasets: getLoadReport() });
   } catch (error) {
-    console.error('Error analyzing address:', error);
-    res.status(500).json({ error: 'Failed to analyze address' });
+    console.error('Error reading data load report:', error);
+    res.status(500).json({ error: 'Failed to read data load report' });
   }
 });
 
+// Write pending geocode cache and user profile changes before the server stops
+const shutdown = async () => {
+  await Promise.all([getGeocodeCache().flush(), getUserProfileStore().flush()]);
+  process.exit(0);
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
+
 // Start the server
 app.listen(PORT, async () => {
     console.log(`Server running on port ${PORT}`);
     try {
-        // Load data sources
-        dataSources = await loadDataSources();
-        console.log(`Loaded ${dataSources.groceryStores?.length || 0} grocery stores`);
-        console.log(`Loaded ${dataSources.emergencyServices?.length || 0} emergency services`);
-        console.log(`Loaded ${dataSources.mainRoads?.length || 0} main roads`);
-        console.log(`Loaded ${dataSources.amenities?.length || 0} amenities`);
-        console.log(`Loaded ${dataSources.education?.length || 0} educational institutions`);
-        console.log(`Loaded ${dataSources.parks?.length || 0} parks`);
-        console.log('Data sources loaded successfully');
-
-        // Initialize the road network graph for mobility analysis
-        await initializeMobilityAnalysis();
+        const initialization = (async () => {
+            // Load data sources
+            dataSources = await loadDataSources();
+            console.log(`Loaded ${dataSources.groceryStores?.length || 0} grocery stores`);
+            console.log(`Loaded ${dataSources.emergencyServices?.length || 0} emergency services`);
+            console.log(`Loaded ${dataSources.mainRoads?.length || 0} main roads`);
+            console.log(`Loaded ${dataSources.amenities?.length || 0} amenities`);
+            console.log(`Loaded ${dataSources.education?.length || 0} educational institutions`);
+            console.log(`Loaded ${dataSources.parks?.length || 0} parks`);
+            console.log('Data sources loaded successfully');
+
+            // Initialize the road network graph for mobility analysis
+            await initializeMobilityAnalysis();
+        })();
+
+        // The default region is prepared here; other regions on their first request
+        trackPreparation(getRegion().id, initialization);
+        await initialization;
         console.log('Server initialization complete, ready to handle requests');
     } catch (err) {
         console.error('Error during server initialization:', err);
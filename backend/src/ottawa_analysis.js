@@ -2,6 +2,7 @@
 import dotenv from 'dotenv';
 import { getRealEstateHotspots } from './analysis/hotspotAnalysis.js';
 import { loadDataSources } from './data/dataLoader.js';
+import { loadTransitData } from './analysis/mobilityAnalysis.js';
 
 // Load environment variables
 dotenv.config();
@@ -39,6 +40,7 @@ const runOttawaAnalysis = async () => {
   try {
     console.log('Loading Ottawa data sources...');
     await loadDataSources();
+    await loadTransitData();
     
     console.log('\n===== OTTAWA REAL ESTATE HOTSPOT ANALYSIS =====\n');
     
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseBatchCsv,
+  normalizeBatchRows,
+  mapWithConcurrency,
+  analyzeBatch,
+  batchToCsv,
+  OUTPUT_COLUMNS
+} from '../src/analysis/batchAnalysis.js';
+
+test('a CSV with an address column keeps its ids and skips blank and commented rows', async () => {
+  const csv = '\uFEFFID,Street_Address,notes\n'
+    + 'a1,"240 Sparks St, Ottawa",office\n'
+    + ',100 Bank St,\n'
+    + 'x,,empty\n'
+    + 'c,# 50 Rideau St,skipped\n';
+
+  assert.deepEqual(await parseBatchCsv(csv), [
+    { id: 'a1', address: '240 Sparks St, Ottawa' },
+    { id: '2', address: '100 Bank St' }
+  ]);
+});
+
+test('a CSV without a recognized header is one address per line, commas included', async () => {
+  const csv = '240 Sparks St, Ottawa\r\n\r\n"100 Bank St, Ottawa, ON"\r\n# comment\r\n';
+
+  assert.deepEqual(await parseBatchCsv(csv), [
+    { id: '1', address: '240 Sparks St, Ottawa' },
+    { id: '2', address: '100 Bank St, Ottawa, ON' }
+  ]);
+  assert.deepEqual(await parseBatchCsv(''), []);
+});
+
+test('JSON rows may be address strings or objects with an address column', () => {
+  assert.deepEqual(normalizeBatchRows([' 240 Sparks St ', { id: 7, location: '100 Bank St' }, { name: 'none' }, null]), [
+    { id: '1', address: '240 Sparks St' },
+    { id: '7', address: '100 Bank St' },
+    { id: '3', address: '' },
+    { id: '4', address: '' }
+  ]);
+});
+
+test('mapWithConcurrency keeps input order and never runs more than the limit at once', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return index * 10;
+  });
+
+  assert.deepEqual(results, [0, 10, 20, 30, 40]);
+  assert.equal(maxRunning, 2);
+});
+
+test('rows that fail are collected as errors instead of failing the batch', async () => {
+  const progress = [];
+  const batch = await analyzeBatch(['', { id: 'b' }], { onProgress: (completed, total) => progress.push(`${completed}/${total}`) });
+
+  assert.equal(batch.total, 2);
+  assert.equal(batch.succeeded, 0);
+  assert.deepEqual(batch.errors, [
+    { index: 0, id: '1', address: '', error: 'Address is required' },
+    { index: 1, id: 'b', address: '', error: 'Address is required' }
+  ]);
+  assert.deepEqual(progress, ['1/2', '2/2']);
+});
+
+test('batch CSV output lists rows in input order and escapes addresses', () => {
+  const result = {
+    geocodedAddress: '240 Sparks St, Ottawa, ON',
+    lat: 45.4194,
+    lng: -75.7025,
+    scoring: { profile: 'family', componentScores: { grocery: 90 } },
+    scores: {
+      overallScore: 81,
+      mobility: { score: 94 },
+      livability: { score: 70, categoryScores: { park: 55 } },
+      emergencyServices: { score: 88, medical: { score: 90 } },
+      commute: { score: 100 }
+    }
+  };
+  const batch = {
+    results: [{ index: 1, id: '2', address: '240 Sparks St, Ottawa', result }],
+    errors: [{ index: 0, id: '1', address: 'Say "hi"', error: 'Address not found in Ottawa' }]
+  };
+
+  const [header, first, second] = batchToCsv(batch).trimEnd().split('\n');
+  assert.equal(header, OUTPUT_COLUMNS.join(','));
+
+  const column = (line, name) => line.match(/("(?:[^"]|"")*"|[^,]*)(,|$)/g)[OUTPUT_COLUMNS.indexOf(name)].replace(/,$/, '');
+  assert.equal(column(first, 'address'), '"Say ""hi"""');
+  assert.equal(column(first, 'error'), 'Address not found in Ottawa');
+  assert.equal(column(first, 'overall_score'), '');
+  assert.equal(column(second, 'address'), '"240 Sparks St, Ottawa"');
+  assert.equal(column(second, 'overall_score'), '81');
+  assert.equal(column(second, 'livability_park_score'), '55');
+  assert.equal(column(second, 'livability_school_score'), '');
+  assert.equal(column(second, 'grocery_score'), '90');
+  assert.equal(column(second, 'commute_score'), '100');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateHaversineDistance,
+  calculateDistanceToLineSegment,
+  calculateDistanceToPolyline,
+  findNearestRoad
+} from '../src/analysis/customGeoAnalysis.js';
+import { normalizeRoad } from '../src/data/roadGeometry.js';
+
+// A 780 m east-west segment
+const WEST = { lat: 45.42, lng: -75.70 };
+const EAST = { lat: 45.42, lng: -75.69 };
+
+test('the distance to a segment is measured at right angles to it between its ends', () => {
+  const point = { lat: 45.421, lng: -75.695 };
+  const distance = calculateDistanceToLineSegment(point, WEST, EAST);
+
+  // The great-circle arc bulges a centimetre north of the parallel at its middle
+  assert.ok(Math.abs(distance - calculateHaversineDistance(point, { lat: 45.42, lng: -75.695 })) < 0.1, `got ${distance} m`);
+});
+
+test('beyond either end of a segment the distance is to the nearer end', () => {
+  const pastEast = { lat: 45.42, lng: -75.68 };
+  const behindWest = { lat: 45.421, lng: -75.71 };
+
+  assert.equal(calculateDistanceToLineSegment(pastEast, WEST, EAST), calculateHaversineDistance(pastEast, EAST));
+  assert.equal(calculateDistanceToLineSegment(behindWest, WEST, EAST), calculateHaversineDistance(behindWest, WEST));
+  assert.equal(calculateDistanceToLineSegment(behindWest, WEST, WEST), calculateHaversineDistance(behindWest, WEST));
+});
+
+test('the distance to a polyline is the distance to its nearest segment', () => {
+  const bend = { lat: 45.43, lng: -75.695 };
+  const point = { lat: 45.4301, lng: -75.695 };
+
+  assert.ok(Math.abs(calculateDistanceToPolyline(point, [WEST, bend, EAST]) - calculateHaversineDistance(point, bend)) < 0.1);
+  assert.equal(calculateDistanceToPolyline(point, [bend]), calculateHaversineDistance(point, bend));
+  assert.equal(calculateDistanceToPolyline(point, []), Infinity);
+});
+
+test('the nearest road follows road shapes, not just their ends', () => {
+  // Both roads end at the same points, but the curved one passes right by the location
+  const straight = normalizeRoad({ name: 'Straight', start_lat: 45.42, start_lng: -75.70, end_lat: 45.42, end_lng: -75.69 });
+  const curved = normalizeRoad({ name: 'Curved', geometry: 'LINESTRING (-75.70 45.42, -75.695 45.43, -75.69 45.42)' });
+
+  const { distance, road } = findNearestRoad({ lat: 45.4301, lng: -75.695 }, [straight, curved]);
+  assert.equal(road.name, 'Curved');
+  assert.ok(distance < 15, `got ${distance} m`);
+
+  assert.deepEqual(findNearestRoad({ lat: 45.42, lng: -75.7 }, []), { distance: Infinity, road: null });
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegion, runInRegion } from '../src/data/regionPacks.js';
+import { parseCoverageParams } from '../src/analysis/emergencyCoverage.js';
+
+test('coverage covers every service type at its default target and 500 m cells', () => {
+  const { params, errors } = parseCoverageParams({});
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, {
+    types: ['fire', 'police', 'hospital'],
+    targets: { fire: 8, police: 7, hospital: 10 },
+    cellSize: 500,
+    departAt: null
+  });
+});
+
+test('coverage types and targets are read case-insensitively and targets override the defaults', () => {
+  const { params, errors } = parseCoverageParams({ types: 'Police, fire', targets: 'FIRE:6, hospital:12', cellSize: '1000' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params.types, ['fire', 'police']);
+  assert.deepEqual(params.targets, { fire: 6, police: 7, hospital: 12 });
+  assert.equal(params.cellSize, 1000);
+});
+
+test('invalid coverage parameters are reported', () => {
+  assert.match(parseCoverageParams({ types: 'fire,ambulance' }).errors.join(), /types must be a comma-separated list of: fire, police, hospital/);
+  assert.match(parseCoverageParams({ targets: 'fire:6,ambulance:5' }).errors.join(), /targets must be a comma-separated list of type:minutes/);
+  assert.match(parseCoverageParams({ targets: 'fire:0' }).errors.join(), /whole minutes between 1 and 60/);
+  assert.match(parseCoverageParams({ targets: 'fire' }).errors.join(), /targets must be/);
+  assert.match(parseCoverageParams({ cellSize: '100' }).errors.join(), /cellSize must be between 200 and 2000 meters/);
+  assert.match(parseCoverageParams({ cellSize: 'fine' }).errors.join(), /cellSize must be between 200 and 2000 meters/);
+  assert.match(parseCoverageParams({ departAt: 'rush hour' }).errors.join(), /departAt must be/);
+});
+
+test('the cell size must keep the grid over the region within the cell limit', () => {
+  // About 156 by 111 km
+  const region = { ...getRegion(), id: 'coverage-fixture', bounds: { south: 45, west: -77, north: 46, east: -75 } };
+
+  runInRegion(region, () => {
+    assert.match(parseCoverageParams({ cellSize: '500' }).errors.join(), /cellSize would produce \d+ grid cells over the region \(max 40000\)/);
+    assert.deepEqual(parseCoverageParams({ cellSize: '1000' }).errors, []);
+  });
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGeocoder, geocodeAddress, setGeocoder, setGeocodeCache } from '../src/geocoding/geocoder.js';
+import { createMockProvider } from '../src/geocoding/mockProvider.js';
+import { createLocalProvider } from '../src/geocoding/localProvider.js';
+import { createGeocodeCache } from '../src/geocoding/geocodeCache.js';
+
+const SPARKS = { lat: 45.4194, lng: -75.7025, displayName: '240 Sparks St, Ottawa' };
+
+const ADDRESS_POINTS = [
+  { street_number: '100', street_name: 'Sparks St', city: 'Ottawa', province: 'ON', postal_code: 'K1P 5B7', lat: '45.4200', lng: '-75.6960' },
+  { street_number: '200', street_name: 'Sparks St', city: 'Ottawa', province: 'ON', postal_code: 'K1P 5B9', lat: '45.4190', lng: '-75.7000' },
+  { street_number: '101', street_name: 'Sparks St', city: 'Ottawa', province: 'ON', postal_code: 'K1P 5B5', lat: '45.4210', lng: '-75.6970' },
+  { street_number: '10', street_name: 'Bay St', city: 'Ottawa', province: 'ON', postal_code: 'K1R 7W1', lat: '45.4150', lng: '-75.7100' },
+  { street_number: '5', street_name: 'Rue Laurier', city: 'Gatineau', province: 'QC', postal_code: 'J8X 3V8', lat: '45.4300', lng: '-75.7150' }
+];
+
+/**
+ * Provider that always fails, like Nominatim without a network
+ * @returns {Object} - Geocoding provider
+ */
+const createFailingProvider = () => ({
+  name: 'failing',
+  async geocode() {
+    throw new Error('network unreachable');
+  }
+});
+
+test('the chain answers from the first provider with a match', async () => {
+  const local = createMockProvider({ fixtures: { '240 Sparks St': SPARKS } });
+  const remote = createMockProvider({ fallback: { lat: 0, lng: 0 } });
+  const geocoder = createGeocoder([local, remote]);
+
+  const result = await geocoder.geocode('240 sparks street');
+
+  assert.equal(result.lat, SPARKS.lat);
+  assert.equal(result.provider, 'mock');
+  assert.deepEqual(remote.calls, []);
+});
+
+test('the chain falls through to the next provider when one has no match', async () => {
+  const local = createMockProvider({ fixtures: {} });
+  const remote = createMockProvider({ fixtures: { '240 Sparks St': SPARKS } });
+
+  const result = await createGeocoder([local, remote]).geocode('240 Sparks St');
+
+  assert.equal(result.displayName, SPARKS.displayName);
+  assert.deepEqual(local.calls, ['240 Sparks St']);
+  assert.deepEqual(remote.calls, ['240 Sparks St']);
+});
+
+test('a failing provider is skipped, and the error only surfaces when every provider fails', async () => {
+  const fallback = createMockProvider({ fixtures: { '240 Sparks St': SPARKS } });
+  assert.equal((await createGeocoder([createFailingProvider(), fallback]).geocode('240 Sparks St')).lat, SPARKS.lat);
+  assert.equal(await createGeocoder([createFailingProvider(), fallback]).geocode('1 Nowhere Rd'), null);
+
+  await assert.rejects(createGeocoder([createFailingProvider()]).geocode('240 Sparks St'), /network unreachable/);
+});
+
+test('geocodeAddress caches results, including misses, by normalized address', async (t) => {
+  const provider = createMockProvider({ fixtures: { '240 Sparks St': SPARKS } });
+  setGeocoder(createGeocoder([provider]));
+  setGeocodeCache(createGeocodeCache({ filePath: null }));
+  t.after(() => {
+    setGeocoder(null);
+    setGeocodeCache(null);
+  });
+
+  assert.equal((await geocodeAddress('240 Sparks St')).cached, undefined);
+  assert.equal((await geocodeAddress('240 sparks street, Ottawa')).cached, true);
+  assert.equal(await geocodeAddress('1 Nowhere Rd'), null);
+  assert.equal(await geocodeAddress('1 Nowhere Rd'), null);
+
+  assert.deepEqual(provider.calls, ['240 Sparks St', '1 Nowhere Rd']);
+});
+
+test('the local provider matches exact numbers and interpolates on the same side of the street', async () => {
+  const local = createLocalProvider({ rows: ADDRESS_POINTS });
+
+  const exact = await local.geocode('100 Sparks Street, Ottawa ON');
+  assert.equal(exact.matchType, 'exact');
+  assert.equal(exact.lat, 45.42);
+
+  const between = await local.geocode('150 Sparks St');
+  assert.equal(between.matchType, 'interpolated');
+  assert.ok(Math.abs(between.lat - 45.4195) < 1e-9);
+  assert.ok(Math.abs(between.lng - -75.698) < 1e-9);
+});
+
+test('the local provider leaves numbers beyond the known ones to the next provider', async () => {
+  const local = createLocalProvider({ rows: ADDRESS_POINTS });
+
+  assert.equal(await local.geocode('900 Sparks St'), null);
+  assert.equal(await local.geocode('2 Sparks St'), null);
+});
+
+test('the local provider allows one typo in longer street names only', async () => {
+  const local = createLocalProvider({ rows: ADDRESS_POINTS });
+
+  const fuzzy = await local.geocode('100 Sprks St');
+  assert.equal(fuzzy.matchType, 'fuzzy-exact');
+  assert.equal(fuzzy.addressDetails.road, 'Sparks St');
+
+  // "bay" is too short to tell a typo from another street, and the street type has to match
+  assert.equal(await local.geocode('10 Bat St'), null);
+  assert.equal(await local.geocode('100 Sparks Ave'), null);
+});
+
+test('the local provider leaves streets only known in another city to the next provider', async () => {
+  const local = createLocalProvider({ rows: ADDRESS_POINTS });
+
+  assert.equal(await local.geocode('100 Sparks St, Toronto'), null);
+  assert.equal((await local.geocode('100 Sparks St, Ottawa, ON K1P 5B7')).lat, 45.42);
+  assert.equal((await local.geocode('5 Rue Laurier, Gatineau, QC')).lat, 45.43);
+
+  const remote = createMockProvider({ fallback: { lat: 43.65, lng: -79.38 } });
+  const result = await createGeocoder([local, remote]).geocode('100 Sparks St, Toronto');
+  assert.equal(result.provider, 'mock');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadGtfsFeed } from '../src/data/gtfsLoader.js';
+
+const FEED_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/gtfs');
+
+// Fixture feed: weekday route 10 from Alpha to Bravo at 07:00, 07:30, 08:00 and 08:30 (plus one
+// Saturday trip at 10:00), route 20 from Bravo to Charlie ten minutes after each weekday trip,
+// and no weekday service on Friday 10 January 2025
+test('the service week starts on the first Monday the feed covers and applies calendar exceptions', async () => {
+  const { serviceWeek } = await loadGtfsFeed(FEED_PATH);
+
+  assert.equal(serviceWeek.weekStart, '2025-01-06');
+  assert.deepEqual(serviceWeek.days.map(services => [...services]), [[], ['WK'], ['WK'], ['WK'], ['WK'], [], ['SA']]);
+});
+
+test('route frequencies are trips per hour in each time band, averaged over the days of each type', async () => {
+  const { busStops } = await loadGtfsFeed(FEED_PATH);
+  const alpha = busStops.find(stop => stop.stopId === 'A');
+
+  assert.equal(alpha.id, '1001');
+  assert.deepEqual(alpha.routes, ['10']);
+
+  // Four trips in the three-hour morning peak on four of the five weekdays
+  const { weekday, weekend } = alpha.routeFrequencies['10'];
+  assert.ok(Math.abs(weekday.amPeak - (4 * 4 / 5) / 3) < 1e-9);
+  assert.equal(weekday.midday, 0);
+
+  // One trip in the six-hour midday on one of the two weekend days
+  assert.ok(Math.abs(weekend.midday - (1 / 2) / 6) < 1e-9);
+  assert.equal(weekend.amPeak, 0);
+});
+
+test('a stop served by several routes adds up their frequencies', async () => {
+  const { busStops } = await loadGtfsFeed(FEED_PATH);
+  const bravo = busStops.find(stop => stop.stopId === 'B');
+
+  assert.deepEqual(bravo.routes, ['10', '20']);
+  assert.ok(Math.abs(bravo.frequencies.weekday.amPeak - 2 * (4 * 4 / 5) / 3) < 1e-9);
+});
+
+test('the timetable has one connection per pair of consecutive stop times', async () => {
+  const { timetable } = await loadGtfsFeed(FEED_PATH);
+
+  assert.equal(timetable.connections.count, 9);
+  assert.equal(timetable.trips.length, 9);
+});
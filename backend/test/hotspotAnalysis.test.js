@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHeatmapParams } from '../src/analysis/hotspotAnalysis.js';
+import { getRegion } from '../src/data/regionPacks.js';
+
+test('heatmap parameters default to the centre of the active region', () => {
+  const { params, errors } = parseHeatmapParams({});
+  const { center } = getRegion();
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, { lat: center.lat, lng: center.lng, radius: 2000, step: 250 });
+});
+
+test('heatmap parameters are read from query strings', () => {
+  const { params, errors } = parseHeatmapParams({ lat: '45.4', lng: '-75.7', radius: '1000', step: '100' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, { lat: 45.4, lng: -75.7, radius: 1000, step: 100 });
+});
+
+test('invalid heatmap parameters are reported', () => {
+  assert.match(parseHeatmapParams({ lat: 'north', lng: '-75.7' }).errors.join(), /lat must be a number/);
+  assert.match(parseHeatmapParams({ lat: '95', lng: '-75.7' }).errors.join(), /valid coordinates/);
+  assert.match(parseHeatmapParams({ radius: '20000' }).errors.join(), /radius must be between 100 and 10000/);
+  assert.match(parseHeatmapParams({ step: '10' }).errors.join(), /step must be between 50 and 2000/);
+});
+
+test('heatmaps are limited to about 400 grid points', () => {
+  assert.deepEqual(parseHeatmapParams({ radius: '2800', step: '250' }).errors, []);
+  assert.match(parseHeatmapParams({ radius: '3000', step: '250' }).errors.join(), /about 452 grid points \(max 400\)/);
+});
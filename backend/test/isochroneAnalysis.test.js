@@ -0,0 +1,104 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRegion, runInRegion } from '../src/data/regionPacks.js';
+import { initializeRoadGraph } from '../src/analysis/routingAnalysis.js';
+import {
+  parseIsochroneParams,
+  traceOutlines,
+  calculateRingArea,
+  calculateIsochrones
+} from '../src/analysis/isochroneAnalysis.js';
+
+// Two streets meeting at a corner: north along lng -75.70 to lat 45.42, then east along lat 45.42
+const FIXTURE_REGION = {
+  ...getRegion(),
+  id: 'isochrone-fixture',
+  osmData: [path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/roads.xml')]
+};
+
+const CORNER = { lat: 45.4201, lng: -75.7001 };
+
+/**
+ * Build a grid from rows of "#" (filled) and "." (empty)
+ * @param {Array} rows - Grid rows, top first
+ * @returns {Array} - [cells, width, height] for traceOutlines
+ */
+const grid = (rows) => [Uint8Array.from(rows.join(''), cell => (cell === '#' ? 1 : 0)), rows[0].length, rows.length];
+
+before(() => runInRegion(FIXTURE_REGION, () => initializeRoadGraph()));
+
+test('isochrone parameters default to walking 5, 10 and 15 minutes', () => {
+  const { params, errors } = parseIsochroneParams({ lat: '45.42', lng: '-75.7' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(params, { lat: 45.42, lng: -75.7, mode: 'walk', minutes: [5, 10, 15], departAt: null });
+});
+
+test('time bands are sorted and repeated minutes dropped', () => {
+  const { params, errors } = parseIsochroneParams({ lat: '45.42', lng: '-75.7', mode: 'drive', minutes: '15, 5,10,5' });
+
+  assert.deepEqual(errors, []);
+  assert.equal(params.mode, 'drive');
+  assert.deepEqual(params.minutes, [5, 10, 15]);
+});
+
+test('invalid isochrone parameters are reported', () => {
+  assert.match(parseIsochroneParams({ lng: '-75.7' }).errors.join(), /valid coordinates/);
+  assert.match(parseIsochroneParams({ lat: '45.42', lng: '-75.7', mode: 'cycle' }).errors.join(), /mode must be one of: walk, drive/);
+  assert.match(parseIsochroneParams({ lat: '45.42', lng: '-75.7', minutes: '5,7.5' }).errors.join(), /whole minutes between 1 and 60/);
+  assert.match(parseIsochroneParams({ lat: '45.42', lng: '-75.7', minutes: '0' }).errors.join(), /whole minutes between 1 and 60/);
+  assert.match(parseIsochroneParams({ lat: '45.42', lng: '-75.7', minutes: '1,2,3,4,5,6,7' }).errors.join(), /at most 6 time bands/);
+  assert.match(parseIsochroneParams({ lat: '45.42', lng: '-75.7', departAt: 'someday' }).errors.join(), /departAt must be/);
+});
+
+test('a filled area with a hole is traced as an outline and an opposite-running hole', () => {
+  const rings = traceOutlines(...grid([
+    '###',
+    '#.#',
+    '###'
+  ]));
+
+  assert.deepEqual(rings.map(calculateRingArea).sort((a, b) => a - b), [-1, 9]);
+});
+
+test('areas that only touch at a corner are traced separately', () => {
+  const rings = traceOutlines(...grid([
+    '#.',
+    '.#'
+  ]));
+
+  assert.deepEqual(rings.map(calculateRingArea), [1, 1]);
+  assert.deepEqual(rings.map(ring => ring.length), [4, 4]);
+});
+
+test('network isochrones follow the streets and grow with each time band', async () => {
+  const result = await runInRegion(FIXTURE_REGION, () => calculateIsochrones({ ...CORNER, mode: 'walk', minutes: [5, 10] }));
+  assert.equal(result.method, 'network');
+
+  const [five, ten] = result.isochrones.features.map(feature => {
+    assert.equal(feature.geometry.type, 'Polygon');
+    const ring = feature.geometry.coordinates[0];
+    return {
+      south: Math.min(...ring.map(([, lat]) => lat)),
+      east: Math.max(...ring.map(([lng]) => lng)),
+      // Meters from the nearer of the two streets
+      offStreet: Math.max(...ring.map(([lng, lat]) => Math.min(Math.abs(lng + 75.7) * 78000, Math.abs(lat - 45.42) * 111320)))
+    };
+  });
+
+  assert.ok(ten.south < five.south && ten.east > five.east, 'the 10 minute band reaches further along both streets');
+
+  // The corner between the streets is not filled in, only the gap narrower than the closing radius
+  assert.ok(five.offStreet < 100 && ten.offStreet < 100, `outlines reach ${five.offStreet} and ${ten.offStreet} m from the streets`);
+});
+
+test('a location off the road network gets an estimated circle', async () => {
+  const result = await runInRegion(FIXTURE_REGION, () => calculateIsochrones({ lat: 45.5, lng: -75.5, mode: 'walk', minutes: [5] }));
+  const [feature] = result.isochrones.features;
+
+  assert.equal(result.method, 'estimate');
+  assert.equal(feature.properties.method, 'estimate');
+  assert.equal(feature.geometry.coordinates[0].length, 49);
+});
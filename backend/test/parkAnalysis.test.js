@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GREEN_SPACE_WALKING_DISTANCE,
+  measurePark,
+  findParksWithinRadius,
+  calculateGreenSpace
+} from '../src/analysis/parkAnalysis.js';
+import { createSpatialIndex } from '../src/data/spatialIndex.js';
+
+const LOCATION = { lat: 45.42, lng: -75.7 };
+const METERS_PER_DEGREE_LNG = Math.cos(LOCATION.lat * (Math.PI / 180)) * 111320;
+
+// The 64-sided polygon standing in for the walking circle, in hectares
+const WALKING_CIRCLE_AREA = (32 * GREEN_SPACE_WALKING_DISTANCE ** 2 * Math.sin(Math.PI / 32)) / 10000;
+
+/**
+ * Move a location east
+ * @param {Object} location - Location with lat and lng
+ * @param {number} meters - Distance in meters (negative for west)
+ * @returns {Object} - Location with lat and lng
+ */
+const east = (location, meters) => ({ lat: location.lat, lng: location.lng + meters / METERS_PER_DEGREE_LNG });
+
+/**
+ * Build a square GeoJSON ring around a location
+ * @param {Object} center - Center with lat and lng
+ * @param {number} halfSize - Half the side in meters
+ * @returns {Array} - Closed ring of [lng, lat]
+ */
+const square = (center, halfSize) => [[-1, -1], [1, -1], [1, 1], [-1, 1], [-1, -1]]
+  .map(([x, y]) => [center.lng + (x * halfSize) / METERS_PER_DEGREE_LNG, center.lat + (y * halfSize) / 111320]);
+
+/**
+ * Build a square park with a boundary
+ * @param {string} name - Park name
+ * @param {Object} center - Center with lat and lng
+ * @param {number} halfSize - Half the side in meters
+ * @param {Array} holes - Hole rings of [lng, lat]
+ * @returns {Object} - Park record
+ */
+const squarePark = (name, center, halfSize, holes = []) => ({
+  name,
+  lat: center.lat,
+  lng: center.lng,
+  geometry: { type: 'Polygon', coordinates: [square(center, halfSize), ...holes] }
+});
+
+// A 6 km square park, much larger than the walking circle
+const GREENBELT = squarePark('Greenbelt', LOCATION, 3000);
+
+test('only the part of a large park within walking distance is accessible', () => {
+  const inside = measurePark(LOCATION, GREENBELT);
+  assert.equal(inside.distance, 0);
+  assert.ok(inside.area > 3500);
+  assert.equal(inside.accessibleArea, Math.round(WALKING_CIRCLE_AREA * 100) / 100);
+
+  // On its west edge half of the circle is in the park
+  const onEdge = measurePark(east(LOCATION, -3000), GREENBELT);
+  assert.ok(Math.abs(onEdge.accessibleArea - WALKING_CIRCLE_AREA / 2) < 0.01, `got ${onEdge.accessibleArea} ha`);
+});
+
+test('holes in a park are left out of its accessible area', () => {
+  const holed = measurePark(LOCATION, squarePark('Holed', LOCATION, 3000, [square(LOCATION, 100)]));
+
+  // The location is in the 4 ha hole, 100 m from the park
+  assert.ok(Math.abs(holed.distance - 100) < 1);
+  assert.ok(Math.abs(holed.accessibleArea - (WALKING_CIRCLE_AREA - 4)) < 0.05, `got ${holed.accessibleArea} ha`);
+});
+
+test('a park within walking distance counts in full and a further one not at all', () => {
+  const small = squarePark('Small', LOCATION, 100);
+
+  const near = measurePark(east(LOCATION, 500), small);
+  assert.ok(Math.abs(near.distance - 400) < 1);
+  assert.equal(near.accessibleArea, near.area);
+
+  const far = measurePark(east(LOCATION, 1000), small);
+  assert.equal(far.accessibleArea, 0);
+  assert.equal(far.area, near.area);
+});
+
+test('parks without a boundary use their area column or a default hectare', () => {
+  const point = { lat: 45.421, lng: -75.7 };
+
+  assert.deepEqual(measurePark(LOCATION, { ...point, area: '3.5' }), {
+    distance: measurePark(LOCATION, point).distance,
+    accessPoint: point,
+    area: 3.5,
+    accessibleArea: 3.5,
+    hasBoundary: false
+  });
+  assert.equal(measurePark(LOCATION, { ...point }).area, 1);
+});
+
+test('large parks are found by their boundary or by the location being inside them', () => {
+  const index = createSpatialIndex([GREENBELT, squarePark('Distant', { lat: 45.4, lng: -75.65 }, 100)]);
+
+  // Nowhere near the Greenbelt's centre point
+  assert.deepEqual(findParksWithinRadius(index, LOCATION, 1000).map(park => [park.item.name, park.distance]), [['Greenbelt', 0]]);
+
+  const outside = findParksWithinRadius(index, east(LOCATION, -3500), 1000);
+  assert.deepEqual(outside.map(park => park.item.name), ['Greenbelt']);
+  assert.ok(Math.abs(outside[0].distance - 500) < 1);
+});
+
+test('green space counts routed walks over straight-line distance and large parks by their accessible part', () => {
+  const greenSpace = calculateGreenSpace([
+    { name: 'Greenbelt', distance: 300, area: 3600, accessibleArea: 150 },
+    { name: 'Long walk', distance: 500, area: 2, walkingTime: { minutes: 14, isEstimate: false } },
+    { name: 'Short walk', distance: 900, area: 1.5, walkingTime: { minutes: 9, isEstimate: false } },
+    { name: 'Estimated', distance: 700, area: 0.5, walkingTime: { minutes: 12, isEstimate: true } }
+  ]);
+
+  assert.deepEqual(greenSpace, {
+    hectares: 152,
+    parks: 3,
+    largestPark: { name: 'Greenbelt', area: 3600, distance: 300 }
+  });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoadGeometry, normalizeRoad, splitRoadIntoSegments } from '../src/data/roadGeometry.js';
+
+const LINE = [{ lat: 45.42, lng: -75.70 }, { lat: 45.43, lng: -75.695 }, { lat: 45.42, lng: -75.69 }];
+
+test('WKT line strings are read as lng/lat, ignoring SRID prefixes and Z values', () => {
+  assert.deepEqual(parseRoadGeometry('LINESTRING (-75.70 45.42, -75.695 45.43, -75.69 45.42)'), [LINE]);
+  assert.deepEqual(parseRoadGeometry('SRID=4326;LINESTRING Z (-75.70 45.42 70, -75.695 45.43 72, -75.69 45.42 71)'), [LINE]);
+  assert.deepEqual(parseRoadGeometry('MULTILINESTRING ((-75.70 45.42, -75.695 45.43, -75.69 45.42), (-75.70 45.40, -75.70 45.41))'), [
+    LINE,
+    [{ lat: 45.40, lng: -75.70 }, { lat: 45.41, lng: -75.70 }]
+  ]);
+});
+
+test('GeoJSON lines are read from text, objects and features', () => {
+  const lineString = { type: 'LineString', coordinates: [[-75.70, 45.42], [-75.695, 45.43], [-75.69, 45.42]] };
+
+  assert.deepEqual(parseRoadGeometry(JSON.stringify(lineString)), [LINE]);
+  assert.deepEqual(parseRoadGeometry({ type: 'Feature', geometry: lineString, properties: {} }), [LINE]);
+});
+
+test('geometries that are not valid lines are rejected', () => {
+  assert.equal(parseRoadGeometry('POINT (-75.70 45.42)'), null);
+  assert.equal(parseRoadGeometry('LINESTRING (45.42 -175.70, 45.43 -175.69)'), null);
+  assert.equal(parseRoadGeometry('LINESTRING (-75.70 45.42)'), null);
+  assert.equal(parseRoadGeometry('{"type": "LineString"'), null);
+  assert.equal(parseRoadGeometry({ type: 'Polygon', coordinates: [] }), null);
+  assert.equal(parseRoadGeometry(''), null);
+});
+
+test('a road geometry column replaces the raw text with lines, bounds and end points', () => {
+  const road = normalizeRoad({ name: 'Curved', type: 'arterial', wkt: 'LINESTRING (-75.70 45.42, -75.695 45.43, -75.69 45.42)' });
+
+  assert.deepEqual(road, {
+    name: 'Curved',
+    type: 'arterial',
+    start_lat: 45.42,
+    start_lng: -75.70,
+    end_lat: 45.42,
+    end_lng: -75.69,
+    lines: [LINE],
+    bounds: { minLat: 45.42, maxLat: 45.43, minLng: -75.70, maxLng: -75.69 }
+  });
+});
+
+test('roads without a usable geometry fall back to their start and end points', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const road = normalizeRoad({ name: 'Chord', geometry: 'not a line', start_lat: '45.42', start_lng: '-75.70', end_lat: '45.42', end_lng: '-75.69' });
+
+  assert.deepEqual(road.lines, [[{ lat: 45.42, lng: -75.70 }, { lat: 45.42, lng: -75.69 }]]);
+  assert.match(warn.mock.calls[0].arguments[0], /Road Chord has an invalid geometry/);
+
+  assert.deepEqual(normalizeRoad({ name: 'Point', lat: '45.42', lng: '-75.70' }).lines, [[{ lat: 45.42, lng: -75.70 }]]);
+  assert.equal(normalizeRoad({ name: 'Nowhere', start_lat: '45.42' }), null);
+});
+
+test('a road splits into one routing segment per pair of vertices', () => {
+  const segments = splitRoadIntoSegments(normalizeRoad({ name: 'Curved', geometry: 'LINESTRING (-75.70 45.42, -75.695 45.43, -75.69 45.42)' }));
+
+  assert.deepEqual(segments, [
+    { name: 'Curved', start_lat: 45.42, start_lng: -75.70, end_lat: 45.43, end_lng: -75.695 },
+    { name: 'Curved', start_lat: 45.43, start_lng: -75.695, end_lat: 45.42, end_lng: -75.69 }
+  ]);
+});
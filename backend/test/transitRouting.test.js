@@ -0,0 +1,81 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRegion, runInRegion } from '../src/data/regionPacks.js';
+import { initializeRoadGraph } from '../src/analysis/routingAnalysis.js';
+import { loadTransitTimetable, planTransitJourney } from '../src/analysis/transitRouting.js';
+
+const FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// The fixture feed (see gtfsLoader.test.js) on two streets joining its stops: Alpha (south) to
+// Bravo (2.2 km north) by route 10, and Bravo to Charlie (2.3 km east) by route 20
+const FIXTURE_REGION = {
+  ...getRegion(),
+  id: 'transit-fixture',
+  gtfs: [path.join(FIXTURES_PATH, 'gtfs')],
+  osmData: [path.join(FIXTURES_PATH, 'roads.xml')]
+};
+
+const ALPHA = { lat: 45.4001, lng: -75.7001 };
+const BRAVO = { lat: 45.4201, lng: -75.7001 };
+const CHARLIE = { lat: 45.4201, lng: -75.6701 };
+
+/**
+ * Plan a journey in the fixture region
+ * @param {Object} origin - Origin {lat, lng}
+ * @param {Object} destination - Destination {lat, lng}
+ * @param {string} departAt - Departure time such as "tuesday 08:00"
+ * @returns {Object} - Journey from planTransitJourney
+ */
+const plan = (origin, destination, departAt) => runInRegion(FIXTURE_REGION, () => planTransitJourney(origin, destination, { departAt }));
+
+/**
+ * Describe a journey's rides, e.g. "10 Alpha 08:00 -> Bravo 08:06"
+ * @param {Object} journey - Journey from planTransitJourney
+ * @returns {Array} - One line per transit leg
+ */
+const transitLegs = (journey) => journey.legs
+  .filter(leg => leg.type === 'transit')
+  .map(leg => `${leg.route} ${leg.from.name} ${leg.departureTime} -> ${leg.to.name} ${leg.arrivalTime}`);
+
+before(() => runInRegion(FIXTURE_REGION, async () => {
+  await initializeRoadGraph();
+  assert.equal(await loadTransitTimetable(), true);
+}));
+
+test('a journey boards the next departure and transfers to the connecting route', () => {
+  const journey = plan(ALPHA, CHARLIE, 'tuesday 07:50');
+
+  assert.deepEqual(transitLegs(journey), ['10 Alpha 08:00 -> Bravo 08:06', '20 Bravo 08:10 -> Charlie 08:16']);
+  assert.equal(journey.arrivalTime, '08:16');
+  assert.equal(journey.totalMinutes, 26);
+  assert.equal(journey.waitingMinutes, 14);
+  assert.equal(journey.inVehicleMinutes, 12);
+  assert.equal(journey.transfers, 1);
+  assert.equal(journey.walkOnly, false);
+});
+
+test('a connection that leaves before the transfer time has passed is missed', () => {
+  // Route 10 arrives at Bravo at 08:36, so the 08:40 route 20 trip is still caught
+  assert.deepEqual(transitLegs(plan(ALPHA, CHARLIE, 'tuesday 08:15')), ['10 Alpha 08:30 -> Bravo 08:36', '20 Bravo 08:40 -> Charlie 08:46']);
+
+  // Leaving at 08:31 the last route 10 trip is gone
+  assert.equal(plan(ALPHA, CHARLIE, 'tuesday 08:31').walkOnly, true);
+});
+
+test('only the services running on the day of travel are used', () => {
+  // No weekday service on the fixture's Friday, and the Saturday trip only runs on route 10
+  assert.equal(plan(ALPHA, CHARLIE, 'friday 08:00').walkOnly, true);
+  assert.equal(plan(ALPHA, CHARLIE, 'saturday 09:55').walkOnly, true);
+  assert.deepEqual(transitLegs(plan(ALPHA, BRAVO, 'saturday 09:55')), ['10 Alpha 10:00 -> Bravo 10:06']);
+});
+
+test('without a faster transit journey the whole way is walked along the streets', () => {
+  const journey = plan(ALPHA, CHARLIE, 'tuesday 09:00');
+
+  assert.equal(journey.walkOnly, true);
+  assert.equal(journey.legs.length, 1);
+  assert.equal(journey.legs[0].isEstimate, false);
+  assert.ok(journey.totalMinutes > 50 && journey.totalMinutes < 60, `walked ${journey.totalMinutes} minutes`);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateWeights,
+  parseWeights,
+  resolveWeighting,
+  withCommuteWeight,
+  calculateOverallScore
+} from '../src/analysis/weightingProfiles.js';
+
+test('weights must be known components with non-negative weights summing to 1', () => {
+  assert.deepEqual(validateWeights({ mobility: 0.5, livability: 0.3, emergency: 0.2 }), []);
+  assert.deepEqual(validateWeights({ mobility: 0.3333, livability: 0.3333, emergency: 0.3334 }), []);
+
+  assert.match(validateWeights({ mobility: 0.5, livability: 0.3 }).join(), /must sum to 1 \(got 0.8\)/);
+  assert.match(validateWeights({ mobility: 0.5, walkability: 0.5 }).join(), /Unknown score component "walkability"/);
+  assert.match(validateWeights({ mobility: 1.5, livability: -0.5 }).join(), /"livability" must be a non-negative number/);
+  assert.match(validateWeights({ mobility: NaN, livability: 1 }).join(), /"mobility" must be a non-negative number/);
+  assert.match(validateWeights(null).join(), /must be an object/);
+});
+
+test('query string weights parse from pairs or JSON', () => {
+  assert.deepEqual(parseWeights('mobility:0.5, livability:0.3,emergency:0.2'), { mobility: 0.5, livability: 0.3, emergency: 0.2 });
+  assert.deepEqual(parseWeights('{"mobility":1}'), { mobility: 1 });
+
+  assert.equal(parseWeights('mobility=0.5'), null);
+  assert.equal(parseWeights('mobility:'), null);
+  assert.equal(parseWeights('{mobility:1'), null);
+  assert.equal(parseWeights(''), null);
+});
+
+test('custom weights take precedence over the profile and list every component', () => {
+  const weighting = resolveWeighting({ profile: 'family', weights: 'mobility:0.6,livability:0.4' });
+
+  assert.equal(weighting.profile, 'custom');
+  assert.deepEqual(weighting.errors, []);
+  assert.deepEqual(weighting.weights, { mobility: 0.6, livability: 0.4, emergency: 0, grocery: 0, commute: 0 });
+});
+
+test('invalid custom weights and unknown profiles are reported, not applied', () => {
+  const unparseable = resolveWeighting({ weights: 'mobility=1' });
+  assert.equal(unparseable.weights, null);
+  assert.match(unparseable.errors.join(), /must look like/);
+
+  const unbalanced = resolveWeighting({ weights: { mobility: 0.9 } });
+  assert.equal(unbalanced.weights, null);
+  assert.match(unbalanced.errors.join(), /must sum to 1/);
+
+  const unknown = resolveWeighting({ profile: 'investor' });
+  assert.equal(unknown.weights, null);
+  assert.match(unknown.errors.join(), /Unknown weighting profile "investor"/);
+});
+
+test('the configured default profile applies when none is requested', () => {
+  const weighting = resolveWeighting();
+
+  assert.equal(weighting.profile, 'balanced');
+  assert.deepEqual(validateWeights(weighting.weights), []);
+});
+
+test('commute gets its default share unless the weights already give it one', () => {
+  const scaled = withCommuteWeight({ mobility: 0.4, livability: 0.4, emergency: 0.2, grocery: 0, commute: 0 });
+  assert.deepEqual(scaled, { mobility: 0.3, livability: 0.3, emergency: 0.15, grocery: 0, commute: 0.25 });
+  assert.deepEqual(validateWeights(scaled), []);
+
+  const own = { mobility: 0.5, commute: 0.5 };
+  assert.equal(withCommuteWeight(own), own);
+});
+
+test('the overall score only weights the components that have a score', () => {
+  const weights = { mobility: 0.5, livability: 0.25, emergency: 0.25, grocery: 0, commute: 0 };
+
+  assert.equal(calculateOverallScore({ mobility: 80, livability: 40, emergency: 60 }, weights), 65);
+  assert.equal(calculateOverallScore({ mobility: 80, livability: null, emergency: 60 }, weights), 73);
+  assert.equal(calculateOverallScore({ grocery: 100 }, weights), 0);
+});
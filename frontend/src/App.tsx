@@ -19,9 +19,14 @@ const App: React.FC = () => {
       setLoading(true);
       setError(null);
       
-      // Call the backend API
+      // Call the backend API; ?user=<id> in the page URL adds the times to that user's commute
+      // destinations (without where they are, which needs the admin token), and ?region=<id>
+      // analyzes the address in another region pack (e.g. gatineau)
+      const pageParams = new URLSearchParams(window.location.search);
+      const user = pageParams.get('user') || undefined;
+      const region = pageParams.get('region') || undefined;
       const response = await axios.get(`/api/analyze-address`, {
-        params: { address: searchAddress }
+        params: { address: searchAddress, user, region }
       });
       
       console.log('API response:', response.data);
@@ -0,0 +1,18 @@
+import axios from 'axios';
+import { EmergencyCoverageParams, EmergencyCoverageResponse } from '../types/emergencyCoverage';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+export const fetchEmergencyCoverage = async (params: EmergencyCoverageParams = {}): Promise<EmergencyCoverageResponse> => {
+  try {
+    const response = await axios.get<EmergencyCoverageResponse>(`${API_URL}/emergency/coverage`, {
+      params
+    });
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response) {
+      throw new Error(error.response.data.error || 'Failed to load emergency coverage');
+    }
+    throw new Error('An error occurred while loading the emergency coverage');
+  }
+};
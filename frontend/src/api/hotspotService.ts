@@ -0,0 +1,18 @@
+import axios from 'axios';
+import { HotspotHeatmapParams, HotspotHeatmapResponse } from '../types/hotspots';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+export const fetchHotspotHeatmap = async (params: HotspotHeatmapParams): Promise<HotspotHeatmapResponse> => {
+  try {
+    const response = await axios.get<HotspotHeatmapResponse>(`${API_URL}/hotspots`, {
+      params
+    });
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response) {
+      throw new Error(error.response.data.error || 'Failed to load hotspot heatmap');
+    }
+    throw new Error('An error occurred while loading the hotspot heatmap');
+  }
+};
@@ -0,0 +1,18 @@
+import axios from 'axios';
+import { IsochroneParams, IsochroneResponse } from '../types/isochrones';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+export const fetchIsochrones = async (params: IsochroneParams): Promise<IsochroneResponse> => {
+  try {
+    const response = await axios.get<IsochroneResponse>(`${API_URL}/isochrones`, {
+      params
+    });
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response) {
+      throw new Error(error.response.data.error || 'Failed to load reachable areas');
+    }
+    throw new Error('An error occurred while loading the reachable areas');
+  }
+};
@@ -1,7 +1,14 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap, CircleMarker, Tooltip } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, useMap, CircleMarker, Tooltip, Rectangle, Polygon, Polyline } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { fetchHotspotHeatmap } from '../api/hotspotService';
+import { HotspotHeatmapResponse } from '../types/hotspots';
+import { fetchIsochrones } from '../api/isochroneService';
+import { IsochroneMode, IsochroneResponse } from '../types/isochrones';
+import { fetchEmergencyCoverage } from '../api/emergencyCoverageService';
+import { EmergencyCoverageResponse, EmergencyServiceType } from '../types/emergencyCoverage';
+import { Place } from '../types/address-analysis';
 
 // Fix for marker icon issue in React Leaflet
 L.Icon.Default.mergeOptions({
@@ -113,6 +120,181 @@ function RecenterAutomatically({ lat, lng }: { lat: number; lng: number }) {
   return null;
 }
 
+// Heatmap colors match the score bars in the results panel
+const getScoreColor = (score: number) => {
+  if (score >= 80) return '#2ecc71';
+  if (score >= 60) return '#3498db';
+  if (score >= 40) return '#f39c12';
+  return '#e74c3c';
+};
+
+// Area scored for the heatmap around the searched address
+const HEATMAP_RADIUS = 2000;
+const HEATMAP_STEP = 250;
+
+// Scored grid cells plus clustered hotspots from /api/hotspots
+function HeatmapLayer({ heatmap }: { heatmap: HotspotHeatmapResponse }) {
+  // Half a grid step in degrees, so neighbouring cells touch
+  const halfLat = heatmap.step / 2 / 111111;
+
+  return (
+    <>
+      {heatmap.grid.features.map((feature, index) => {
+        const [lng, lat] = feature.geometry.coordinates;
+        const halfLng = heatmap.step / 2 / (111111 * Math.cos(lat * (Math.PI / 180)));
+        const { score, mobility, livability, emergency, grocery } = feature.properties;
+
+        return (
+          <Rectangle
+            key={`cell-${index}`}
+            bounds={[[lat - halfLat, lng - halfLng], [lat + halfLat, lng + halfLng]]}
+            pathOptions={{ stroke: false, fillColor: getScoreColor(score), fillOpacity: 0.35 }}
+          >
+            <Tooltip>
+              <strong>Score: {score}/100</strong>
+              <br />Mobility {mobility} · Livability {livability} · Emergency {emergency} · Grocery {grocery}
+            </Tooltip>
+          </Rectangle>
+        );
+      })}
+
+      {heatmap.hotspots.map(hotspot => (
+        <CircleMarker
+          key={`hotspot-${hotspot.id}`}
+          center={[hotspot.center.lat, hotspot.center.lng]}
+          radius={8 + Math.min(hotspot.pointCount, 12)}
+          pathOptions={{ color: '#2c3e50', weight: 2, fillColor: getScoreColor(hotspot.score), fillOpacity: 0.8 }}
+        >
+          <Tooltip>
+            <strong>Hotspot #{hotspot.id}</strong>
+            <br />Average score {hotspot.score}/100 (peak {hotspot.maxScore})
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
+
+// Time bands shown for the reachable area, with a colour per band from nearest to farthest
+const ISOCHRONE_MINUTES = '5,10,15';
+const ISOCHRONE_COLORS = ['#2ecc71', '#f1c40f', '#e67e22', '#e74c3c', '#9b59b6', '#34495e'];
+
+// Reachable-area polygons from /api/isochrones, drawn largest first so smaller bands stay on top
+function IsochroneLayer({ isochrones }: { isochrones: IsochroneResponse }) {
+  const bands = isochrones.isochrones.features.map((feature, index) => ({
+    feature,
+    color: ISOCHRONE_COLORS[index % ISOCHRONE_COLORS.length]
+  }));
+
+  return (
+    <>
+      {bands.reverse().map(({ feature, color }) => {
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        // GeoJSON rings are [lng, lat]; Leaflet wants [lat, lng]
+        const positions = polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => [lat, lng] as [number, number])));
+        const { minutes, areaKm2, mode, method } = feature.properties;
+
+        return (
+          <Polygon
+            key={`isochrone-${mode}-${minutes}`}
+            positions={positions}
+            pathOptions={{ color, weight: 1, fillColor: color, fillOpacity: 0.2 }}
+          >
+            <Tooltip sticky>
+              <strong>{minutes} min {mode === 'walk' ? 'walk' : 'drive'}</strong>
+              <br />{areaKm2} km²{method === 'estimate' ? ' (estimated)' : ''}
+            </Tooltip>
+          </Polygon>
+        );
+      })}
+    </>
+  );
+}
+
+// Coverage gap and response route colours match the hospital, fire and police markers
+const COVERAGE_COLORS: Record<EmergencyServiceType, string> = {
+  hospital: '#3498db',
+  fire: '#e67e22',
+  police: '#27ae60'
+};
+
+const COVERAGE_LABELS: Record<EmergencyServiceType, string> = {
+  hospital: 'Hospital',
+  fire: 'Fire',
+  police: 'Police'
+};
+
+// Services whose response to a location is beyond their target, read from the coverage grid
+// (minutes is null where the region has no service of the type)
+const findCoverageGapsAt = (coverage: EmergencyCoverageResponse, lat: number, lng: number) => {
+  const { south, west, latStep, lngStep, columns, rows, minutes } = coverage.surface;
+  const row = Math.floor((lat - south) / latStep);
+  const column = Math.floor((lng - west) / lngStep);
+  if (row < 0 || row >= rows || column < 0 || column >= columns) {
+    return [];
+  }
+
+  return (Object.keys(coverage.targets) as EmergencyServiceType[])
+    .map(type => ({ type, minutes: minutes[type]?.[row * columns + column] ?? null }))
+    .filter(({ type, minutes: value }) => value === null || value > (coverage.targets[type] ?? Infinity));
+};
+
+// Areas of the region beyond each service's response target, from /api/emergency/coverage
+function CoverageGapLayer({ coverage }: { coverage: EmergencyCoverageResponse }) {
+  return (
+    <>
+      {coverage.gaps.features.map((feature, index) => {
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        // GeoJSON rings are [lng, lat]; Leaflet wants [lat, lng]
+        const positions = polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => [lat, lng] as [number, number])));
+        const { type, targetMinutes, areaKm2, averageMinutes, worstMinutes } = feature.properties;
+        const color = COVERAGE_COLORS[type];
+
+        return (
+          <Polygon
+            key={`coverage-gap-${type}-${index}`}
+            positions={positions}
+            pathOptions={{ color, weight: 1, dashArray: '4', fillColor: color, fillOpacity: 0.15 }}
+          >
+            <Tooltip sticky>
+              <strong>{COVERAGE_LABELS[type]} response over {targetMinutes} min</strong>
+              <br />{areaKm2} km²
+              {worstMinutes === null
+                ? <><br />No {type} service in the region</>
+                : <><br />Average {averageMinutes} min, up to {worstMinutes} min</>}
+            </Tooltip>
+          </Polygon>
+        );
+      })}
+    </>
+  );
+}
+
+// Route an ambulance or fire truck takes from its station to the address
+function ResponseRoute({ station, type }: { station: Place; type: EmergencyServiceType }) {
+  const { responseTime } = station;
+  if (!responseTime?.route) {
+    return null;
+  }
+
+  // GeoJSON points are [lng, lat]; Leaflet wants [lat, lng]
+  const positions = responseTime.route.coordinates.map(([lng, lat]) => [lat, lng] as [number, number]);
+  const color = COVERAGE_COLORS[type];
+
+  return (
+    <Polyline
+      positions={positions}
+      pathOptions={{ color, weight: 4, opacity: 0.8, dashArray: responseTime.isEstimate ? '6' : undefined }}
+    >
+      <Tooltip sticky>
+        <strong>{station.name}</strong>
+        <br />{COVERAGE_LABELS[type]} response {responseTime.minutes} min
+        {responseTime.isEstimate ? ' (estimated, straight line)' : responseTime.distance ? `, ${(responseTime.distance / 1000).toFixed(1)} km by road` : ''}
+      </Tooltip>
+    </Polyline>
+  );
+}
+
 interface MapComponentProps {
   latitude: number;
   longitude: number;
@@ -125,9 +307,126 @@ export const MapComponent: React.FC<MapComponentProps> = ({
   latitude, 
   longitude, 
   address,
-  nearbyPlaces = [] 
+  nearbyPlaces = [],
+  analysisResults
 }) => {
-  
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmap, setHeatmap] = useState<HotspotHeatmapResponse | null>(null);
+  const [heatmapLoading, setHeatmapLoading] = useState(false);
+  const [heatmapError, setHeatmapError] = useState<string | null>(null);
+  const [showIsochrones, setShowIsochrones] = useState(false);
+  const [isochroneMode, setIsochroneMode] = useState<IsochroneMode>('walk');
+  const [isochrones, setIsochrones] = useState<IsochroneResponse | null>(null);
+  const [isochronesLoading, setIsochronesLoading] = useState(false);
+  const [isochronesError, setIsochronesError] = useState<string | null>(null);
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [coverage, setCoverage] = useState<EmergencyCoverageResponse | null>(null);
+  const [coverageLoading, setCoverageLoading] = useState(false);
+  const [coverageError, setCoverageError] = useState<string | null>(null);
+
+  // Score with the same weighting profile as the address analysis
+  const profile: string | undefined = analysisResults?.scoring?.profile;
+  // The heatmap, reachable areas and coverage use the region the address was analyzed in
+  const region: string | undefined = analysisResults?.region;
+  // Stations that would respond to the address
+  const responders: { station: Place | null | undefined; type: EmergencyServiceType }[] = [
+    { station: analysisResults?.scores?.emergencyServices?.medical?.nearest, type: 'hospital' },
+    { station: analysisResults?.scores?.emergencyServices?.fire?.nearest, type: 'fire' }
+  ];
+
+  // Load the heatmap when the layer is switched on, and again when the address changes
+  useEffect(() => {
+    if (!showHeatmap) {
+      return;
+    }
+
+    let cancelled = false;
+    setHeatmapLoading(true);
+    setHeatmapError(null);
+
+    fetchHotspotHeatmap({
+      region,
+      lat: latitude,
+      lng: longitude,
+      radius: HEATMAP_RADIUS,
+      step: HEATMAP_STEP,
+      profile: profile === 'custom' ? undefined : profile
+    })
+      .then(data => {
+        if (!cancelled) setHeatmap(data);
+      })
+      .catch(err => {
+        if (!cancelled) setHeatmapError(err instanceof Error ? err.message : 'Failed to load heatmap');
+      })
+      .finally(() => {
+        if (!cancelled) setHeatmapLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showHeatmap, region, latitude, longitude, profile]);
+
+  // Load the reachable areas when the layer is switched on, the mode changes or the address changes
+  useEffect(() => {
+    if (!showIsochrones) {
+      return;
+    }
+
+    let cancelled = false;
+    setIsochronesLoading(true);
+    setIsochronesError(null);
+
+    fetchIsochrones({
+      region,
+      lat: latitude,
+      lng: longitude,
+      mode: isochroneMode,
+      minutes: ISOCHRONE_MINUTES
+    })
+      .then(data => {
+        if (!cancelled) setIsochrones(data);
+      })
+      .catch(err => {
+        if (!cancelled) setIsochronesError(err instanceof Error ? err.message : 'Failed to load reachable areas');
+      })
+      .finally(() => {
+        if (!cancelled) setIsochronesLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showIsochrones, isochroneMode, region, latitude, longitude]);
+
+  // Load the emergency coverage gaps for the region when the layer is switched on
+  useEffect(() => {
+    if (!showCoverage) {
+      return;
+    }
+
+    let cancelled = false;
+    setCoverageLoading(true);
+    setCoverageError(null);
+
+    fetchEmergencyCoverage({ region })
+      .then(data => {
+        if (!cancelled) setCoverage(data);
+      })
+      .catch(err => {
+        if (!cancelled) setCoverageError(err instanceof Error ? err.message : 'Failed to load emergency coverage');
+      })
+      .finally(() => {
+        if (!cancelled) setCoverageLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showCoverage, region]);
+
+  const coverageGaps = coverage ? findCoverageGapsAt(coverage, latitude, longitude) : [];
+
   // Get icon based on place type - color-coordinated with UI sections
   const getMarkerIcon = (type: string = '') => {
     switch(type.toLowerCase()) {
@@ -153,44 +452,124 @@ export const MapComponent: React.FC<MapComponentProps> = ({
   };
 
   return (
-    <MapContainer 
-      center={[latitude, longitude]} 
-      zoom={15} 
-      scrollWheelZoom={true}
-      style={{ height: '600px', width: '100%', borderRadius: '8px' }}
-    >
-      <TileLayer
-        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-      />
-      
-      {/* Main marker for the searched address */}
-      <Marker position={[latitude, longitude]} icon={mainIcon}>
-        <Popup>
-          <strong>{address}</strong>
-          <p>Coordinates: {latitude.toFixed(6)}, {longitude.toFixed(6)}</p>
-        </Popup>
-      </Marker>
+    <div style={{ position: 'relative' }}>
+      {/* Heatmap, reachable area and emergency coverage layer toggles */}
+      <div
+        style={{
+          position: 'absolute',
+          top: '10px',
+          right: '10px',
+          zIndex: 1000,
+          background: 'white',
+          padding: '6px 10px',
+          borderRadius: '4px',
+          boxShadow: '0 1px 4px rgba(0, 0, 0, 0.3)',
+          fontSize: '14px'
+        }}
+      >
+        <label>
+          <input
+            type="checkbox"
+            checked={showHeatmap}
+            onChange={e => setShowHeatmap(e.target.checked)}
+          />{' '}
+          Score heatmap
+        </label>
+        {showHeatmap && heatmapLoading && <div>Scoring area...</div>}
+        {showHeatmap && heatmapError && <div style={{ color: '#e74c3c' }}>{heatmapError}</div>}
+        <div>
+          <label>
+            <input
+              type="checkbox"
+              checked={showIsochrones}
+              onChange={e => setShowIsochrones(e.target.checked)}
+            />{' '}
+            Reachable area
+          </label>{' '}
+          <select
+            value={isochroneMode}
+            onChange={e => setIsochroneMode(e.target.value as IsochroneMode)}
+          >
+            <option value="walk">Walking</option>
+            <option value="drive">Driving</option>
+          </select>
+        </div>
+        {showIsochrones && isochronesLoading && <div>Finding reachable area...</div>}
+        {showIsochrones && isochronesError && <div style={{ color: '#e74c3c' }}>{isochronesError}</div>}
+        <label>
+          <input
+            type="checkbox"
+            checked={showCoverage}
+            onChange={e => setShowCoverage(e.target.checked)}
+          />{' '}
+          Emergency coverage gaps
+        </label>
+        {showCoverage && coverageLoading && <div>Timing emergency response...</div>}
+        {showCoverage && coverageError && <div style={{ color: '#e74c3c' }}>{coverageError}</div>}
+        {showCoverage && coverage && !coverageLoading && (
+          coverageGaps.length > 0
+            ? (
+              <div style={{ color: '#e74c3c' }}>
+                Under-served here:{' '}
+                {coverageGaps.map(({ type, minutes }) =>
+                  `${COVERAGE_LABELS[type]} (${minutes === null ? 'no service' : `${minutes} min`})`).join(', ')}
+              </div>
+            )
+            : <div style={{ color: '#27ae60' }}>Within all response targets here</div>
+        )}
+      </div>
+
+      <MapContainer 
+        center={[latitude, longitude]} 
+        zoom={15} 
+        scrollWheelZoom={true}
+        style={{ height: '600px', width: '100%', borderRadius: '8px' }}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
       
-      {/* Nearby places markers with color-coded icons */}
-      {nearbyPlaces.map((place, index) => (
-        <Marker 
-          key={index} 
-          position={[place.lat, place.lng]} 
-          icon={getMarkerIcon(place.type || '')}
-        >
+        {/* Main marker for the searched address */}
+        <Marker position={[latitude, longitude]} icon={mainIcon}>
           <Popup>
-            <strong>{place.name}</strong>
-            <p>{place.address}</p>
-            {place.distance && <p>Distance: {(place.distance / 1000).toFixed(2)} km</p>}
-            {place.rating && <p>Rating: {place.rating}/5</p>}
+            <strong>{address}</strong>
+            <p>Coordinates: {latitude.toFixed(6)}, {longitude.toFixed(6)}</p>
           </Popup>
         </Marker>
-      ))}
       
-      {/* This component ensures the map recenters when coordinates change */}
-      <RecenterAutomatically lat={latitude} lng={longitude} />
-    </MapContainer>
+        {/* Nearby places markers with color-coded icons */}
+        {nearbyPlaces.map((place, index) => (
+          <Marker 
+            key={index} 
+            position={[place.lat, place.lng]} 
+            icon={getMarkerIcon(place.type || '')}
+          >
+            <Popup>
+              <strong>{place.name}</strong>
+              <p>{place.address}</p>
+              {place.distance && <p>Distance: {(place.distance / 1000).toFixed(2)} km</p>}
+              {place.rating && <p>Rating: {place.rating}/5</p>}
+            </Popup>
+          </Marker>
+        ))}
+      
+        {/* Score heatmap and hotspot clusters around the address */}
+        {showHeatmap && heatmap && <HeatmapLayer heatmap={heatmap} />}
+
+        {/* Areas reachable within 5, 10 and 15 minutes of the address */}
+        {showIsochrones && isochrones && isochrones.mode === isochroneMode && <IsochroneLayer isochrones={isochrones} />}
+
+        {/* Response routes from the nearest ambulance base (hospital) and fire station */}
+        {responders.map(({ station, type }) => station && <ResponseRoute key={`response-${type}`} station={station} type={type} />)}
+
+        {/* Parts of the region beyond the fire, police and hospital response targets */}
+        {showCoverage && coverage && <CoverageGapLayer coverage={coverage} />}
+
+        {/* This component ensures the map recenters when coordinates change */}
+        <RecenterAutomatically lat={latitude} lng={longitude} />
+      </MapContainer>
+    </div>
   );
 };
 
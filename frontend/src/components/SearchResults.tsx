@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { MapComponent } from './MapComponent';
 import './SearchResults.css';
-import { AddressAnalysisResponse, Place } from '../types/address-analysis';
+import { AddressAnalysisResponse, LivabilityScore, Place, TransitServiceSummary } from '../types/address-analysis';
 
 interface SearchResultsProps {
   address: string;
@@ -93,7 +93,28 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
     );
   };
 
+  // Describe the transit service within walking distance
+  const describeTransitService = (service: TransitServiceSummary) => {
+    const routeCount = service.routes.length;
+    const routes = `${routeCount} ${routeCount === 1 ? 'route' : 'routes'} within ${service.walkRadius}m`;
+    return service.headway !== null
+      ? `${routes}, a departure every ${service.headway} min on average`
+      : `${routes}, no scheduled departures`;
+  };
+
   // Helper function to render places list
+  const renderDesignatedSchools = (designatedSchools: LivabilityScore['designatedSchools']) => {
+    if (!designatedSchools) {
+      return null;
+    }
+
+    return (['elementary', 'secondary'] as const).map(level => designatedSchools[level].length > 0 && (
+      <p key={level} className="designated-schools">
+        Designated {level} schools: {designatedSchools[level].map(school => `${school.name} (${school.board})`).join(', ')}
+      </p>
+    ));
+  };
+
   const renderPlacesList = (places: Place[] | undefined) => {
     if (!places || places.length === 0) {
       return <p>No nearby places found</p>;
@@ -181,6 +202,11 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       )}
                     </div>
                   )}
+                  {scores.mobility.transitService?.station && (
+                    <p className="transit-service">
+                      {describeTransitService(scores.mobility.transitService.station)}
+                    </p>
+                  )}
                 </div>
 
                 <div className="sub-score">
@@ -198,8 +224,27 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       )}
                     </div>
                   )}
+                  {scores.mobility.transitService?.busStop && (
+                    <p className="transit-service">
+                      {describeTransitService(scores.mobility.transitService.busStop)}
+                    </p>
+                  )}
                 </div>
 
+                {scores.mobility.transitTimeToDowntown && typeof scores.mobility.downtownTransitScore === 'number' && (
+                  <div className="sub-score">
+                    <h4>Transit to {scores.mobility.transitTimeToDowntown.destination}: {scores.mobility.downtownTransitScore}/100</h4>
+                    {renderScoreBar(scores.mobility.downtownTransitScore)}
+                    <p>
+                      {scores.mobility.transitTimeToDowntown.minutes} min door to door
+                      ({scores.mobility.transitTimeToDowntown.departAt})
+                      {scores.mobility.transitTimeToDowntown.walkOnly
+                        ? ', walking is fastest'
+                        : `, ${scores.mobility.transitTimeToDowntown.transfers} ${scores.mobility.transitTimeToDowntown.transfers === 1 ? 'transfer' : 'transfers'}`}
+                    </p>
+                  </div>
+                )}
+
                 <div className="sub-score">
                   <h4>Road Access: {scores.mobility.roadAccessScore}/100</h4>
                   {renderScoreBar(scores.mobility.roadAccessScore)}
@@ -232,6 +277,13 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       {key.charAt(0).toUpperCase() + key.slice(1)}: {score}/100
                       {renderScoreBar(score)}
                     </summary>
+                    {key === 'park' && scores.livability.greenSpace && (
+                      <p className="green-space">
+                        Green space within a 10 minute walk: {scores.livability.greenSpace.hectares} ha
+                        in {scores.livability.greenSpace.parks} park{scores.livability.greenSpace.parks === 1 ? '' : 's'}
+                      </p>
+                    )}
+                    {key === 'school' && renderDesignatedSchools(scores.livability.designatedSchools)}
                     {renderPlacesList(scores.livability.places[key as keyof typeof scores.livability.places])}
                   </details>
                 ))}
@@ -255,6 +307,7 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       {scores.emergencyServices.medical.nearest.responseTime && (
                         <p className="response-time">
                           Response time: {scores.emergencyServices.medical.nearest.responseTime.minutes} min
+                          {scores.emergencyServices.medical.nearest.responseTime.isEstimate && " (estimated)"}
                         </p>
                       )}
                       {scores.emergencyServices.medical.nearest.drivingTime && (
@@ -278,6 +331,7 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       {scores.emergencyServices.fire.nearest.responseTime && (
                         <p className="response-time">
                           Response time: {scores.emergencyServices.fire.nearest.responseTime.minutes} min
+                          {scores.emergencyServices.fire.nearest.responseTime.isEstimate && " (estimated)"}
                         </p>
                       )}
                       {scores.emergencyServices.fire.nearest.drivingTime && (
@@ -301,6 +355,7 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
                       {scores.emergencyServices.police.nearest.responseTime && (
                         <p className="response-time">
                           Response time: {scores.emergencyServices.police.nearest.responseTime.minutes} min
+                          {scores.emergencyServices.police.nearest.responseTime.isEstimate && " (estimated)"}
                         </p>
                       )}
                       {scores.emergencyServices.police.nearest.drivingTime && (
@@ -316,6 +371,77 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
               </div>
             </div>
           )}
+
+          {scores.commute && (
+            <div className="score-section commute-section">
+              <h3>Commute Score: {scores.commute.score}/100</h3>
+              {renderScoreBar(scores.commute.score)}
+              <p>Leaving {scores.commute.departAt}; each destination is scored on its fastest (or preferred) mode, shown in bold.</p>
+              <table className="traffic-table">
+                <thead>
+                  <tr>
+                    <th>Destination</th>
+                    <th>Walk</th>
+                    <th>Drive</th>
+                    <th>Transit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {scores.commute.destinations.map(destination => (
+                    <tr key={destination.id}>
+                      <td>{destination.name ?? destination.id}</td>
+                      {(['walk', 'drive', 'transit'] as const).map(mode => {
+                        const time = destination.times[mode];
+                        return (
+                          <td key={mode} className={destination.bestMode === mode ? 'best-mode' : undefined}>
+                            {time ? `${time.minutes} min` : '-'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {results.traffic && (
+            <div className="score-section traffic-section">
+              <h3>Travel Times by Time of Day</h3>
+              <table className="traffic-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {results.traffic.scenarios.map(scenario => (
+                      <th key={scenario.name}>
+                        {scenario.description}
+                        <br />
+                        <small>{scenario.time}</small>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Drive to {results.traffic.commute.destination.name}</td>
+                    {results.traffic.scenarios.map(scenario => (
+                      <td key={scenario.name}>
+                        {results.traffic?.commute.times[scenario.name]?.minutes} min
+                      </td>
+                    ))}
+                  </tr>
+                  {Object.entries(results.traffic.emergencyResponse).map(([type, service]) => (
+                    <tr key={type}>
+                      <td>{type.charAt(0).toUpperCase() + type.slice(1)} response ({service.name})</td>
+                      {results.traffic?.scenarios.map(scenario => (
+                        <td key={scenario.name}>{service.times[scenario.name]?.minutes} min</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
 
         <div className="map-container">
@@ -324,6 +450,7 @@ const SearchResults: React.FC<SearchResultsProps> = ({ address, results, loading
             longitude={lng}
             address={geocodedAddress}
             nearbyPlaces={allNearbyPlaces}
+            analysisResults={results}
           />
         </div>
       </div>
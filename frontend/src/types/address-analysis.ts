@@ -8,8 +8,92 @@ export interface AddressAnalysisResponse {
     mobility: MobilityScore;
     livability: LivabilityScore;
     emergencyServices: EmergencyServicesScore;
+    commute?: CommuteScore | null;
     overallScore: number;
   };
+  scoring?: ScoringInfo;
+  traffic?: TrafficComparison;
+}
+
+export interface ScoreWeights {
+  mobility: number;
+  livability: number;
+  emergency: number;
+  grocery: number;
+  commute?: number;
+}
+
+export interface ScoringInfo {
+  profile: string;
+  weights: ScoreWeights;
+  componentScores: ScoreWeights;
+}
+
+export interface TrafficScenario {
+  name: string;
+  description: string;
+  time: string;
+}
+
+export interface CommuteTime {
+  minutes: number;
+  distance: number;
+  isEstimate: boolean;
+  trafficLevel: string;
+}
+
+export type CommuteMode = 'walk' | 'drive' | 'transit';
+
+// Times to one of the user's saved destinations; a mode is null when it couldn't be worked out.
+// Where the destination is (name, address, coordinates, distances, routes) is only included for
+// requests with the admin token
+export interface CommuteDestinationResult {
+  id: string;
+  name?: string;
+  address?: string | null;
+  lat?: number;
+  lng?: number;
+  weight: number;
+  preferredMode: CommuteMode | null;
+  distance?: number;
+  times: {
+    walk: { minutes: number; distance?: number; isEstimate?: boolean } | null;
+    drive: { minutes: number; distance?: number; isEstimate?: boolean; trafficLevel?: string };
+    transit: {
+      minutes: number;
+      walkingMinutes?: number;
+      waitingMinutes?: number;
+      transfers?: number;
+      routes?: string[];
+    } | null;
+  };
+  bestMode: CommuteMode;
+  minutes: number;
+  score: number;
+}
+
+export interface CommuteScore {
+  score: number;
+  departAt: string;
+  destinations: CommuteDestinationResult[];
+}
+
+export interface TrafficComparison {
+  departAt: string | null;
+  scenarios: TrafficScenario[];
+  commute: {
+    destination: {
+      name: string;
+      lat: number;
+      lng: number;
+    };
+    times: Record<string, CommuteTime>;
+  };
+  emergencyResponse: Record<string, {
+    name: string;
+    distance: number;
+    times: Record<string, { minutes: number }>;
+  }>;
 }
 
 export interface Place {
@@ -31,16 +115,53 @@ export interface WalkingTime {
   method?: string;
 }
 
+export interface RoadTypeBreakdown {
+  roadType: string;
+  distance: number;
+  minutes: number;
+  share: number;
+}
+
 export interface DrivingTime {
   minutes: number;
+  distance?: number;
   isEstimate: boolean;
   method?: string;
   trafficLevel?: string;
+  roadTypes?: RoadTypeBreakdown[];
+  intersections?: number;
+  turns?: number;
 }
 
 export interface ResponseTime {
   minutes: number;
   serviceType: string;
+  distance?: number;
+  isEstimate?: boolean;
+  method?: 'network' | 'estimate';
+  // Path from the station to the address, as GeoJSON [lng, lat] points
+  route?: { type: 'LineString'; coordinates: [number, number][] };
+}
+
+// Trips per hour by time band (amPeak, midday, pmPeak, evening, night)
+export type TransitFrequencies = Record<'weekday' | 'weekend', Record<string, number>>;
+
+export interface TransitServiceSummary {
+  walkRadius: number;
+  stopCount: number;
+  routes: string[];
+  headway: number | null;
+  frequencies: TransitFrequencies;
+}
+
+export interface DowntownTransitTime {
+  destination: string;
+  departAt: string;
+  minutes: number;
+  walkingMinutes: number;
+  waitingMinutes: number;
+  transfers: number;
+  walkOnly: boolean;
 }
 
 export interface MobilityScore {
@@ -48,17 +169,24 @@ export interface MobilityScore {
   transitStationScore: number;
   busStopScore: number;
   roadAccessScore: number;
+  downtownTransitScore?: number | null;
+  transitTimeToDowntown?: DowntownTransitTime | null;
   nearestTransitStation: {
     name: string;
     distance: number;
     id: string;
+    mode?: string;
+    routes?: string[];
+    frequencies?: TransitFrequencies;
     walkingTime?: WalkingTime;
     drivingTime?: DrivingTime;
   } | null;
   nearestBusStop: {
     id: string;
+    name?: string;
     distance: number;
     routes: string[];
+    frequencies?: TransitFrequencies;
     walkingTime?: WalkingTime;
     drivingTime?: DrivingTime;
   } | null;
@@ -68,6 +196,34 @@ export interface MobilityScore {
     walkingTime?: WalkingTime;
     drivingTime?: DrivingTime;
   } | null;
+  transitService?: {
+    station: TransitServiceSummary | null;
+    busStop: TransitServiceSummary | null;
+  } | null;
+}
+
+export interface GreenSpace {
+  hectares: number;
+  parks: number;
+  largestPark: {
+    name: string;
+    area: number;
+    distance: number;
+  } | null;
+}
+
+export interface DesignatedSchool {
+  name: string;
+  level: 'elementary' | 'secondary';
+  board: string;
+  boardName: string;
+  language: string | null;
+  system: string | null;
+  address: string | null;
+  lat: number | null;
+  lng: number | null;
+  distance: number | null;
+  rating: number | null;
 }
 
 export interface LivabilityScore {
@@ -86,6 +242,11 @@ export interface LivabilityScore {
     school: Place[];
     grocery: Place[];
   };
+  greenSpace?: GreenSpace | null;
+  designatedSchools?: {
+    elementary: DesignatedSchool[];
+    secondary: DesignatedSchool[];
+  } | null;
 }
 
 export interface EmergencyServicesScore {
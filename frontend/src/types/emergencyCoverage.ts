@@ -0,0 +1,64 @@
+// Types for the emergency coverage API response
+
+export type EmergencyServiceType = 'fire' | 'police' | 'hospital';
+
+export interface CoverageGapProperties {
+  type: EmergencyServiceType;
+  targetMinutes: number;
+  areaKm2: number;
+  // Null when the region has no service of the type
+  averageMinutes: number | null;
+  worstMinutes: number | null;
+}
+
+export interface CoverageGapFeature {
+  type: 'Feature';
+  geometry:
+    | { type: 'Polygon'; coordinates: [number, number][][] }
+    | { type: 'MultiPolygon'; coordinates: [number, number][][][] };
+  properties: CoverageGapProperties;
+}
+
+export interface CoverageSummary {
+  targetMinutes: number;
+  stations: number;
+  coveredPercent: number;
+  gapAreaKm2: number;
+  gaps: number;
+  averageMinutes: number | null;
+  worstMinutes: number | null;
+}
+
+// Response time grid: cell (row, column) spans south + row * latStep and west + column * lngStep
+export interface CoverageSurface {
+  south: number;
+  west: number;
+  latStep: number;
+  lngStep: number;
+  columns: number;
+  rows: number;
+  // Minutes by cell, row by row from the south; null outside the region or without a service
+  minutes: Partial<Record<EmergencyServiceType, (number | null)[]>>;
+}
+
+export interface EmergencyCoverageResponse {
+  region: string;
+  bounds: { south: number; west: number; north: number; east: number };
+  cellSize: number;
+  departAt: string | null;
+  targets: Partial<Record<EmergencyServiceType, number>>;
+  summary: Partial<Record<EmergencyServiceType, CoverageSummary>>;
+  surface: CoverageSurface;
+  gaps: {
+    type: 'FeatureCollection';
+    features: CoverageGapFeature[];
+  };
+}
+
+export interface EmergencyCoverageParams {
+  region?: string;
+  types?: string;
+  targets?: string;
+  cellSize?: number;
+  departAt?: string;
+}
@@ -0,0 +1,53 @@
+// Types for the hotspot heatmap API response
+
+import { ScoreWeights } from './address-analysis';
+
+export interface HeatmapPointProperties {
+  score: number;
+  mobility: number;
+  livability: number;
+  emergency: number;
+  grocery: number;
+}
+
+export interface HeatmapPointFeature {
+  type: 'Feature';
+  geometry: {
+    type: 'Point';
+    coordinates: [number, number];
+  };
+  properties: HeatmapPointProperties;
+}
+
+export interface Hotspot {
+  id: number;
+  center: { lat: number; lng: number };
+  peak: { lat: number; lng: number };
+  score: number;
+  maxScore: number;
+  pointCount: number;
+  details: ScoreWeights;
+}
+
+export interface HotspotHeatmapResponse {
+  center: { lat: number; lng: number };
+  radius: number;
+  step: number;
+  profile: string;
+  weights: ScoreWeights;
+  analyzed: number;
+  grid: {
+    type: 'FeatureCollection';
+    features: HeatmapPointFeature[];
+  };
+  hotspots: Hotspot[];
+}
+
+export interface HotspotHeatmapParams {
+  region?: string;
+  lat: number;
+  lng: number;
+  radius?: number;
+  step?: number;
+  profile?: string;
+}
@@ -0,0 +1,40 @@
+// Types for the isochrones API response
+
+export type IsochroneMode = 'walk' | 'drive';
+
+export interface IsochroneProperties {
+  mode: IsochroneMode;
+  minutes: number;
+  areaKm2: number;
+  method: 'network' | 'estimate';
+}
+
+export interface IsochroneFeature {
+  type: 'Feature';
+  geometry:
+    | { type: 'Polygon'; coordinates: [number, number][][] }
+    | { type: 'MultiPolygon'; coordinates: [number, number][][][] };
+  properties: IsochroneProperties;
+}
+
+export interface IsochroneResponse {
+  center: { lat: number; lng: number };
+  mode: IsochroneMode;
+  minutes: number[];
+  method: 'network' | 'estimate';
+  trafficLevel: string | null;
+  departAt: string | null;
+  isochrones: {
+    type: 'FeatureCollection';
+    features: IsochroneFeature[];
+  };
+}
+
+export interface IsochroneParams {
+  region?: string;
+  lat: number;
+  lng: number;
+  mode?: IsochroneMode;
+  minutes?: string;
+  departAt?: string;
+}